@@ -297,7 +297,7 @@ function run() {
   const irPath = path.join(workspace, '.diagram', 'ir', 'architecture-ir.json');
   assert.ok(fs.existsSync(irPath), 'typed IR artifact should be written');
   const irPayload = JSON.parse(fs.readFileSync(irPath, 'utf8'));
-  assert.strictEqual(irPayload.schemaVersion, '1.0', 'typed IR should include schema version');
+  assert.strictEqual(irPayload.schemaVersion, '2.0', 'typed IR should include schema version');
 
   // Incremental mode should create cache artifact and support cache hit on repeat runs
   const incrementalRun1 = runCLI(
@@ -98,20 +98,21 @@ function probeCapabilities(command, context = {}) {
   };
 }
 
-function evaluateConfidence({ capabilities, validation, fallback }) {
+function evaluateConfidence({ capabilities, validation, fallback, coverage }) {
   const checks = Array.isArray(capabilities?.checks) ? capabilities.checks : [];
   const failures = checks.filter((check) => check.required && check.status === 'fail');
   const warnings = checks.filter((check) => check.status === 'warn');
 
   const validationFailed = Boolean(validation?.enabled && validation?.valid === false);
   const fallbackUsed = Boolean(fallback?.used);
+  const partial = Boolean(coverage?.truncated);
 
   let verdict = 'pass';
   const reasons = [];
 
   if (failures.length > 0 || validationFailed) {
     verdict = 'fail';
-  } else if (warnings.length > 0 || fallbackUsed) {
+  } else if (warnings.length > 0 || fallbackUsed || partial) {
     verdict = 'warn';
   }
 
@@ -124,12 +125,16 @@ function evaluateConfidence({ capabilities, validation, fallback }) {
   if (fallbackUsed) {
     reasons.push('fallback: degraded fallback path used');
   }
+  if (partial) {
+    reasons.push(`coverage: analyzed ${coverage.analyzed} of ${coverage.discovered} files (maxFiles ${coverage.maxFiles})`);
+  }
 
   let score = 100;
   score -= failures.length * 30;
   score -= warnings.length * 10;
   if (validationFailed) score -= 30;
   if (fallbackUsed) score -= 15;
+  if (partial) score -= 10;
   score = Math.max(0, Math.min(100, score));
 
   return {
@@ -141,12 +146,13 @@ function evaluateConfidence({ capabilities, validation, fallback }) {
       warnings: warnings.length,
       validationFailed,
       fallbackUsed,
+      partial,
     },
   };
 }
 
-function buildConfidenceReport({ command, rootPath, capabilities, validation, fallback, notes = [] }) {
-  const confidence = evaluateConfidence({ capabilities, validation, fallback });
+function buildConfidenceReport({ command, rootPath, capabilities, validation, fallback, coverage = null, notes = [] }) {
+  const confidence = evaluateConfidence({ capabilities, validation, fallback, coverage });
 
   return {
     schemaVersion: CONFIDENCE_SCHEMA_VERSION,
@@ -156,6 +162,7 @@ function buildConfidenceReport({ command, rootPath, capabilities, validation, fa
     capabilities,
     validation,
     fallback,
+    ...(coverage ? { coverage } : {}),
     confidence,
     notes,
   };
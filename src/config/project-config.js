@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const { SHARED_OPTION_KEYS, validateProjectConfig } = require('../schema/config-schema');
+
+/**
+ * Project configuration files, in lookup order. The first one found is
+ * used; package.json only counts when it has a `diagram` key.
+ */
+const PROJECT_CONFIG_FILES = ['.diagramrc', 'diagram.config.json', 'package.json'];
+
+function readJson(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return { found: false };
+  }
+  try {
+    return { found: true, value: JSON.parse(text) };
+  } catch (e) {
+    return { found: true, error: e.message };
+  }
+}
+
+/**
+ * Find and validate the project configuration under a root
+ * @param {string} rootPath - Project root
+ * @returns {{file: string|null, config: Object, errors: Array<{path: string, message: string}>}}
+ *   `file` is the config file name (null without one); `config` is empty when `errors` is not
+ */
+function readProjectConfig(rootPath) {
+  for (const file of PROJECT_CONFIG_FILES) {
+    const json = readJson(path.join(rootPath, file));
+    if (!json.found) continue;
+
+    if (file === 'package.json') {
+      if (json.error || !json.value || json.value.diagram === undefined) continue;
+      json.value = json.value.diagram;
+    }
+    if (json.error) {
+      return { file, config: {}, errors: [{ path: '', message: `Invalid JSON: ${json.error}` }] };
+    }
+    if (!json.value || typeof json.value !== 'object' || Array.isArray(json.value)) {
+      return { file, config: {}, errors: [{ path: '', message: 'Expected a JSON object' }] };
+    }
+
+    const validation = validateProjectConfig(json.value);
+    return validation.valid
+      ? { file, config: validation.data, errors: [] }
+      : { file, config: {}, errors: validation.errors };
+  }
+  return { file: null, config: {}, errors: [] };
+}
+
+/**
+ * Load the project configuration
+ * @param {string} rootPath - Project root
+ * @returns {Object} Validated configuration; empty without a config file
+ * @throws {Error} When the config file is not valid JSON or fails validation
+ */
+function loadProjectConfig(rootPath) {
+  const { file, config, errors } = readProjectConfig(rootPath);
+  if (errors.length > 0) {
+    const details = errors.map(err => (err.path ? `${err.path}: ${err.message}` : err.message)).join('; ');
+    throw new Error(`${file}: ${details}`);
+  }
+  return config;
+}
+
+function toOptionValue(value) {
+  if (Array.isArray(value)) return value.join(',');
+  if (typeof value === 'number') return String(value);
+  return value;
+}
+
+/**
+ * Fill a command's options from the project config. Options given on the
+ * command line keep their value; top-level settings apply to every command
+ * and `commands.<name>` settings to that command only. `ignore` entries are
+ * always added to `exclude`, on top of the analyzer's default excludes when
+ * the command has no `--exclude` option.
+ * @param {Object} command - commander Command about to run
+ * @param {Object} config - Validated project config
+ * @param {Object} [defaults] - `{ exclude }` used when neither the command nor the config sets it
+ */
+function applyProjectConfig(command, config, defaults = {}) {
+  const settings = {
+    ...Object.fromEntries(SHARED_OPTION_KEYS.filter(key => config[key] !== undefined).map(key => [key, config[key]])),
+    ...((config.commands && config.commands[command.name()]) || {}),
+  };
+  for (const [key, value] of Object.entries(settings)) {
+    if (command.getOptionValueSource(key) === 'cli') continue;
+    command.setOptionValueWithSource(key, toOptionValue(value), 'config');
+  }
+
+  const ignore = (config.ignore || []).flatMap(entry => {
+    const trimmed = entry.replace(/^\.?\/+/, '').replace(/\/+$/, '');
+    return trimmed ? [trimmed, `${trimmed}/**`] : [];
+  });
+  if (ignore.length > 0) {
+    const exclude = command.getOptionValue('exclude') || toOptionValue(defaults.exclude);
+    command.setOptionValueWithSource(
+      'exclude',
+      [exclude, ...ignore].filter(Boolean).join(','),
+      command.getOptionValueSource('exclude') || 'config'
+    );
+  }
+
+  command.setOptionValueWithSource('projectConfig', config, 'config');
+}
+
+module.exports = {
+  PROJECT_CONFIG_FILES,
+  readProjectConfig,
+  loadProjectConfig,
+  applyProjectConfig,
+};
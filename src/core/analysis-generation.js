@@ -1,8 +1,35 @@
-const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { glob } = require('glob');
+const picomatch = require('picomatch');
 const chalk = require('chalk');
 const crypto = require('crypto');
+const {
+  MODULE_SCOPE,
+  extractImportRecords,
+  extractSymbols,
+  extractFunctions,
+  extractRoutes,
+  extractEntities,
+  extractEvents,
+} = require('../extractors');
+const { joinRoutePath } = require('../extractors/routes');
+const { SCHEMA_PATTERNS, collectSchemaEntities, extractQueryRefs } = require('../extractors/entities');
+const { readGoPackageName } = require('../extractors/go');
+const { loadProjectConfig } = require('../config/project-config');
+const { createSourceFromOptions } = require('../sources');
+const { runWorkerPool } = require('./worker-pool');
+const { detectEntryPoints, listAnalyzedEntryPoints } = require('./entry-points');
+const { normalizePath, toComparablePath } = require('../utils/paths');
+const {
+  createResolutionContext,
+  resolveBareImport,
+  resolvePythonImport,
+  resolveGoImport,
+  resolveRustImport,
+  resolveJavaImport,
+  resolveRubyImport,
+  resolvePhpImport,
+} = require('../resolution');
 
 function detectLanguage(filePath) {
   if (typeof filePath !== 'string') return 'unknown';
@@ -18,7 +45,17 @@ function detectLanguage(filePath) {
   return map[ext] || 'unknown';
 }
 
-function inferType(filePath, content) {
+/**
+ * Infer a component type from the file name and content. A project
+ * `components` rule matching the path sets the type explicitly.
+ * @param {string} filePath - Project-relative file path
+ * @param {string} content - File content
+ * @param {Object} [classifier] - From createClassifier()
+ * @returns {string}
+ */
+function inferType(filePath, content, classifier) {
+  const configured = classifier ? classifyPath(filePath, classifier).type : null;
+  if (configured) return configured;
   const base = path.basename(filePath).toLowerCase();
   if (base.includes('service')) return 'service';
   if (base.includes('component') || base.endsWith('.tsx') || base.endsWith('.jsx')) return 'component';
@@ -28,38 +65,40 @@ function inferType(filePath, content) {
   return 'file';
 }
 
-function extractImports(content, lang) {
-  const imports = [];
-  if (lang === 'typescript' || lang === 'javascript') {
-    // ES6 imports with timeout protection against ReDoS
-    const es6Regex = /import\s+(?:(?:\{[^}]*?\}|\*\s+as\s+\w+|\w+)\s+from\s+)?["']([^"']+)["']/g;
-    const es6 = [...content.matchAll(es6Regex)];
-    es6.forEach(m => imports.push(m[1]));
-    // CommonJS requires
-    const cjs = [...content.matchAll(/require\s*\(\s*["']([^"']+)["']\s*\)/g)];
-    cjs.forEach(m => imports.push(m[1]));
-    // Dynamic imports
-    const dynamic = [...content.matchAll(/import\s*\(\s*["']([^"']+)["']\s*\)/g)];
-    dynamic.forEach(m => imports.push(m[1]));
-  } else if (lang === 'python') {
-    const py = [...content.matchAll(/(?:from|import)\s+([\w.]+)/g)];
-    py.forEach(m => imports.push(m[1]));
-  } else if (lang === 'go') {
-    const go = [...content.matchAll(/import\s+(?:\(\s*)?["']([^"']+)["']/g)];
-    go.forEach(m => imports.push(m[1]));
-  }
-  return imports;
+function extractImports(content, lang, filePath) {
+  return extractImportsWithPositions(content, lang, filePath).map(imp => imp.path);
 }
 
 /**
- * Extract imports with line number information
+ * Extract imports with position information.
+ * Each language with an extractor (JavaScript/TypeScript through the AST,
+ * Python, Go, Rust, Java, Ruby and PHP through statement scanners) is used
+ * directly; JS sources the parser cannot recover from fall back to
+ * line-based scanning.
  * @param {string} content - File content
  * @param {string} lang - Language
- * @returns {Array<{path: string, line: number}>}
+ * @param {string} [filePath] - File path (selects JSX/TS parsing for JS sources)
+ * @returns {Array<{path: string, line: number, column: number, kind: string}>}
  */
-function extractImportsWithPositions(content, lang) {
+function extractImportsWithPositions(content, lang, filePath) {
+  if (typeof content !== 'string') return [];
+  const records = extractImportRecords(content, lang, filePath);
+  if (records) return records;
+  return extractImportsByLine(content, lang);
+}
+
+/**
+ * Line-based import scanning (fallback for sources without a parser)
+ * @param {string} content - File content
+ * @param {string} lang - Language
+ * @returns {Array<{path: string, line: number, column: number, kind: string}>}
+ */
+function extractImportsByLine(content, lang) {
   const imports = [];
   const lines = content.split(/\r?\n/);
+  const push = (match, lineNum, kind) => {
+    imports.push({ path: match[1], line: lineNum, column: match.index + 1, kind });
+  };
   
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
@@ -69,31 +108,21 @@ function extractImportsWithPositions(content, lang) {
       // ES6 imports
       const es6 = line.match(/import\s+(?:(?:\{[^}]*\}|\*\s+as\s+\w+|\w+)\s+from\s+)?["']([^"']+)["']/);
       if (es6) {
-        imports.push({ path: es6[1], line: lineNum });
+        push(es6, lineNum, 'static');
         continue;
       }
       
       // CommonJS requires
       const cjs = line.match(/require\s*\(\s*["']([^"']+)["']\s*\)/);
       if (cjs) {
-        imports.push({ path: cjs[1], line: lineNum });
+        push(cjs, lineNum, 'require');
         continue;
       }
       
       // Dynamic imports
       const dynamic = line.match(/import\s*\(\s*["']([^"']+)["']\s*\)/);
       if (dynamic) {
-        imports.push({ path: dynamic[1], line: lineNum });
-      }
-    } else if (lang === 'python') {
-      const py = line.match(/(?:from|import)\s+([\w.]+)/);
-      if (py) {
-        imports.push({ path: py[1], line: lineNum });
-      }
-    } else if (lang === 'go') {
-      const go = line.match(/import\s+(?:\(\s*)?["']([^"']+)["']/);
-      if (go) {
-        imports.push({ path: go[1], line: lineNum });
+        push(dynamic, lineNum, 'dynamic');
       }
     }
   }
@@ -125,11 +154,6 @@ function escapeMermaid(str) {
     .replace(/\|/g, '\\|');
 }
 
-function normalizePath(inputPath) {
-  // Always use forward slashes for consistency
-  return inputPath.replace(/\\/g, '/');
-}
-
 const IMPORT_RESOLUTION_SUFFIXES = [
   '',
   '.ts',
@@ -148,22 +172,48 @@ const IMPORT_RESOLUTION_SUFFIXES = [
   '/index.cts'
 ];
 
-function toComparablePath(p) {
-  return normalizePath(String(p || '')).replace(/^\.\//, '');
-}
-
 function getImportPath(importInfo) {
   if (typeof importInfo === 'string') return importInfo;
   if (importInfo && typeof importInfo.path === 'string') return importInfo.path;
   return null;
 }
 
-function resolveInternalImport(fromFilePath, importPath, rootPath) {
+/**
+ * Resolve an import to root-relative candidate paths (extension-less bases or exact files)
+ * @param {string} fromFilePath - Importing file (root-relative)
+ * @param {string} importPath - Import specifier
+ * @param {string} [rootPath] - Project root, enforces root boundaries
+ * @param {Object} [context] - Resolution context from createResolutionContext()
+ * @param {Object} [importInfo] - Import record; `kind` selects package.json export
+ *   conditions and Python `names` are tried as submodules
+ * @returns {{candidates: Array<string>, aliased: boolean}}
+ */
+function resolveImportCandidates(fromFilePath, importPath, rootPath, context, importInfo) {
   if (typeof fromFilePath !== 'string' || typeof importPath !== 'string') {
-    return null;
+    return { candidates: [], aliased: false };
+  }
+  const details = importInfo && typeof importInfo === 'object' ? importInfo : {};
+  const lang = detectLanguage(fromFilePath);
+  if (lang === 'python') {
+    return resolvePythonImport(toComparablePath(fromFilePath), importPath, details.names, context);
+  }
+  if (lang === 'go') {
+    return resolveGoImport(toComparablePath(fromFilePath), importPath, context);
+  }
+  if (lang === 'rust') {
+    return resolveRustImport(toComparablePath(fromFilePath), { ...details, path: importPath }, context);
+  }
+  if (lang === 'java') {
+    return resolveJavaImport(toComparablePath(fromFilePath), importPath, context);
+  }
+  if (lang === 'ruby') {
+    return resolveRubyImport(toComparablePath(fromFilePath), importPath, context);
+  }
+  if (lang === 'php') {
+    return resolvePhpImport(toComparablePath(fromFilePath), importPath, context, details.kind);
   }
   if (!importPath.startsWith('.')) {
-    return null;
+    return resolveBareImport(toComparablePath(fromFilePath), importPath, context, details.kind);
   }
 
   const fromDir = path.dirname(fromFilePath);
@@ -173,28 +223,327 @@ function resolveInternalImport(fromFilePath, importPath, rootPath) {
     const absoluteTarget = path.resolve(rootPath, fromDir, importPath);
     const relativeToRoot = toComparablePath(path.relative(rootPath, absoluteTarget));
     if (relativeToRoot.startsWith('..') || path.isAbsolute(relativeToRoot)) {
-      return null;
+      return { candidates: [], aliased: false };
     }
-    return relativeToRoot;
+    return { candidates: [relativeToRoot], aliased: false };
   }
 
   // Fallback for precomputed data without root path
   const posixFromDir = normalizePath(fromDir);
   const posixImport = normalizePath(importPath);
-  return toComparablePath(path.posix.normalize(path.posix.join(posixFromDir, posixImport)));
+  return {
+    candidates: [toComparablePath(path.posix.normalize(path.posix.join(posixFromDir, posixImport)))],
+    aliased: false,
+  };
 }
 
-function findComponentByResolvedPath(components, resolvedPath) {
+function resolveInternalImport(fromFilePath, importPath, rootPath, context) {
+  const { candidates } = resolveImportCandidates(fromFilePath, importPath, rootPath, context);
+  return candidates[0] || null;
+}
+
+/**
+ * Index components by path for findComponentByResolvedPath()
+ * @param {Array<Object>} components - Components
+ * @returns {Map<string, number>} Comparable file path → position of the first component with it
+ */
+function indexComponentPaths(components) {
+  const index = new Map();
+  components.forEach((component, position) => {
+    const key = toComparablePath(component.filePath);
+    if (!index.has(key)) index.set(key, position);
+  });
+  return index;
+}
+
+function findComponentByResolvedPath(components, resolvedPath, index = null) {
   const comparablePath = toComparablePath(resolvedPath);
   const candidates = new Set(
     IMPORT_RESOLUTION_SUFFIXES.map(suffix => toComparablePath(comparablePath + suffix))
   );
-  return components.find(c => candidates.has(toComparablePath(c.filePath)));
+  if (!index) return components.find(c => candidates.has(toComparablePath(c.filePath)));
+
+  // The earliest matching component wins, as with the linear scan
+  let best = -1;
+  for (const candidate of candidates) {
+    const position = index.get(candidate);
+    if (position !== undefined && (best < 0 || position < best)) best = position;
+  }
+  return best < 0 ? undefined : components[best];
+}
+
+/**
+ * Component that an import specifier of `component` resolved to, if any.
+ * Requires resolveComponentDependencies() to have annotated the imports.
+ */
+function findImportedComponent(components, component, specifier) {
+  const imp = (component.imports || []).find(i => i && typeof i === 'object' && i.path === specifier && i.resolvedPath);
+  return imp ? components.find(c => c.filePath === imp.resolvedPath) || null : null;
+}
+
+function entityKey(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '')
+    .replace(/ies$/, 'y')
+    .replace(/(ss|x|ch|sh)es$/, '$1')
+    .replace(/([^s])s$/, '$1');
+}
+
+/**
+ * Build the project's entity table from ORM models (`component.models`) and
+ * schema file entities. The first definition of a model or table wins: ORM
+ * code, then Prisma, then SQL migrations. Each entity lists the components
+ * that query it, by table or model name (`component.queries`, singular and
+ * plural alike) or by importing the file that defines the model.
+ * @param {Array<Object>} schemaEntities - Entities from collectSchemaEntities()
+ * @param {Array<Object>} components - Components with resolved dependencies
+ * @returns {Array<Object>} Entities with `filePath` and `components`
+ */
+function buildEntityTable(schemaEntities, components) {
+  const definitions = [
+    ...components.flatMap(c => (c.models || []).map(model => ({ ...model, filePath: c.filePath, definedBy: c }))),
+    ...[...schemaEntities].sort((a, b) => (a.source === 'sql') - (b.source === 'sql')),
+  ];
+
+  const seenKeys = new Set();
+  const entities = [];
+  for (const definition of definitions) {
+    const keys = [entityKey(definition.name), entityKey(definition.table)];
+    if (keys.some(key => seenKeys.has(key))) continue;
+    keys.forEach(key => seenKeys.add(key));
+    entities.push(definition);
+  }
+
+  return entities.map(({ definedBy, ...entity }) => {
+    const keys = new Set([entityKey(entity.name), entityKey(entity.table)]);
+    const queriedBy = components.filter(c => c !== definedBy && (
+      (c.queries || []).some(ref => keys.has(entityKey(ref)))
+      || (definedBy && (c.dependencies || []).includes(definedBy.name))
+    ));
+    return { ...entity, components: queriedBy.map(c => c.name).sort() };
+  });
+}
+
+/**
+ * Build the project's event channel table from per-file records
+ * (`component.messaging`). Producers and consumers meet on a channel when
+ * they use the same transport and channel name. Routes whose path mentions
+ * a webhook or hook become `webhook` channels consumed by their handler.
+ * @param {Array<Object>} components - Components
+ * @param {Array<Object>} [routes] - Route table from buildRouteTable()
+ * @returns {Array<{channel: string, transport: string, producers: Array<string>, consumers: Array<string>}>}
+ *   Sorted by transport, then channel; producers and consumers are component names
+ */
+function buildEventTable(components, routes = []) {
+  const channels = new Map();
+  const add = (transport, channel, role, componentName) => {
+    const key = `${transport}\u0000${channel}`;
+    if (!channels.has(key)) channels.set(key, { channel, transport, producers: new Set(), consumers: new Set() });
+    channels.get(key)[role === 'producer' ? 'producers' : 'consumers'].add(componentName);
+  };
+
+  for (const component of components) {
+    for (const record of component.messaging || []) {
+      add(record.transport, record.channel, record.role, component.name);
+    }
+  }
+  for (const route of routes) {
+    if (/webhook|\bhooks?\b/i.test(route.path)) add('webhook', `${route.method} ${route.path}`, 'consumer', route.component);
+  }
+
+  return [...channels.values()]
+    .map(entry => ({ ...entry, producers: [...entry.producers].sort(), consumers: [...entry.consumers].sort() }))
+    .sort((a, b) => a.transport.localeCompare(b.transport) || a.channel.localeCompare(b.channel));
+}
+
+/**
+ * Build the project's route table from per-file routes (`component.http`).
+ * Mount prefixes are applied along `use`/`register` chains, following
+ * mounted routers into the files that declare them; a file mounted elsewhere
+ * only contributes through its mounts.
+ * @param {Array<Object>} components - Components with resolved imports
+ * @returns {Array<{method: string, path: string, handler: string|null, component: string, filePath: string, line: number}>}
+ *   `component` is the component implementing the handler; `filePath` and
+ *   `line` locate the route declaration
+ */
+function buildRouteTable(components) {
+  const withRoutes = components.filter(c => c.http);
+  const mountedFiles = new Set();
+  for (const component of withRoutes) {
+    for (const mount of component.http.mounts) {
+      const target = mount.module ? findImportedComponent(components, component, mount.module) : null;
+      if (target && target !== component) mountedFiles.add(target);
+    }
+  }
+
+  const toEntry = (component, route, routePath) => {
+    const handlerComponent = (route.module && findImportedComponent(components, component, route.module)) || component;
+    return {
+      method: route.method,
+      path: routePath,
+      handler: route.handler,
+      component: handlerComponent.name,
+      filePath: component.filePath,
+      line: route.line,
+    };
+  };
+
+  const expandFile = (component, prefix, seen) => {
+    if (seen.has(component) || !component.http) return [];
+    const fileSeen = new Set(seen).add(component);
+    const { routes, mounts } = component.http;
+    const receivers = new Set([...routes.map(r => r.router), ...mounts.map(m => m.router)]);
+    const mountedLocally = new Set(mounts.filter(m => !m.module).map(m => m.target));
+    const table = [];
+
+    const expandRouter = (router, routerPrefix, active) => {
+      if (active.has(router)) return;
+      const routerActive = new Set(active).add(router);
+      for (const route of routes.filter(r => r.router === router)) {
+        table.push(toEntry(component, route, joinRoutePath(routerPrefix, route.path)));
+      }
+      for (const mount of mounts.filter(m => m.router === router)) {
+        const mountPrefix = joinRoutePath(routerPrefix, mount.prefix);
+        if (mount.module) {
+          const target = findImportedComponent(components, component, mount.module);
+          if (target) table.push(...expandFile(target, mountPrefix, fileSeen));
+        } else if (receivers.has(mount.target)) {
+          expandRouter(mount.target, mountPrefix, routerActive);
+        }
+      }
+    };
+
+    for (const router of receivers) {
+      if (!mountedLocally.has(router)) expandRouter(router, prefix, new Set());
+    }
+    return table;
+  };
+
+  const seenRoutes = new Set();
+  return withRoutes
+    .filter(component => !mountedFiles.has(component))
+    .flatMap(component => expandFile(component, '', new Set()))
+    .filter((entry) => {
+      const key = `${entry.method} ${entry.path} ${entry.filePath}:${entry.line}`;
+      if (seenRoutes.has(key)) return false;
+      seenRoutes.add(key);
+      return true;
+    })
+    .sort((a, b) => a.path.localeCompare(b.path) || a.method.localeCompare(b.method));
+}
+
+/**
+ * Resolve every component's imports into internal dependency edges.
+ * Import records that reach an internal component are annotated with
+ * `resolvedPath`; aliased specifiers (tsconfig `paths`, package.json `imports`
+ * and self-references) are flagged `internal`
+ * even when the target file is outside the analyzed set. `#` specifiers that
+ * package.json `imports` maps to a package record it as `external`.
+ * @param {Array<Object>} components - Components with `imports`
+ * @param {string} rootPath - Project root
+ * @param {Object} [context] - Resolution context from createResolutionContext()
+ */
+function resolveComponentDependencies(components, rootPath, context) {
+  const index = indexComponentPaths(components);
+  for (const comp of components) {
+    const dependencies = new Set();
+    for (const imp of comp.imports || []) {
+      const importPath = getImportPath(imp);
+      if (!importPath) continue;
+      // Package components (Go) record the declaring file on each import
+      const fromFile = (imp && typeof imp === 'object' && imp.file) || comp.filePath;
+      const { candidates, aliased, external } = resolveImportCandidates(fromFile, importPath, rootPath, context, imp);
+
+      let dep = null;
+      for (const candidate of candidates) {
+        dep = findComponentByResolvedPath(components, candidate, index);
+        if (dep) break;
+      }
+
+      if (imp && typeof imp === 'object') {
+        if (dep) imp.resolvedPath = dep.filePath;
+        if (aliased) imp.internal = true;
+        if (external) imp.external = external;
+      }
+      if (dep) dependencies.add(dep.name);
+    }
+    comp.dependencies = [...dependencies];
+  }
+}
+
+/**
+ * Tag components that live inside a workspace package with the package name
+ * @param {Array<Object>} components - Analyzed components
+ * @param {Object} [context] - Resolution context from createResolutionContext()
+ */
+function assignComponentPackages(components, context) {
+  if (!context || !context.workspaces) return;
+  for (const comp of components) {
+    const pkg = context.workspaces.packageFor(comp.filePath);
+    if (pkg) comp.package = pkg.name;
+  }
+}
+
+/**
+ * Workspace packages detected for an analysis, for the result payload
+ * @param {Object} [context] - Resolution context from createResolutionContext()
+ * @returns {Array<{name: string, path: string}>}
+ */
+function listWorkspacePackages(context) {
+  const packages = context?.workspaces?.packages || [];
+  return packages
+    .map(pkg => ({ name: pkg.name, path: pkg.dir }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Whether an import record refers to project code rather than a package
+ * @param {string|Object} importInfo - Import record
+ * @returns {boolean}
+ */
+function isInternalImport(importInfo) {
+  const importPath = getImportPath(importInfo);
+  if (!importPath) return false;
+  if (importPath.startsWith('.')) return true;
+  return Boolean(importInfo && typeof importInfo === 'object' && (importInfo.resolvedPath || importInfo.internal));
 }
 
-function getExternalPackageName(importPath) {
+/**
+ * The specifier an external import loads a package by: the import path, or
+ * the package a package.json `imports` entry maps a `#` specifier to
+ * @param {string|Object} importInfo - Import record
+ * @returns {string|null}
+ */
+function getExternalImportPath(importInfo) {
+  if (importInfo && typeof importInfo === 'object' && importInfo.external) return importInfo.external;
+  return getImportPath(importInfo);
+}
+
+function getExternalPackageName(importPath, lang) {
   if (typeof importPath !== 'string') return null;
   if (!importPath) return null;
+  // Python distributions are named by their top-level module
+  if (lang === 'python') return importPath.startsWith('.') ? null : importPath.split('.')[0] || null;
+  // Rust crates are the first path segment; crate/self/super are local
+  if (lang === 'rust') {
+    const crate = importPath.replace(/^::/, '').split('::')[0];
+    return ['crate', 'self', 'super'].includes(crate) ? null : crate || null;
+  }
+  // Java artifacts are identified by their group prefix (`org.springframework`)
+  if (lang === 'java') return importPath.split('.').slice(0, 2).join('.') || null;
+  // Ruby gems are the first path segment; require_relative paths are local
+  if (lang === 'ruby') return importPath.startsWith('.') ? null : importPath.split('/')[0] || null;
+  // PHP vendors are the top-level namespace; include paths are files
+  if (lang === 'php') {
+    if (importPath.includes('/') || importPath.endsWith('.php')) return null;
+    return importPath.replace(/^\\/, '').split('\\')[0] || null;
+  }
+  // Go modules are `host/owner/repo`; standard library paths are kept whole
+  if (lang === 'go') {
+    const segments = importPath.split('/');
+    return segments[0].includes('.') ? segments.slice(0, 3).join('/') : importPath;
+  }
+  // `#` specifiers are package.json subpath imports, never package names
+  if (importPath.startsWith('#')) return null;
   if (importPath.startsWith('@')) {
     const [scope, pkg] = importPath.split('/');
     return scope && pkg ? `${scope}/${pkg}` : scope || null;
@@ -234,6 +583,73 @@ const ROLE_PATTERNS = {
   ],
 };
 
+/**
+ * Role tokens and path rules for a project. `config.roles` maps a role to
+ * extra tokens, or to `{ tokens, replace: true }` to drop the built-in
+ * tokens; roles without built-in tokens are custom roles.
+ * `config.components` lists `{ match, type, roles }` rules: files matching
+ * the `match` glob (or one of a list) get that type and those roles on top
+ * of the inferred ones. When several rules set a type, the last one wins.
+ * @param {Object} [config] - Project config with `roles` and `components`
+ * @returns {{rolePatterns: Object<string, Array<string>>, rules: Array<Object>}}
+ */
+function createClassifier(config = {}) {
+  const rolePatterns = Object.fromEntries(
+    Object.entries(ROLE_PATTERNS).map(([role, tokens]) => [role, [...tokens]])
+  );
+  for (const [role, spec] of Object.entries(config.roles || {})) {
+    const tokens = Array.isArray(spec) ? spec : spec && spec.tokens;
+    if (!Array.isArray(tokens) || !tokens.every(token => typeof token === 'string' && token.trim())) {
+      throw new TypeError(`roles.${role} must be a list of tokens or { tokens, replace }`);
+    }
+    const trimmed = tokens.map(token => token.trim());
+    rolePatterns[role] = !Array.isArray(spec) && spec.replace
+      ? trimmed
+      : [...new Set([...(rolePatterns[role] || []), ...trimmed])];
+  }
+
+  const rules = (config.components || []).map((rule, index) => {
+    const globs = typeof rule?.match === 'string' ? [rule.match] : rule?.match;
+    if (!Array.isArray(globs) || globs.length === 0 || !globs.every(g => typeof g === 'string' && g)) {
+      throw new TypeError(`components[${index}].match must be a glob or a list of globs`);
+    }
+    const roles = rule.roles === undefined ? [] : rule.roles;
+    if (!Array.isArray(roles) || !roles.every(role => typeof role === 'string' && role)) {
+      throw new TypeError(`components[${index}].roles must be a list of role names`);
+    }
+    if (rule.type !== undefined && (typeof rule.type !== 'string' || !rule.type)) {
+      throw new TypeError(`components[${index}].type must be a string`);
+    }
+    return { isMatch: picomatch(globs, { dot: true }), type: rule.type || null, roles };
+  });
+
+  return { rolePatterns, rules };
+}
+
+const DEFAULT_CLASSIFIER = createClassifier();
+
+/**
+ * Apply a classifier's path rules to a file
+ * @param {string} filePath - Project-relative path
+ * @param {Object} classifier - From createClassifier()
+ * @returns {{type: string|null, roles: Array<string>}}
+ */
+function classifyPath(filePath, classifier) {
+  const rel = normalizePath(filePath || '');
+  let type = null;
+  const roles = [];
+  for (const rule of classifier.rules) {
+    if (!rule.isMatch(rel)) continue;
+    if (rule.type) type = rule.type;
+    roles.push(...rule.roles);
+  }
+  return { type, roles };
+}
+
+// Files analyzed and skipped when no patterns or excludes are given
+const DEFAULT_PATTERNS = Object.freeze(['**/*.ts', '**/*.tsx', '**/*.js', '**/*.jsx', '**/*.py', '**/*.go', '**/*.rs', '**/*.java', '**/*.rb', '**/*.php']);
+const DEFAULT_EXCLUDE = Object.freeze(['node_modules/**', '.git/**', 'dist/**', 'build/**', '*.test.*', '*.spec.*']);
+
 const SUPPORTED_DIAGRAM_TYPES = Object.freeze([
   'architecture',
   'sequence',
@@ -241,10 +657,12 @@ const SUPPORTED_DIAGRAM_TYPES = Object.freeze([
   'class',
   'flow',
   'database',
+  'er',
   'user',
   'events',
   'auth',
   'security',
+  'packages',
 ]);
 
 function textHasToken(text, token) {
@@ -253,16 +671,17 @@ function textHasToken(text, token) {
   return re.test(text);
 }
 
-function collectExternalImports(importEntries) {
+function collectExternalImports(importEntries, lang) {
   const packages = new Set();
   if (!Array.isArray(importEntries)) return [];
 
   for (const entry of importEntries) {
     const importPath = getImportPath(entry);
-    if (!importPath || importPath.startsWith('.')) {
+    if (!importPath || isInternalImport(entry)) {
       continue;
     }
-    const externalPackage = getExternalPackageName(importPath);
+    const entryLang = entry && typeof entry === 'object' && entry.file ? detectLanguage(entry.file) : lang;
+    const externalPackage = getExternalPackageName(getExternalImportPath(entry), entryLang);
     if (externalPackage) {
       packages.add(externalPackage);
     }
@@ -271,16 +690,16 @@ function collectExternalImports(importEntries) {
   return [...packages];
 }
 
-function inferRoleTags(filePath, originalName, fileContent, importEntries, type) {
+function inferRoleTags(filePath, originalName, fileContent, importEntries, type, classifier = DEFAULT_CLASSIFIER) {
   const content = (fileContent || '').toLowerCase();
   const pathText = normalizePath(filePath || '').toLowerCase();
   const nameText = (originalName || '').toLowerCase();
-  const externalImports = collectExternalImports(importEntries).join(' ').toLowerCase();
+  const externalImports = collectExternalImports(importEntries, detectLanguage(filePath)).join(' ').toLowerCase();
   const combined = `${pathText} ${nameText} ${content} ${externalImports}`;
 
-  const tags = new Set();
+  const tags = new Set(classifyPath(filePath, classifier).roles);
 
-  for (const [tag, tokens] of Object.entries(ROLE_PATTERNS)) {
+  for (const [tag, tokens] of Object.entries(classifier.rolePatterns)) {
     for (const token of tokens) {
       if (textHasToken(combined, token)) {
         tags.add(tag);
@@ -447,7 +866,368 @@ function inferDbIntent(component) {
   return { hasLookup, hasWrite };
 }
 
+/**
+ * Stable component identifier: the root-relative path of the file (or of
+ * the directory for Go packages), so the same file keeps the same `name`
+ * across runs, refs and cached analyses. `originalName` is the display label.
+ * @param {string} filePath - Component file path
+ * @returns {string}
+ */
+function componentId(filePath) {
+  return toComparablePath(filePath) || '.';
+}
+
+/**
+ * Collapse Go source files into one component per package directory.
+ * The component's `filePath` is the directory, `files` lists its sources and
+ * each import record keeps the declaring `file`. `_test.go` files are left
+ * out, matching the package graph `go list` reports.
+ * @param {Array<{rel: string, dir: string, content: string}>} goFiles - Go sources
+ * @param {Object} [classifier] - From createClassifier(); path rules add roles only
+ * @returns {Array<Object>} Package components
+ */
+function createGoPackageComponents(goFiles, classifier = DEFAULT_CLASSIFIER) {
+  const byDir = new Map();
+  for (const file of goFiles) {
+    if (/_test\.go$/.test(file.rel)) continue;
+    if (!byDir.has(file.dir)) byDir.set(file.dir, []);
+    byDir.get(file.dir).push(file);
+  }
+
+  const components = [];
+  for (const [dir, files] of [...byDir.entries()].sort((a, b) => a[0].localeCompare(b[0]))) {
+    files.sort((a, b) => a.rel.localeCompare(b.rel));
+    const packageName = files.map(f => readGoPackageName(f.content)).find(Boolean) || null;
+    const baseName = dir === '.' ? (packageName || 'root') : path.posix.basename(dir);
+    const imports = files.flatMap(f =>
+      extractImportsWithPositions(f.content, 'go', f.rel).map(imp => ({ ...imp, file: f.rel }))
+    );
+    const content = files.map(f => f.content).join('\n');
+    const queries = extractQueryRefs(content);
+
+    components.push({
+      name: componentId(dir),
+      originalName: baseName,
+      filePath: dir,
+      type: 'package',
+      imports,
+      roleTags: inferRoleTags(dir, baseName, content, imports, 'package', classifier),
+      directory: dir,
+      files: files.map(f => f.rel),
+      ...(packageName ? { goPackage: packageName } : {}),
+      ...(queries.length > 0 ? { queries } : {}),
+    });
+  }
+  return components;
+}
+
 // Analysis
+/**
+ * Choose which discovered files to analyze when there are more than
+ * maxFiles. Entry points and the files they transitively import take up to
+ * half of the budget; the rest is shared round-robin between directories so
+ * no directory is dropped wholesale. Below the budget every file is kept.
+ * @param {Array<string>} files - Discovered files, root-relative
+ * @param {number} maxFiles - File budget
+ * @param {Object} [options]
+ * @param {function(string): (string|null)} [options.readFile] - Reads a root-relative file; enables import following
+ * @param {string} [options.rootPath] - Project root
+ * @param {Object} [options.resolution] - Resolution context from createResolutionContext()
+ * @param {Array<string>} [options.entryPoints] - Entry files (default: detectEntryPoints() by file name)
+ * @returns {{selected: Array<string>, skipped: Array<string>}} Both in discovery order
+ */
+function selectAnalysisFiles(files, maxFiles, options = {}) {
+  if (files.length <= maxFiles) return { selected: [...files], skipped: [] };
+
+  const { readFile, rootPath, resolution } = options;
+  const byPath = new Map(files.map(file => [toComparablePath(file), file]));
+  const chosen = new Set();
+
+  // Entry points first, shallowest first, then what they import breadth-first
+  const importBudget = Math.ceil(maxFiles / 2);
+  const queue = (options.entryPoints || detectEntryPoints(files).map(entry => entry.file))
+    .map(file => byPath.get(toComparablePath(file)))
+    .filter(Boolean)
+    .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+  for (let i = 0; i < queue.length && chosen.size < importBudget; i++) {
+    const file = queue[i];
+    if (chosen.has(file)) continue;
+    chosen.add(file);
+    if (typeof readFile !== 'function') continue;
+
+    let content = null;
+    try {
+      content = readFile(file);
+    } catch {
+      content = null;
+    }
+    if (typeof content !== 'string' || content.length > 10 * 1024 * 1024) continue;
+
+    const rel = toComparablePath(file);
+    for (const imp of extractImportsWithPositions(content, detectLanguage(file), rel)) {
+      const { candidates } = resolveImportCandidates(rel, imp.path, rootPath, resolution, imp);
+      const target = candidates
+        .flatMap(candidate => IMPORT_RESOLUTION_SUFFIXES.map(suffix => byPath.get(toComparablePath(candidate + suffix))))
+        .find(Boolean);
+      if (target && !chosen.has(target)) queue.push(target);
+    }
+  }
+
+  // Spread the remaining budget evenly across directories
+  const byDirectory = new Map();
+  for (const file of files) {
+    if (chosen.has(file)) continue;
+    const dir = path.posix.dirname(toComparablePath(file));
+    if (!byDirectory.has(dir)) byDirectory.set(dir, []);
+    byDirectory.get(dir).push(file);
+  }
+  const groups = [...byDirectory.keys()].sort().map(dir => byDirectory.get(dir).sort());
+  for (let round = 0; chosen.size < maxFiles; round++) {
+    const picks = groups.filter(group => round < group.length).map(group => group[round]);
+    if (picks.length === 0) break;
+    picks.slice(0, maxFiles - chosen.size).forEach(file => chosen.add(file));
+  }
+
+  return {
+    selected: files.filter(file => chosen.has(file)),
+    skipped: files.filter(file => !chosen.has(file)),
+  };
+}
+
+const MAX_SOURCE_FILE_BYTES = 10 * 1024 * 1024;
+const ANALYSIS_WORKER_PATH = path.join(__dirname, 'analysis-worker.js');
+// Below this many files, starting workers costs more than it saves
+const PARALLEL_MIN_FILES = 200;
+const MAX_WORKERS = 32;
+
+/**
+ * Extract the component fields of one source file. The sequential loop, the
+ * analysis workers and analyzeAtRef() all go through here, so every path
+ * produces the same components.
+ * @param {string} filePath - Root-relative path
+ * @param {string} content - File content
+ * @param {Object} [classifier] - From createClassifier()
+ * @returns {Object} `{rel, dir, lang}` plus `go` for Go sources (merged per package later),
+ *   `component` (without its unique `name`) or `error` when extraction failed
+ */
+function extractSourceFile(filePath, content, classifier = DEFAULT_CLASSIFIER) {
+  const lang = detectLanguage(filePath);
+  let rel = normalizePath(filePath);
+  const dir = path.dirname(rel);
+  if (dir === '.') {
+    rel = './' + rel;
+  }
+  const record = { rel, dir, lang };
+
+  // Go packages (directories) become components after all files are read
+  if (lang === 'go') {
+    record.go = { rel, dir, content };
+    return record;
+  }
+
+  try {
+    const baseName = path.basename(filePath, path.extname(filePath));
+    const imports = extractImportsWithPositions(content, lang, rel);
+    const symbols = extractSymbols(content, lang, rel);
+    const functions = extractFunctions(content, lang, rel);
+    const http = extractRoutes(content, lang, rel);
+    const models = extractEntities(content, lang, rel);
+    const queries = extractQueryRefs(content);
+    const messaging = extractEvents(content, lang, rel);
+    const type = inferType(rel, content, classifier);
+
+    record.component = {
+      originalName: baseName,
+      filePath: rel,
+      type,
+      imports,
+      roleTags: inferRoleTags(rel, baseName, content, imports, type, classifier),
+      directory: dir,
+      ...(symbols.length > 0 ? { symbols } : {}),
+      ...(functions.length > 0 ? { functions } : {}),
+      ...(http.routes.length > 0 || http.mounts.length > 0 ? { http } : {}),
+      ...(models.length > 0 ? { models } : {}),
+      ...(queries.length > 0 ? { queries } : {}),
+      ...(messaging.length > 0 ? { messaging } : {}),
+    };
+  } catch (e) {
+    record.error = e.message;
+  }
+  return record;
+}
+
+/**
+ * Read and extract one file of a source
+ * @param {Object} source - Source provider (see src/sources)
+ * @param {string} relPath - Root-relative path
+ * @param {Object} [classifier] - From createClassifier()
+ * @returns {Object} extractSourceFile() record, or `{filePath, tooLarge}` (bytes) / `{filePath, readError}`
+ */
+function readSourceFile(source, relPath, classifier = DEFAULT_CLASSIFIER) {
+  let content;
+  try {
+    // Security: Check file size before reading
+    const size = source.fileSize(relPath);
+    if (size > MAX_SOURCE_FILE_BYTES) return { filePath: relPath, tooLarge: size };
+    content = source.readFile(relPath);
+    if (content === null) return { filePath: relPath, readError: 'file not found' };
+    if (content.length > MAX_SOURCE_FILE_BYTES) return { filePath: relPath, tooLarge: Buffer.byteLength(content) };
+  } catch (e) {
+    return { filePath: relPath, readError: e.message };
+  }
+  return extractSourceFile(relPath, content, classifier);
+}
+
+/**
+ * Number of worker threads for reading and extraction
+ * @param {number|string} [requested] - `--workers` value; unset or `auto` picks one
+ *   worker per spare CPU (up to 8) once there are enough files to pay for them, 0 disables
+ * @param {number} fileCount - Files to analyze
+ * @returns {number}
+ */
+function resolveWorkerCount(requested, fileCount) {
+  const parsed = parseInt(requested, 10);
+  if (!isNaN(parsed) && String(requested).trim() === String(parsed)) {
+    return Math.min(Math.max(parsed, 0), MAX_WORKERS);
+  }
+  if (fileCount < PARALLEL_MIN_FILES) return 0;
+  const cpus = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  return Math.min(Math.max(cpus - 1, 0), 8);
+}
+
+/**
+ * Read and extract source files, on worker threads when resolveWorkerCount()
+ * allows it. Records come back in input order whichever path runs.
+ * @param {Object} source - Source provider; workers rebuild it from `source.descriptor`
+ * @param {Array<string>} files - Root-relative paths
+ * @param {Object} [options]
+ * @param {Object} [options.classifier] - From createClassifier(projectConfig)
+ * @param {Object} [options.projectConfig] - Project config the workers build their classifier from
+ * @param {number|string} [options.workers] - Worker thread count
+ * @param {function(number, number): void} [options.onProgress] - Called with (done, total)
+ * @returns {Promise<Array<Object>>} readSourceFile() records
+ */
+async function readSourceFiles(source, files, options = {}) {
+  const { classifier = DEFAULT_CLASSIFIER, projectConfig = {}, onProgress } = options;
+  const workers = resolveWorkerCount(options.workers, files.length);
+  if (workers > 0) {
+    try {
+      return await runWorkerPool(ANALYSIS_WORKER_PATH, files, {
+        size: workers,
+        workerData: { source: source.descriptor, projectConfig },
+        onProgress,
+      });
+    } catch (e) {
+      console.warn(chalk.yellow(`⚠️  Worker threads failed (${e.message}), analyzing sequentially`));
+    }
+  }
+
+  const records = [];
+  for (const file of files) {
+    records.push(readSourceFile(source, file, classifier));
+    if (onProgress) onProgress(records.length, files.length);
+  }
+  return records;
+}
+
+/**
+ * Turn extraction records into components and the per-analysis tallies.
+ * Go files are returned for createGoPackageComponents().
+ * @param {Array<Object>} records - readSourceFile()/extractSourceFile() records
+ * @returns {{components: Array<Object>, languages: Object, directories: Set<string>,
+ *   goFiles: Array<Object>}}
+ */
+function collectSourceRecords(records) {
+  const components = [];
+  const languages = {};
+  const directories = new Set();
+  const goFiles = [];
+
+  for (const record of records) {
+    if (record.tooLarge !== undefined) {
+      console.warn(chalk.yellow(`⚠️  Skipping large file: ${path.basename(record.filePath)} (${(record.tooLarge / 1024 / 1024).toFixed(2)} MB)`));
+      continue;
+    }
+    if (record.readError !== undefined) {
+      if (process.env.DEBUG) {
+        // Sanitize path to avoid info disclosure - show only basename
+        console.error(chalk.gray(`Skipped ${path.basename(record.filePath)}: ${record.readError}`));
+      }
+      continue;
+    }
+
+    languages[record.lang] = (languages[record.lang] || 0) + 1;
+    if (record.dir !== '.') directories.add(record.dir);
+
+    if (record.go) {
+      goFiles.push(record.go);
+    } else if (record.component) {
+      components.push({ name: componentId(record.component.filePath), ...record.component });
+    } else if (process.env.DEBUG) {
+      console.error(chalk.gray(`Skipped ${path.basename(record.rel)}: ${record.error}`));
+    }
+  }
+
+  return { components, languages, directories, goFiles };
+}
+
+/**
+ * File coverage of an analysis, for the result payload
+ * @param {number} discovered - Files matched by the patterns
+ * @param {number} skipped - Files left out by the maxFiles budget
+ * @param {number} maxFiles - File budget
+ * @returns {{discovered: number, analyzed: number, skipped: number, maxFiles: number, truncated: boolean}}
+ */
+function describeCoverage(discovered, skipped, maxFiles) {
+  return { discovered, analyzed: discovered - skipped, skipped, maxFiles, truncated: skipped > 0 };
+}
+
+/**
+ * Read the Prisma schemas and SQL migrations of a source. They describe
+ * the data model only and do not become components.
+ * @param {Object} source - Source provider
+ * @param {Array<string>} exclude - Exclude globs
+ * @param {number} maxFiles - Upper bound on files read
+ * @param {boolean} [gitignore] - Honor `.gitignore` rules (working tree only)
+ * @returns {Promise<Array<{filePath: string, content: string}>>}
+ */
+async function readSchemaFiles(source, exclude, maxFiles, gitignore = true) {
+  const files = await source.listFiles([...SCHEMA_PATTERNS], exclude, { gitignore });
+
+  const schemaFiles = [];
+  for (const filePath of [...new Set(files)].sort().slice(0, maxFiles)) {
+    try {
+      if (source.fileSize(filePath) > MAX_SOURCE_FILE_BYTES) continue;
+      const content = source.readFile(filePath);
+      if (content !== null) schemaFiles.push({ filePath, content });
+    } catch (e) {
+      if (process.env.DEBUG) {
+        console.error(chalk.gray(`Skipped ${path.basename(filePath)}: ${e.message}`));
+      }
+    }
+  }
+  return schemaFiles;
+}
+
+/**
+ * Where an analysis read its files from, for the result payload
+ * @param {Object} source - Source provider
+ * @returns {Object} `{type}` plus `ref` or `archive`
+ */
+function describeSource(source) {
+  if (source.type === 'git') return { type: 'git', ref: source.ref };
+  if (source.type === 'archive') return { type: 'archive', archive: source.archivePath };
+  return { type: source.type };
+}
+
+/**
+ * Analyze a project: discover, select, read and extract its files, then
+ * resolve dependencies between them
+ * @param {string} rootPath - Project root
+ * @param {Object} options - CLI options (`maxFiles`, `patterns`, `exclude`, `gitignore`, `workers`),
+ *   plus `projectConfig`, `onProgress` and the source: `source` (a provider), `ref` or `archive`
+ * @returns {Promise<Object>} Analysis result
+ */
 async function analyze(rootPath, options) {
   // Validate maxFiles with strict parsing
   let maxFiles = parseInt(options.maxFiles, 10);
@@ -458,7 +1238,7 @@ async function analyze(rootPath, options) {
   maxFiles = Math.min(Math.max(maxFiles, 1), 10000);
   
   // Validate patterns type
-  let patterns = ['**/*.ts', '**/*.tsx', '**/*.js', '**/*.jsx', '**/*.py', '**/*.go', '**/*.rs'];
+  let patterns = [...DEFAULT_PATTERNS];
   if (options.patterns) {
     if (typeof options.patterns !== 'string') {
       throw new TypeError('patterns must be a string');
@@ -466,7 +1246,7 @@ async function analyze(rootPath, options) {
     patterns = options.patterns.split(',');
   }
   
-  let exclude = ['node_modules/**', '.git/**', 'dist/**', 'build/**', '*.test.*', '*.spec.*'];
+  let exclude = [...DEFAULT_EXCLUDE];
   if (options.exclude) {
     if (typeof options.exclude !== 'string') {
       throw new TypeError('exclude must be a string');
@@ -474,94 +1254,64 @@ async function analyze(rootPath, options) {
     exclude = options.exclude.split(',');
   }
 
-  const files = [];
-  for (const pattern of patterns) {
-    if (!pattern || pattern.trim() === '') continue;
-    try {
-      const matches = await glob(pattern.trim(), { cwd: rootPath, absolute: true, ignore: exclude });
-      files.push(...matches);
-    } catch (e) {
-      console.warn(chalk.yellow(`⚠️  Invalid pattern: ${pattern}`));
-    }
-  }
+  // Working tree, git ref, archive or in-memory files
+  const source = createSourceFromOptions(rootPath, options);
 
-  const uniqueFiles = [...new Set(files)].slice(0, maxFiles);
-  const components = [];
-  const languages = {};
-  const directories = new Set();
-  const entryPoints = [];
-  const seenNames = new Set();
+  // Role tokens and component rules from the project config (the working tree's, whatever the source)
+  const projectConfig = options.projectConfig || loadProjectConfig(rootPath);
+  const classifier = createClassifier(projectConfig);
+  // .gitignore, nested .gitignore files and .git/info/exclude, unless disabled
+  const gitignore = options.gitignore !== false;
 
-  for (const filePath of uniqueFiles) {
+  const discoveredFiles = await source.listFiles(patterns, exclude, { gitignore });
+  const readFile = (relPath) => {
     try {
-      // Security: Check file size before reading
-      const stats = fs.statSync(filePath);
-      if (stats.size > 10 * 1024 * 1024) { // 10MB limit
-        console.warn(chalk.yellow(`⚠️  Skipping large file: ${path.basename(filePath)} (${(stats.size / 1024 / 1024).toFixed(2)} MB)`));
-        continue;
-      }
-      const content = fs.readFileSync(filePath, 'utf-8');
-      const lang = detectLanguage(filePath);
-      let rel = normalizePath(path.relative(rootPath, filePath));
-      const dir = path.dirname(rel);
-      if (dir === '.') {
-        rel = './' + rel;
-      }
-
-      languages[lang] = (languages[lang] || 0) + 1;
-      if (dir !== '.') directories.add(dir);
-      
-      // Support more entry point patterns (with escaped regex)
-      const entryPattern = /\/(index|main|app|server)\.(ts|js|tsx|jsx|mts|mjs|py|go|rs)$/i;
-      if (entryPattern.test(rel)) {
-        entryPoints.push(rel);
-      }
-
-      // Handle duplicate names
-      let baseName = path.basename(filePath, path.extname(filePath));
-      let uniqueName = baseName;
-      let counter = 1;
-      while (seenNames.has(uniqueName)) {
-        uniqueName = `${baseName}_${counter}`;
-        counter++;
-      }
-      seenNames.add(uniqueName);
-
-      const imports = extractImportsWithPositions(content, lang);
-      const type = inferType(filePath, content);
-
-      components.push({
-        name: uniqueName,
-        originalName: baseName,
-        filePath: rel,
-        type,
-        imports,
-        roleTags: inferRoleTags(rel, baseName, content, imports, type),
-        directory: dir,
-      });
+      return source.readFile(relPath);
     } catch (e) {
-      if (process.env.DEBUG) {
-        // Sanitize path to avoid info disclosure - show only basename
-        const safePath = path.basename(filePath);
-        console.error(chalk.gray(`Skipped ${safePath}: ${e.message}`));
-      }
+      return null;
     }
-  }
+  };
+  const resolution = createResolutionContext(rootPath, { readFile, files: discoveredFiles });
+  // Manifest, pyproject and framework entry points, before the budget so they are kept
+  const detectedEntryPoints = detectEntryPoints(discoveredFiles, {
+    readFile,
+    packageDirs: listWorkspacePackages(resolution).map(pkg => pkg.path),
+  });
+  const { selected, skipped } = selectAnalysisFiles(discoveredFiles, maxFiles, {
+    rootPath,
+    resolution,
+    readFile,
+    entryPoints: detectedEntryPoints.map(entry => entry.file),
+  });
+  const records = await readSourceFiles(source, selected, {
+    classifier,
+    projectConfig,
+    workers: options.workers,
+    onProgress: options.onProgress,
+  });
+  const { components, languages, directories, goFiles } = collectSourceRecords(records);
+
+  components.push(...createGoPackageComponents(goFiles, classifier));
+  const schemaFiles = await readSchemaFiles(source, exclude, maxFiles, gitignore);
 
   // Resolve dependencies
-  for (const comp of components) {
-    comp.dependencies = [];
-    for (const imp of comp.imports) {
-      const importPath = getImportPath(imp);
-      if (!importPath) continue;
-      const resolved = resolveInternalImport(comp.filePath, importPath, rootPath);
-      if (!resolved) continue;
-      const dep = findComponentByResolvedPath(components, resolved);
-      if (dep) comp.dependencies.push(dep.name);
-    }
-  }
+  assignComponentPackages(components, resolution);
+  resolveComponentDependencies(components, rootPath, resolution);
 
-  return { rootPath, components, entryPoints, languages, directories: [...directories].sort() };
+  const routes = buildRouteTable(components);
+  return {
+    rootPath,
+    components,
+    entryPoints: listAnalyzedEntryPoints(detectedEntryPoints, components),
+    languages,
+    directories: [...directories].sort(),
+    packages: listWorkspacePackages(resolution),
+    routes,
+    entities: buildEntityTable(collectSchemaEntities(schemaFiles), components),
+    events: buildEventTable(components, routes),
+    coverage: describeCoverage(discoveredFiles.length, skipped.length, maxFiles),
+    ...(source.type === 'filesystem' ? {} : { source: describeSource(source) }),
+  };
 }
 
 // Diagram generators
@@ -617,10 +1367,10 @@ function generateArchitecture(data, focus) {
 
   // Track styled nodes to avoid duplicates
   const styledNodes = new Set();
-  for (const ep of data.entryPoints) {
-    const epName = path.basename(ep, path.extname(ep));
-    const comp = comps.find(c => c.originalName === epName);
-    if (comp && !styledNodes.has(comp.name)) {
+  const entryFiles = new Set((data.entryPoints || []).map(toComparablePath));
+  for (const comp of comps) {
+    const isEntry = [comp.filePath, ...(comp.files || [])].some(file => file && entryFiles.has(toComparablePath(file)));
+    if (isEntry && !styledNodes.has(comp.name)) {
       lines.push(`  style ${sanitize(comp.name)} fill:#4f46e5,color:#fff`);
       styledNodes.add(comp.name);
     }
@@ -629,51 +1379,148 @@ function generateArchitecture(data, focus) {
   return lines.join('\n');
 }
 
-function generateSequence(data) {
+/**
+ * Find where a call lands: the component behind the import specifier
+ * (or the caller's own component) and the called function, if known
+ */
+function resolveCallTarget(data, component, call) {
+  const target = call.module ? findImportedComponent(data.components, component, call.module) : component;
+  if (!target) return null;
+  const functions = target.functions || [];
+  const fn = functions.find(f => f.name === call.name)
+    || (call.name === 'default' ? functions.find(f => f.default) : null)
+    || null;
+  if (!call.module && !fn) return null;
+  return { component: target, fn };
+}
+
+/**
+ * Pick the functions a sequence starts from.
+ * `--focus` may be `file#function`, a function name (or `Class.method`) or a
+ * file path; without it, entry point files are tried first.
+ */
+function findSequenceStarts(data, focus) {
+  const components = data.components.filter(c => Array.isArray(c.functions));
+  const starts = (component, name) => (component.functions || [])
+    .filter(f => (name ? f.name === name || f.name.endsWith(`.${name}`) : true))
+    .map(fn => ({ component, fn }));
+  const matchesFile = (component, file) => {
+    const wanted = toComparablePath(normalizePath(file));
+    return toComparablePath(component.filePath) === wanted || component.name === file;
+  };
+
+  if (focus) {
+    const [file, name] = String(focus).includes('#') ? String(focus).split('#') : [null, null];
+    if (file !== null) {
+      return components.filter(c => matchesFile(c, file)).flatMap(c => starts(c, name));
+    }
+    const byFile = components.filter(c => matchesFile(c, focus));
+    if (byFile.length > 0) return byFile.flatMap(c => starts(c));
+    return components.flatMap(c => starts(c, focus));
+  }
+
+  const entryFiles = new Set((data.entryPoints || []).map(toComparablePath));
+  const ordered = [
+    ...components.filter(c => entryFiles.has(toComparablePath(c.filePath))),
+    ...components.filter(c => !entryFiles.has(toComparablePath(c.filePath))),
+  ];
+  return ordered.flatMap(c => starts(c));
+}
+
+/**
+ * Follow cross-module calls depth-first from a start function. Calls within
+ * one file are followed without a message of their own.
+ * @returns {Array<{from: Object, to: Object, label: string, awaited: boolean, async: boolean}>}
+ */
+function traceCalls(data, start, limits) {
+  const messages = [];
+  const active = new Set();
+
+  const visit = (component, fn, depth) => {
+    const key = `${component.filePath}#${fn.name}`;
+    if (active.has(key) || depth > limits.maxDepth) return;
+    active.add(key);
+    for (const call of fn.calls || []) {
+      if (messages.length >= limits.maxMessages) break;
+      const target = resolveCallTarget(data, component, call);
+      if (!target) continue;
+      if (target.component !== component) {
+        const name = target.fn ? target.fn.name : call.name;
+        messages.push({
+          from: component,
+          to: target.component,
+          label: `${name === 'default' ? target.component.originalName : name}()`,
+          awaited: Boolean(call.awaited),
+          async: Boolean(target.fn && target.fn.async),
+        });
+      }
+      if (target.fn) visit(target.component, target.fn, depth + 1);
+    }
+    active.delete(key);
+  };
+
+  visit(start.component, start.fn, 0);
+  return messages;
+}
+
+/**
+ * Sequence diagram from real call sites: starting at `--focus` or an entry
+ * point, cross-module calls are drawn in source order and labelled with the
+ * called function. Awaited calls read `await fn()`; calls to async functions
+ * that are not awaited use the async arrow (`-)`).
+ */
+function generateSequence(data, focus) {
   if (!data || !Array.isArray(data.components)) {
     return 'sequenceDiagram\n  Note over User,App: No data available';
   }
-  
+
   const lines = ['sequenceDiagram'];
-  // Use configurable limit with warning
-  const MAX_SERVICES = 6;
-  const services = data.components.filter(c => c.type === 'service' || c.name === 'index').slice(0, MAX_SERVICES);
-  if (data.components.length > MAX_SERVICES) {
-    console.warn(chalk.yellow(`⚠️  Sequence diagram limited to ${MAX_SERVICES} services`));
+  const limits = { maxDepth: 8, maxMessages: 40 };
+  let start = null;
+  let messages = [];
+  for (const candidate of findSequenceStarts(data, focus)) {
+    messages = traceCalls(data, candidate, limits);
+    if (messages.length > 0) {
+      start = candidate;
+      break;
+    }
   }
-  
-  if (services.length === 0) {
-    lines.push('  Note over User,App: No services detected');
+
+  if (!start) {
+    lines.push(`  Note over User,App: No cross-module calls found${focus ? ` for ${String(focus).replace(/[;#]/g, ' ')}` : ''}`);
     return lines.join('\n');
   }
+  if (messages.length >= limits.maxMessages) {
+    console.warn(chalk.yellow(`⚠️  Sequence diagram limited to ${limits.maxMessages} calls`));
+  }
 
-  // Track used sanitized names to prevent collisions
-  const usedNames = new Map();
-  const getSafeName = (service) => {
-    const base = sanitize(service.name);
-    if (!usedNames.has(base)) {
-      usedNames.set(base, service.name);
-      return base;
-    }
-    // Collision - append number
-    let i = 1;
-    let newName = `${base}_${i}`;
-    while (usedNames.has(newName)) {
-      i++;
-      newName = `${base}_${i}`;
-    }
-    usedNames.set(newName, service.name);
-    return newName;
+  const participants = new Map();
+  const participantId = (component) => {
+    if (!participants.has(component)) participants.set(component, sanitize(component.name));
+    return participants.get(component);
   };
+  participantId(start.component);
+  for (const message of messages) {
+    participantId(message.from);
+    participantId(message.to);
+  }
 
-  const safeNames = services.map(getSafeName);
-  
-  for (let i = 0; i < services.length; i++) {
-    lines.push(`  participant ${safeNames[i]} as ${escapeMermaid(services[i].originalName)}`);
+  for (const [component, id] of participants) {
+    lines.push(`  participant ${id} as ${component.originalName.replace(/[;#]/g, '_')}`);
   }
-  
-  for (let i = 0; i < services.length - 1; i++) {
-    lines.push(`  ${safeNames[i]}->>${safeNames[i+1]}: calls`);
+  const startLabel = start.fn.name === MODULE_SCOPE ? 'module scope' : `${start.fn.name}()`;
+  lines.push(`  Note over ${participants.get(start.component)}: ${startLabel}`);
+
+  for (const message of messages) {
+    const from = participants.get(message.from);
+    const to = participants.get(message.to);
+    if (message.awaited) {
+      lines.push(`  ${from}->>${to}: await ${message.label}`);
+    } else if (message.async) {
+      lines.push(`  ${from}-)${to}: ${message.label} async`);
+    } else {
+      lines.push(`  ${from}->>${to}: ${message.label}`);
+    }
   }
   return lines.join('\n');
 }
@@ -696,22 +1543,23 @@ function generateDependency(data, focus) {
   }
   
   const external = new Set();
+  const compIndex = indexComponentPaths(comps);
 
   for (const c of comps) {
     const imports = Array.isArray(c.imports) ? c.imports : [];
     for (const importInfo of imports) {
       const importPath = getImportPath(importInfo);
       if (!importPath) continue;
-      if (!importPath.startsWith('.')) {
-        const pkg = getExternalPackageName(importPath);
+      if (!isInternalImport(importInfo)) {
+        const pkg = getExternalPackageName(getExternalImportPath(importInfo), detectLanguage(importInfo.file || c.filePath));
         if (pkg) {
           external.add(pkg);
           lines.push(`  ${sanitize(pkg)}["${escapeMermaid(pkg)}"] --> ${sanitize(c.name)}`);
         }
       } else {
-        const basePath = resolveInternalImport(c.filePath, importPath, data.rootPath);
+        const basePath = importInfo.resolvedPath || resolveInternalImport(c.filePath, importPath, data.rootPath);
         if (!basePath) continue;
-        const resolved = findComponentByResolvedPath(comps, basePath);
+        const resolved = findComponentByResolvedPath(comps, basePath, compIndex);
         if (resolved) lines.push(`  ${sanitize(c.name)} --> ${sanitize(resolved.name)}`);
       }
     }
@@ -723,37 +1571,119 @@ function generateDependency(data, focus) {
   return lines.join('\n');
 }
 
+const UML_VISIBILITY = { public: '+', private: '-', protected: '#', package: '~' };
+
+/**
+ * Render a member type for Mermaid: generics use `~T~` and unions read
+ * `A or B`; types Mermaid cannot display (object literals, function types)
+ * are left out
+ */
+function formatUmlType(type) {
+  if (!type) return '';
+  const text = type.replace(/\s+/g, ' ').replace(/\s*\|\s*/g, ' or ').replace(/[<>]/g, '~');
+  return /^[\w .,~[\]?$]+$/.test(text) && text.length <= 40 ? text : '';
+}
+
+function formatUmlMember(member) {
+  const visibility = UML_VISIBILITY[member.visibility] || '+';
+  const classifier = member.static ? '$' : '';
+  const type = formatUmlType(member.type);
+  if (member.kind === 'method') {
+    const parameters = (member.parameters || []).map(p => p.replace(/[^\w$.*]/g, '')).filter(Boolean).join(', ');
+    return `${visibility}${member.name}(${parameters})${classifier}${type ? ` ${type}` : ''}`;
+  }
+  return `${visibility}${type ? `${type} ` : ''}${member.name}${classifier}`;
+}
+
+/**
+ * UML class diagram from extracted symbols: members with visibility,
+ * inheritance (`<|--`), interface realization (`<|..`), composition (`*--`,
+ * a field typed as another class) and aggregation (`o--`, the class appears
+ * inside a generic or array field type)
+ */
 function generateClass(data) {
   if (!data || !Array.isArray(data.components)) {
     return 'classDiagram\n  note "No data available"';
   }
-  
+
   const lines = ['classDiagram'];
   const MAX_CLASSES = 20;
-  const classes = data.components.filter(c => c.type === 'class' || c.type === 'component').slice(0, MAX_CLASSES);
-  if (data.components.length > MAX_CLASSES) {
+  const symbols = data.components.flatMap(component =>
+    (component.symbols || []).map(symbol => ({ symbol, component }))
+  );
+  if (symbols.length > MAX_CLASSES) {
     console.warn(chalk.yellow(`⚠️  Class diagram limited to ${MAX_CLASSES} classes`));
   }
-  
+  const classes = symbols.slice(0, MAX_CLASSES);
+
   if (classes.length === 0) {
     lines.push('  note "No classes found"');
     return lines.join('\n');
   }
-  
-  for (const c of classes) {
-    lines.push(`  class ${sanitize(c.name)} {`);
-    lines.push(`    +${escapeMermaid(c.filePath)}`);
+
+  const usedIds = new Set();
+  const byName = new Map();
+  for (const entry of classes) {
+    const base = entry.symbol.name.replace(/[^\w]/g, '_');
+    let id = base;
+    for (let n = 2; usedIds.has(id); n++) id = `${base}_${n}`;
+    usedIds.add(id);
+    entry.id = id;
+    if (!byName.has(entry.symbol.name)) byName.set(entry.symbol.name, []);
+    byName.get(entry.symbol.name).push(entry);
+  }
+
+  // Same file first, then a file the class's file depends on
+  const findClass = (typeName, from) => {
+    const simpleName = String(typeName).replace(/<.*$/, '').split('.').pop();
+    const matches = byName.get(simpleName) || [];
+    return matches.find(m => m.component === from.component)
+      || matches.find(m => (from.component.dependencies || []).includes(m.component.name))
+      || matches[0]
+      || null;
+  };
+
+  for (const entry of classes) {
+    const { symbol } = entry;
+    lines.push(`  class ${entry.id} {`);
+    if (symbol.kind !== 'class') lines.push(`    <<${symbol.kind}>>`);
+    for (const member of symbol.members || []) {
+      lines.push(`    ${formatUmlMember(member)}`);
+    }
     lines.push('  }');
   }
-  
-  for (const c of classes) {
-    const deps = (c.dependencies || []).slice(0, 3);
-    for (const d of deps) {
-      if (classes.find(x => x.name === d)) {
-        lines.push(`  ${sanitize(c.name)} --> ${sanitize(d)}`);
+
+  const relations = new Map();
+  const relate = (from, to, arrow) => {
+    if (!from || !to || from === to) return;
+    const key = `${from.id}|${to.id}`;
+    // Composition outranks aggregation for the same pair
+    if (relations.has(key) && arrow === 'o--') return;
+    relations.set(key, `  ${from.id} ${arrow} ${to.id}`);
+  };
+
+  for (const entry of classes) {
+    const { symbol } = entry;
+    for (const parent of symbol.extends || []) {
+      const target = findClass(parent, entry);
+      if (target && target !== entry) lines.push(`  ${target.id} <|-- ${entry.id}`);
+    }
+    for (const iface of symbol.implements || []) {
+      const target = findClass(iface, entry);
+      if (target && target !== entry) lines.push(`  ${target.id} <|.. ${entry.id}`);
+    }
+    for (const member of symbol.members || []) {
+      if (member.kind !== 'field' || !member.type) continue;
+      const type = member.type.trim();
+      for (const name of new Set(type.match(/[A-Za-z_$][\w$]*/g) || [])) {
+        if (!byName.has(name)) continue;
+        const direct = type === name || type.endsWith(`.${name}`);
+        relate(entry, findClass(name, entry), direct ? '*--' : 'o--');
       }
     }
   }
+  lines.push(...relations.values());
+
   return lines.join('\n');
 }
 
@@ -846,11 +1776,132 @@ function generateDatabase(data) {
   return lines.join('\n');
 }
 
+const ER_CARDINALITY = {
+  'one-to-one': '||--o|',
+  'one-to-many': '||--o{',
+  'many-to-many': '}o--o{',
+};
+
+function erIdentifier(name) {
+  return String(name).replace(/[^\w-]/g, '_').replace(/^[^A-Za-z_]/, '_$&');
+}
+
+function erType(type) {
+  if (!type) return 'unknown';
+  // Mermaid attribute types allow word characters, hyphens, brackets and parentheses
+  const text = type.replace(/\s+/g, '').replace(/\([^)]*,[^)]*\)/g, '').replace(/[^\w\-[\]()]/g, '_');
+  return /^[A-Za-z]/.test(text) ? text : `t${text}`;
+}
+
+/**
+ * Entity-relationship diagram from ORM models, Prisma schemas and SQL
+ * migrations. Relations declared from both sides are drawn once
+ * (many-to-one is drawn as the inverse one-to-many; two one-to-many sides
+ * make a many-to-many), and dotted `queries` links join each entity to the
+ * components that query it.
+ */
+function generateEr(data) {
+  if (!data || !Array.isArray(data.components)) {
+    return 'erDiagram\n  %% No data available';
+  }
+
+  const lines = ['erDiagram'];
+  const MAX_ENTITIES = 30;
+  const allEntities = Array.isArray(data.entities) ? data.entities : [];
+  if (allEntities.length === 0) {
+    lines.push('  %% No entities found');
+    return lines.join('\n');
+  }
+  if (allEntities.length > MAX_ENTITIES) {
+    console.warn(chalk.yellow(`⚠️  ER diagram limited to ${MAX_ENTITIES} entities`));
+  }
+  const entities = allEntities.slice(0, MAX_ENTITIES);
+
+  const ids = new Map();
+  const byKey = new Map();
+  for (const entity of entities) {
+    let id = erIdentifier(entity.name);
+    for (let n = 2; [...ids.values()].includes(id); n++) id = `${erIdentifier(entity.name)}_${n}`;
+    ids.set(entity, id);
+    byKey.set(entityKey(entity.name), entity);
+    if (!byKey.has(entityKey(entity.table))) byKey.set(entityKey(entity.table), entity);
+  }
+
+  for (const entity of entities) {
+    if (entity.columns.length === 0) {
+      lines.push(`  ${ids.get(entity)}`);
+      continue;
+    }
+    lines.push(`  ${ids.get(entity)} {`);
+    for (const column of entity.columns) {
+      const keys = [column.primaryKey && 'PK', column.foreignKey && 'FK', column.unique && !column.primaryKey && 'UK'].filter(Boolean);
+      lines.push(`    ${erType(column.type)} ${erIdentifier(column.name)}${keys.length > 0 ? ` ${keys.join(', ')}` : ''}`);
+    }
+    lines.push('  }');
+  }
+
+  const relations = new Map();
+  for (const entity of entities) {
+    for (const relation of entity.relations) {
+      const target = byKey.get(entityKey(relation.target));
+      if (!target) continue;
+      let from = entity;
+      let to = target;
+      let kind = relation.kind;
+      if (kind === 'many-to-one') {
+        [from, to, kind] = [target, entity, 'one-to-many'];
+      }
+      const symmetric = kind !== 'one-to-many';
+      const [a, b] = symmetric ? [ids.get(from), ids.get(to)].sort() : [ids.get(from), ids.get(to)];
+      const key = `${a}|${b}|${symmetric ? kind : 'one-to-many'}`;
+      if (relations.has(key)) continue;
+      const inverse = `${b}|${a}|one-to-many`;
+      if (kind === 'one-to-many' && relations.has(inverse)) {
+        // `Post[]` on both sides: an implicit join table
+        const existing = relations.get(inverse);
+        relations.delete(inverse);
+        relations.set(`${[a, b].sort().join('|')}|many-to-many`, { ...existing, kind: 'many-to-many' });
+        continue;
+      }
+      relations.set(key, { from: ids.get(from), to: ids.get(to), kind, label: relation.field || 'has' });
+    }
+  }
+  for (const relation of relations.values()) {
+    lines.push(`  ${relation.from} ${ER_CARDINALITY[relation.kind]} ${relation.to} : "${relation.label.replace(/"/g, "'")}"`);
+  }
+
+  const byName = byNameIndex(data.components);
+  const componentIds = new Map();
+  for (const entity of entities) {
+    for (const name of entity.components || []) {
+      const component = byName.get(name);
+      if (!component) continue;
+      if (!componentIds.has(component)) {
+        const id = sanitize(component.name);
+        componentIds.set(component, id);
+        lines.push(`  ${id}["${escapeMermaid(component.originalName)}"]`);
+      }
+      lines.push(`  ${componentIds.get(component)} }o..o{ ${ids.get(entity)} : queries`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * User interactions from the route table: the user reaches each endpoint,
+ * which leads to the component implementing its handler. Without routes,
+ * components tagged `user` stand in for the endpoints.
+ */
 function generateUserInteractions(data) {
   if (!data || !Array.isArray(data.components)) {
     return 'flowchart LR\n  Note["No data available"]';
   }
 
+  if (Array.isArray(data.routes) && data.routes.length > 0) {
+    return generateRouteInteractions(data);
+  }
+
   const lines = ['flowchart LR'];
   const seeds = componentsByRole(data.components, 'user');
   if (seeds.length === 0) {
@@ -878,11 +1929,59 @@ function generateUserInteractions(data) {
   return lines.join('\n');
 }
 
+function generateRouteInteractions(data) {
+  const lines = ['flowchart LR'];
+  const MAX_ROUTES = 30;
+  if (data.routes.length > MAX_ROUTES) {
+    console.warn(chalk.yellow(`⚠️  User diagram limited to ${MAX_ROUTES} routes`));
+  }
+  const routes = data.routes.slice(0, MAX_ROUTES);
+  const byComponentName = byNameIndex(data.components);
+  const seeds = [...new Set(routes.map(route => byComponentName.get(route.component)).filter(Boolean))];
+  const { connected, byName, safeNames } = buildRoleDiagramContext(data, seeds, 1, 30);
+  const edges = new Set();
+
+  lines.push('  User(("User"))');
+  lines.push('  subgraph Routes["HTTP routes"]');
+  routes.forEach((route, index) => {
+    lines.push(`    route_${index}["${escapeMermaid(`${route.method} ${route.path}`)}"]`);
+  });
+  lines.push('  end');
+
+  for (const seed of seeds) {
+    const safe = safeNames.get(seed);
+    if (safe) lines.push(`  ${safe}["${escapeMermaid(seed.originalName)}"]`);
+  }
+  routes.forEach((route, index) => {
+    lines.push(`  User --> route_${index}`);
+    const handlerNode = safeNames.get(byComponentName.get(route.component));
+    if (!handlerNode) return;
+    const label = route.handler ? `|${escapeMermaid(route.handler)}|` : '';
+    lines.push(`  route_${index} -->${label} ${handlerNode}`);
+  });
+
+  appendDependencyEdges(lines, connected, byName, safeNames, edges);
+
+  lines.push('  classDef routeNode fill:#16a34a,color:#fff');
+  appendClassAssignment(lines, routes.map((_route, index) => `route_${index}`), 'routeNode');
+  return lines.join('\n');
+}
+
+/**
+ * Event flow from the channel table: producer --> channel --> consumer.
+ * A side that lives outside the code base (webhook senders, other services)
+ * is drawn as an External node; schedules are triggered by a Scheduler node.
+ * Without channels, components tagged `events` stand in for them.
+ */
 function generateEvents(data) {
   if (!data || !Array.isArray(data.components)) {
     return 'flowchart TD\n  Note["No data available"]';
   }
 
+  if (Array.isArray(data.events) && data.events.length > 0) {
+    return generateChannelEvents(data);
+  }
+
   const lines = ['flowchart TD'];
   const seeds = componentsByRole(data.components, 'events');
   if (seeds.length === 0) {
@@ -922,6 +2021,61 @@ function generateEvents(data) {
   return lines.join('\n');
 }
 
+function generateChannelEvents(data) {
+  const lines = ['flowchart LR'];
+  const MAX_CHANNELS = 30;
+  if (data.events.length > MAX_CHANNELS) {
+    console.warn(chalk.yellow(`⚠️  Events diagram limited to ${MAX_CHANNELS} channels`));
+  }
+  const channels = data.events.slice(0, MAX_CHANNELS);
+  const byComponentName = byNameIndex(data.components);
+  const participants = [...new Set(channels
+    .flatMap(channel => [...channel.producers, ...channel.consumers])
+    .map(name => byComponentName.get(name))
+    .filter(Boolean))];
+  const safeNames = mapSafeNames(participants);
+  const nodeOf = name => safeNames.get(byComponentName.get(name));
+
+  for (const component of participants) {
+    lines.push(`  ${safeNames.get(component)}["${escapeMermaid(component.originalName)}"]`);
+  }
+  lines.push('  subgraph Channels["Event channels / queues"]');
+  channels.forEach((channel, index) => {
+    const label = channel.transport === 'event' ? channel.channel : `${channel.transport}: ${channel.channel}`;
+    lines.push(`    channel_${index}{{"${escapeMermaid(label)}"}}`);
+  });
+  lines.push('  end');
+
+  const outsideNodes = new Set();
+  const outside = (name) => {
+    if (!outsideNodes.has(name)) {
+      outsideNodes.add(name);
+      lines.push(`  ${name}(("${name}"))`);
+    }
+    return name;
+  };
+  channels.forEach((channel, index) => {
+    if (channel.producers.length === 0) {
+      lines.push(`  ${outside(channel.transport === 'cron' ? 'Scheduler' : 'External')} --> channel_${index}`);
+    }
+    if (channel.consumers.length === 0) {
+      lines.push(`  channel_${index} -->|consume| ${outside('External')}`);
+    }
+    for (const producer of channel.producers) {
+      const node = nodeOf(producer);
+      if (node) lines.push(`  ${node} -->|emit| channel_${index}`);
+    }
+    for (const consumer of channel.consumers) {
+      const node = nodeOf(consumer);
+      if (node) lines.push(`  channel_${index} -->|consume| ${node}`);
+    }
+  });
+
+  lines.push('  classDef eventNode fill:#db2777,color:#fff');
+  appendClassAssignment(lines, channels.map((_channel, index) => `channel_${index}`), 'eventNode');
+  return lines.join('\n');
+}
+
 function generateAuth(data) {
   if (!data || !Array.isArray(data.components)) {
     return 'flowchart TD\n  Note["No data available"]';
@@ -1013,20 +2167,65 @@ function generateSecurity(data) {
   return lines.join('\n');
 }
 
+function generatePackages(data) {
+  if (!data || !Array.isArray(data.components)) {
+    return 'graph LR\n  Note["No data available"]';
+  }
+
+  const lines = ['graph LR'];
+  const fileCounts = new Map();
+  for (const pkg of Array.isArray(data.packages) ? data.packages : []) {
+    if (pkg && pkg.name) fileCounts.set(pkg.name, 0);
+  }
+  for (const c of data.components) {
+    if (c.package) fileCounts.set(c.package, (fileCounts.get(c.package) || 0) + 1);
+  }
+
+  if (fileCounts.size === 0) {
+    lines.push('  Note["No workspace packages found"]');
+    return lines.join('\n');
+  }
+
+  // Count component-level edges that cross package boundaries
+  const byName = byNameIndex(data.components);
+  const edgeCounts = new Map();
+  for (const c of data.components) {
+    if (!c.package) continue;
+    for (const depName of c.dependencies || []) {
+      const dep = byName.get(depName);
+      if (!dep || !dep.package || dep.package === c.package) continue;
+      const key = JSON.stringify([c.package, dep.package]);
+      edgeCounts.set(key, (edgeCounts.get(key) || 0) + 1);
+    }
+  }
+
+  for (const name of [...fileCounts.keys()].sort()) {
+    const count = fileCounts.get(name);
+    lines.push(`  ${sanitize(name)}[["${escapeMermaid(name)} · ${count} file${count === 1 ? '' : 's'}"]]`);
+  }
+  for (const key of [...edgeCounts.keys()].sort()) {
+    const [from, to] = JSON.parse(key);
+    lines.push(`  ${sanitize(from)} -->|${edgeCounts.get(key)}| ${sanitize(to)}`);
+  }
+  return lines.join('\n');
+}
+
 function generate(data, type, focus) {
   switch (type) {
     case 'architecture': return generateArchitecture(data, focus);
-    case 'sequence': return generateSequence(data);
+    case 'sequence': return generateSequence(data, focus);
     case 'dependency': return generateDependency(data, focus);
     case 'class': return generateClass(data);
     case 'flow': return generateFlow(data);
     case 'database': return generateDatabase(data);
+    case 'er': return generateEr(data);
     case 'user': return generateUserInteractions(data);
     case 'events': return generateEvents(data);
     case 'auth': return generateAuth(data);
     case 'security': return generateSecurity(data);
+    case 'packages': return generatePackages(data);
     default: {
-      const validTypes = ['architecture', 'sequence', 'dependency', 'class', 'flow', 'database', 'user', 'events', 'auth', 'security'];
+      const validTypes = ['architecture', 'sequence', 'dependency', 'class', 'flow', 'database', 'er', 'user', 'events', 'auth', 'security', 'packages'];
       const suggestion = findClosestMatch(type, validTypes);
       console.warn(chalk.yellow(`⚠️  Unknown diagram type "${type}", using architecture`));
       if (suggestion) {
@@ -1042,14 +2241,17 @@ function isPlaceholderDiagram(mermaidCode) {
   const compact = mermaidCode.toLowerCase();
   return compact.includes('note["no data available"]')
     || compact.includes('note["no components found')
-    || compact.includes('no services detected')
+    || compact.includes('no cross-module calls found')
     || compact.includes('note "no data available"')
+    || compact.includes('%% no data available')
     || compact.includes('note "no classes found"')
+    || compact.includes('%% no entities found')
     || compact.includes('note["no database-focused components found"]')
     || compact.includes('note["no user-facing components found"]')
     || compact.includes('note["no event/channels components found"]')
     || compact.includes('note["no authentication components found"]')
     || compact.includes('note["no security-focused components found"]')
+    || compact.includes('note["no workspace packages found"]')
     || compact.includes('no architecture data');
 }
 
@@ -1105,14 +2307,44 @@ module.exports = {
   inferType,
   extractImports,
   extractImportsWithPositions,
+  extractSymbols,
+  extractFunctions,
+  extractRoutes,
+  extractEntities,
+  extractEvents,
+  extractQueryRefs,
+  buildRouteTable,
+  buildEntityTable,
+  buildEventTable,
+  collectSchemaEntities,
+  SCHEMA_PATTERNS,
   sanitize,
   escapeMermaid,
   normalizePath,
   getImportPath,
+  resolveImportCandidates,
   resolveInternalImport,
   findComponentByResolvedPath,
+  resolveComponentDependencies,
+  assignComponentPackages,
+  componentId,
+  createGoPackageComponents,
+  listWorkspacePackages,
+  isInternalImport,
+  getExternalImportPath,
   getExternalPackageName,
   inferRoleTags,
+  createClassifier,
+  extractSourceFile,
+  readSourceFile,
+  readSourceFiles,
+  collectSourceRecords,
+  resolveWorkerCount,
+  indexComponentPaths,
+  selectAnalysisFiles,
+  describeCoverage,
+  DEFAULT_PATTERNS,
+  DEFAULT_EXCLUDE,
   SUPPORTED_DIAGRAM_TYPES,
   analyze,
   generate,
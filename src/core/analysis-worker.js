@@ -0,0 +1,22 @@
+/**
+ * Worker thread for readSourceFiles(): reads and extracts batches of
+ * root-relative files from the source rebuilt from its descriptor, with the
+ * classifier built from the project config.
+ */
+const { parentPort, workerData } = require('worker_threads');
+const { createClassifier, readSourceFile } = require('./analysis-generation');
+const { createSource } = require('../sources');
+
+const classifier = createClassifier(workerData.projectConfig);
+const source = createSource(workerData.source);
+
+parentPort.on('message', ({ start, tasks }) => {
+  try {
+    parentPort.postMessage({
+      start,
+      results: tasks.map(relPath => readSourceFile(source, relPath, classifier)),
+    });
+  } catch (e) {
+    parentPort.postMessage({ start, error: e.message });
+  }
+});
@@ -0,0 +1,275 @@
+/**
+ * Entry point detection - the files a project is started or loaded from,
+ * read from package manifests, pyproject scripts, Go main packages and
+ * framework conventions instead of guessed from file names
+ */
+const path = require('path');
+const picomatch = require('picomatch');
+const { readConfiguredSourceDirs } = require('../resolution/python');
+const { toComparablePath } = require('../utils/paths');
+
+// Build output directories whose files usually come from `src/`
+const BUILD_DIRS = new Set(['dist', 'build', 'lib', 'out']);
+const SOURCE_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs'];
+
+// Files that start a program wherever they are. A `main.go` only counts
+// when its package turns out to be `main` (see listAnalyzedEntryPoints()).
+const CONVENTIONAL_ENTRY_POINTS = Object.freeze([
+  '**/__main__.py',
+  'manage.py',
+  '**/src/main.rs',
+  '**/src/bin/*.rs',
+  '**/main.go',
+]);
+
+// Conventional names at a package root or its `src/`, for packages that
+// declare no entry point of their own
+const FALLBACK_ENTRY_POINTS = Object.freeze([
+  '{,src/}{index,main,app,server,cli}.{ts,tsx,mts,js,jsx,mjs,cjs}',
+  '{,src/}{main,app,server,wsgi,asgi}.py',
+  '{,public/}index.php',
+]);
+
+// Files a framework loads by convention, when the package depends on it
+const FRAMEWORK_ENTRY_POINTS = Object.freeze([
+  {
+    name: 'Next.js',
+    dependency: 'next',
+    patterns: [
+      '{,src/}pages/**/*.{js,jsx,ts,tsx}',
+      '{,src/}app/**/{page,layout,template,loading,error,not-found,default,route}.{js,jsx,ts,tsx}',
+      '{,src/}{middleware,instrumentation}.{js,ts}',
+    ],
+  },
+  {
+    name: 'SvelteKit',
+    dependency: '@sveltejs/kit',
+    patterns: ['src/routes/**/+*.{js,ts}', 'src/hooks.{client,server}.{js,ts}'],
+  },
+  {
+    name: 'Remix',
+    dependency: '@remix-run/react',
+    patterns: ['app/root.{jsx,tsx}', 'app/entry.{client,server}.{jsx,tsx}', 'app/routes/**/*.{js,jsx,ts,tsx}'],
+  },
+]);
+
+const PYPROJECT_SCRIPT_SECTIONS = new Set(['project.scripts', 'project.gui-scripts', 'tool.poetry.scripts']);
+const TEST_FILE = /\.(test|spec)\.[^/]+$/;
+
+function collectExportTargets(exportsField, targets = []) {
+  if (typeof exportsField === 'string') {
+    targets.push(exportsField);
+  } else if (Array.isArray(exportsField)) {
+    exportsField.forEach(entry => collectExportTargets(entry, targets));
+  } else if (exportsField && typeof exportsField === 'object') {
+    Object.values(exportsField).forEach(entry => collectExportTargets(entry, targets));
+  }
+  return targets;
+}
+
+/**
+ * Entry files declared by a package.json: `main`, `module`, every `bin`
+ * and every `exports` target (subpaths and conditions)
+ * @param {Object} manifest - Parsed package.json
+ * @returns {Array<{file: string, field: string}>} Paths relative to the package directory
+ */
+function readManifestEntryPoints(manifest) {
+  if (!manifest || typeof manifest !== 'object') return [];
+  const entries = [];
+  if (typeof manifest.main === 'string') entries.push({ file: manifest.main, field: 'main' });
+  if (typeof manifest.module === 'string') entries.push({ file: manifest.module, field: 'module' });
+  if (typeof manifest.bin === 'string') {
+    entries.push({ file: manifest.bin, field: 'bin' });
+  } else if (manifest.bin && typeof manifest.bin === 'object') {
+    for (const file of Object.values(manifest.bin)) {
+      if (typeof file === 'string') entries.push({ file, field: 'bin' });
+    }
+  }
+  for (const file of collectExportTargets(manifest.exports)) {
+    // Patterns (`./*`) cannot name one file
+    if (!file.includes('*')) entries.push({ file, field: 'exports' });
+  }
+  return entries;
+}
+
+/**
+ * Modules behind the console scripts of a pyproject.toml
+ * (`[project.scripts]`, `[project.gui-scripts]`, `[tool.poetry.scripts]`)
+ * @param {string} text - pyproject.toml content
+ * @returns {Array<string>} Dotted module names (`pkg.cli` for `pkg.cli:main`)
+ */
+function readPyprojectScripts(text) {
+  if (typeof text !== 'string') return [];
+  const modules = [];
+  let section = null;
+  for (const line of text.split(/\r?\n/)) {
+    const header = line.match(/^\s*\[([^\]]+)\]\s*(?:#.*)?$/);
+    if (header) {
+      section = header[1].trim().replace(/\s+/g, '');
+      continue;
+    }
+    if (!PYPROJECT_SCRIPT_SECTIONS.has(section)) continue;
+    // `cli = "pkg.cli:main"` or poetry's `cli = { callable = "pkg.cli:main" }`
+    const target = line.match(/=\s*(?:\{.*?)?["']([A-Za-z_][\w.]*)(?::[\w.]+)?["']/);
+    if (target) modules.push(target[1]);
+  }
+  return [...new Set(modules)];
+}
+
+/**
+ * Root-relative files a declared entry may refer to: the path itself, with
+ * a source extension or as a directory index, and the `src/` file a build
+ * output path (`dist/index.js`) was compiled from
+ * @param {string} file - Root-relative path from a manifest
+ * @returns {Array<string>}
+ */
+function entryPointCandidates(file) {
+  const normalized = path.posix.normalize(file.replace(/\\/g, '/')).replace(/^\.\//, '');
+  const bases = [normalized];
+  const stem = normalized.replace(/\.(c|m)?jsx?$/, '');
+  const [first, ...rest] = stem.split('/');
+  if (BUILD_DIRS.has(first) && rest.length > 0) {
+    bases.push(['src', ...rest].join('/'), rest.join('/'));
+  } else if (stem !== normalized) {
+    bases.push(stem);
+  }
+
+  const candidates = [];
+  for (const base of bases) {
+    candidates.push(base);
+    for (const ext of SOURCE_EXTENSIONS) candidates.push(base + ext);
+    for (const ext of SOURCE_EXTENSIONS) candidates.push(`${base}/index${ext}`);
+  }
+  return [...new Set(candidates)];
+}
+
+function within(dir, relPath) {
+  return dir === '.' ? relPath : path.posix.join(dir, relPath);
+}
+
+/**
+ * Detect the entry points among a project's files. Each package directory
+ * contributes its package.json entries and the files of the frameworks it
+ * depends on; one that declares none falls back to conventional names at
+ * its root or `src/`, so nested `index.ts` barrels never count.
+ * @param {Array<string>} files - Root-relative files to choose from (`./` prefixes are dropped)
+ * @param {Object} [options]
+ * @param {function(string): (string|null)} [options.readFile] - Reads a root-relative file (manifests)
+ * @param {Array<string>} [options.packageDirs] - Package directories (default: the root)
+ * @returns {Array<{file: string, source: string}>} Sorted by file; `source` says why it is an entry point
+ */
+function detectEntryPoints(files, options = {}) {
+  const paths = files.map(toComparablePath);
+  const fileSet = new Set(paths);
+  const read = (relPath) => {
+    if (typeof options.readFile !== 'function') return null;
+    try {
+      return options.readFile(relPath);
+    } catch {
+      return null;
+    }
+  };
+  const entries = new Map();
+  const add = (file, source) => {
+    if (fileSet.has(file) && !entries.has(file)) entries.set(file, source);
+  };
+  const matching = (dir, patterns) => {
+    const isMatch = picomatch(patterns.map(pattern => within(dir, pattern)), { dot: true });
+    return paths.filter(file => isMatch(file) && !TEST_FILE.test(file));
+  };
+
+  for (const dir of new Set(['.', ...(options.packageDirs || [])])) {
+    const manifestPath = within(dir, 'package.json');
+    let manifest = null;
+    try {
+      manifest = JSON.parse(read(manifestPath) || 'null');
+    } catch {
+      manifest = null;
+    }
+
+    let declared = 0;
+    for (const { file, field } of readManifestEntryPoints(manifest)) {
+      const match = entryPointCandidates(within(dir, file)).find(candidate => fileSet.has(candidate));
+      if (match) {
+        add(match, `${manifestPath} ${field}`);
+        declared++;
+      }
+    }
+
+    const dependencies = { ...manifest?.dependencies, ...manifest?.devDependencies, ...manifest?.peerDependencies };
+    for (const framework of FRAMEWORK_ENTRY_POINTS) {
+      if (!dependencies[framework.dependency]) continue;
+      for (const file of matching(dir, framework.patterns)) {
+        add(file, framework.name);
+        declared++;
+      }
+    }
+
+    if (declared === 0) {
+      matching(dir, FALLBACK_ENTRY_POINTS).forEach(file => add(file, 'convention'));
+    }
+  }
+
+  const pyproject = read('pyproject.toml');
+  if (pyproject) {
+    const bases = [...new Set(['.', ...readConfiguredSourceDirs(pyproject), 'src'])];
+    for (const module of readPyprojectScripts(pyproject)) {
+      const modulePath = module.replace(/\./g, '/');
+      const match = bases
+        .flatMap(base => [within(base, `${modulePath}.py`), within(base, `${modulePath}/__init__.py`)])
+        .find(candidate => fileSet.has(candidate));
+      if (match) add(match, 'pyproject.toml scripts');
+    }
+  }
+
+  matching('.', CONVENTIONAL_ENTRY_POINTS).forEach(file => add(file, 'convention'));
+
+  return [...entries]
+    .map(([file, source]) => ({ file, source }))
+    .sort((a, b) => a.file.localeCompare(b.file));
+}
+
+/**
+ * The analysis result's entry points: detected entry files that were
+ * analyzed, without `main.go` files of library packages, plus one file of
+ * every Go `main` package
+ * @param {Array<{file: string}>} detected - detectEntryPoints() result
+ * @param {Array<Object>} components - Analyzed components
+ * @returns {Array<string>} Root-relative files without a `./` prefix, sorted
+ */
+function listAnalyzedEntryPoints(detected, components) {
+  // Root files are `./index.js` on components and `index.js` in file lists
+  const owners = new Map();
+  for (const component of components) {
+    for (const file of [component.filePath, ...(component.files || [])]) {
+      if (file && !owners.has(toComparablePath(file))) owners.set(toComparablePath(file), component);
+    }
+  }
+
+  const entryPoints = new Set();
+  for (const { file } of detected) {
+    const owner = owners.get(toComparablePath(file));
+    if (!owner) continue;
+    if (owner.goPackage !== undefined && owner.goPackage !== 'main') continue;
+    entryPoints.add(toComparablePath(file));
+  }
+  for (const component of components) {
+    if (component.goPackage !== 'main') continue;
+    const files = (component.files || []).map(toComparablePath);
+    if (files.some(file => entryPoints.has(file))) continue;
+    const main = files.find(file => path.posix.basename(file) === 'main.go') || files[0];
+    if (main) entryPoints.add(main);
+  }
+  return [...entryPoints].sort();
+}
+
+module.exports = {
+  CONVENTIONAL_ENTRY_POINTS,
+  FALLBACK_ENTRY_POINTS,
+  FRAMEWORK_ENTRY_POINTS,
+  readManifestEntryPoints,
+  readPyprojectScripts,
+  entryPointCandidates,
+  detectEntryPoints,
+  listAnalyzedEntryPoints,
+};
@@ -0,0 +1,77 @@
+const { Worker } = require('worker_threads');
+
+const DEFAULT_BATCH_SIZE = 25;
+
+/**
+ * Run tasks on a pool of worker threads. The worker script receives
+ * `{start, tasks}` messages and answers each with `{start, results}` (one
+ * result per task, same order), or `{start, error}` when a batch fails.
+ * Tasks and results must be structured-cloneable.
+ * @param {string} script - Absolute path of the worker script
+ * @param {Array} tasks - Task payloads
+ * @param {Object} [options]
+ * @param {number} [options.size] - Number of workers
+ * @param {*} [options.workerData] - Passed to every worker as `workerData`
+ * @param {number} [options.batchSize] - Tasks per message
+ * @param {function(number, number): void} [options.onProgress] - Called with (done, total)
+ * @returns {Promise<Array>} Results in task order
+ */
+function runWorkerPool(script, tasks, options = {}) {
+  const batchSize = Math.max(1, options.batchSize || DEFAULT_BATCH_SIZE);
+  const batchCount = Math.ceil(tasks.length / batchSize);
+  const size = Math.min(Math.max(1, options.size || 1), batchCount);
+  const results = new Array(tasks.length);
+  if (tasks.length === 0) return Promise.resolve(results);
+
+  return new Promise((resolve, reject) => {
+    const workers = [];
+    let next = 0;
+    let done = 0;
+    let settled = false;
+
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      Promise.all(workers.map(worker => worker.terminate()))
+        .catch(() => {})
+        .then(() => (error ? reject(error) : resolve(results)));
+    };
+
+    const dispatch = (worker) => {
+      if (next >= tasks.length) return;
+      const start = next;
+      next += batchSize;
+      worker.postMessage({ start, tasks: tasks.slice(start, next) });
+    };
+
+    for (let i = 0; i < size; i++) {
+      const worker = new Worker(script, { workerData: options.workerData });
+      worker.on('message', (message) => {
+        if (message.error) {
+          finish(new Error(message.error));
+          return;
+        }
+        message.results.forEach((result, offset) => {
+          results[message.start + offset] = result;
+        });
+        done += message.results.length;
+        if (options.onProgress) options.onProgress(done, tasks.length);
+        if (done === tasks.length) {
+          finish();
+        } else {
+          dispatch(worker);
+        }
+      });
+      worker.on('error', finish);
+      worker.on('exit', (code) => {
+        if (!settled) finish(new Error(`Worker exited with code ${code}`));
+      });
+      workers.push(worker);
+      dispatch(worker);
+    }
+  });
+}
+
+module.exports = {
+  runWorkerPool,
+};
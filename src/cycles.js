@@ -0,0 +1,169 @@
+/**
+ * Dependency cycle report - every cycle with the import lines behind each
+ * edge, and the edge whose removal breaks the most cycles
+ */
+const chalk = require('chalk');
+const { ComponentGraph } = require('./graph');
+const { sanitize, escapeMermaid } = require('./core/analysis-generation');
+
+const DEFAULT_CYCLE_LIMIT = 1000;
+
+function edgeKey(from, to) {
+  return `${from}→${to}`;
+}
+
+/**
+ * The import statements of `from` that resolve to `to`
+ * @param {Object} from - Importing component
+ * @param {Object} to - Imported component
+ * @returns {Array<{file: string, line: number|null, specifier: string}>}
+ */
+function findEdgeImports(from, to) {
+  return (from.imports || [])
+    .filter(imp => imp && typeof imp === 'object' && imp.resolvedPath === to.filePath)
+    .map(imp => ({ file: imp.file || from.filePath, line: imp.line || null, specifier: imp.path }));
+}
+
+/**
+ * Find every dependency cycle and rank the edges that form them
+ * @param {Object} analysis - analyze() result
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Stop after this many cycles (default 1000)
+ * @returns {{cycles: Array<Object>, edges: Array<Object>, truncated: boolean, summary: Object}}
+ *   Cycles are sorted by length; each edge lists its import lines and how many cycles it is in.
+ *   `suggestion` (per cycle) and `edges[0]` are the edges to break first.
+ */
+function analyzeCycles(analysis, options = {}) {
+  const limit = options.limit || DEFAULT_CYCLE_LIMIT;
+  const graph = new ComponentGraph(analysis);
+  const found = graph.findCycles({ limit })
+    .sort((a, b) => a.length - b.length || a.join('\n').localeCompare(b.join('\n')));
+
+  const edges = new Map();
+  const cycles = found.map((names) => {
+    const cycleEdges = [];
+    for (let i = 0; i < names.length - 1; i++) {
+      const key = edgeKey(names[i], names[i + 1]);
+      if (!edges.has(key)) {
+        edges.set(key, {
+          from: names[i],
+          to: names[i + 1],
+          imports: findEdgeImports(graph.getComponent(names[i]), graph.getComponent(names[i + 1])),
+          cycles: 0,
+        });
+      }
+      const edge = edges.get(key);
+      edge.cycles++;
+      cycleEdges.push(edge);
+    }
+    return { components: names.slice(0, -1), edges: cycleEdges };
+  });
+
+  // Weakest edge: in the most cycles, then backed by the fewest imports
+  const rank = (a, b) => b.cycles - a.cycles || a.imports.length - b.imports.length
+    || edgeKey(a.from, a.to).localeCompare(edgeKey(b.from, b.to));
+  const ranked = [...edges.values()].sort(rank);
+
+  return {
+    cycles: cycles.map(cycle => {
+      const weakest = [...cycle.edges].sort(rank)[0];
+      return {
+        length: cycle.components.length,
+        components: cycle.components.map(name => ({ name, filePath: graph.getComponent(name).filePath })),
+        edges: cycle.edges.map(edge => ({ from: edge.from, to: edge.to, imports: edge.imports })),
+        suggestion: { from: weakest.from, to: weakest.to, cycles: weakest.cycles },
+      };
+    }),
+    edges: ranked.map(edge => ({ from: edge.from, to: edge.to, cycles: edge.cycles, imports: edge.imports.length })),
+    truncated: found.length >= limit,
+    summary: {
+      cycles: cycles.length,
+      components: new Set(found.flat()).size,
+      edges: edges.size,
+    },
+  };
+}
+
+function describeImports(imports) {
+  return imports.map(imp => `${imp.file}${imp.line ? `:${imp.line}` : ''}`).join(', ');
+}
+
+/**
+ * Render one cycle as a Mermaid flowchart; edges are labelled with their
+ * import lines and the suggested edge to break is drawn in red
+ * @param {Object} cycle - One of analyzeCycles().cycles
+ * @returns {string} Mermaid code
+ */
+function generateCycleDiagram(cycle) {
+  const lines = ['graph LR'];
+  for (const component of cycle.components) {
+    lines.push(`  ${sanitize(component.name)}["${escapeMermaid(component.name)}"]`);
+  }
+  let suggestedIndex = -1;
+  cycle.edges.forEach((edge, index) => {
+    const label = edge.imports.map(imp => (imp.line ? `L${imp.line}` : escapeMermaid(imp.specifier))).join(', ');
+    lines.push(`  ${sanitize(edge.from)} -->${label ? `|${label}|` : ''} ${sanitize(edge.to)}`);
+    if (edge.from === cycle.suggestion.from && edge.to === cycle.suggestion.to) suggestedIndex = index;
+  });
+  if (suggestedIndex >= 0) lines.push(`  linkStyle ${suggestedIndex} stroke:#dc2626,stroke-width:3px,stroke-dasharray:5`);
+  return lines.join('\n');
+}
+
+/**
+ * Format a cycles report as Markdown with one diagram per cycle
+ * @param {Object} report - analyzeCycles() result
+ * @returns {string}
+ */
+function formatCyclesMarkdown(report) {
+  const sections = ['# Dependency cycles', ''];
+  if (report.cycles.length === 0) {
+    sections.push('No dependency cycles found.', '');
+    return sections.join('\n');
+  }
+  report.cycles.forEach((cycle, index) => {
+    sections.push(`## Cycle ${index + 1} (${cycle.length} components)`, '');
+    for (const edge of cycle.edges) {
+      sections.push(`- \`${edge.from}\` → \`${edge.to}\` (${describeImports(edge.imports) || 'unresolved import'})`);
+    }
+    sections.push('', `Break \`${cycle.suggestion.from}\` → \`${cycle.suggestion.to}\` (in ${cycle.suggestion.cycles} cycle${cycle.suggestion.cycles === 1 ? '' : 's'}).`, '');
+    sections.push('```mermaid', generateCycleDiagram(cycle), '```', '');
+  });
+  return sections.join('\n');
+}
+
+/**
+ * Print a cycles report to the console
+ * @param {Object} report - analyzeCycles() result
+ */
+function printCycles(report) {
+  if (report.cycles.length === 0) {
+    console.log(chalk.green('\n✅ No dependency cycles found'));
+    return;
+  }
+
+  console.log(chalk.cyan(`\n🔁 Cycles (${report.cycles.length})`));
+  report.cycles.forEach((cycle, index) => {
+    console.log(`\n   ${chalk.bold(`${index + 1}.`)} ${cycle.components.map(c => c.name).join(' → ')} → ${cycle.components[0].name}`);
+    for (const edge of cycle.edges) {
+      const suggested = edge.from === cycle.suggestion.from && edge.to === cycle.suggestion.to;
+      const line = `      ${edge.from} → ${edge.to}  ${chalk.gray(describeImports(edge.imports))}`;
+      console.log(suggested ? `${chalk.red(line)} ${chalk.red('← break here')}` : line);
+    }
+  });
+
+  console.log(chalk.cyan('\n✂️  Edges to break first'));
+  for (const edge of report.edges.slice(0, 5)) {
+    console.log(`   ${edge.from} → ${edge.to} ${chalk.gray(`(in ${edge.cycles} cycle${edge.cycles === 1 ? '' : 's'}, ${edge.imports} import${edge.imports === 1 ? '' : 's'})`)}`);
+  }
+  if (report.truncated) {
+    console.log(chalk.yellow(`\n⚠️  Stopped after ${report.cycles.length} cycles (raise --limit to find more)`));
+  }
+}
+
+module.exports = {
+  DEFAULT_CYCLE_LIMIT,
+  analyzeCycles,
+  generateCycleDiagram,
+  formatCyclesMarkdown,
+  printCycles,
+};
@@ -0,0 +1,368 @@
+/**
+ * External dependency inventory - the npm packages the code imports,
+ * compared with what package.json declares and the lockfile resolves
+ */
+const { builtinModules } = require('module');
+const picomatch = require('picomatch');
+const chalk = require('chalk');
+const {
+  detectLanguage,
+  getImportPath,
+  isInternalImport,
+  getExternalImportPath,
+  getExternalPackageName,
+} = require('./core/analysis-generation');
+const { toComparablePath } = require('./utils/paths');
+
+const DEPENDENCY_FIELDS = ['dependencies', 'optionalDependencies', 'peerDependencies', 'devDependencies'];
+// Only runtime dependencies are reported unused: devDependencies are mostly tools run from scripts
+const RUNTIME_FIELDS = new Set(['dependencies', 'optionalDependencies']);
+const LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml'];
+const JS_LANGUAGES = new Set(['javascript', 'typescript']);
+const BUILTINS = new Set(builtinModules);
+// Scoped or plain npm names; rules out aliases such as `@/components` and `~/lib`
+const PACKAGE_NAME = /^(@[a-z0-9][\w.-]*\/)?[a-z0-9][\w.-]*$/i;
+
+/**
+ * Files that only run during development. devDependencies imported here
+ * are expected; imported anywhere else they ship without being installed.
+ */
+const DEV_FILE_PATTERNS = Object.freeze([
+  '**/*.{test,spec}.*',
+  '**/{test,tests,__tests__,__mocks__,e2e,fixtures}/**',
+  '**/*.stories.*',
+  '**/*.d.ts',
+  '**/*.config.*',
+  '**/.*rc.*',
+  '**/scripts/**',
+]);
+
+/**
+ * Versions from a package-lock.json (v1 `dependencies`, v2/v3 `packages`)
+ * @param {string} text - Lockfile content
+ * @returns {function(string, string): (string|null)} (name, packageDir) => version
+ */
+function readPackageLock(text) {
+  const lock = JSON.parse(text);
+  const packages = lock.packages || {};
+  const legacy = lock.dependencies || {};
+  return (name, dir) => {
+    const entry = (dir !== '.' && packages[`${dir}/node_modules/${name}`])
+      || packages[`node_modules/${name}`]
+      || legacy[name];
+    return entry && typeof entry.version === 'string' ? entry.version : null;
+  };
+}
+
+/**
+ * Versions from a yarn.lock (classic and Berry)
+ * @param {string} text - Lockfile content
+ * @returns {function(string, string, string): (string|null)} (name, packageDir, range) => version
+ */
+function readYarnLock(text) {
+  const byName = new Map();
+  let specs = null;
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith('#')) continue;
+    if (!/^\s/.test(line)) {
+      // `"chalk@^4.1.0", chalk@^4.1.2:` or `"chalk@npm:^4.1.0":`
+      specs = line.replace(/:\s*$/, '').split(/,\s*/).map(spec => spec.trim().replace(/^"|"$/g, ''));
+      continue;
+    }
+    const version = line.match(/^\s+version:?\s+"?([^"\s]+)"?\s*$/);
+    if (!version || !specs) continue;
+    for (const spec of specs) {
+      const at = spec.indexOf('@', 1);
+      if (at < 0) continue;
+      const name = spec.slice(0, at);
+      if (!byName.has(name)) byName.set(name, new Map());
+      byName.get(name).set(spec.slice(at + 1).replace(/^npm:/, ''), version[1]);
+    }
+    specs = null;
+  }
+  return (name, _dir, range) => {
+    const ranges = byName.get(name);
+    if (!ranges) return null;
+    return ranges.get(range) || (new Set(ranges.values()).size === 1 ? [...ranges.values()][0] : null);
+  };
+}
+
+/**
+ * Versions from a pnpm-lock.yaml: `importers` (workspaces and lockfile v6+)
+ * or the top-level dependency maps of single-project v5 lockfiles
+ * @param {string} text - Lockfile content
+ * @returns {function(string, string): (string|null)} (name, packageDir) => version
+ */
+function readPnpmLock(text) {
+  const versions = new Map();
+  const keys = [];
+  const record = (dir, name, value) => {
+    const version = String(value).replace(/^['"]|['"]$/g, '').replace(/\(.*$/, '');
+    if (version && !version.startsWith('link:')) versions.set(`${dir}\0${name}`, version);
+  };
+
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^( *)('[^']+'|"[^"]+"|[^\s#'"][^:]*?):(?:\s+(.*?))?\s*$/);
+    if (!match) continue;
+    const depth = Math.floor(match[1].length / 2);
+    keys.length = depth;
+    keys.push(match[2].replace(/^['"]|['"]$/g, ''));
+    const value = match[3];
+    if (!value) continue;
+
+    // importers/<dir>/<field>/<name>: <version> (v5) or .../<name>/version: <version>
+    if (keys[0] === 'importers' && DEPENDENCY_FIELDS.includes(keys[2])) {
+      if (keys.length === 4) record(keys[1], keys[3], value);
+      else if (keys.length === 5 && keys[4] === 'version') record(keys[1], keys[3], value);
+    } else if (DEPENDENCY_FIELDS.includes(keys[0])) {
+      if (keys.length === 2) record('.', keys[1], value);
+      else if (keys.length === 3 && keys[2] === 'version') record('.', keys[1], value);
+    }
+  }
+  return (name, dir) => versions.get(`${dir}\0${name}`) || versions.get(`.\0${name}`) || null;
+}
+
+/**
+ * Read the first lockfile found at the project root; one that fails to
+ * parse is reported as `invalid` instead of `file`
+ * @param {function(string): (string|null)} readFile - Reads a root-relative file
+ * @returns {{file: string|null, invalid: (string|null), versionOf: function(string, string, string): (string|null)}}
+ */
+function readLockfile(readFile) {
+  const parsers = {
+    'package-lock.json': readPackageLock,
+    'npm-shrinkwrap.json': readPackageLock,
+    'yarn.lock': readYarnLock,
+    'pnpm-lock.yaml': readPnpmLock,
+  };
+  for (const file of LOCKFILES) {
+    const text = readFile(file);
+    if (typeof text !== 'string') continue;
+    try {
+      return { file, invalid: null, versionOf: parsers[file](text) };
+    } catch {
+      // A malformed lockfile leaves versions unknown
+      return { file: null, invalid: file, versionOf: () => null };
+    }
+  }
+  return { file: null, invalid: null, versionOf: () => null };
+}
+
+/**
+ * The `@types/` package that types an npm package
+ * @param {string} name - Package name
+ * @returns {string}
+ */
+function typesPackageFor(name) {
+  return `@types/${name.startsWith('@') ? name.slice(1).replace('/', '__') : name}`;
+}
+
+function isPackageName(name) {
+  return PACKAGE_NAME.test(name) && !BUILTINS.has(name) && !name.includes(':');
+}
+
+function readManifests(analysis, readFile) {
+  const manifests = [];
+  for (const dir of ['.', ...(analysis.packages || []).map(pkg => pkg.path)]) {
+    const file = dir === '.' ? 'package.json' : `${dir}/package.json`;
+    try {
+      const manifest = JSON.parse(readFile(file) || 'null');
+      if (manifest && typeof manifest === 'object') manifests.push({ dir, file, manifest });
+    } catch {
+      // Invalid manifest: nothing declared
+    }
+  }
+  // Nearest manifest first
+  return manifests.sort((a, b) => b.dir.length - a.dir.length);
+}
+
+function findDeclaration(manifest, names) {
+  for (const field of DEPENDENCY_FIELDS) {
+    const deps = manifest.manifest[field];
+    if (!deps || typeof deps !== 'object') continue;
+    const name = names.find(candidate => typeof deps[candidate] === 'string');
+    if (name) return { manifest: manifest.file, dir: manifest.dir, field, name, range: deps[name] };
+  }
+  return null;
+}
+
+/**
+ * Compare the npm packages imported by JavaScript and TypeScript files with
+ * the package.json manifests (the root and workspace packages). An import
+ * is declared by its nearest manifest or the root one; type-only imports
+ * are also declared by the matching `@types/` package.
+ * @param {Object} analysis - analyze() result
+ * @param {function(string): (string|null)} readFile - Reads a root-relative file (manifests, lockfile)
+ * @returns {Object} `{lockfile, invalidLockfile, manifests, packages, unused, undeclared, devInProduction, summary}`
+ */
+function inventoryDependencies(analysis, readFile) {
+  const read = (relPath) => {
+    try {
+      return readFile(relPath);
+    } catch {
+      return null;
+    }
+  };
+  const manifests = readManifests(analysis, read);
+  const lockfile = readLockfile(read);
+  const workspaceNames = new Set((analysis.packages || []).map(pkg => pkg.name));
+  const isDevFile = picomatch([...DEV_FILE_PATTERNS], { dot: true });
+  const within = (dir, file) => dir === '.' || file.startsWith(`${dir}/`);
+
+  const packages = new Map();
+  const entryFor = (name) => {
+    if (!packages.has(name)) packages.set(name, { name, declarations: new Map(), importers: new Map() });
+    return packages.get(name);
+  };
+  const used = new Set();
+  const undeclared = new Map();
+  const devInProduction = new Map();
+
+  for (const component of analysis.components || []) {
+    for (const imp of component.imports || []) {
+      const importPath = getImportPath(imp);
+      if (!importPath || isInternalImport(imp)) continue;
+      const file = toComparablePath((imp && typeof imp === 'object' && imp.file) || component.filePath);
+      const lang = detectLanguage(file);
+      if (!JS_LANGUAGES.has(lang)) continue;
+      const name = getExternalPackageName(getExternalImportPath(imp), lang);
+      if (!name || !isPackageName(name) || workspaceNames.has(name)) continue;
+
+      const kind = imp && typeof imp === 'object' ? imp.kind : undefined;
+      const line = imp && typeof imp === 'object' ? imp.line || null : null;
+      const names = kind === 'type' ? [name, typesPackageFor(name)] : [name];
+      const owners = manifests.filter(manifest => within(manifest.dir, file));
+      const declaration = owners.map(manifest => findDeclaration(manifest, names)).find(Boolean) || null;
+
+      const entry = entryFor(name);
+      if (!entry.importers.has(file)) entry.importers.set(file, line);
+      const importer = { file, line };
+
+      if (!declaration) {
+        if (!undeclared.has(name)) undeclared.set(name, []);
+        undeclared.get(name).push(importer);
+        continue;
+      }
+      used.add(`${declaration.manifest}\0${declaration.name}`);
+      entry.declarations.set(declaration.manifest, declaration);
+      if (declaration.field === 'devDependencies' && kind !== 'type' && !isDevFile(file)) {
+        const key = `${declaration.manifest}\0${name}`;
+        if (!devInProduction.has(key)) devInProduction.set(key, { name, manifest: declaration.manifest, importers: [] });
+        devInProduction.get(key).importers.push(importer);
+      }
+    }
+  }
+
+  // Declared runtime dependencies no file imports; `@types/x` is used with `x`,
+  // and packages named in scripts (CLIs) count as used
+  const unused = [];
+  for (const manifest of manifests) {
+    const scripts = Object.values(manifest.manifest.scripts || {}).join('\n');
+    for (const field of DEPENDENCY_FIELDS) {
+      for (const [name, range] of Object.entries(manifest.manifest[field] || {})) {
+        // Workspace packages resolve to project code, not to an installed package
+        if (typeof range !== 'string' || workspaceNames.has(name)) continue;
+        const entry = entryFor(name);
+        if (!entry.declarations.has(manifest.file)) {
+          entry.declarations.set(manifest.file, { manifest: manifest.file, dir: manifest.dir, field, name, range });
+        }
+        if (!RUNTIME_FIELDS.has(field) || used.has(`${manifest.file}\0${name}`)) continue;
+        const typed = name.startsWith('@types/')
+          && [...packages.values()].some(pkg => pkg.importers.size > 0 && typesPackageFor(pkg.name) === name);
+        const inScripts = new RegExp(`(^|[\\s/"'])${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[\\s"'])`, 'm').test(scripts);
+        if (!typed && !inScripts) unused.push({ name, manifest: manifest.file, field, range });
+      }
+    }
+  }
+
+  const byImporters = (a, b) => b.importers - a.importers || a.name.localeCompare(b.name);
+  const sortImporters = importers => importers.sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0));
+  const inventory = [...packages.values()].map((entry) => {
+    const declarations = [...entry.declarations.values()].sort((a, b) => b.dir.length - a.dir.length);
+    const declaration = declarations[0] || null;
+    return {
+      name: entry.name,
+      version: declaration ? lockfile.versionOf(entry.name, declaration.dir, declaration.range) : null,
+      declared: declarations.map(({ manifest, field, range }) => ({ manifest, field, range })),
+      importers: entry.importers.size,
+      files: [...entry.importers.keys()].sort(),
+    };
+  }).sort(byImporters);
+
+  return {
+    lockfile: lockfile.file,
+    invalidLockfile: lockfile.invalid,
+    manifests: manifests.map(manifest => manifest.file).sort(),
+    packages: inventory,
+    unused: unused.sort((a, b) => a.manifest.localeCompare(b.manifest) || a.name.localeCompare(b.name)),
+    undeclared: [...undeclared]
+      .map(([name, importers]) => ({ name, importers: sortImporters(importers) }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+    devInProduction: [...devInProduction.values()]
+      .map(entry => ({ ...entry, importers: sortImporters(entry.importers) }))
+      .sort((a, b) => a.name.localeCompare(b.name) || a.manifest.localeCompare(b.manifest)),
+    summary: {
+      packages: inventory.filter(pkg => pkg.importers > 0).length,
+      unused: unused.length,
+      undeclared: undeclared.size,
+      devInProduction: devInProduction.size,
+    },
+  };
+}
+
+function describeImporters(importers, limit = 3) {
+  const shown = importers.slice(0, limit).map(imp => `${imp.file}${imp.line ? `:${imp.line}` : ''}`);
+  return importers.length > limit ? `${shown.join(', ')} +${importers.length - limit} more` : shown.join(', ');
+}
+
+/**
+ * Print a dependency inventory to the console
+ * @param {Object} report - inventoryDependencies() result
+ */
+function printDependencies(report) {
+  const imported = report.packages.filter(pkg => pkg.importers > 0);
+  console.log(chalk.cyan(`\n📦 Imported packages (${imported.length})`));
+  if (imported.length === 0) {
+    console.log(chalk.gray('   None'));
+  } else {
+    const width = Math.max(...imported.map(pkg => pkg.name.length));
+    const versionWidth = Math.max(...imported.map(pkg => (pkg.version || '-').length));
+    for (const pkg of imported) {
+      const declared = pkg.declared.map(d => (d.manifest === 'package.json' ? d.field : `${d.manifest} ${d.field}`)).join(', ');
+      const files = `${String(pkg.importers).padStart(4)} file${pkg.importers === 1 ? ' ' : 's'}`;
+      console.log(`   ${pkg.name.padEnd(width)}  ${files}  ${chalk.gray(`${(pkg.version || '-').padEnd(versionWidth)}  ${declared || 'undeclared'}`)}`);
+    }
+  }
+
+  const section = (title, items, describe) => {
+    if (items.length === 0) return;
+    console.log(chalk.yellow(`\n${title} (${items.length})`));
+    items.forEach(item => console.log(`   ${describe(item)}`));
+  };
+  section('⚠️  Imported but undeclared', report.undeclared,
+    item => `${item.name} ${chalk.gray(describeImporters(item.importers))}`);
+  section('⚠️  devDependencies used in production code', report.devInProduction,
+    item => `${item.name} ${chalk.gray(`(${item.manifest}) ${describeImporters(item.importers)}`)}`);
+  section('🗑️  Declared but unused', report.unused,
+    item => `${item.name} ${chalk.gray(`(${item.manifest} ${item.field})`)}`);
+
+  if (report.undeclared.length + report.devInProduction.length + report.unused.length === 0) {
+    console.log(chalk.green('\n✅ Imports and manifests agree'));
+  }
+  if (report.invalidLockfile) {
+    console.log(chalk.yellow(`\n   Versions: unknown, ${report.invalidLockfile} could not be parsed`));
+  } else {
+    console.log(chalk.gray(`\n   Versions: ${report.lockfile || 'no lockfile found'}`));
+  }
+}
+
+module.exports = {
+  DEV_FILE_PATTERNS,
+  readPackageLock,
+  readYarnLock,
+  readPnpmLock,
+  readLockfile,
+  typesPackageFor,
+  inventoryDependencies,
+  printDependencies,
+};
@@ -24,6 +24,8 @@ const {
 } = require('./incremental/cache');
 const {
   SUPPORTED_DIAGRAM_TYPES,
+  DEFAULT_PATTERNS,
+  DEFAULT_EXCLUDE,
   analyze,
   generate,
   toManifestEntry,
@@ -43,6 +45,12 @@ const {
   printArchitectureDiff,
 } = require('./workflow/git-helpers');
 const { registerWorkflowCommands } = require('./workflow/pr-command');
+const { createSourceFromOptions, createFileSystemSource } = require('./sources');
+const { findOrphans, readDeclaredEntryPoints, generateOrphansDiagram, printOrphans } = require('./orphans');
+const { computeMetrics, formatMetricsCsv, printMetrics } = require('./metrics');
+const { DEFAULT_CYCLE_LIMIT, analyzeCycles, generateCycleDiagram, formatCyclesMarkdown, printCycles } = require('./cycles');
+const { inventoryDependencies, printDependencies } = require('./deps');
+const { readProjectConfig, applyProjectConfig } = require('./config/project-config');
 
 // Read version from package.json
 const packageJson = require('../package.json');
@@ -189,6 +197,83 @@ function runMermaidCli(args) {
   throw new Error('npx command not found');
 }
 
+// Repositories smaller than this finish before a progress line is useful
+const PROGRESS_MIN_FILES = 200;
+
+/**
+ * Add a file progress line on stderr (interactive terminals only)
+ * @param {Object} options - Analysis options
+ * @returns {Object} Options with `onProgress`
+ */
+function withAnalysisProgress(options) {
+  if (!process.stderr.isTTY || options.onProgress) return options;
+  let lastUpdate = 0;
+  return {
+    ...options,
+    onProgress: (done, total) => {
+      if (total < PROGRESS_MIN_FILES) return;
+      const now = Date.now();
+      if (done < total && now - lastUpdate < 100) return;
+      lastUpdate = now;
+      process.stderr.write(done < total ? `\r   Analyzing files ${done}/${total}` : '\r\x1b[K');
+    },
+  };
+}
+
+/**
+ * Read root-relative files (manifests, lockfiles) from a source; a file
+ * that cannot be read counts as missing
+ * @param {Object} source - Source provider
+ * @returns {function(string): (string|null)}
+ */
+function createSafeReader(source) {
+  return (relPath) => {
+    try {
+      return source.readFile(relPath);
+    } catch {
+      return null;
+    }
+  };
+}
+
+/**
+ * Add the options that choose what a command analyzes: file patterns,
+ * --max-files, .gitignore handling, workers and the `--ref`/`--archive` source
+ * @param {Command} command - Commander command
+ * @param {Object} [options]
+ * @param {string|false} [options.patterns] - `--patterns` default; false leaves out `--patterns`/`--exclude`
+ * @returns {Command} The command, for chaining
+ */
+function addSourceOptions(command, { patterns = DEFAULT_PATTERNS.join(',') } = {}) {
+  if (patterns !== false) {
+    command
+      .option('-p, --patterns <list>', 'File patterns (comma-separated)', patterns)
+      .option('-e, --exclude <list>', 'Exclude patterns', 'node_modules/**,.git/**,dist/**');
+  }
+  return command
+    .option('-m, --max-files <n>', 'Max files to analyze', '100')
+    .option('--no-gitignore', 'Also analyze files ignored by .gitignore')
+    .option('--workers <n>', 'Worker threads for reading and extracting files (default: auto, 0 = sequential)')
+    .option('--ref <ref>', 'Analyze the tree of a git commit, branch or tag instead of the working tree')
+    .option('--archive <file>', 'Analyze a .tar, .tar.gz/.tgz or .zip source archive instead of the working tree');
+}
+
+/**
+ * Open the `--ref` or `--archive` source once, before analysis
+ * @param {string} root - Project root
+ * @param {Object} options - Command options
+ * @returns {Object} Options with `source` when one of the flags is set
+ */
+function resolveSourceOrExit(root, options) {
+  if (!options.ref && !options.archive) return options;
+  try {
+    return { ...options, source: createSourceFromOptions(root, options) };
+  } catch (error) {
+    console.error(chalk.red('❌ Source error:'), error.message);
+    process.exit(2);
+  }
+}
+
 async function runAnalysisPipeline(rootPath, options, commandName) {
   const analyzerName = options.analyzer || 'default';
   const incrementalRequested = Boolean(options.incremental);
@@ -217,7 +302,7 @@ async function runAnalysisPipeline(rootPath, options, commandName) {
     incrementalState.reason = cached.reason;
   }
 
-  const { analyzer, analysis } = await runAnalyzer(analyzerName, rootPath, options);
+  const { analyzer, analysis } = await runAnalyzer(analyzerName, rootPath, withAnalysisProgress(resolveSourceOrExit(rootPath, options)));
 
   if (cacheKey) {
     writeCachedAnalysis(rootPath, cacheKey, {
@@ -354,12 +439,28 @@ program
   .description('Generate architecture diagrams from code')
   .version(packageJson.version);
 
-program
-  .command('analyze [path]')
-  .description('Analyze codebase structure')
-  .option('-p, --patterns <list>', 'File patterns (comma-separated)', '**/*.ts,**/*.tsx,**/*.js,**/*.jsx,**/*.py,**/*.go,**/*.rs')
-  .option('-e, --exclude <list>', 'Exclude patterns', 'node_modules/**,.git/**,dist/**')
-  .option('-m, --max-files <n>', 'Max files to analyze', '100')
+// Project config (.diagramrc, diagram.config.json or package.json `diagram`) supplies option defaults
+program.hook('preAction', (_thisCommand, actionCommand) => {
+  const [firstArgument] = actionCommand.registeredArguments;
+  const root = firstArgument && firstArgument.name() === 'path'
+    ? path.resolve(actionCommand.processedArgs[0] || '.')
+    : process.cwd();
+  const { file, config, errors } = readProjectConfig(root);
+  if (errors.length > 0) {
+    console.error(chalk.red(`❌ Config error in ${file}:`));
+    for (const err of errors) {
+      console.error(chalk.red(`   • ${err.path ? `${err.path}: ` : ''}${err.message}`));
+    }
+    process.exit(2);
+  }
+  applyProjectConfig(actionCommand, config, { exclude: DEFAULT_EXCLUDE });
+});
+
+addSourceOptions(
+  program
+    .command('analyze [path]')
+    .description('Analyze codebase structure')
+)
   .option('--analyzer <name>', 'Analyzer plugin to use', 'default')
   .option('--emit-ir', 'Write typed architecture IR artifact', false)
   .option('--incremental', 'Use incremental cache when available', false)
@@ -385,8 +486,16 @@ program
     } else {
       console.log(chalk.green('\n📊 Summary'));
       console.log(`  Files: ${data.components.length}`);
+      if (data.source) {
+        console.log(`  Source: ${data.source.type === 'git' ? `git ${data.source.ref}` : data.source.archive || data.source.type}`);
+      }
+      if (data.coverage && data.coverage.truncated) {
+        console.log(chalk.yellow(`  ⚠️  Partial analysis: ${data.coverage.analyzed} of ${data.coverage.discovered} files (${data.coverage.skipped} skipped, raise --max-files to include them)`));
+      }
       console.log(`  Languages: ${Object.entries(data.languages).map(([k,v]) => `${k}(${v})`).join(', ') || 'none'}`);
       console.log(`  Entry points: ${data.entryPoints.join(', ') || 'none'}`);
+      console.log(`  Routes: ${(data.routes || []).length}`);
+      console.log(`  Event channels: ${(data.events || []).length}`);
       console.log(`\n${chalk.yellow('Components:')}`);
       data.components.slice(0, 15).forEach(c => {
         const deps = c.dependencies.length > 0 ? ` → ${c.dependencies.slice(0, 3).join(', ')}` : '';
@@ -404,13 +513,201 @@ program
     }
   });
 
-program
-  .command('generate [path]')
-  .description('Generate a diagram')
-  .option('-t, --type <type>', 'Diagram type: architecture, sequence, dependency, class, flow, database, user, events, auth, security', 'architecture')
-  .option('-f, --focus <module>', 'Focus on specific module')
-  .option('-o, --output <file>', 'Output file (SVG/PNG)')
-  .option('-m, --max-files <n>', 'Max files to analyze', '100')
+addSourceOptions(
+  program
+    .command('orphans [path]')
+    .description('Find modules nothing depends on and modules no entry point reaches')
+)
+  .option('--entry <globs>', 'Extra entry points (comma-separated globs)')
+  .option('--allow <globs>', 'Components never reported, e.g. scripts (comma-separated globs)')
+  .option('--no-default-allow', 'Also report scripts, config files and framework-loaded files')
+  .option('-o, --output <file>', 'Write a Mermaid diagram highlighting dead code (.mmd or .md)')
+  .option('-j, --json', 'Output as JSON')
+  .action(async (targetPath, options) => {
+    const root = resolveRootPathOrExit(targetPath);
+    if (!options.json) {
+      console.log(chalk.blue('Analyzing'), root);
+    }
+
+    const analysisOptions = resolveSourceOrExit(root, options);
+    const data = await analyze(root, withAnalysisProgress(analysisOptions));
+    const source = analysisOptions.source || createFileSystemSource(root);
+    const orphansConfig = (options.projectConfig && options.projectConfig.orphans) || {};
+    const toGlobs = value => (Array.isArray(value) ? value : parseCommaSeparatedList(value || ''));
+    const report = findOrphans(data, {
+      declared: readDeclaredEntryPoints(data, createSafeReader(source)),
+      entry: [...toGlobs(orphansConfig.entryPoints), ...toGlobs(options.entry)],
+      allow: [...toGlobs(orphansConfig.allow), ...toGlobs(options.allow)],
+      defaultAllow: options.defaultAllow,
+    });
+
+    if (options.output) {
+      const ext = path.extname(options.output).toLowerCase();
+      if (ext !== '.mmd' && ext !== '.md') {
+        console.error(chalk.red('❌ Output path error:'), 'orphans diagrams are written as .mmd or .md');
+        process.exit(2);
+      }
+      let safeOutput;
+      try {
+        safeOutput = validateOutputPath(options.output, root);
+      } catch (err) {
+        console.error(chalk.red('❌ Output path error:'), err.message);
+        process.exit(2);
+      }
+      fs.mkdirSync(path.dirname(safeOutput), { recursive: true, mode: 0o755 });
+      fs.writeFileSync(safeOutput, generateOrphansDiagram(data, report));
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+      return;
+    }
+    if (data.coverage && data.coverage.truncated) {
+      console.log(chalk.yellow(`  ⚠️  Partial analysis: ${data.coverage.analyzed} of ${data.coverage.discovered} files; skipped files may hide dependents (raise --max-files)`));
+    }
+    printOrphans(report);
+    if (options.output) {
+      console.log(chalk.green('\n✅ Saved to'), options.output);
+    }
+  });
+
+addSourceOptions(
+  program
+    .command('metrics [path]')
+    .description('Coupling and stability metrics per component and directory')
+)
+  .option('-f, --format <format>', 'Output format: console, json, csv', 'console')
+  .option('-o, --output <file>', 'Output file (for json/csv formats)')
+  .action(async (targetPath, options) => {
+    const root = resolveRootPathOrExit(targetPath);
+    if (!['console', 'json', 'csv'].includes(options.format)) {
+      console.error(chalk.red('❌ Invalid format:'), `${options.format} (expected console, json or csv)`);
+      process.exit(2);
+    }
+    const machineOutput = options.format !== 'console' && !options.output;
+    if (!machineOutput) {
+      console.log(chalk.blue('Analyzing'), root);
+    }
+
+    const data = await analyze(root, withAnalysisProgress(resolveSourceOrExit(root, options)));
+    const metrics = computeMetrics(data);
+
+    if (options.format === 'console') {
+      if (data.coverage && data.coverage.truncated) {
+        console.log(chalk.yellow(`  ⚠️  Partial analysis: ${data.coverage.analyzed} of ${data.coverage.discovered} files; fan-in counts miss skipped files (raise --max-files)`));
+      }
+      printMetrics(metrics);
+      return;
+    }
+
+    const output = options.format === 'csv'
+      ? formatMetricsCsv(metrics)
+      : `${JSON.stringify({ ...metrics, coverage: data.coverage || null }, null, 2)}\n`;
+    if (!options.output) {
+      process.stdout.write(output);
+      return;
+    }
+    let safeOutput;
+    try {
+      safeOutput = validateOutputPath(options.output, root);
+    } catch (err) {
+      console.error(chalk.red('❌ Output path error:'), err.message);
+      process.exit(2);
+    }
+    fs.mkdirSync(path.dirname(safeOutput), { recursive: true, mode: 0o755 });
+    fs.writeFileSync(safeOutput, output);
+    console.log(chalk.green('✅ Saved to'), options.output);
+  });
+
+addSourceOptions(
+  program
+    .command('cycles [path]')
+    .description('List dependency cycles with the imports that form them')
+)
+  .option('--limit <n>', 'Stop after this many cycles', String(DEFAULT_CYCLE_LIMIT))
+  .option('-o, --output <file>', 'Write a Markdown report with one Mermaid diagram per cycle (.md)')
+  .option('-j, --json', 'Output as JSON')
+  .action(async (targetPath, options) => {
+    const root = resolveRootPathOrExit(targetPath);
+    const limit = parseInt(options.limit, 10);
+    if (isNaN(limit) || limit < 1) {
+      console.error(chalk.red('❌ Invalid limit:'), `${options.limit} (expected a positive integer)`);
+      process.exit(2);
+    }
+    if (!options.json) {
+      console.log(chalk.blue('Analyzing'), root);
+    }
+
+    const data = await analyze(root, withAnalysisProgress(resolveSourceOrExit(root, options)));
+    const report = analyzeCycles(data, { limit });
+
+    if (options.output) {
+      if (path.extname(options.output).toLowerCase() !== '.md') {
+        console.error(chalk.red('❌ Output path error:'), 'cycle reports are written as .md');
+        process.exit(2);
+      }
+      let safeOutput;
+      try {
+        safeOutput = validateOutputPath(options.output, root);
+      } catch (err) {
+        console.error(chalk.red('❌ Output path error:'), err.message);
+        process.exit(2);
+      }
+      fs.mkdirSync(path.dirname(safeOutput), { recursive: true, mode: 0o755 });
+      fs.writeFileSync(safeOutput, formatCyclesMarkdown(report));
+    }
+
+    if (options.json) {
+      const cycles = report.cycles.map(cycle => ({ ...cycle, mermaid: generateCycleDiagram(cycle) }));
+      console.log(JSON.stringify({ ...report, cycles, coverage: data.coverage || null }, null, 2));
+      return;
+    }
+    if (data.coverage && data.coverage.truncated) {
+      console.log(chalk.yellow(`  ⚠️  Partial analysis: ${data.coverage.analyzed} of ${data.coverage.discovered} files; cycles through skipped files are missing (raise --max-files)`));
+    }
+    printCycles(report);
+    if (options.output) {
+      console.log(chalk.green('\n✅ Saved to'), options.output);
+    }
+  });
+
+addSourceOptions(
+  program
+    .command('deps [path]')
+    .description('Compare imported npm packages with package.json and the lockfile'),
+  { patterns: '**/*.ts,**/*.tsx,**/*.mts,**/*.cts,**/*.js,**/*.jsx,**/*.mjs,**/*.cjs' }
+)
+  .option('-j, --json', 'Output as JSON')
+  .action(async (targetPath, options) => {
+    const root = resolveRootPathOrExit(targetPath);
+    if (!options.json) {
+      console.log(chalk.blue('Analyzing'), root);
+    }
+
+    const analysisOptions = resolveSourceOrExit(root, options);
+    const data = await analyze(root, withAnalysisProgress(analysisOptions));
+    const source = analysisOptions.source || createFileSystemSource(root);
+    const report = inventoryDependencies(data, createSafeReader(source));
+
+    if (options.json) {
+      console.log(JSON.stringify({ ...report, coverage: data.coverage || null }, null, 2));
+      return;
+    }
+    if (data.coverage && data.coverage.truncated) {
+      console.log(chalk.yellow(`  ⚠️  Partial analysis: ${data.coverage.analyzed} of ${data.coverage.discovered} files; imports in skipped files are missing and dependencies may show as unused (raise --max-files)`));
+    }
+    printDependencies(report);
+  });
+
+addSourceOptions(
+  program
+    .command('generate [path]')
+    .description('Generate a diagram')
+    .option('-t, --type <type>', 'Diagram type: architecture, sequence, dependency, class, flow, database, er, user, events, auth, security, packages', 'architecture')
+    .option('-f, --focus <module>', 'Focus on a module; for sequence diagrams a function (file#function)')
+    .option('-o, --output <file>', 'Output file (SVG/PNG)'),
+  { patterns: false }
+)
   .option('--analyzer <name>', 'Analyzer plugin to use', 'default')
   .option('--emit-ir', 'Write typed architecture IR artifact', false)
   .option('--incremental', 'Use incremental cache when available', false)
@@ -477,6 +774,9 @@ program
         console.log(chalk.gray('IR artifact:'), irPath);
       }
     }
+    if (data.coverage && data.coverage.truncated) {
+      console.log(chalk.yellow(`⚠️  Partial graph: analyzed ${data.coverage.analyzed} of ${data.coverage.discovered} files (raise --max-files to include the rest)`));
+    }
 
     const mermaid = generate(data, options.type, options.focus);
     let validationResult = {
@@ -535,6 +835,7 @@ program
           mode: validationResult?.meta?.mode || 'basic',
         },
         fallback,
+        coverage: data.coverage || null,
         notes: [
           pipeline.incremental.requested
             ? `incremental:${pipeline.incremental.used ? 'hit' : pipeline.incremental.reason}`
@@ -621,13 +922,12 @@ program
     }
   });
 
-program
-  .command('all [path]')
-  .description('Generate all diagram types')
-  .option('-o, --output-dir <dir>', 'Output directory', './diagrams')
-  .option('-p, --patterns <list>', 'File patterns', '**/*.ts,**/*.tsx,**/*.js,**/*.jsx,**/*.py,**/*.go,**/*.rs')
-  .option('-e, --exclude <list>', 'Exclude patterns', 'node_modules/**,.git/**,dist/**')
-  .option('-m, --max-files <n>', 'Max files to analyze', '100')
+addSourceOptions(
+  program
+    .command('all [path]')
+    .description('Generate all diagram types')
+    .option('-o, --output-dir <dir>', 'Output directory', './diagrams')
+)
   .option('--analyzer <name>', 'Analyzer plugin to use', 'default')
   .option('--emit-ir', 'Write typed architecture IR artifact', false)
   .option('--incremental', 'Use incremental cache when available', false)
@@ -825,7 +1125,8 @@ program
     const analysisOptions = {
       maxFiles: parseInt(options.maxFiles, 10) || 100,
       patterns: options.patterns,
-      exclude: options.exclude
+      exclude: options.exclude,
+      projectConfig: options.projectConfig
     };
 
     // Analyze at both refs
@@ -857,17 +1158,19 @@ program
     printArchitectureDiff(diff, baseRef, headRef);
   });
 
-program
-  .command('video [path]')
-  .description('Generate an animated video of the diagram')
-  .option('-t, --type <type>', 'Diagram type', 'architecture')
-  .option('-o, --output <file>', 'Output file (.mp4, .webm, .mov)', 'diagram.mp4')
-  .option('-d, --duration <sec>', 'Video duration in seconds', '5')
-  .option('-f, --fps <n>', 'Frames per second', '30')
-  .option('--width <n>', 'Video width', '1280')
-  .option('--height <n>', 'Video height', '720')
-  .option('--theme <theme>', 'Theme: default, dark, forest, neutral, light', 'dark')
-  .option('-m, --max-files <n>', 'Max files to analyze', '100')
+addSourceOptions(
+  program
+    .command('video [path]')
+    .description('Generate an animated video of the diagram')
+    .option('-t, --type <type>', 'Diagram type', 'architecture')
+    .option('-o, --output <file>', 'Output file (.mp4, .webm, .mov)', 'diagram.mp4')
+    .option('-d, --duration <sec>', 'Video duration in seconds', '5')
+    .option('-f, --fps <n>', 'Frames per second', '30')
+    .option('--width <n>', 'Video width', '1280')
+    .option('--height <n>', 'Video height', '720')
+    .option('--theme <theme>', 'Theme: default, dark, forest, neutral, light', 'dark'),
+  { patterns: false }
+)
   .action(async (targetPath, options) => {
     const root = resolveRootPathOrExit(targetPath);
     const safeTheme = normalizeThemeOption(options.theme, 'dark');
@@ -888,7 +1191,7 @@ program
     
     console.log(chalk.blue('🎬 Generating video for'), root);
     
-    const data = await analyze(root, options);
+    const data = await analyze(root, withAnalysisProgress(resolveSourceOrExit(root, options)));
     const mermaid = generate(data, options.type);
     
     const { generateVideo } = getVideoModule();
@@ -902,13 +1205,15 @@ program
     });
   });
 
-program
-  .command('animate [path]')
-  .description('Generate animated SVG with CSS animations')
-  .option('-t, --type <type>', 'Diagram type', 'architecture')
-  .option('-o, --output <file>', 'Output file', 'diagram-animated.svg')
-  .option('--theme <theme>', 'Theme: default, dark, forest, neutral, light', 'dark')
-  .option('-m, --max-files <n>', 'Max files to analyze', '100')
+addSourceOptions(
+  program
+    .command('animate [path]')
+    .description('Generate animated SVG with CSS animations')
+    .option('-t, --type <type>', 'Diagram type', 'architecture')
+    .option('-o, --output <file>', 'Output file', 'diagram-animated.svg')
+    .option('--theme <theme>', 'Theme: default, dark, forest, neutral, light', 'dark'),
+  { patterns: false }
+)
   .action(async (targetPath, options) => {
     const root = resolveRootPathOrExit(targetPath);
     const safeTheme = normalizeThemeOption(options.theme, 'dark');
@@ -929,7 +1234,7 @@ program
     
     console.log(chalk.blue('✨ Generating animated SVG for'), root);
     
-    const data = await analyze(root, options);
+    const data = await analyze(root, withAnalysisProgress(resolveSourceOrExit(root, options)));
     const mermaid = generate(data, options.type);
     
     const { generateAnimatedSVG } = getVideoModule();
@@ -939,15 +1244,14 @@ program
     });
   });
 
-program
-  .command('test [path]')
-  .description('Validate architecture against .architecture.yml rules')
-  .option('-c, --config <file>', 'Config file path', '.architecture.yml')
-  .option('-f, --format <format>', 'Output format: console, json, junit', 'console')
-  .option('-o, --output <file>', 'Output file (for json/junit formats)')
-  .option('-p, --patterns <list>', 'File patterns', '**/*.ts,**/*.tsx,**/*.js,**/*.jsx,**/*.py,**/*.go,**/*.rs')
-  .option('-e, --exclude <list>', 'Exclude patterns', 'node_modules/**,.git/**,dist/**')
-  .option('-m, --max-files <n>', 'Max files to analyze', '100')
+addSourceOptions(
+  program
+    .command('test [path]')
+    .description('Validate architecture against .architecture.yml rules')
+    .option('-c, --config <file>', 'Config file path', '.architecture.yml')
+    .option('-f, --format <format>', 'Output format: console, json, junit', 'console')
+    .option('-o, --output <file>', 'Output file (for json/junit formats)')
+)
   .option('--dry-run', 'Preview file matching without validation', false)
   .option('--verbose', 'Show detailed output', false)
   .option('--init', 'Generate starter configuration file', false)
@@ -1037,7 +1341,7 @@ program
     if (!quietMachineOutput) {
       console.log(chalk.blue('🔍 Analyzing'), root);
     }
-    const data = await analyze(root, options);
+    const data = await analyze(root, withAnalysisProgress(resolveSourceOrExit(root, options)));
     const graph = new ComponentGraph(data);
     
     // Create rules
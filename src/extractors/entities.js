@@ -0,0 +1,682 @@
+const path = require('path');
+const {
+  parseJavaScript,
+  walkAst,
+  getStringValue,
+  identifierName,
+  typeText,
+} = require('./javascript');
+
+/**
+ * Data model extraction: entities with columns and relations from Prisma
+ * schemas, SQL migrations and JavaScript/TypeScript ORM definitions
+ * (TypeORM, Sequelize, Mongoose, Drizzle).
+ *
+ * Entity shape:
+ *   { name, table, source, line,
+ *     columns: [{ name, type, primaryKey, foreignKey, unique }],
+ *     relations: [{ target, kind, field }] }
+ * `kind` is one-to-one, one-to-many, many-to-one or many-to-many as seen
+ * from the declaring entity; `target` is the other entity's model or table
+ * name as written.
+ */
+
+const SCHEMA_PATTERNS = Object.freeze(['**/*.prisma', '**/*.sql']);
+
+const PRISMA_QUERY_METHODS = [
+  'findUnique', 'findUniqueOrThrow', 'findFirst', 'findFirstOrThrow', 'findMany',
+  'create', 'createMany', 'update', 'updateMany', 'upsert', 'delete', 'deleteMany',
+  'count', 'aggregate', 'groupBy',
+];
+
+function createEntity(name, source, line, table) {
+  return { name, table: table || name, source, line, columns: [], relations: [] };
+}
+
+function createColumn(name, type, flags = {}) {
+  return {
+    name,
+    type: type || null,
+    primaryKey: Boolean(flags.primaryKey),
+    foreignKey: Boolean(flags.foreignKey),
+    unique: Boolean(flags.unique),
+  };
+}
+
+function lineAt(content, index) {
+  return content.slice(0, index).split('\n').length;
+}
+
+/**
+ * Split on commas that are not nested in parentheses, brackets or quotes
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '\'' || ch === '"' || ch === '`') {
+      quote = ch;
+    } else if (ch === '(' || ch === '[') {
+      depth += 1;
+    } else if (ch === ')' || ch === ']') {
+      depth -= 1;
+    } else if (ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+// --- Prisma ---------------------------------------------------------------
+
+/**
+ * Extract models from a Prisma schema. Relation fields become relations
+ * (`Post[]` one-to-many, `@relation(fields: ...)` many-to-one, or one-to-one
+ * when the foreign key is unique); scalar fields become columns.
+ * @param {string} content - schema.prisma content
+ * @returns {Array<Object>} Entities
+ */
+function extractPrismaEntities(content) {
+  if (typeof content !== 'string') return [];
+  const text = content.replace(/\/\/.*$/gm, '');
+  const blocks = [...text.matchAll(/\b(model|view)\s+(\w+)\s*\{([^}]*)\}/g)];
+  const modelNames = new Set(blocks.map(block => block[2]));
+  const entities = [];
+
+  for (const block of blocks) {
+    const [, , name, body] = block;
+    const fields = [];
+    let table = null;
+    let compositeId = [];
+    let compositeUnique = [];
+
+    for (const rawLine of body.split('\n')) {
+      const lineText = rawLine.trim();
+      if (lineText.startsWith('@@')) {
+        const map = lineText.match(/^@@map\(\s*(?:name:\s*)?"([^"]+)"/);
+        if (map) table = map[1];
+        const id = lineText.match(/^@@id\(\s*(?:fields:\s*)?\[([^\]]*)\]/);
+        if (id) compositeId = id[1].split(',').map(f => f.trim());
+        const unique = lineText.match(/^@@unique\(\s*(?:fields:\s*)?\[([^\]]*)\]/);
+        if (unique && !unique[1].includes(',')) compositeUnique.push(unique[1].trim());
+        continue;
+      }
+      const field = lineText.match(/^(\w+)\s+(\w+)(\[\])?(\?)?\s*(.*)$/);
+      if (field) {
+        fields.push({ name: field[1], type: field[2], list: Boolean(field[3]), attributes: field[5] });
+      }
+    }
+
+    const foreignKeys = new Set();
+    for (const field of fields) {
+      const relation = field.attributes.match(/@relation\([^)]*fields:\s*\[([^\]]*)\]/);
+      if (relation) relation[1].split(',').forEach(f => foreignKeys.add(f.trim()));
+    }
+    const isUnique = fieldName => compositeUnique.includes(fieldName)
+      || fields.some(f => f.name === fieldName && /@unique\b/.test(f.attributes));
+
+    const entity = createEntity(name, 'prisma', lineAt(text, block.index), table);
+    for (const field of fields) {
+      if (modelNames.has(field.type)) {
+        const relationFields = field.attributes.match(/@relation\([^)]*fields:\s*\[([^\]]*)\]/);
+        let kind = 'one-to-one';
+        if (field.list) kind = 'one-to-many';
+        else if (relationFields) {
+          const keys = relationFields[1].split(',').map(f => f.trim());
+          kind = keys.length === 1 && isUnique(keys[0]) ? 'one-to-one' : 'many-to-one';
+        }
+        entity.relations.push({ target: field.type, kind, field: field.name });
+        continue;
+      }
+      entity.columns.push(createColumn(field.name, `${field.type}${field.list ? '[]' : ''}`, {
+        primaryKey: /@id\b/.test(field.attributes) || compositeId.includes(field.name),
+        foreignKey: foreignKeys.has(field.name),
+        unique: isUnique(field.name),
+      }));
+    }
+    entities.push(entity);
+  }
+
+  return entities;
+}
+
+// --- SQL ------------------------------------------------------------------
+
+const SQL_IDENTIFIER = '(?:[`"\\[]?[\\w$]+[`"\\]]?\\.)?[`"\\[]?[\\w$]+[`"\\]]?';
+
+function maskSqlComments(content) {
+  return content
+    .replace(/--.*$/gm, '')
+    .replace(/\/\*[\s\S]*?\*\//g, match => match.replace(/[^\n]/g, ' '));
+}
+
+function sqlName(identifier) {
+  return identifier.split('.').pop().replace(/[`"[\]]/g, '');
+}
+
+function sqlColumnList(text) {
+  return text.split(',').map(part => sqlName(part.trim().split(/\s+/)[0])).filter(Boolean);
+}
+
+function findClosingParen(text, openIndex) {
+  let depth = 0;
+  let quote = null;
+  for (let i = openIndex; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '\'') {
+      quote = ch;
+    } else if (ch === '(') {
+      depth += 1;
+    } else if (ch === ')') {
+      depth -= 1;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+function addSqlForeignKey(entity, columnName, target, unique) {
+  const column = entity.columns.find(c => c.name === columnName);
+  if (column) column.foreignKey = true;
+  const targetName = sqlName(target);
+  if (entity.relations.some(r => r.field === columnName && r.target === targetName)) return;
+  entity.relations.push({ target: targetName, kind: unique ? 'one-to-one' : 'many-to-one', field: columnName });
+}
+
+/**
+ * Apply one table element (column definition or table constraint) of a
+ * `CREATE TABLE` body or `ALTER TABLE ... ADD` clause
+ */
+function applySqlTableElement(entity, element) {
+  const constraint = element.replace(/^constraint\s+\S+\s+/i, '');
+  const primaryKey = constraint.match(/^primary\s+key\s*\(([^)]*)\)/i);
+  if (primaryKey) {
+    for (const name of sqlColumnList(primaryKey[1])) {
+      const column = entity.columns.find(c => c.name === name);
+      if (column) column.primaryKey = true;
+    }
+    return;
+  }
+  const foreignKey = constraint.match(new RegExp(`^foreign\\s+key\\s*\\(([^)]*)\\)\\s*references\\s+(${SQL_IDENTIFIER})`, 'i'));
+  if (foreignKey) {
+    const columns = sqlColumnList(foreignKey[1]);
+    addSqlForeignKey(entity, columns[0], foreignKey[2], false);
+    return;
+  }
+  const unique = constraint.match(/^unique\s*(?:key|index)?\s*[\w`"]*\s*\(([^)]*)\)/i);
+  if (unique) {
+    const columns = sqlColumnList(unique[1]);
+    const column = columns.length === 1 ? entity.columns.find(c => c.name === columns[0]) : null;
+    if (column) column.unique = true;
+    return;
+  }
+  if (/^(key|index|check|exclude|fulltext|spatial)\b/i.test(constraint)) return;
+
+  const definition = element.match(new RegExp(`^(${SQL_IDENTIFIER})\\s+([A-Za-z_][\\w]*(?:\\s*\\([^)]*\\))?(?:\\[\\])?)(.*)$`, 'is'));
+  if (!definition) return;
+  const [, rawName, type, rest] = definition;
+  const name = sqlName(rawName);
+  const isUnique = /\bunique\b/i.test(rest);
+  entity.columns = entity.columns.filter(c => c.name !== name);
+  entity.columns.push(createColumn(name, type.replace(/\s+/g, ''), {
+    primaryKey: /\bprimary\s+key\b/i.test(rest),
+    unique: isUnique,
+  }));
+  const references = rest.match(new RegExp(`\\breferences\\s+(${SQL_IDENTIFIER})`, 'i'));
+  if (references) addSqlForeignKey(entity, name, references[1], isUnique);
+}
+
+/**
+ * Apply the `CREATE TABLE`, `ALTER TABLE` and `DROP TABLE` statements of a
+ * SQL file, in order, to a table map. Migrations are applied file by file to
+ * the same map.
+ * @param {Map<string, Object>} tables - Lower-cased table name to entity (updated)
+ * @param {string} content - SQL content
+ */
+function applySqlStatements(tables, content) {
+  const text = maskSqlComments(content);
+  const statements = [];
+  const create = new RegExp(`\\bcreate\\s+(?:(?:global\\s+|local\\s+)?(?:temporary|temp)\\s+)?table\\s+(?:if\\s+not\\s+exists\\s+)?(${SQL_IDENTIFIER})\\s*\\(`, 'gi');
+  for (const match of text.matchAll(create)) statements.push({ kind: 'create', match });
+  const alter = new RegExp(`\\balter\\s+table\\s+(?:if\\s+exists\\s+)?(?:only\\s+)?(${SQL_IDENTIFIER})\\s+([^;]*)`, 'gi');
+  for (const match of text.matchAll(alter)) statements.push({ kind: 'alter', match });
+  const drop = new RegExp(`\\bdrop\\s+table\\s+(?:if\\s+exists\\s+)?((?:${SQL_IDENTIFIER}\\s*,\\s*)*${SQL_IDENTIFIER})`, 'gi');
+  for (const match of text.matchAll(drop)) statements.push({ kind: 'drop', match });
+  statements.sort((a, b) => a.match.index - b.match.index);
+
+  for (const { kind, match } of statements) {
+    if (kind === 'drop') {
+      for (const name of match[1].split(',')) tables.delete(sqlName(name.trim()).toLowerCase());
+      continue;
+    }
+    const name = sqlName(match[1]);
+    const key = name.toLowerCase();
+    if (kind === 'create') {
+      const open = match.index + match[0].length - 1;
+      const close = findClosingParen(text, open);
+      if (close === -1) continue;
+      const entity = createEntity(name, 'sql', lineAt(text, match.index));
+      for (const element of splitTopLevel(text.slice(open + 1, close))) {
+        applySqlTableElement(entity, element);
+      }
+      tables.set(key, entity);
+      continue;
+    }
+    if (!tables.has(key)) tables.set(key, createEntity(name, 'sql', lineAt(text, match.index)));
+    const entity = tables.get(key);
+    for (const action of splitTopLevel(match[2])) {
+      const dropColumn = action.match(new RegExp(`^drop\\s+(?:column\\s+)?(?:if\\s+exists\\s+)?(${SQL_IDENTIFIER})`, 'i'));
+      if (dropColumn && !/^drop\s+constraint\b/i.test(action)) {
+        const column = sqlName(dropColumn[1]);
+        entity.columns = entity.columns.filter(c => c.name !== column);
+        entity.relations = entity.relations.filter(r => r.field !== column);
+        continue;
+      }
+      const add = action.match(/^add\s+(?:column\s+)?(?:if\s+not\s+exists\s+)?([\s\S]+)$/i);
+      if (add) applySqlTableElement(entity, add[1].trim());
+    }
+  }
+}
+
+/**
+ * Extract tables from SQL DDL
+ * @param {string} content - SQL content
+ * @returns {Array<Object>} Entities
+ */
+function extractSqlEntities(content) {
+  if (typeof content !== 'string') return [];
+  const tables = new Map();
+  applySqlStatements(tables, content);
+  return [...tables.values()];
+}
+
+/**
+ * Entities of the project's schema files (Prisma schemas and SQL
+ * migrations). SQL files are applied in path order so later migrations
+ * alter or drop earlier tables.
+ * @param {Array<{filePath: string, content: string}>} files - Schema files
+ * @returns {Array<Object>} Entities with their `filePath`
+ */
+function collectSchemaEntities(files) {
+  const entities = [];
+  const tables = new Map();
+  const sqlFiles = new Map();
+  const sorted = [...files].sort((a, b) => a.filePath.localeCompare(b.filePath));
+
+  for (const { filePath, content } of sorted) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (ext === '.prisma') {
+      entities.push(...extractPrismaEntities(content).map(entity => ({ ...entity, filePath })));
+    } else if (ext === '.sql') {
+      const before = new Set(tables.values());
+      applySqlStatements(tables, content);
+      for (const entity of tables.values()) {
+        if (!before.has(entity)) sqlFiles.set(entity, filePath);
+      }
+    }
+  }
+
+  for (const entity of tables.values()) {
+    entities.push({ ...entity, filePath: sqlFiles.get(entity) });
+  }
+  return entities;
+}
+
+// --- JavaScript/TypeScript ORMs -------------------------------------------
+
+const TYPEORM_RELATIONS = {
+  OneToOne: 'one-to-one',
+  OneToMany: 'one-to-many',
+  ManyToOne: 'many-to-one',
+  ManyToMany: 'many-to-many',
+};
+
+const SEQUELIZE_ASSOCIATIONS = {
+  hasOne: 'one-to-one',
+  hasMany: 'one-to-many',
+  belongsTo: 'many-to-one',
+  belongsToMany: 'many-to-many',
+};
+
+function calleeName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression' && !node.computed) return identifierName(node.property);
+  return null;
+}
+
+function decoratorName(decorator) {
+  const expression = decorator.expression;
+  return calleeName(expression.type === 'CallExpression' ? expression.callee : expression);
+}
+
+function decoratorArguments(decorator) {
+  return decorator.expression.type === 'CallExpression' ? decorator.expression.arguments : [];
+}
+
+function objectProperty(node, name) {
+  if (!node || node.type !== 'ObjectExpression') return null;
+  const property = node.properties.find(p => p.type === 'ObjectProperty' && !p.computed && identifierName(p.key) === name);
+  return property ? property.value : null;
+}
+
+function isTrue(node) {
+  return Boolean(node) && node.type === 'BooleanLiteral' && node.value === true;
+}
+
+/**
+ * Name a referenced model: `User`, `models.User`, `() => User`, `'User'`
+ */
+function referenceName(node) {
+  if (!node) return null;
+  if (node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression') {
+    const body = node.body.type === 'BlockStatement'
+      ? (node.body.body.find(s => s.type === 'ReturnStatement') || {}).argument
+      : node.body;
+    return referenceName(body);
+  }
+  if (node.type === 'MemberExpression') return calleeName(node);
+  return node.type === 'Identifier' ? node.name : getStringValue(node);
+}
+
+function typeOrmEntity(content, node, entityDecorator) {
+  const className = node.id ? node.id.name : null;
+  if (!className) return null;
+  const [first] = decoratorArguments(entityDecorator);
+  const table = getStringValue(first) || getStringValue(objectProperty(first, 'name'));
+  const entity = createEntity(className, 'typeorm', node.loc.start.line, table);
+
+  for (const member of node.body.body) {
+    if (member.type !== 'ClassProperty' || !Array.isArray(member.decorators)) continue;
+    const name = identifierName(member.key);
+    if (!name) continue;
+    for (const decorator of member.decorators) {
+      const kind = decoratorName(decorator);
+      const args = decoratorArguments(decorator);
+      if (TYPEORM_RELATIONS[kind]) {
+        const target = referenceName(args[0]);
+        if (target) entity.relations.push({ target, kind: TYPEORM_RELATIONS[kind], field: name });
+      } else if (kind && /Column$/.test(kind)) {
+        const options = args.find(a => a.type === 'ObjectExpression');
+        const type = getStringValue(args[0]) || getStringValue(objectProperty(options, 'type'))
+          || typeText(content, member.typeAnnotation);
+        entity.columns.push(createColumn(name, type, {
+          primaryKey: kind.startsWith('Primary') || kind === 'ObjectIdColumn' || isTrue(objectProperty(options, 'primary')),
+          unique: isTrue(objectProperty(options, 'unique')),
+        }));
+      }
+    }
+  }
+  return entity;
+}
+
+function sequelizeType(node) {
+  if (!node) return null;
+  if (node.type === 'CallExpression') return sequelizeType(node.callee);
+  if (node.type === 'MemberExpression') return calleeName(node);
+  return node.type === 'Identifier' ? node.name : null;
+}
+
+function sequelizeEntity(name, attributes, options, line) {
+  const table = getStringValue(objectProperty(options, 'tableName'));
+  const entity = createEntity(name, 'sequelize', line, table);
+  for (const property of attributes.properties) {
+    if (property.type !== 'ObjectProperty') continue;
+    const columnName = identifierName(property.key);
+    if (!columnName) continue;
+    const value = property.value;
+    const definition = value.type === 'ObjectExpression' ? value : null;
+    const references = objectProperty(definition, 'references');
+    const target = references ? referenceName(objectProperty(references, 'model')) : null;
+    entity.columns.push(createColumn(columnName, sequelizeType(definition ? objectProperty(definition, 'type') : value), {
+      primaryKey: isTrue(objectProperty(definition, 'primaryKey')),
+      foreignKey: Boolean(target),
+      unique: isTrue(objectProperty(definition, 'unique')),
+    }));
+    if (target) entity.relations.push({ target, kind: 'many-to-one', field: columnName });
+  }
+  return entity;
+}
+
+function mongooseFieldType(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression') return calleeName(node);
+  if (node.type === 'ArrayExpression') {
+    const inner = mongooseFieldType(node.elements[0]);
+    return `${inner || 'Mixed'}[]`;
+  }
+  if (node.type === 'ObjectExpression') {
+    const type = objectProperty(node, 'type');
+    return type ? mongooseFieldType(type) : 'Object';
+  }
+  return null;
+}
+
+function mongooseEntity(name, definition, line) {
+  const entity = createEntity(name, 'mongoose', line);
+  entity.columns.push(createColumn('_id', 'ObjectId', { primaryKey: true }));
+  for (const property of definition.properties) {
+    if (property.type !== 'ObjectProperty') continue;
+    const field = identifierName(property.key);
+    if (!field) continue;
+    const value = property.value;
+    const isArray = value.type === 'ArrayExpression';
+    const options = isArray ? value.elements[0] : value;
+    const ref = getStringValue(objectProperty(options, 'ref'));
+    if (ref) {
+      entity.relations.push({ target: ref, kind: isArray ? 'one-to-many' : 'many-to-one', field });
+      if (isArray) continue;
+    }
+    entity.columns.push(createColumn(field, mongooseFieldType(value), {
+      foreignKey: Boolean(ref),
+      unique: isTrue(objectProperty(options, 'unique')),
+    }));
+  }
+  return entity;
+}
+
+/**
+ * Read a Drizzle column builder chain such as
+ * `integer('author_id').notNull().references(() => users.id)`
+ */
+function drizzleColumn(key, node) {
+  const flags = {};
+  let reference = null;
+  let current = node;
+  while (current && current.type === 'CallExpression' && current.callee.type === 'MemberExpression') {
+    const method = identifierName(current.callee.property);
+    if (method === 'primaryKey') flags.primaryKey = true;
+    if (method === 'unique') flags.unique = true;
+    if (method === 'references') {
+      const target = current.arguments[0];
+      const body = target && target.body && target.body.type === 'MemberExpression' ? target.body : null;
+      reference = body && body.object.type === 'Identifier' ? body.object.name : null;
+    }
+    current = current.callee.object;
+  }
+  if (!current || current.type !== 'CallExpression' || current.callee.type !== 'Identifier') return null;
+  flags.foreignKey = Boolean(reference);
+  return {
+    column: createColumn(getStringValue(current.arguments[0]) || key, current.callee.name, flags),
+    reference,
+  };
+}
+
+function drizzleEntity(table, columns, line) {
+  const entity = createEntity(table, 'drizzle', line);
+  const references = [];
+  for (const property of columns.properties) {
+    if (property.type !== 'ObjectProperty') continue;
+    const read = drizzleColumn(identifierName(property.key), property.value);
+    if (!read) continue;
+    entity.columns.push(read.column);
+    if (read.reference) references.push({ variable: read.reference, field: read.column.name });
+  }
+  return { entity, references };
+}
+
+/**
+ * Extract ORM entities from a parsed AST
+ * @param {string} content - File content
+ * @param {Object} ast - Babel File node
+ * @returns {Array<Object>} Entities
+ */
+function collectOrmEntitiesFromAst(content, ast) {
+  const entities = [];
+  const declaredAs = new Map();
+  const byVariable = new Map();
+  const mongooseSchemas = [];
+  const mongooseModels = new Map();
+  const drizzleReferences = [];
+  const associations = [];
+
+  const addAssociation = (owner, call) => {
+    const kind = SEQUELIZE_ASSOCIATIONS[identifierName(call.callee.property)];
+    const target = referenceName(call.arguments[0]);
+    if (owner && kind && target) associations.push({ owner, target, kind });
+  };
+
+  walkAst(ast.program, (node) => {
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init) {
+      declaredAs.set(node.init, node.id.name);
+      return;
+    }
+
+    if ((node.type === 'ClassDeclaration' || node.type === 'ClassExpression') && node.loc) {
+      const entityDecorator = (node.decorators || []).find(d => decoratorName(d) === 'Entity');
+      if (entityDecorator) {
+        const entity = typeOrmEntity(content, node, entityDecorator);
+        if (entity) entities.push(entity);
+      }
+      // `static associate(models) { this.hasMany(models.Post) }`
+      const className = node.id ? node.id.name : null;
+      walkAst(node.body, (inner) => {
+        if (inner.type === 'CallExpression' && inner.callee.type === 'MemberExpression'
+          && inner.callee.object.type === 'ThisExpression') {
+          addAssociation(className, inner);
+        }
+      });
+      return;
+    }
+
+    if (node.type === 'NewExpression' && /Schema$/.test(calleeName(node.callee) || '')
+      && node.arguments[0] && node.arguments[0].type === 'ObjectExpression' && node.loc) {
+      mongooseSchemas.push({ node, variable: declaredAs.get(node) || null });
+      return;
+    }
+
+    if (node.type !== 'CallExpression' || !node.loc) return;
+    const name = calleeName(node.callee);
+    const args = node.arguments;
+    const line = node.loc.start.line;
+
+    if (name === 'define' && getStringValue(args[0]) && args[1] && args[1].type === 'ObjectExpression') {
+      const entity = sequelizeEntity(getStringValue(args[0]), args[1], args[2], line);
+      entities.push(entity);
+      if (declaredAs.has(node)) byVariable.set(declaredAs.get(node), entity);
+    } else if (name === 'init' && node.callee.type === 'MemberExpression' && node.callee.object.type === 'Identifier'
+      && args[0] && args[0].type === 'ObjectExpression' && objectProperty(args[1], 'sequelize')) {
+      const modelName = getStringValue(objectProperty(args[1], 'modelName')) || node.callee.object.name;
+      const entity = sequelizeEntity(modelName, args[0], args[1], line);
+      entities.push(entity);
+      byVariable.set(node.callee.object.name, entity);
+    } else if (name === 'model' && getStringValue(args[0]) && args[1] && args[1].type === 'Identifier') {
+      mongooseModels.set(args[1].name, getStringValue(args[0]));
+    } else if (/^(pg|mysql|sqlite|singlestore)Table$/.test(name || '') && getStringValue(args[0])) {
+      const columns = args[1] && (args[1].type === 'ArrowFunctionExpression' ? args[1].body : args[1]);
+      if (!columns || columns.type !== 'ObjectExpression') return;
+      const { entity, references } = drizzleEntity(getStringValue(args[0]), columns, line);
+      entities.push(entity);
+      if (declaredAs.has(node)) byVariable.set(declaredAs.get(node), entity);
+      drizzleReferences.push({ entity, references });
+    } else if (SEQUELIZE_ASSOCIATIONS[name] && node.callee.type === 'MemberExpression') {
+      const owner = node.callee.object;
+      addAssociation(owner.type === 'Identifier' || owner.type === 'MemberExpression' ? calleeName(owner) : null, node);
+    }
+  });
+
+  for (const { node, variable } of mongooseSchemas) {
+    const modelName = (variable && mongooseModels.get(variable))
+      || (variable ? variable.replace(/Schema$/i, '').replace(/^\w/, c => c.toUpperCase()) : null);
+    if (modelName) entities.push(mongooseEntity(modelName, node.arguments[0], node.loc.start.line));
+  }
+
+  for (const { entity, references } of drizzleReferences) {
+    for (const { variable, field } of references) {
+      const target = byVariable.get(variable);
+      entity.relations.push({ target: target ? target.name : variable, kind: 'many-to-one', field });
+    }
+  }
+
+  for (const { owner, target, kind } of associations) {
+    const entity = byVariable.get(owner) || entities.find(e => e.name === owner);
+    if (!entity) continue;
+    const targetEntity = byVariable.get(target);
+    entity.relations.push({ target: targetEntity ? targetEntity.name : target, kind, field: null });
+  }
+
+  return entities.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Extract ORM entities from JavaScript/TypeScript.
+ * @param {string} content - File content
+ * @param {string} lang - 'javascript' or 'typescript'
+ * @param {string} [filePath] - File path (selects JSX/TS parser plugins)
+ * @returns {Array<Object>} Entities; empty when the source cannot be parsed
+ */
+function extractJavaScriptEntities(content, lang, filePath) {
+  if (typeof content !== 'string') return [];
+  const ast = parseJavaScript(content, lang, filePath);
+  return ast ? collectOrmEntitiesFromAst(content, ast) : [];
+}
+
+// --- Query references -----------------------------------------------------
+
+const STRING_LITERAL = /"""[\s\S]*?"""|'''[\s\S]*?'''|`(?:[^`\\]|\\.)*`|'(?:[^'\\\n]|\\.)*'|"(?:[^"\\\n]|\\.)*"/g;
+
+/**
+ * Names of the tables and models a source file queries: Prisma-style client
+ * calls (`prisma.user.findMany()`) and table names in SQL string literals.
+ * Language independent; ORM model usage is found through imports instead.
+ * @param {string} content - File content
+ * @returns {Array<string>} Referenced names, as written
+ */
+function extractQueryRefs(content) {
+  if (typeof content !== 'string') return [];
+  const refs = new Set();
+
+  const clientCall = new RegExp(`\\b\\w+\\.(\\w+)\\.(?:${PRISMA_QUERY_METHODS.join('|')})\\s*\\(`, 'g');
+  for (const match of content.matchAll(clientCall)) refs.add(match[1]);
+
+  for (const [literal] of content.matchAll(STRING_LITERAL)) {
+    if (!/\b(select|insert|update|delete)\b/i.test(literal)) continue;
+    const tablePattern = new RegExp(`\\b(?:from|join|into|update)\\s+(${SQL_IDENTIFIER})`, 'gi');
+    for (const match of literal.matchAll(tablePattern)) {
+      const name = sqlName(match[1]);
+      if (!/^(select|set|where|values)$/i.test(name)) refs.add(name);
+    }
+  }
+
+  return [...refs].sort();
+}
+
+module.exports = {
+  SCHEMA_PATTERNS,
+  extractPrismaEntities,
+  extractSqlEntities,
+  collectSchemaEntities,
+  extractJavaScriptEntities,
+  extractQueryRefs,
+};
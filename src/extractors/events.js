@@ -0,0 +1,273 @@
+const {
+  parseJavaScript,
+  walkAst,
+  getStringValue,
+  identifierName,
+  collectImportBindings,
+} = require('./javascript');
+
+/**
+ * Event channel extraction for JavaScript and TypeScript.
+ *
+ * Each record names a channel, how it is carried and which side of it the
+ * file is on:
+ *   { channel, transport, role: 'producer'|'consumer', line }
+ * Transports:
+ *   - event    `emitter.emit('x')` / `.on('x')`, NestJS `@OnEvent`, `@EventPattern`
+ *   - bullmq   `new Queue('x')` + `.add()` / `new Worker('x', fn)`, Bull `.process()`
+ *   - sqs      `SendMessageCommand`/`ReceiveMessageCommand`, `sendMessage()`, sqs-consumer
+ *   - kafka    `producer.send({ topic })` / `consumer.subscribe({ topic(s) })`
+ *   - nats     `nc.publish('x')`, `nc.request('x')` / `nc.subscribe('x')` in files importing nats
+ *   - redis    `publish('x')` / `subscribe('x')` in files importing redis or ioredis
+ *   - pubsub   `publish`/`subscribe` with other clients
+ *   - cron     `cron.schedule()`, `scheduleJob()`, `new CronJob()`, NestJS `@Cron`
+ *   - webhook  `stripe.webhooks.constructEvent()`; webhook routes come from the route table
+ * Channel names are string literals, constants of the same file
+ * (`const ORDER_CREATED = 'order.created'`, `EVENTS.ORDER_CREATED`) or, for
+ * imported constants, the constant as written.
+ */
+
+// Lifecycle events of streams, sockets, processes and job queues
+const LIFECYCLE_EVENTS = new Set([
+  'error', 'close', 'end', 'data', 'finish', 'drain', 'readable', 'connect', 'connection',
+  'listening', 'exit', 'message', 'messageerror', 'request', 'response', 'open', 'ready',
+  'timeout', 'abort', 'pipe', 'unpipe', 'newListener', 'removeListener', 'disconnect',
+  'reconnect', 'reconnecting', 'upgrade', 'online', 'warning', 'beforeExit',
+  'uncaughtException', 'unhandledRejection', 'SIGINT', 'SIGTERM', 'SIGHUP',
+  'progress', 'completed', 'failed', 'active', 'stalled', 'waiting', 'drained',
+  'paused', 'resumed', 'cleaned', 'removed', 'subscribe', 'unsubscribe', 'pmessage',
+]);
+
+const LISTENER_METHODS = new Set(['on', 'once', 'addListener', 'prependListener', 'prependOnceListener']);
+
+const QUEUE_CLASSES = new Set(['Queue', 'Bull', 'BeeQueue']);
+
+function calleeName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression' && !node.computed) return identifierName(node.property);
+  return null;
+}
+
+function memberText(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression' && !node.computed) {
+    const object = memberText(node.object);
+    const property = identifierName(node.property);
+    return object && property ? `${object}.${property}` : null;
+  }
+  return null;
+}
+
+function objectProperty(node, name) {
+  if (!node || node.type !== 'ObjectExpression') return null;
+  const property = node.properties.find(p => p.type === 'ObjectProperty' && !p.computed && identifierName(p.key) === name);
+  return property ? property.value : null;
+}
+
+function isFunctionLike(node) {
+  return Boolean(node) && ['FunctionExpression', 'ArrowFunctionExpression', 'Identifier', 'MemberExpression', 'StringLiteral'].includes(node.type);
+}
+
+function isCronExpression(value) {
+  if (typeof value !== 'string') return false;
+  if (/^@(yearly|annually|monthly|weekly|daily|midnight|hourly|every)\b/.test(value)) return true;
+  const fields = value.trim().split(/\s+/);
+  return fields.length >= 5 && fields.length <= 7 && fields.every(f => /^[\d*/,\-?LW#A-Za-z]+$/.test(f));
+}
+
+/**
+ * Top-level string constants: `const A = 'x'` and `const E = { A: 'x' }`
+ * (also wrapped in `Object.freeze`)
+ */
+function collectStringConstants(ast) {
+  const constants = new Map();
+  for (const statement of ast.program.body) {
+    const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+    if (!declaration || declaration.type !== 'VariableDeclaration') continue;
+    for (const declarator of declaration.declarations) {
+      if (declarator.id.type !== 'Identifier' || !declarator.init) continue;
+      let init = declarator.init;
+      if (init.type === 'CallExpression' && memberText(init.callee) === 'Object.freeze') init = init.arguments[0];
+      if (init && init.type === 'TSAsExpression') init = init.expression;
+      const value = getStringValue(init);
+      if (value !== null) constants.set(declarator.id.name, value);
+      if (init && init.type === 'ObjectExpression') {
+        for (const property of init.properties) {
+          const key = property.type === 'ObjectProperty' && !property.computed ? identifierName(property.key) : null;
+          const text = property.type === 'ObjectProperty' ? getStringValue(property.value) : null;
+          if (key && text !== null) constants.set(`${declarator.id.name}.${key}`, text);
+        }
+      }
+    }
+  }
+  return constants;
+}
+
+/**
+ * Read a channel name. Unresolved identifiers are not channels (they are
+ * usually parameters), but `EVENTS.ORDER_CREATED`-style constants and
+ * `process.env.QUEUE_URL` keep their name so both sides still match.
+ */
+function channelOf(node, constants) {
+  if (!node) return null;
+  const literal = getStringValue(node);
+  if (literal !== null) return literal || null;
+  if (node.type === 'TemplateLiteral') {
+    return node.quasis.map(q => q.value.cooked).join('*');
+  }
+  const text = memberText(node);
+  if (!text) return null;
+  if (constants.has(text)) return constants.get(text);
+  if (text.startsWith('process.env.')) return text.slice('process.env.'.length);
+  if (node.type === 'MemberExpression' && /^[A-Z][A-Z0-9_]*$/.test(identifierName(node.property) || '')) return text;
+  return null;
+}
+
+function sqsQueueName(node, constants) {
+  const literal = getStringValue(node);
+  if (literal) return literal.replace(/\/+$/, '').split('/').pop();
+  return channelOf(node, constants);
+}
+
+/**
+ * Extract event channel records from a parsed AST
+ * @param {Object} ast - Babel File node
+ * @returns {Array<{channel: string, transport: string, role: string, line: number}>}
+ */
+function collectEventsFromAst(ast) {
+  const constants = collectStringConstants(ast);
+  const modules = new Set([...collectImportBindings(ast).values()].map(binding => binding.module));
+  const pubSubTransport = modules.has('nats') ? 'nats'
+    : (modules.has('redis') || modules.has('ioredis') ? 'redis' : 'pubsub');
+
+  const records = [];
+  const declaredAs = new Map();
+  const queues = new Map();
+  const usedQueues = new Set();
+  const add = (channel, transport, role, line) => {
+    if (channel) records.push({ channel, transport, role, line });
+  };
+
+  walkAst(ast.program, (node) => {
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init) {
+      declaredAs.set(node.init, node.id.name);
+      return;
+    }
+
+    if (node.type === 'Decorator' && node.expression.type === 'CallExpression' && node.loc) {
+      const name = calleeName(node.expression.callee);
+      const channel = channelOf(node.expression.arguments[0], constants);
+      const line = node.loc.start.line;
+      if (name === 'Cron' && channel) add(channel, 'cron', 'consumer', line);
+      else if (name === 'OnEvent' || name === 'EventPattern' || name === 'MessagePattern') add(channel, 'event', 'consumer', line);
+      else if (name === 'Processor') add(channel, 'bullmq', 'consumer', line);
+      return;
+    }
+
+    if (node.type === 'NewExpression' && node.loc) {
+      const name = calleeName(node.callee);
+      const args = node.arguments;
+      const line = node.loc.start.line;
+      if (QUEUE_CLASSES.has(name)) {
+        const channel = channelOf(args[0], constants);
+        if (channel) queues.set(declaredAs.get(node) || node, { channel, line });
+      } else if (name === 'Worker' && args.length >= 2 && isFunctionLike(args[1])) {
+        add(channelOf(args[0], constants), 'bullmq', 'consumer', line);
+      } else if (name === 'SendMessageCommand' || name === 'SendMessageBatchCommand') {
+        add(sqsQueueName(objectProperty(args[0], 'QueueUrl'), constants), 'sqs', 'producer', line);
+      } else if (name === 'ReceiveMessageCommand') {
+        add(sqsQueueName(objectProperty(args[0], 'QueueUrl'), constants), 'sqs', 'consumer', line);
+      } else if (name === 'CronJob') {
+        const expression = getStringValue(args[0]);
+        if (isCronExpression(expression)) add(expression, 'cron', 'consumer', line);
+      }
+      return;
+    }
+
+    if (node.type !== 'CallExpression' || !node.loc) return;
+    const { callee } = node;
+    if (callee.type !== 'MemberExpression' || callee.computed) return;
+    const name = identifierName(callee.property);
+    const args = node.arguments;
+    const line = node.loc.start.line;
+    const receiver = callee.object.type === 'Identifier' ? callee.object.name : null;
+
+    if (name === 'emit') {
+      const channel = channelOf(args[0], constants);
+      if (channel && !LIFECYCLE_EVENTS.has(channel) && receiver !== 'process') add(channel, 'event', 'producer', line);
+    } else if (LISTENER_METHODS.has(name) && args.length >= 2) {
+      const channel = channelOf(args[0], constants);
+      if (channel && !LIFECYCLE_EVENTS.has(channel) && receiver !== 'process') add(channel, 'event', 'consumer', line);
+    } else if ((name === 'add' || name === 'addBulk') && receiver && queues.has(receiver)) {
+      add(queues.get(receiver).channel, 'bullmq', 'producer', line);
+      usedQueues.add(receiver);
+    } else if (name === 'process' && receiver && queues.has(receiver)) {
+      add(queues.get(receiver).channel, 'bullmq', 'consumer', line);
+      usedQueues.add(receiver);
+    } else if (name === 'send' && objectProperty(args[0], 'topic') && objectProperty(args[0], 'messages')) {
+      add(channelOf(objectProperty(args[0], 'topic'), constants), 'kafka', 'producer', line);
+    } else if (name === 'subscribe' && args[0] && args[0].type === 'ObjectExpression') {
+      const topic = objectProperty(args[0], 'topic');
+      const topics = objectProperty(args[0], 'topics');
+      const nodes = topic ? [topic] : (topics && topics.type === 'ArrayExpression' ? topics.elements : []);
+      for (const element of nodes) {
+        const channel = element && element.type === 'RegExpLiteral' ? element.pattern : channelOf(element, constants);
+        add(channel, 'kafka', 'consumer', line);
+      }
+    } else if (name === 'publish' || (name === 'request' && pubSubTransport === 'nats')) {
+      add(channelOf(args[0], constants), pubSubTransport, 'producer', line);
+    } else if (name === 'subscribe' || name === 'psubscribe') {
+      for (const arg of args) {
+        const channel = channelOf(arg, constants);
+        if (!channel) break;
+        add(channel, pubSubTransport, 'consumer', line);
+      }
+    } else if (name === 'sendMessage' || name === 'sendMessageBatch') {
+      add(sqsQueueName(objectProperty(args[0], 'QueueUrl'), constants), 'sqs', 'producer', line);
+    } else if (name === 'receiveMessage') {
+      add(sqsQueueName(objectProperty(args[0], 'QueueUrl'), constants), 'sqs', 'consumer', line);
+    } else if (name === 'create' && receiver === 'Consumer' && objectProperty(args[0], 'queueUrl')) {
+      add(sqsQueueName(objectProperty(args[0], 'queueUrl'), constants), 'sqs', 'consumer', line);
+    } else if ((name === 'schedule' || name === 'scheduleJob') && isCronExpression(getStringValue(args[0]))) {
+      add(getStringValue(args[0]), 'cron', 'consumer', line);
+    } else if (name === 'constructEvent' && callee.object.type === 'MemberExpression'
+      && identifierName(callee.object.property) === 'webhooks') {
+      add(memberText(callee.object.object), 'webhook', 'consumer', line);
+    }
+  });
+
+  // A queue nobody adds to or processes in this file is declared for producers
+  for (const [variable, queue] of queues) {
+    if (usedQueues.has(variable)) continue;
+    add(queue.channel, 'bullmq', 'producer', queue.line);
+  }
+
+  const seen = new Set();
+  return records
+    .sort((a, b) => a.line - b.line)
+    .filter((record) => {
+      const key = `${record.transport}|${record.channel}|${record.role}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Extract event channel records from JavaScript/TypeScript.
+ * @param {string} content - File content
+ * @param {string} lang - 'javascript' or 'typescript'
+ * @param {string} [filePath] - File path (selects JSX/TS parser plugins)
+ * @returns {Array<Object>} Records; empty when the source cannot be parsed
+ */
+function extractJavaScriptEvents(content, lang, filePath) {
+  if (typeof content !== 'string') return [];
+  const ast = parseJavaScript(content, lang, filePath);
+  return ast ? collectEventsFromAst(ast) : [];
+}
+
+module.exports = {
+  extractJavaScriptEvents,
+};
@@ -0,0 +1,106 @@
+/**
+ * Go import extraction.
+ *
+ * Comments are masked first, then every import spec is read from single
+ * `import "x"` declarations and grouped `import ( ... )` blocks, including
+ * named (`alias "x"`), blank (`_ "x"`) and dot (`. "x"`) imports. Scanning
+ * stops at the first top-level declaration since imports must precede them.
+ */
+
+const SPEC_PATTERN = /(?:([A-Za-z_]\w*|\.)\s+)?(?:"((?:[^"\\\n]|\\.)*)"|`([^`]*)`)/g;
+
+/**
+ * Replace comments with spaces, leaving string literals and newlines intact
+ * @param {string} content - Go source
+ * @returns {string}
+ */
+function maskComments(content) {
+  const out = content.split('');
+  let i = 0;
+
+  while (i < content.length) {
+    const char = content[i];
+    const next = content[i + 1];
+
+    if (char === '"' || char === '`' || char === "'") {
+      let j = i + 1;
+      while (j < content.length && content[j] !== char) {
+        if (char !== '`' && content[j] === '\\') j++;
+        else if (char !== '`' && content[j] === '\n') break;
+        j++;
+      }
+      i = j + 1;
+    } else if (char === '/' && next === '/') {
+      while (i < content.length && content[i] !== '\n') out[i++] = ' ';
+    } else if (char === '/' && next === '*') {
+      const end = content.indexOf('*/', i + 2);
+      const stop = end === -1 ? content.length : end + 2;
+      for (; i < stop; i++) {
+        if (out[i] !== '\n') out[i] = ' ';
+      }
+    } else {
+      i++;
+    }
+  }
+
+  return out.join('');
+}
+
+function positionAt(text, offset) {
+  const before = text.slice(0, offset);
+  const line = before.split('\n').length;
+  return { line, column: offset - before.lastIndexOf('\n') };
+}
+
+/**
+ * Read the `package` clause name
+ * @param {string} content - Go source
+ * @returns {string|null}
+ */
+function readGoPackageName(content) {
+  if (typeof content !== 'string') return null;
+  const match = maskComments(content).match(/^\s*package\s+([A-Za-z_]\w*)/m);
+  return match ? match[1] : null;
+}
+
+/**
+ * Extract Go imports with positions
+ * @param {string} content - Go source
+ * @returns {Array<{path: string, line: number, column: number, kind: string}>}
+ */
+function extractGoImports(content) {
+  if (typeof content !== 'string') return [];
+
+  const masked = maskComments(content);
+  const firstDecl = masked.search(/^(?:func|type|var|const)\b/m);
+  const header = firstDecl === -1 ? masked : masked.slice(0, firstDecl);
+
+  const imports = [];
+  const declPattern = /(^|[\s;])import\s*(\(|(?=[A-Za-z_."`]))/g;
+  // Declarations found inside an already-read import body are skipped
+  let scanned = 0;
+  for (const decl of header.matchAll(declPattern)) {
+    if (decl.index < scanned) continue;
+    const bodyStart = decl.index + decl[0].length;
+    const grouped = decl[2] === '(';
+    const bodyEnd = grouped ? header.indexOf(')', bodyStart) : header.indexOf('\n', bodyStart);
+    const body = header.slice(bodyStart, bodyEnd === -1 ? header.length : bodyEnd);
+
+    for (const spec of body.matchAll(SPEC_PATTERN)) {
+      const importPath = spec[2] !== undefined ? spec[2] : spec[3];
+      if (importPath) {
+        imports.push({ path: importPath, ...positionAt(header, bodyStart + spec.index), kind: 'static' });
+      }
+      if (!grouped) break;
+    }
+    scanned = Math.max(bodyStart, bodyEnd === -1 ? header.length : bodyEnd);
+  }
+
+  return imports;
+}
+
+module.exports = {
+  maskComments,
+  readGoPackageName,
+  extractGoImports,
+};
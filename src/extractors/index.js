@@ -0,0 +1,178 @@
+const {
+  MODULE_SCOPE,
+  extractJavaScriptImports,
+  extractJavaScriptSymbols,
+  extractJavaScriptFunctions,
+} = require('./javascript');
+const { extractPythonImports, extractPythonSymbols } = require('./python');
+const { extractGoImports } = require('./go');
+const { extractRustImports } = require('./rust');
+const { extractJavaImports, extractJavaSymbols } = require('./java');
+const { extractRubyImports } = require('./ruby');
+const { extractPhpImports } = require('./php');
+const { extractJavaScriptRoutes } = require('./routes');
+const { extractJavaScriptEntities } = require('./entities');
+const { extractJavaScriptEvents } = require('./events');
+
+/**
+ * Import extractors by language. Each takes `(content, lang, filePath)` and
+ * returns import records, or null when the source could not be parsed.
+ */
+const EXTRACTORS = {
+  javascript: extractJavaScriptImports,
+  typescript: extractJavaScriptImports,
+  python: (content) => extractPythonImports(content),
+  go: (content) => extractGoImports(content),
+  rust: (content) => extractRustImports(content),
+  java: (content) => extractJavaImports(content),
+  ruby: (content) => extractRubyImports(content),
+  php: (content) => extractPhpImports(content),
+};
+
+/**
+ * Extract import records with the extractor for a language
+ * @param {string} content - File content
+ * @param {string} lang - Language from detectLanguage()
+ * @param {string} [filePath] - File path (selects JSX/TS parsing for JS sources)
+ * @returns {Array<Object>|null} Null when there is no extractor or parsing failed
+ */
+function extractImportRecords(content, lang, filePath) {
+  const extractor = EXTRACTORS[lang];
+  return extractor ? extractor(content, lang, filePath) : null;
+}
+
+/**
+ * Symbol extractors by language. Each returns the file's exported types:
+ *   { name, kind: 'class'|'interface'|'enum', line, extends: [], implements: [],
+ *     members: [{ name, kind: 'field'|'method', visibility, static, type, parameters? }],
+ *     abstract? }
+ * `abstract` is true for abstract classes (TypeScript/Java `abstract`, Python ABCs).
+ * `visibility` is public, protected, private or package; `type` is the field
+ * type or method return type as written, or null.
+ */
+const SYMBOL_EXTRACTORS = {
+  javascript: extractJavaScriptSymbols,
+  typescript: extractJavaScriptSymbols,
+  python: (content) => extractPythonSymbols(content),
+  java: (content) => extractJavaSymbols(content),
+};
+
+/**
+ * Extract exported type symbols with the extractor for a language
+ * @param {string} content - File content
+ * @param {string} lang - Language from detectLanguage()
+ * @param {string} [filePath] - File path
+ * @returns {Array<Object>} Empty when the language has no symbol extractor
+ */
+function extractSymbols(content, lang, filePath) {
+  const extractor = SYMBOL_EXTRACTORS[lang];
+  return extractor && typeof content === 'string' ? extractor(content, lang, filePath) : [];
+}
+
+/**
+ * Call-site extractors by language. Each returns the file's functions in
+ * declaration order:
+ *   { name, line, async, default?, calls: [{ name, module, line, awaited }] }
+ * `module` is the import specifier a call goes through, or null for a
+ * function of the same file; `<module>` collects top-level calls.
+ */
+const FUNCTION_EXTRACTORS = {
+  javascript: extractJavaScriptFunctions,
+  typescript: extractJavaScriptFunctions,
+};
+
+/**
+ * Extract functions and their call sites with the extractor for a language
+ * @param {string} content - File content
+ * @param {string} lang - Language from detectLanguage()
+ * @param {string} [filePath] - File path
+ * @returns {Array<Object>} Empty when the language has no call-site extractor
+ */
+function extractFunctions(content, lang, filePath) {
+  const extractor = FUNCTION_EXTRACTORS[lang];
+  return extractor && typeof content === 'string' ? extractor(content, lang, filePath) : [];
+}
+
+/**
+ * HTTP route extractors by language. Each returns `{ routes, mounts }`:
+ *   routes  { method, path, line, router, handler, module }
+ *   mounts  { router, prefix, line, target, module }
+ * Paths are as declared in the file; mount prefixes are applied once the
+ * whole project is known.
+ */
+const ROUTE_EXTRACTORS = {
+  javascript: extractJavaScriptRoutes,
+  typescript: extractJavaScriptRoutes,
+};
+
+/**
+ * Extract HTTP routes and router mounts with the extractor for a language
+ * @param {string} content - File content
+ * @param {string} lang - Language from detectLanguage()
+ * @param {string} [filePath] - Project-relative file path
+ * @returns {{routes: Array<Object>, mounts: Array<Object>}} Empty when the language has no route extractor
+ */
+function extractRoutes(content, lang, filePath) {
+  const extractor = ROUTE_EXTRACTORS[lang];
+  return extractor && typeof content === 'string' ? extractor(content, lang, filePath) : { routes: [], mounts: [] };
+}
+
+/**
+ * ORM entity extractors by language. Each returns the entities a source
+ * file defines (see ./entities for the shape); Prisma schemas and SQL
+ * migrations are read separately with collectSchemaEntities().
+ */
+const ENTITY_EXTRACTORS = {
+  javascript: extractJavaScriptEntities,
+  typescript: extractJavaScriptEntities,
+};
+
+/**
+ * Extract ORM entities with the extractor for a language
+ * @param {string} content - File content
+ * @param {string} lang - Language from detectLanguage()
+ * @param {string} [filePath] - File path
+ * @returns {Array<Object>} Empty when the language has no entity extractor
+ */
+function extractEntities(content, lang, filePath) {
+  const extractor = ENTITY_EXTRACTORS[lang];
+  return extractor && typeof content === 'string' ? extractor(content, lang, filePath) : [];
+}
+
+/**
+ * Event channel extractors by language. Each returns the channels a source
+ * file produces to or consumes from (see ./events for the record shape);
+ * producers and consumers are matched across files by channel name.
+ */
+const EVENT_EXTRACTORS = {
+  javascript: extractJavaScriptEvents,
+  typescript: extractJavaScriptEvents,
+};
+
+/**
+ * Extract event channel records with the extractor for a language
+ * @param {string} content - File content
+ * @param {string} lang - Language from detectLanguage()
+ * @param {string} [filePath] - File path
+ * @returns {Array<Object>} Empty when the language has no event extractor
+ */
+function extractEvents(content, lang, filePath) {
+  const extractor = EVENT_EXTRACTORS[lang];
+  return extractor && typeof content === 'string' ? extractor(content, lang, filePath) : [];
+}
+
+module.exports = {
+  MODULE_SCOPE,
+  EXTRACTORS,
+  SYMBOL_EXTRACTORS,
+  FUNCTION_EXTRACTORS,
+  ROUTE_EXTRACTORS,
+  ENTITY_EXTRACTORS,
+  EVENT_EXTRACTORS,
+  extractImportRecords,
+  extractSymbols,
+  extractFunctions,
+  extractRoutes,
+  extractEntities,
+  extractEvents,
+};
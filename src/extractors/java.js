@@ -0,0 +1,344 @@
+/**
+ * Java import and symbol extraction.
+ *
+ * Comments and string/char literals are masked, then `package` and `import`
+ * declarations are read. Records use the dotted name as `path`:
+ *   - static `import com.acme.billing.Invoice;`
+ *   - static `import com.acme.billing.*;` (path keeps the trailing `.*`)
+ *   - static `import static com.acme.util.Strings.trim;` → `com.acme.util.Strings`
+ *     (member imports point at their declaring type)
+ */
+
+/**
+ * Replace comments and string/char/text-block literals with spaces
+ * @param {string} content - Java source
+ * @returns {string}
+ */
+function maskCommentsAndStrings(content) {
+  const out = content.split('');
+  const blank = (from, to) => {
+    for (let k = from; k < to && k < content.length; k++) {
+      if (out[k] !== '\n') out[k] = ' ';
+    }
+  };
+  let i = 0;
+
+  while (i < content.length) {
+    const char = content[i];
+    const next = content[i + 1];
+
+    if (char === '/' && next === '/') {
+      const end = content.indexOf('\n', i);
+      const stop = end === -1 ? content.length : end;
+      blank(i, stop);
+      i = stop;
+    } else if (char === '/' && next === '*') {
+      const end = content.indexOf('*/', i + 2);
+      const stop = end === -1 ? content.length : end + 2;
+      blank(i, stop);
+      i = stop;
+    } else if (content.startsWith('"""', i)) {
+      const end = content.indexOf('"""', i + 3);
+      const stop = end === -1 ? content.length : end + 3;
+      blank(i, stop);
+      i = stop;
+    } else if (char === '"' || char === "'") {
+      let j = i + 1;
+      while (j < content.length && content[j] !== char && content[j] !== '\n') {
+        if (content[j] === '\\') j++;
+        j++;
+      }
+      blank(i, j + 1);
+      i = j + 1;
+    } else {
+      i++;
+    }
+  }
+
+  return out.join('');
+}
+
+function positionAt(text, offset) {
+  const before = text.slice(0, offset);
+  return { line: before.split('\n').length, column: offset - before.lastIndexOf('\n') };
+}
+
+/**
+ * Read the `package` declaration
+ * @param {string} content - Java source
+ * @returns {string|null}
+ */
+function readJavaPackage(content) {
+  if (typeof content !== 'string') return null;
+  const match = maskCommentsAndStrings(content).match(/(?:^|[;\s])package\s+([\w.]+)\s*;/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Extract Java imports with positions
+ * @param {string} content - Java source
+ * @returns {Array<{path: string, line: number, column: number, kind: string}>}
+ */
+function extractJavaImports(content) {
+  if (typeof content !== 'string') return [];
+
+  const masked = maskCommentsAndStrings(content);
+  const imports = [];
+  const pattern = /(^|[;\s])import\s+(static\s+)?([\w.]+(?:\s*\.\s*\*)?)\s*;/g;
+
+  for (const match of masked.matchAll(pattern)) {
+    let importPath = match[3].replace(/\s+/g, '');
+    if (match[2]) {
+      // `import static a.B.member;` / `import static a.B.*;` → type `a.B`
+      importPath = importPath.replace(/\.[^.]+$/, '');
+    }
+    imports.push({ path: importPath, ...positionAt(masked, match.index + match[1].length), kind: 'static' });
+  }
+
+  return imports;
+}
+
+const MODIFIERS = new Set([
+  'public', 'protected', 'private', 'static', 'final', 'abstract', 'transient',
+  'volatile', 'synchronized', 'native', 'strictfp', 'default', 'sealed', 'non-sealed',
+]);
+
+/**
+ * Index of the bracket closing the one at `openIndex`
+ * @param {string} text - Masked source
+ * @param {number} openIndex - Index of `{`, `(` or `<`
+ * @returns {number} Closing index, or text.length when unbalanced
+ */
+function findClosing(text, openIndex) {
+  const open = text[openIndex];
+  const close = { '{': '}', '(': ')', '<': '>' }[open];
+  let depth = 0;
+  for (let i = openIndex; i < text.length; i++) {
+    if (text[i] === open) depth++;
+    else if (text[i] === close && --depth === 0) return i;
+  }
+  return text.length;
+}
+
+function stripGenerics(text) {
+  let result = text;
+  while (/<[^<>]*>/.test(result)) result = result.replace(/<[^<>]*>/g, '');
+  return result;
+}
+
+/**
+ * Split on commas outside (), <> and {}
+ * @param {string} text - Declarator, parameter or type list
+ * @returns {Array<string>}
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if ('(<{['.includes(char)) depth++;
+    else if (')>}]'.includes(char)) depth--;
+    else if (char === ',' && depth === 0) {
+      parts.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start).trim());
+  return parts.filter(Boolean);
+}
+
+/**
+ * Split leading modifiers from a declaration
+ * @param {string} text - Declaration text without annotations
+ * @returns {{modifiers: Set<string>, rest: string}}
+ */
+function readModifiers(text) {
+  const tokens = text.trim().split(/\s+/);
+  const modifiers = new Set();
+  while (tokens.length > 0 && MODIFIERS.has(tokens[0])) modifiers.add(tokens.shift());
+  return { modifiers, rest: tokens.join(' ') };
+}
+
+function visibilityFrom(modifiers, fallback) {
+  return ['public', 'protected', 'private'].find(v => modifiers.has(v)) || fallback;
+}
+
+function typeNames(list) {
+  return splitTopLevel(stripGenerics(list || '')).map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a member declaration ending in `;` or followed by a method body
+ * @param {string} declaration - Member text up to `;` or `{`
+ * @param {string} className - Enclosing type name (identifies constructors)
+ * @param {string} defaultVisibility - `public` in interfaces, else `package`
+ * @returns {Array<Object>} Zero or more members
+ */
+function parseMember(declaration, className, defaultVisibility) {
+  const text = declaration.replace(/\s+/g, ' ').trim();
+  if (!text || /\b(?:class|interface|enum|record)\b/.test(text)) return [];
+
+  const paren = text.indexOf('(');
+  const equals = text.indexOf('=');
+  if (paren !== -1 && (equals === -1 || paren < equals)) {
+    const { modifiers, rest } = readModifiers(text.slice(0, paren));
+    const head = rest.replace(/^<[^>]*(?:<[^>]*>[^>]*)*>\s*/, '').trim();
+    const nameMatch = head.match(/([A-Za-z_$][\w$]*)$/);
+    if (!nameMatch) return [];
+    const name = nameMatch[1];
+    const returnType = head.slice(0, nameMatch.index).trim() || null;
+    if (!returnType && name !== className) return [];
+    const params = text.slice(paren + 1, findClosing(text, paren));
+    return [{
+      name,
+      kind: 'method',
+      visibility: visibilityFrom(modifiers, defaultVisibility),
+      static: modifiers.has('static'),
+      type: returnType,
+      parameters: splitTopLevel(params)
+        .map(param => (param.match(/([A-Za-z_$][\w$]*)\s*$/) || [])[1])
+        .filter(Boolean),
+    }];
+  }
+
+  const { modifiers, rest } = readModifiers(text);
+  const declarators = splitTopLevel(rest).map(part => part.split('=')[0].trim());
+  if (declarators.length === 0) return [];
+  const first = declarators[0].match(/^(.+?)\s+([A-Za-z_$][\w$]*)(\s*\[\])*$/);
+  if (!first) return [];
+  const type = first[1].trim();
+  const isInterfaceConstant = defaultVisibility === 'public';
+  return [first[2], ...declarators.slice(1).map(d => (d.match(/^([A-Za-z_$][\w$]*)/) || [])[1])]
+    .filter(Boolean)
+    .map(name => ({
+      name,
+      kind: 'field',
+      visibility: visibilityFrom(modifiers, defaultVisibility),
+      static: modifiers.has('static') || isInterfaceConstant,
+      type,
+    }));
+}
+
+/**
+ * Collect the members declared directly in a type body
+ * @param {string} body - Masked text between the type's braces
+ * @param {Object} symbol - Symbol being filled (name and kind are read)
+ */
+function collectJavaMembers(body, symbol) {
+  const defaultVisibility = symbol.kind === 'interface' ? 'public' : 'package';
+  let start = 0;
+  let i = 0;
+
+  if (symbol.kind === 'enum') {
+    // Constants come first, up to the first top-level `;`
+    let end = i;
+    while (end < body.length && body[end] !== ';') {
+      end = '({'.includes(body[end]) ? findClosing(body, end) + 1 : end + 1;
+    }
+    for (const constant of splitTopLevel(body.slice(0, end))) {
+      const name = (constant.match(/^([A-Za-z_$][\w$]*)/) || [])[1];
+      if (name) symbol.members.push({ name, kind: 'field', visibility: 'public', static: true, type: null });
+    }
+    start = end + 1;
+    i = start;
+  }
+
+  while (i < body.length) {
+    const char = body[i];
+    if (char === '(') {
+      i = findClosing(body, i) + 1;
+    } else if (char === '{') {
+      const declaration = body.slice(start, i);
+      const close = findClosing(body, i);
+      if (declaration.includes('=')) {
+        // Initializer expression (anonymous class, array literal): keep reading
+        i = close + 1;
+        continue;
+      }
+      symbol.members.push(...parseMember(declaration, symbol.name, defaultVisibility));
+      i = close + 1;
+      start = i;
+    } else if (char === ';') {
+      symbol.members.push(...parseMember(body.slice(start, i), symbol.name, defaultVisibility));
+      i++;
+      start = i;
+    } else {
+      i++;
+    }
+  }
+}
+
+/**
+ * Extract public top-level classes, interfaces, enums and records with their
+ * members, visibility and `extends`/`implements` lists. Members without a
+ * modifier are package-private (`package`), except in interfaces.
+ * @param {string} content - Java source
+ * @returns {Array<Object>}
+ */
+function extractJavaSymbols(content) {
+  if (typeof content !== 'string') return [];
+
+  // Annotations (with their arguments) are blanked so they read as whitespace
+  const masked = maskCommentsAndStrings(content).replace(
+    /@(?!interface\b)[\w.]+(?:\s*\((?:[^()]|\([^()]*\))*\))?/g,
+    match => match.replace(/[^\n]/g, ' ')
+  );
+  const symbols = [];
+  const pattern = /((?:\b[\w-]+\s+)*?)\b(class|interface|enum|record)\s+([A-Za-z_$][\w$]*)/g;
+  let depth = 0;
+  let scanned = 0;
+
+  for (const match of masked.matchAll(pattern)) {
+    // Nested types were already read with their enclosing body
+    if (match.index < scanned) continue;
+    for (; scanned < match.index; scanned++) {
+      if (masked[scanned] === '{') depth++;
+      else if (masked[scanned] === '}') depth--;
+    }
+    if (depth !== 0) continue;
+
+    const { modifiers } = readModifiers(match[1]);
+    const bodyStart = masked.indexOf('{', match.index + match[0].length);
+    if (bodyStart === -1) break;
+    const bodyEnd = findClosing(masked, bodyStart);
+    let header = masked.slice(match.index + match[0].length, bodyStart).trim();
+    scanned = bodyEnd + 1;
+    if (!modifiers.has('public')) continue;
+
+    const symbol = {
+      name: match[3],
+      kind: match[2] === 'interface' ? 'interface' : match[2] === 'enum' ? 'enum' : 'class',
+      line: positionAt(masked, match.index + match[1].length).line,
+      extends: [],
+      implements: [],
+      members: [],
+      ...(match[2] === 'class' && modifiers.has('abstract') ? { abstract: true } : {}),
+    };
+
+    if (header.startsWith('<')) header = header.slice(findClosing(header, 0) + 1).trim();
+    if (match[2] === 'record' && header.startsWith('(')) {
+      const components = header.slice(1, findClosing(header, 0));
+      header = header.slice(findClosing(header, 0) + 1);
+      for (const component of splitTopLevel(components)) {
+        const parts = component.match(/^(.+?)\s+([A-Za-z_$][\w$]*)$/);
+        if (parts) symbol.members.push({ name: parts[2], kind: 'field', visibility: 'private', static: false, type: parts[1].trim() });
+      }
+    }
+    const extendsMatch = header.match(/\bextends\s+(.+?)(?=\bimplements\b|\bpermits\b|$)/);
+    const implementsMatch = header.match(/\bimplements\s+(.+?)(?=\bpermits\b|$)/);
+    if (extendsMatch) symbol.extends = typeNames(extendsMatch[1]);
+    if (implementsMatch) symbol.implements = typeNames(implementsMatch[1]);
+
+    collectJavaMembers(masked.slice(bodyStart + 1, bodyEnd), symbol);
+    symbols.push(symbol);
+  }
+
+  return symbols;
+}
+
+module.exports = {
+  readJavaPackage,
+  extractJavaImports,
+  extractJavaSymbols,
+};
@@ -0,0 +1,688 @@
+const path = require('path');
+const { parse } = require('@babel/parser');
+
+/**
+ * Parser-backed import extraction for JavaScript and TypeScript.
+ *
+ * Every record carries the import specifier, 1-based line/column of the
+ * statement or call that introduces it, and its kind:
+ *   - static   `import x from 'y'`, `import 'y'`, `import x = require('y')`
+ *   - require  `require('y')`
+ *   - dynamic  `import('y')`
+ *   - type     `import type { X } from 'y'`, `import { type X } from 'y'`, `import('y').X` in types
+ *   - reexport `export * from 'y'`, `export { x } from 'y'`
+ */
+
+const BASE_PARSER_OPTIONS = Object.freeze({
+  sourceType: 'module',
+  allowImportExportEverywhere: true,
+  allowAwaitOutsideFunction: true,
+  allowReturnOutsideFunction: true,
+  allowUndeclaredExports: true,
+  allowSuperOutsideMethod: true,
+  errorRecovery: true,
+});
+
+const SKIPPED_KEYS = new Set(['loc', 'start', 'end', 'extra', 'comments', 'leadingComments', 'trailingComments', 'innerComments']);
+
+/**
+ * Build the ordered list of parser plugin sets to try for a file.
+ * `.ts` files cannot enable JSX (it conflicts with `<T>value` casts), so
+ * ambiguous inputs are retried with the alternate set.
+ * @param {string} lang - Language id from detectLanguage()
+ * @param {string} [filePath] - File path used to pick JSX support
+ * @returns {Array<Array<string>>}
+ */
+function getPluginCandidates(lang, filePath) {
+  const ext = typeof filePath === 'string' ? path.extname(filePath).toLowerCase() : '';
+  const common = ['decorators-legacy', 'importAttributes'];
+
+  if (lang === 'typescript') {
+    if (ext === '.tsx') return [['typescript', 'jsx', ...common]];
+    if (ext) return [['typescript', ...common]];
+    return [['typescript', ...common], ['typescript', 'jsx', ...common]];
+  }
+  return [['jsx', ...common], ['flow', 'jsx', ...common]];
+}
+
+// Import and symbol extraction parse the same file back to back
+let lastParse = null;
+
+/**
+ * Parse source into a Babel AST, or return null when no plugin set works.
+ * The most recent result is reused for identical input.
+ * @param {string} content - File content
+ * @param {string} lang - Language id
+ * @param {string} [filePath] - File path
+ * @returns {Object|null}
+ */
+function parseJavaScript(content, lang, filePath) {
+  if (lastParse && lastParse.content === content && lastParse.lang === lang && lastParse.filePath === filePath) {
+    return lastParse.ast;
+  }
+  let ast = null;
+  for (const plugins of getPluginCandidates(lang, filePath)) {
+    try {
+      ast = parse(content, { ...BASE_PARSER_OPTIONS, plugins });
+      break;
+    } catch {
+      // Try the next plugin set
+    }
+  }
+  lastParse = { content, lang, filePath, ast };
+  return ast;
+}
+
+function getStringValue(node) {
+  if (!node) return null;
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0 && node.quasis.length === 1) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+function isTypeOnlyImport(node) {
+  if (node.importKind === 'type' || node.importKind === 'typeof') return true;
+  const specifiers = Array.isArray(node.specifiers) ? node.specifiers : [];
+  return specifiers.length > 0 && specifiers.every(
+    (s) => s.type === 'ImportSpecifier' && (s.importKind === 'type' || s.importKind === 'typeof')
+  );
+}
+
+function isTypeOnlyExport(node) {
+  if (node.exportKind === 'type') return true;
+  const specifiers = Array.isArray(node.specifiers) ? node.specifiers : [];
+  return specifiers.length > 0 && specifiers.every((s) => s.exportKind === 'type');
+}
+
+/**
+ * Classify a single AST node as an import record, if it is one.
+ * @param {Object} node - Babel AST node
+ * @returns {{path: string, kind: string}|null}
+ */
+function classifyNode(node) {
+  switch (node.type) {
+    case 'ImportDeclaration': {
+      const source = getStringValue(node.source);
+      if (source === null) return null;
+      return { path: source, kind: isTypeOnlyImport(node) ? 'type' : 'static' };
+    }
+    case 'ExportAllDeclaration':
+    case 'ExportNamedDeclaration': {
+      const source = getStringValue(node.source);
+      if (source === null) return null;
+      return { path: source, kind: isTypeOnlyExport(node) ? 'type' : 'reexport' };
+    }
+    case 'TSImportEqualsDeclaration': {
+      const ref = node.moduleReference;
+      if (!ref || ref.type !== 'TSExternalModuleReference') return null;
+      const source = getStringValue(ref.expression);
+      if (source === null) return null;
+      return { path: source, kind: node.importKind === 'type' ? 'type' : 'static' };
+    }
+    case 'TSImportType': {
+      const source = getStringValue(node.argument?.type === 'TSLiteralType' ? node.argument.literal : node.argument);
+      if (source === null) return null;
+      return { path: source, kind: 'type' };
+    }
+    case 'ImportExpression': {
+      const source = getStringValue(node.source);
+      if (source === null) return null;
+      return { path: source, kind: 'dynamic' };
+    }
+    case 'CallExpression': {
+      const [firstArg] = node.arguments || [];
+      if (node.callee?.type === 'Import') {
+        const source = getStringValue(firstArg);
+        return source === null ? null : { path: source, kind: 'dynamic' };
+      }
+      if (node.callee?.type === 'Identifier' && node.callee.name === 'require' && node.arguments.length === 1) {
+        const source = getStringValue(firstArg);
+        return source === null ? null : { path: source, kind: 'require' };
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Walk every node of an AST without recursion.
+ * @param {Object} root - AST root
+ * @param {Function} visit - Called with each node
+ */
+function walkAst(root, visit) {
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (!node || typeof node.type !== 'string') continue;
+    visit(node);
+
+    for (const key of Object.keys(node)) {
+      if (SKIPPED_KEYS.has(key)) continue;
+      const value = node[key];
+      if (Array.isArray(value)) {
+        for (let i = value.length - 1; i >= 0; i--) {
+          if (value[i] && typeof value[i].type === 'string') stack.push(value[i]);
+        }
+      } else if (value && typeof value.type === 'string') {
+        stack.push(value);
+      }
+    }
+  }
+}
+
+/**
+ * Extract import records from a parsed AST.
+ * @param {Object} ast - Babel File node
+ * @returns {Array<{path: string, line: number, column: number, kind: string}>}
+ */
+function collectImportsFromAst(ast) {
+  const imports = [];
+  walkAst(ast.program, (node) => {
+    const record = classifyNode(node);
+    if (!record || !node.loc) return;
+    imports.push({
+      path: record.path,
+      line: node.loc.start.line,
+      column: node.loc.start.column + 1,
+      kind: record.kind,
+    });
+  });
+
+  return imports.sort((a, b) => (a.line - b.line) || (a.column - b.column));
+}
+
+/**
+ * Extract imports from JavaScript/TypeScript source.
+ * @param {string} content - File content
+ * @param {string} lang - 'javascript' or 'typescript'
+ * @param {string} [filePath] - File path (selects JSX/TS parser plugins)
+ * @returns {Array<{path: string, line: number, column: number, kind: string}>|null}
+ *   Import records, or null when the source cannot be parsed
+ */
+function extractJavaScriptImports(content, lang, filePath) {
+  if (typeof content !== 'string') return [];
+  const ast = parseJavaScript(content, lang, filePath);
+  if (!ast) return null;
+  return collectImportsFromAst(ast);
+}
+
+function sourceText(content, node) {
+  return node && typeof node.start === 'number' ? content.slice(node.start, node.end) : null;
+}
+
+function typeText(content, annotation) {
+  // TSTypeAnnotation/TypeAnnotation wrap the actual type node
+  const node = annotation && annotation.typeAnnotation ? annotation.typeAnnotation : annotation;
+  const text = sourceText(content, node);
+  return text ? text.replace(/\s+/g, ' ').trim() : null;
+}
+
+function identifierName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'PrivateName') return node.id.name;
+  if (node.type === 'StringLiteral') return node.value;
+  return null;
+}
+
+function keyName(node) {
+  if (!node || node.computed) return null;
+  return identifierName(node.key);
+}
+
+function parameterName(param) {
+  if (!param) return null;
+  switch (param.type) {
+    case 'Identifier': return param.name;
+    case 'AssignmentPattern': return parameterName(param.left);
+    case 'RestElement': return `...${parameterName(param.argument)}`;
+    case 'TSParameterProperty': return parameterName(param.parameter);
+    case 'ObjectPattern': return '{...}';
+    case 'ArrayPattern': return '[...]';
+    default: return null;
+  }
+}
+
+function visibilityOf(node) {
+  if (node.accessibility) return node.accessibility;
+  if (node.key && node.key.type === 'PrivateName') return 'private';
+  return 'public';
+}
+
+/**
+ * Members of a class body: fields (declared properties, TS parameter
+ * properties and `this.x = ...` assignments in the constructor) and methods
+ */
+function collectClassMembers(content, classBody) {
+  const members = [];
+  const seen = new Set();
+  const add = (member) => {
+    const id = `${member.kind}:${member.name}`;
+    if (!member.name || seen.has(id)) return;
+    seen.add(id);
+    members.push(member);
+  };
+
+  for (const node of classBody.body) {
+    const name = keyName(node);
+    if (['ClassProperty', 'ClassPrivateProperty', 'ClassAccessorProperty'].includes(node.type)) {
+      add({ name, kind: 'field', visibility: visibilityOf(node), static: Boolean(node.static), type: typeText(content, node.typeAnnotation) });
+      continue;
+    }
+    if (!['ClassMethod', 'ClassPrivateMethod', 'TSDeclareMethod'].includes(node.type)) continue;
+
+    if (node.kind === 'get' || node.kind === 'set') {
+      add({ name, kind: 'field', visibility: visibilityOf(node), static: Boolean(node.static), type: typeText(content, node.returnType) });
+      continue;
+    }
+    add({
+      name,
+      kind: 'method',
+      visibility: visibilityOf(node),
+      static: Boolean(node.static),
+      type: typeText(content, node.returnType),
+      parameters: node.params.map(parameterName).filter(Boolean),
+    });
+
+    if (node.kind !== 'constructor') continue;
+    for (const param of node.params) {
+      if (param.type === 'TSParameterProperty') {
+        const inner = param.parameter.type === 'AssignmentPattern' ? param.parameter.left : param.parameter;
+        add({ name: inner.name, kind: 'field', visibility: param.accessibility || 'public', static: false, type: typeText(content, inner.typeAnnotation) });
+      }
+    }
+    for (const statement of node.body ? node.body.body : []) {
+      const expression = statement.type === 'ExpressionStatement' ? statement.expression : null;
+      const target = expression && expression.type === 'AssignmentExpression' ? expression.left : null;
+      if (target && target.type === 'MemberExpression' && target.object.type === 'ThisExpression' && !target.computed && target.property.type === 'Identifier') {
+        add({ name: target.property.name, kind: 'field', visibility: 'public', static: false, type: null });
+      }
+    }
+  }
+
+  return members;
+}
+
+function collectInterfaceMembers(content, body) {
+  const members = [];
+  for (const node of body.body) {
+    const name = keyName(node);
+    if (!name) continue;
+    if (node.type === 'TSPropertySignature') {
+      members.push({ name, kind: 'field', visibility: 'public', static: false, type: typeText(content, node.typeAnnotation) });
+    } else if (node.type === 'TSMethodSignature') {
+      members.push({
+        name,
+        kind: 'method',
+        visibility: 'public',
+        static: false,
+        type: typeText(content, node.typeAnnotation),
+        parameters: (node.parameters || []).map(parameterName).filter(Boolean),
+      });
+    }
+  }
+  return members;
+}
+
+/**
+ * Build a symbol record for a class, interface or enum declaration
+ * @param {string} content - File content
+ * @param {Object} node - Declaration node
+ * @param {string} [fallbackName] - Name for anonymous default-exported classes
+ * @returns {Object|null}
+ */
+function toSymbol(content, node, fallbackName) {
+  const name = node.id ? node.id.name : fallbackName;
+  if (!name || !node.loc) return null;
+  const heritage = (list) => (list || []).map(item => sourceText(content, item.expression || item.id || item)).filter(Boolean);
+
+  if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+    return {
+      name,
+      kind: 'class',
+      line: node.loc.start.line,
+      extends: node.superClass ? [sourceText(content, node.superClass)] : [],
+      implements: heritage(node.implements),
+      members: collectClassMembers(content, node.body),
+      ...(node.abstract ? { abstract: true } : {}),
+    };
+  }
+  if (node.type === 'TSInterfaceDeclaration') {
+    return {
+      name,
+      kind: 'interface',
+      line: node.loc.start.line,
+      extends: heritage(node.extends),
+      implements: [],
+      members: collectInterfaceMembers(content, node.body),
+    };
+  }
+  if (node.type === 'TSEnumDeclaration') {
+    return {
+      name,
+      kind: 'enum',
+      line: node.loc.start.line,
+      extends: [],
+      implements: [],
+      members: node.members
+        .map(member => (member.id.type === 'Identifier' ? member.id.name : member.id.value))
+        .map(memberName => ({ name: memberName, kind: 'field', visibility: 'public', static: true, type: null })),
+    };
+  }
+  return null;
+}
+
+function isModuleExports(node) {
+  return node && node.type === 'MemberExpression' && !node.computed
+    && node.object.type === 'Identifier' && node.object.name === 'module'
+    && node.property.type === 'Identifier' && node.property.name === 'exports';
+}
+
+/**
+ * Extract exported classes, interfaces and enums from a parsed AST.
+ * ES exports (`export class`, `export { X }`, `export default X`) and
+ * CommonJS exports (`module.exports = X`, `module.exports = { X }`,
+ * `exports.X = X`) of top-level declarations are recognised.
+ * @param {string} content - File content
+ * @param {Object} ast - Babel File node
+ * @param {string} [filePath] - File path, names anonymous default exports
+ * @returns {Array<Object>}
+ */
+function collectSymbolsFromAst(content, ast, filePath) {
+  const declarations = new Map();
+  const exported = new Set();
+  const symbols = [];
+  const defaultName = typeof filePath === 'string' ? path.basename(filePath, path.extname(filePath)) : null;
+  const isTypeDeclaration = (node) => node && ['ClassDeclaration', 'TSInterfaceDeclaration', 'TSEnumDeclaration'].includes(node.type);
+  const exportName = (node) => {
+    if (node && node.type === 'Identifier') exported.add(node.name);
+  };
+
+  for (const statement of ast.program.body) {
+    if (isTypeDeclaration(statement) && statement.id) {
+      declarations.set(statement.id.name, statement);
+    } else if (statement.type === 'ExportNamedDeclaration') {
+      if (isTypeDeclaration(statement.declaration)) {
+        const symbol = toSymbol(content, statement.declaration);
+        if (symbol) symbols.push(symbol);
+      } else if (!statement.source) {
+        for (const specifier of statement.specifiers || []) exportName(specifier.local);
+      }
+    } else if (statement.type === 'ExportDefaultDeclaration') {
+      if (isTypeDeclaration(statement.declaration)) {
+        const symbol = toSymbol(content, statement.declaration, defaultName);
+        if (symbol) symbols.push(symbol);
+      } else {
+        exportName(statement.declaration);
+      }
+    } else if (statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression') {
+      const { left, right } = statement.expression;
+      const target = left.type === 'MemberExpression' ? left : null;
+      const exportsObject = target && (isModuleExports(target) || isModuleExports(target.object)
+        || (target.object.type === 'Identifier' && target.object.name === 'exports'));
+      if (!exportsObject) continue;
+      if (right.type === 'ClassExpression') {
+        // `module.exports = class {}` is named after the file, `exports.X = class {}` after X
+        const symbol = toSymbol(content, right, isModuleExports(target) ? defaultName : identifierName(target.property));
+        if (symbol) symbols.push(symbol);
+      } else if (right.type === 'ObjectExpression' && isModuleExports(target)) {
+        for (const property of right.properties) {
+          if (property.type === 'ObjectProperty') exportName(property.value);
+        }
+      } else {
+        exportName(right);
+      }
+    }
+  }
+
+  for (const name of exported) {
+    const declaration = declarations.get(name);
+    const symbol = declaration ? toSymbol(content, declaration) : null;
+    if (symbol && !symbols.some(existing => existing.name === symbol.name)) symbols.push(symbol);
+  }
+
+  return symbols.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Extract exported class, interface and enum symbols from JavaScript/TypeScript.
+ * @param {string} content - File content
+ * @param {string} lang - 'javascript' or 'typescript'
+ * @param {string} [filePath] - File path (selects JSX/TS parser plugins)
+ * @returns {Array<Object>} Symbols; empty when the source cannot be parsed
+ */
+function extractJavaScriptSymbols(content, lang, filePath) {
+  if (typeof content !== 'string') return [];
+  const ast = parseJavaScript(content, lang, filePath);
+  return ast ? collectSymbolsFromAst(content, ast, filePath) : [];
+}
+
+const MODULE_SCOPE = '<module>';
+
+function isFunctionNode(node) {
+  return Boolean(node) && ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'].includes(node.type);
+}
+
+function isRequireCall(node) {
+  return Boolean(node) && node.type === 'CallExpression' && node.callee.type === 'Identifier'
+    && node.callee.name === 'require' && getStringValue(node.arguments[0]) !== null;
+}
+
+/**
+ * Local names bound to imported modules:
+ * `local -> { module, imported }` where imported is `default`, `*` or a name
+ */
+function collectImportBindings(ast) {
+  const bindings = new Map();
+  walkAst(ast.program, (node) => {
+    if (node.type === 'ImportDeclaration') {
+      const module = getStringValue(node.source);
+      for (const specifier of node.specifiers || []) {
+        const imported = specifier.type === 'ImportDefaultSpecifier' ? 'default'
+          : specifier.type === 'ImportNamespaceSpecifier' ? '*'
+            : (specifier.imported.name || specifier.imported.value);
+        bindings.set(specifier.local.name, { module, imported });
+      }
+      return;
+    }
+    if (node.type !== 'VariableDeclarator' || !node.init) return;
+    // `require('x')` and `require('x').name`
+    const call = isRequireCall(node.init) ? node.init
+      : node.init.type === 'MemberExpression' && isRequireCall(node.init.object) ? node.init.object : null;
+    if (!call) return;
+    const module = getStringValue(call.arguments[0]);
+    const member = call === node.init ? '*' : identifierName(node.init.property);
+    if (node.id.type === 'Identifier' && member) {
+      bindings.set(node.id.name, { module, imported: member });
+    } else if (node.id.type === 'ObjectPattern' && member === '*') {
+      for (const property of node.id.properties) {
+        if (property.type === 'ObjectProperty' && property.value.type === 'Identifier') {
+          bindings.set(property.value.name, { module, imported: keyName(property) });
+        }
+      }
+    }
+  });
+  return bindings;
+}
+
+/**
+ * Named functions of a module: top-level declarations and function-valued
+ * variables, class methods (`Class.method`), CommonJS exports and methods of
+ * an exported object literal. The module's default export is flagged.
+ */
+function collectFunctionNodes(ast) {
+  const functions = [];
+  const add = (name, node, className, isDefault) => {
+    if (name && node) functions.push({ name, node, className: className || null, isDefault: Boolean(isDefault) });
+  };
+  const addClass = (classNode, fallbackName, isDefault) => {
+    const className = classNode.id ? classNode.id.name : fallbackName;
+    if (!className) return;
+    for (const member of classNode.body.body) {
+      if (['ClassMethod', 'ClassPrivateMethod'].includes(member.type) && member.body) {
+        add(`${className}.${keyName(member)}`, member, className);
+      }
+    }
+    if (isDefault) add(className, classNode, className, true);
+  };
+  const addObjectMethods = (object) => {
+    for (const property of object.properties) {
+      if (property.type === 'ObjectMethod') add(keyName(property), property);
+      else if (property.type === 'ObjectProperty' && isFunctionNode(property.value)) add(keyName(property), property.value);
+    }
+  };
+  const addDeclaration = (declaration, isDefault) => {
+    if (!declaration) return;
+    if (declaration.type === 'FunctionDeclaration') add(declaration.id ? declaration.id.name : 'default', declaration, null, isDefault);
+    else if (declaration.type === 'ClassDeclaration') addClass(declaration, 'default', isDefault);
+    else if (declaration.type === 'VariableDeclaration') {
+      for (const declarator of declaration.declarations) {
+        if (declarator.id.type !== 'Identifier') continue;
+        if (isFunctionNode(declarator.init)) add(declarator.id.name, declarator.init);
+        else if (declarator.init && declarator.init.type === 'ClassExpression') addClass(declarator.init, declarator.id.name);
+      }
+    } else if (isFunctionNode(declaration)) add('default', declaration, null, isDefault);
+  };
+
+  for (const statement of ast.program.body) {
+    if (statement.type === 'ExportNamedDeclaration') addDeclaration(statement.declaration, false);
+    else if (statement.type === 'ExportDefaultDeclaration') addDeclaration(statement.declaration, true);
+    else if (statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression') {
+      const { left, right } = statement.expression;
+      if (left.type !== 'MemberExpression') continue;
+      if (isModuleExports(left)) {
+        if (isFunctionNode(right)) add(right.id ? right.id.name : 'default', right, null, true);
+        else if (right.type === 'ObjectExpression') addObjectMethods(right);
+        else if (right.type === 'ClassExpression') addClass(right, 'default', true);
+      } else if (isModuleExports(left.object) || (left.object.type === 'Identifier' && left.object.name === 'exports')) {
+        if (isFunctionNode(right)) add(identifierName(left.property), right);
+      }
+    } else {
+      addDeclaration(statement, false);
+    }
+  }
+
+  // `module.exports = handler` marks an already declared function as default
+  for (const statement of ast.program.body) {
+    const expression = statement.type === 'ExpressionStatement' ? statement.expression : null;
+    if (expression && expression.type === 'AssignmentExpression' && isModuleExports(expression.left)
+      && expression.right.type === 'Identifier') {
+      const target = functions.find(f => f.name === expression.right.name);
+      if (target) target.isDefault = true;
+    }
+  }
+  return functions;
+}
+
+/**
+ * Extract functions with their outgoing call sites, in source order.
+ * A call is kept when its callee is an imported binding (`module` is the
+ * import specifier) or a function of the same file (`module` is null);
+ * calls outside any named function belong to `<module>`.
+ * @param {Object} ast - Babel File node
+ * @returns {Array<{name: string, line: number, async: boolean, default?: boolean, calls: Array<Object>}>}
+ */
+function collectFunctionsFromAst(ast) {
+  const bindings = collectImportBindings(ast);
+  const functionNodes = collectFunctionNodes(ast);
+  const localNames = new Set(functionNodes.map(f => f.name));
+  const classNames = new Set(functionNodes.filter(f => f.className).map(f => f.className));
+  const awaited = new Set();
+  const calls = [];
+
+  walkAst(ast.program, (node) => {
+    if (node.type === 'AwaitExpression' && node.argument) awaited.add(node.argument);
+    if (node.type === 'CallExpression' && node.loc) calls.push(node);
+  });
+  calls.sort((a, b) => a.start - b.start);
+
+  const owners = functionNodes
+    .filter(f => f.node.body && typeof f.node.start === 'number')
+    .sort((a, b) => (b.node.start - a.node.start));
+  const ownerOf = (call) => owners.find(f => f.node.start <= call.start && call.end <= f.node.end) || null;
+
+  const resolveCallee = (callee, owner) => {
+    if (callee.type === 'Identifier') {
+      const binding = bindings.get(callee.name);
+      if (binding) {
+        const direct = binding.imported === '*' || binding.imported === 'default' ? 'default' : binding.imported;
+        return { name: direct, module: binding.module };
+      }
+      return localNames.has(callee.name) ? { name: callee.name, module: null } : null;
+    }
+    if (callee.type !== 'MemberExpression' || callee.computed) return null;
+    const property = identifierName(callee.property);
+    if (!property) return null;
+    const object = callee.object;
+    if (object.type === 'ThisExpression') {
+      return owner && owner.className ? { name: `${owner.className}.${property}`, module: null } : null;
+    }
+    if (object.type !== 'Identifier') return null;
+    const binding = bindings.get(object.name);
+    if (binding) {
+      const name = binding.imported === '*' || binding.imported === 'default' ? property : `${binding.imported}.${property}`;
+      return { name, module: binding.module };
+    }
+    return classNames.has(object.name) ? { name: `${object.name}.${property}`, module: null } : null;
+  };
+
+  const byFunction = new Map([[MODULE_SCOPE, []]]);
+  for (const f of functionNodes) byFunction.set(f.name, []);
+
+  for (const call of calls) {
+    const owner = ownerOf(call);
+    const target = resolveCallee(call.callee, owner);
+    if (!target) continue;
+    byFunction.get(owner ? owner.name : MODULE_SCOPE).push({
+      name: target.name,
+      module: target.module,
+      line: call.loc.start.line,
+      awaited: awaited.has(call),
+    });
+  }
+
+  const records = [];
+  const moduleCalls = byFunction.get(MODULE_SCOPE);
+  if (moduleCalls.length > 0) records.push({ name: MODULE_SCOPE, line: 1, async: false, calls: moduleCalls });
+  for (const f of functionNodes) {
+    records.push({
+      name: f.name,
+      line: f.node.loc.start.line,
+      async: Boolean(f.node.async),
+      ...(f.isDefault ? { default: true } : {}),
+      calls: byFunction.get(f.name),
+    });
+  }
+  return records;
+}
+
+/**
+ * Extract functions and their call sites from JavaScript/TypeScript.
+ * @param {string} content - File content
+ * @param {string} lang - 'javascript' or 'typescript'
+ * @param {string} [filePath] - File path (selects JSX/TS parser plugins)
+ * @returns {Array<Object>} Functions; empty when the source cannot be parsed
+ */
+function extractJavaScriptFunctions(content, lang, filePath) {
+  if (typeof content !== 'string') return [];
+  const ast = parseJavaScript(content, lang, filePath);
+  return ast ? collectFunctionsFromAst(ast) : [];
+}
+
+module.exports = {
+  MODULE_SCOPE,
+  parseJavaScript,
+  walkAst,
+  getStringValue,
+  identifierName,
+  typeText,
+  isModuleExports,
+  collectImportBindings,
+  extractJavaScriptImports,
+  extractJavaScriptSymbols,
+  extractJavaScriptFunctions,
+};
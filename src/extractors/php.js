@@ -0,0 +1,150 @@
+/**
+ * PHP `use` and `require`/`include` extraction.
+ *
+ * Comments are masked; statements are located in a copy with string
+ * contents masked too and literal paths are read from the comment-free
+ * source. Records:
+ *   - static  `use App\Models\User;` → `App\Models\User` (one record per
+ *     class of a group `use App\{A, B as C};`)
+ *   - require `require_once __DIR__ . '/lib/db.php';` → `./lib/db.php`
+ *   - require `include 'views/header.php';` → path as written
+ * Only top-level `use` (or inside a `namespace X { }` block) imports a class;
+ * trait `use` inside a class body and `use function`/`use const` are skipped.
+ */
+
+const path = require('path');
+
+/**
+ * Mask comments and, optionally, string contents with spaces
+ * @param {string} content - PHP source
+ * @param {boolean} maskStrings - Also blank string literals
+ * @returns {string}
+ */
+function maskSource(content, maskStrings) {
+  const out = content.split('');
+  const blank = (from, to) => {
+    for (let k = from; k < to && k < content.length; k++) {
+      if (out[k] !== '\n') out[k] = ' ';
+    }
+  };
+  let i = 0;
+
+  while (i < content.length) {
+    const char = content[i];
+    const next = content[i + 1];
+
+    if ((char === '/' && next === '/') || (char === '#' && next !== '[')) {
+      const end = content.indexOf('\n', i);
+      const stop = end === -1 ? content.length : end;
+      blank(i, stop);
+      i = stop;
+    } else if (char === '/' && next === '*') {
+      const end = content.indexOf('*/', i + 2);
+      const stop = end === -1 ? content.length : end + 2;
+      blank(i, stop);
+      i = stop;
+    } else if (char === '"' || char === "'") {
+      let j = i + 1;
+      while (j < content.length && content[j] !== char) {
+        if (content[j] === '\\') j++;
+        j++;
+      }
+      if (maskStrings) blank(i, j + 1);
+      i = j + 1;
+    } else {
+      i++;
+    }
+  }
+
+  return out.join('');
+}
+
+function positionAt(text, offset) {
+  const before = text.slice(0, offset);
+  return { line: before.split('\n').length, column: offset - before.lastIndexOf('\n') };
+}
+
+/**
+ * Expand a `use` clause list into class names
+ * @param {string} clause - Text between `use` and `;`, whitespace removed
+ * @returns {Array<string>}
+ */
+function expandUseClause(clause) {
+  const braceAt = clause.indexOf('{');
+  if (braceAt === -1) {
+    return clause.split(',')
+      .map(part => part.replace(/^\\/, ''))
+      .filter(Boolean);
+  }
+  const prefix = clause.slice(0, braceAt).replace(/^\\/, '');
+  return clause.slice(braceAt + 1, clause.lastIndexOf('}')).split(',')
+    .filter(Boolean)
+    .map(part => `${prefix}${part}`);
+}
+
+/**
+ * Extract PHP imports with positions
+ * @param {string} content - PHP source
+ * @returns {Array<{path: string, line: number, column: number, kind: string}>}
+ */
+function extractPhpImports(content) {
+  if (typeof content !== 'string') return [];
+
+  const code = maskSource(content, false);
+  const masked = maskSource(content, true);
+  const imports = [];
+  const pattern = /[{}]|(^|[^\w$>:\\])(namespace|use|require_once|require|include_once|include)\b/g;
+  const pathArgument = /\s*\(?\s*(?:(__DIR__|dirname\s*\(\s*__FILE__\s*\))\s*\.\s*)?(['"])([^'"\n]+)\2/y;
+  let depth = 0;
+  let useDepth = 0;
+  let resumeAt = 0;
+
+  for (const match of masked.matchAll(pattern)) {
+    if (match.index < resumeAt) continue;
+    if (match[0] === '{') { depth++; continue; }
+    if (match[0] === '}') { depth--; continue; }
+
+    const keyword = match[2];
+    const offset = match.index + match[1].length;
+    const rest = masked.slice(match.index + match[0].length);
+
+    if (keyword === 'namespace') {
+      // `namespace X { ... }` scopes imports to the block
+      useDepth = /^\s*(?:[\w\\]+\s*)?\{/.test(rest) ? depth + 1 : 0;
+      continue;
+    }
+
+    if (keyword === 'use') {
+      if (depth !== useDepth || /^\s*\(/.test(rest)) continue;
+      const end = rest.indexOf(';');
+      if (end === -1) break;
+      resumeAt = match.index + match[0].length + end + 1;
+      if (/^(?:function|const)\b/i.test(rest.trimStart())) continue;
+      const clause = rest.slice(0, end)
+        .replace(/\s+as\s+\w+/gi, '')
+        .replace(/\b(?:function|const)\s+[\w\\]+/gi, '')
+        .replace(/\s+/g, '');
+      for (const name of expandUseClause(clause)) {
+        imports.push({ path: name, ...positionAt(masked, offset), kind: 'static' });
+      }
+      continue;
+    }
+
+    pathArgument.lastIndex = match.index + match[0].length;
+    const literal = pathArgument.exec(code);
+    if (!literal) continue;
+    let importPath = literal[3];
+    if (literal[1]) {
+      // `__DIR__ . '/x.php'` is relative to the including file
+      const relative = path.posix.normalize(importPath.replace(/^\//, ''));
+      importPath = relative.startsWith('..') ? relative : `./${relative}`;
+    }
+    imports.push({ path: importPath, ...positionAt(masked, offset), kind: 'require' });
+  }
+
+  return imports;
+}
+
+module.exports = {
+  extractPhpImports,
+};
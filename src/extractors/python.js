@@ -0,0 +1,299 @@
+/**
+ * Python import extraction.
+ *
+ * Strings and comments are masked before scanning so docstrings and
+ * commented-out imports are ignored, and logical lines are joined across
+ * parentheses and backslash continuations. Records use the dotted module as
+ * `path` (leading dots for relative imports) plus the imported `names` for
+ * `from` imports:
+ *   - `import a.b, c`            → `a.b`, `c`
+ *   - `from pkg.mod import x, y` → `pkg.mod` with names `['x', 'y']`
+ *   - `from . import x, y`       → `.` with names `['x']`, `.` with names `['y']`
+ *     (one record per name: each may be a sibling submodule)
+ */
+
+/**
+ * Replace string literal contents and comments with spaces, keeping
+ * newlines so offsets still map to the original line/column
+ * @param {string} content - Python source
+ * @returns {string}
+ */
+function maskStringsAndComments(content) {
+  const out = content.split('');
+  let i = 0;
+
+  while (i < content.length) {
+    const char = content[i];
+
+    if (char === '#') {
+      while (i < content.length && content[i] !== '\n') out[i++] = ' ';
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      // Prefixes (r, b, f, u) stay as identifiers; only the literal is masked
+      const triple = content.startsWith(char.repeat(3), i);
+      const quote = triple ? char.repeat(3) : char;
+      let j = i + quote.length;
+      while (j < content.length) {
+        if (content[j] === '\\') {
+          j += 2;
+          continue;
+        }
+        if (content.startsWith(quote, j)) break;
+        if (!triple && content[j] === '\n') break;
+        j++;
+      }
+      const end = Math.min(j + (content.startsWith(quote, j) ? quote.length : 0), content.length);
+      for (let k = i; k < end; k++) {
+        if (out[k] !== '\n') out[k] = ' ';
+      }
+      i = end;
+      continue;
+    }
+
+    i++;
+  }
+
+  return out.join('');
+}
+
+/**
+ * Split masked source into logical statements with their start offsets
+ * @param {string} masked - Output of maskStringsAndComments()
+ * @returns {Array<{text: string, offset: number}>}
+ */
+function splitStatements(masked) {
+  const statements = [];
+  let depth = 0;
+  let start = 0;
+
+  const flush = (end) => {
+    const raw = masked.slice(start, end);
+    const leading = raw.length - raw.trimStart().length;
+    const text = raw.trim();
+    if (text) statements.push({ text, offset: start + leading });
+    start = end + 1;
+  };
+
+  for (let i = 0; i < masked.length; i++) {
+    const char = masked[i];
+    if (char === '(' || char === '[' || char === '{') depth++;
+    else if ((char === ')' || char === ']' || char === '}') && depth > 0) depth--;
+    else if (char === ';' && depth === 0) flush(i);
+    else if (char === '\n' && depth === 0) {
+      let k = i - 1;
+      while (k >= start && (masked[k] === ' ' || masked[k] === '\t' || masked[k] === '\r')) k--;
+      if (masked[k] !== '\\') flush(i);
+    }
+  }
+  flush(masked.length);
+
+  return statements;
+}
+
+function offsetToPosition(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return { line: low + 1, column: offset - lineStarts[low] + 1 };
+}
+
+function parseImportedNames(text) {
+  return text
+    .replace(/[()\\]/g, ' ')
+    .split(',')
+    .map(part => part.trim().split(/\s+as\s+/)[0].trim())
+    .filter(name => /^[A-Za-z_]\w*$/.test(name));
+}
+
+/**
+ * Extract Python imports with positions
+ * @param {string} content - Python source
+ * @returns {Array<{path: string, line: number, column: number, kind: string, names?: Array<string>}>}
+ */
+function extractPythonImports(content) {
+  if (typeof content !== 'string') return [];
+
+  const masked = maskStringsAndComments(content);
+  const lineStarts = [0];
+  for (let i = 0; i < masked.length; i++) {
+    if (masked[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  const imports = [];
+  for (const { text, offset } of splitStatements(masked)) {
+    const position = offsetToPosition(lineStarts, offset);
+    const statement = text.replace(/\\\s*\n/g, ' ').replace(/\s+/g, ' ');
+
+    const fromMatch = statement.match(/^from (\.+[\w.]*|[A-Za-z_][\w.]*) import (.+)$/);
+    if (fromMatch) {
+      const modulePath = fromMatch[1];
+      const names = parseImportedNames(fromMatch[2]);
+      if (/^\.+$/.test(modulePath) && names.length > 0) {
+        for (const name of names) {
+          imports.push({ path: modulePath, ...position, kind: 'static', names: [name] });
+        }
+      } else {
+        imports.push({ path: modulePath, ...position, kind: 'static', names });
+      }
+      continue;
+    }
+
+    const importMatch = statement.match(/^import (.+)$/);
+    if (importMatch) {
+      for (const part of importMatch[1].split(',')) {
+        const modulePath = part.trim().split(/\s+as\s+/)[0].trim();
+        if (/^[A-Za-z_][\w.]*$/.test(modulePath)) {
+          imports.push({ path: modulePath, ...position, kind: 'static' });
+        }
+      }
+    }
+  }
+
+  return imports;
+}
+
+// Annotations written as strings are masked to blanks
+function annotationText(text) {
+  return (text && text.trim()) || null;
+}
+
+function pythonVisibility(name) {
+  if (/^__\w+__$/.test(name)) return 'public';
+  if (name.startsWith('__')) return 'private';
+  if (name.startsWith('_')) return 'protected';
+  return 'public';
+}
+
+/**
+ * Split on commas outside brackets
+ * @param {string} text - Parameter or base list
+ * @returns {Array<string>}
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '(' || char === '[' || char === '{') depth++;
+    else if (char === ')' || char === ']' || char === '}') depth--;
+    else if (char === ',' && depth === 0) {
+      parts.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start).trim());
+  return parts.filter(Boolean);
+}
+
+/**
+ * Extract public top-level classes with their methods, fields and bases.
+ * Fields come from class-level assignments/annotations and `self.x = ...`
+ * in `__init__`; `_name` is protected and `__name` private by convention.
+ * Masked strings mean default values and annotations written as strings
+ * are not recovered.
+ * @param {string} content - Python source
+ * @returns {Array<Object>}
+ */
+function extractPythonSymbols(content) {
+  if (typeof content !== 'string') return [];
+
+  const masked = maskStringsAndComments(content);
+  const lineStarts = [0];
+  for (let i = 0; i < masked.length; i++) {
+    if (masked[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  const symbols = [];
+  let current = null;
+  let memberIndent = null;
+  let method = null;
+  let decorators = [];
+
+  const addMember = (member) => {
+    if (!current.members.some(m => m.kind === member.kind && m.name === member.name)) current.members.push(member);
+  };
+
+  for (const { text, offset } of splitStatements(masked)) {
+    const { line, column } = offsetToPosition(lineStarts, offset);
+    const indent = column - 1;
+    const statement = text.replace(/\\\s*\n/g, ' ').replace(/\s+/g, ' ');
+
+    if (indent === 0) {
+      current = null;
+      const classMatch = statement.match(/^class ([A-Za-z_]\w*)\s*(?:\((.*)\))?\s*:/);
+      if (classMatch && !classMatch[1].startsWith('_')) {
+        const bases = splitTopLevel(classMatch[2] || '')
+          .filter(base => !base.includes('='))
+          .map(base => base.replace(/\[.*$/, '').trim())
+          .filter(base => base && base !== 'object');
+        current = { name: classMatch[1], kind: 'class', line, extends: bases, implements: [], members: [] };
+        // ABC subclasses and ABCMeta classes are abstract; so is any class with an @abstractmethod
+        if (bases.some(base => /(^|\.)ABC$/.test(base)) || /metaclass\s*=\s*(abc\.)?ABCMeta\b/.test(classMatch[2] || '')) {
+          current.abstract = true;
+        }
+        symbols.push(current);
+        memberIndent = null;
+        method = null;
+        decorators = [];
+      }
+      continue;
+    }
+    if (!current) continue;
+    if (memberIndent === null) memberIndent = indent;
+
+    if (indent > memberIndent) {
+      const selfField = method === '__init__' && statement.match(/^self\.([A-Za-z_]\w*)\s*(?::\s*([^=]+?))?\s*=(?!=)/);
+      if (selfField) {
+        addMember({ name: selfField[1], kind: 'field', visibility: pythonVisibility(selfField[1]), static: false, type: annotationText(selfField[2]) });
+      }
+      continue;
+    }
+    if (indent < memberIndent) continue;
+
+    if (statement.startsWith('@')) {
+      decorators.push(statement.slice(1).split('(')[0].trim());
+      continue;
+    }
+
+    const defMatch = statement.match(/^(?:async )?def ([A-Za-z_]\w*)\s*\((.*)\)\s*(?:->\s*(.+?))?\s*:/);
+    if (defMatch) {
+      const [, name, params, returns] = defMatch;
+      const isStatic = decorators.includes('staticmethod') || decorators.includes('classmethod');
+      if (decorators.some(d => /(^|\.)abstractmethod$/.test(d))) current.abstract = true;
+      if (decorators.includes('property') || decorators.some(d => /\.(setter|deleter)$/.test(d))) {
+        addMember({ name, kind: 'field', visibility: pythonVisibility(name), static: false, type: annotationText(returns) });
+      } else {
+        const parameters = splitTopLevel(params)
+          .map(param => param.split(/[:=]/)[0].trim())
+          .filter(param => param && param !== '/' && param !== '*');
+        if (!decorators.includes('staticmethod') && ['self', 'cls'].includes(parameters[0])) parameters.shift();
+        addMember({ name, kind: 'method', visibility: pythonVisibility(name), static: isStatic, type: annotationText(returns), parameters });
+      }
+      method = name;
+      decorators = [];
+      continue;
+    }
+
+    decorators = [];
+    method = null;
+    const fieldMatch = statement.match(/^([A-Za-z_]\w*)\s*(?::\s*([^=]+?))?\s*(?:=(?!=)|$)/);
+    if (fieldMatch && !/^(?:class|pass|return|if|for|while|with|try)$/.test(fieldMatch[1])) {
+      addMember({ name: fieldMatch[1], kind: 'field', visibility: pythonVisibility(fieldMatch[1]), static: false, type: annotationText(fieldMatch[2]) });
+    }
+  }
+
+  return symbols;
+}
+
+module.exports = {
+  maskStringsAndComments,
+  extractPythonImports,
+  extractPythonSymbols,
+};
@@ -0,0 +1,378 @@
+const path = require('path');
+const {
+  parseJavaScript,
+  walkAst,
+  getStringValue,
+  identifierName,
+  isModuleExports,
+  collectImportBindings,
+} = require('./javascript');
+
+/**
+ * HTTP route extraction for JavaScript and TypeScript servers.
+ *
+ * Calls are recognised by shape, on receivers that are routers: instances
+ * created from a framework import (`express()`, `express.Router()`,
+ * `new Router()`, `Fastify()`, `new Koa()`, `new Hono()`) or routers the file
+ * is handed under a conventional name (`app`, `router`, `fastify`, `server`,
+ * `*Router`), such as plugin parameters. HTTP clients (`axios.get('/x')`) are
+ * not routers.
+ *   - Express/Koa/Hono  `app.get('/users/:id', handler)`, `router.route('/x').get(h)`
+ *   - Fastify           `fastify.get('/x', opts, handler)`, `fastify.route({ method, url, handler })`
+ *   - mounting          `app.use('/api', router)`, `app.use(router.routes())`,
+ *                       `fastify.register(plugin, { prefix })`, `app.route('/api', sub)`
+ *   - Koa router        `new Router({ prefix })`, `router.prefix('/x')`
+ * Next.js `app/` and `pages/` routes come from the file path.
+ *
+ * A file yields `{ routes, mounts }`:
+ *   routes  { method, path, line, router, handler, module }
+ *   mounts  { router, prefix, line, target, module }
+ * `router` is the local receiver name (null for file-system routes), `handler`
+ * the handler as written (`list`, `users.show`, null when inline) and
+ * `module` the import specifier the handler or mounted router comes from.
+ */
+
+const ROUTE_METHODS = {
+  get: 'GET',
+  post: 'POST',
+  put: 'PUT',
+  patch: 'PATCH',
+  delete: 'DELETE',
+  del: 'DELETE',
+  head: 'HEAD',
+  options: 'OPTIONS',
+  all: 'ALL',
+};
+
+// Packages whose instances declare routes
+const ROUTER_MODULES = new Set(['express', 'fastify', 'koa', '@koa/router', 'koa-router', 'hono']);
+
+// Routers created elsewhere and passed in or imported from a local module
+const ROUTER_NAME = /^(?:app|router|fastify|server|[a-z]\w*Router)$/;
+
+const NEXT_HANDLER_EXPORTS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+const NEXT_ROUTE_FILE = /^(?:\.\/)?(?:src\/)?(app|pages)\/(.+)\.(?:js|jsx|ts|tsx|mjs)$/;
+
+/**
+ * Join route path pieces with single slashes and no trailing slash
+ * @param {...string} parts - Prefixes and path, in order
+ * @returns {string}
+ */
+function joinRoutePath(...parts) {
+  const joined = parts.filter(Boolean).join('/').replace(/\/{2,}/g, '/');
+  const trimmed = joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+  return trimmed.startsWith('/') || trimmed.startsWith('*') ? trimmed : `/${trimmed}`;
+}
+
+function isRoutePath(value) {
+  return typeof value === 'string' && (value.startsWith('/') || value === '*');
+}
+
+function objectProperty(node, name) {
+  if (!node || node.type !== 'ObjectExpression') return null;
+  const property = node.properties.find(p => p.type === 'ObjectProperty' && !p.computed && identifierName(p.key) === name);
+  return property ? property.value : null;
+}
+
+function rootIdentifier(node) {
+  let current = node;
+  while (current && current.type === 'MemberExpression') current = current.object;
+  return current && current.type === 'Identifier' ? current.name : null;
+}
+
+function memberText(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression' && !node.computed) {
+    const object = memberText(node.object);
+    const property = identifierName(node.property);
+    return object && property ? `${object}.${property}` : null;
+  }
+  return null;
+}
+
+/**
+ * Name the handler of a route: an identifier or member expression, looking
+ * through wrappers such as `asyncHandler(users.list)`. Inline functions have
+ * no name.
+ */
+function handlerOf(node, bindings) {
+  let current = node;
+  while (current && current.type === 'CallExpression' && current.arguments.length > 0) {
+    current = current.arguments[current.arguments.length - 1];
+  }
+  const handler = memberText(current);
+  if (!handler) return { handler: null, module: null };
+  const binding = bindings.get(rootIdentifier(current));
+  return { handler, module: binding ? binding.module : null };
+}
+
+/**
+ * Whether a `const x = ...` initializer creates a router: a call or `new` of
+ * a framework import (`express()`, `express.Router()`, `new Router()`) or of
+ * `require('fastify')` itself
+ * @returns {boolean|null} null when the initializer is not a call
+ */
+function createsRouter(init, bindings) {
+  if (!init || !['NewExpression', 'CallExpression'].includes(init.type)) return null;
+  const { callee } = init;
+  if (callee.type === 'CallExpression' && callee.callee.type === 'Identifier' && callee.callee.name === 'require') {
+    return ROUTER_MODULES.has(getStringValue(callee.arguments[0]));
+  }
+  const binding = bindings.get(rootIdentifier(callee));
+  return Boolean(binding) && ROUTER_MODULES.has(binding.module);
+}
+
+/**
+ * Local names that hold routers (true) or other objects created from a call
+ * (false), such as `const api = axios.create()`
+ * @returns {Map<string, boolean>}
+ */
+function collectInstances(ast, bindings) {
+  const instances = new Map();
+  walkAst(ast.program, (node) => {
+    if (node.type !== 'VariableDeclarator' || node.id.type !== 'Identifier') return;
+    const router = createsRouter(node.init, bindings);
+    if (router !== null && !instances.get(node.id.name)) instances.set(node.id.name, router);
+  });
+  return instances;
+}
+
+function isRouterReceiver(name, instances, bindings) {
+  if (instances.has(name)) return instances.get(name);
+  const binding = bindings.get(name);
+  if (binding && !binding.module.startsWith('.')) return ROUTER_MODULES.has(binding.module);
+  return ROUTER_NAME.test(name);
+}
+
+/**
+ * Receiver of a (possibly chained) route call. `router.route('/x').get(h)`
+ * carries its path on the `.route()` call; `app.get(...).post(...)` chains
+ * back to `app`.
+ */
+function receiverOf(object) {
+  let current = object;
+  let routePath = null;
+  while (current && current.type === 'CallExpression' && current.callee.type === 'MemberExpression') {
+    const name = identifierName(current.callee.property);
+    if (name === 'route' && routePath === null) {
+      routePath = getStringValue(current.arguments[0]);
+      if (!isRoutePath(routePath)) return null;
+    } else if (!ROUTE_METHODS[name]) {
+      return null;
+    }
+    current = current.callee.object;
+  }
+  return current && current.type === 'Identifier' ? { router: current.name, routePath } : null;
+}
+
+/**
+ * What a `use`/`register`/`route` call mounts: a local or imported router,
+ * `router.routes()` (Koa) or an inline `require('./routes')`
+ */
+function mountTargetOf(node, bindings) {
+  if (!node) return null;
+  if (node.type === 'Identifier') {
+    const binding = bindings.get(node.name);
+    return { target: node.name, module: binding ? binding.module : null };
+  }
+  if (node.type !== 'CallExpression') return null;
+  const { callee } = node;
+  if (callee.type === 'Identifier' && callee.name === 'require') {
+    const module = getStringValue(node.arguments[0]);
+    return module ? { target: null, module } : null;
+  }
+  if (callee.type === 'MemberExpression' && callee.object.type === 'Identifier'
+    && ['routes', 'middleware'].includes(identifierName(callee.property))) {
+    return mountTargetOf(callee.object, bindings);
+  }
+  return null;
+}
+
+function fastifyMethods(node) {
+  const single = getStringValue(node);
+  if (single) return [single.toUpperCase()];
+  if (node && node.type === 'ArrayExpression') {
+    return node.elements.map(getStringValue).filter(Boolean).map(m => m.toUpperCase());
+  }
+  return [];
+}
+
+/**
+ * Extract routes and router mounts from a parsed AST
+ * @param {Object} ast - Babel File node
+ * @returns {{routes: Array<Object>, mounts: Array<Object>}}
+ */
+function collectRoutesFromAst(ast) {
+  const bindings = collectImportBindings(ast);
+  const instances = collectInstances(ast, bindings);
+  const prefixes = new Map();
+  const routes = [];
+  const mounts = [];
+
+  walkAst(ast.program, (node) => {
+    // `const router = new Router({ prefix: '/users' })`
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init
+      && ['NewExpression', 'CallExpression'].includes(node.init.type)) {
+      const prefix = getStringValue(objectProperty(node.init.arguments[0], 'prefix'));
+      if (isRoutePath(prefix)) prefixes.set(node.id.name, prefix);
+      return;
+    }
+    if (node.type !== 'CallExpression' || !node.loc) return;
+    const { callee } = node;
+    if (callee.type !== 'MemberExpression' || callee.computed) return;
+    const name = identifierName(callee.property);
+    const args = node.arguments;
+    const line = node.loc.start.line;
+    const column = callee.property.loc ? callee.property.loc.start.column : 0;
+
+    if (ROUTE_METHODS[name]) {
+      const receiver = receiverOf(callee.object);
+      if (!receiver || !isRouterReceiver(receiver.router, instances, bindings)) return;
+      const routePath = receiver.routePath !== null ? receiver.routePath : getStringValue(args[0]);
+      const handlerArgs = receiver.routePath !== null ? args : args.slice(1);
+      if (!isRoutePath(routePath) || handlerArgs.length === 0) return;
+      const last = handlerArgs[handlerArgs.length - 1];
+      const handlerNode = last.type === 'ObjectExpression' ? objectProperty(last, 'handler') : last;
+      routes.push({ method: ROUTE_METHODS[name], path: routePath, line, column, router: receiver.router, ...handlerOf(handlerNode, bindings) });
+      return;
+    }
+
+    if (callee.object.type !== 'Identifier') return;
+    const router = callee.object.name;
+    if (!isRouterReceiver(router, instances, bindings)) return;
+
+    if (name === 'route' && args[0] && args[0].type === 'ObjectExpression') {
+      const routePath = getStringValue(objectProperty(args[0], 'url') || objectProperty(args[0], 'path'));
+      if (!isRoutePath(routePath)) return;
+      const handler = handlerOf(objectProperty(args[0], 'handler'), bindings);
+      for (const method of fastifyMethods(objectProperty(args[0], 'method'))) {
+        routes.push({ method, path: routePath, line, column, router, ...handler });
+      }
+    } else if (name === 'route' && args.length === 2 && isRoutePath(getStringValue(args[0]))) {
+      const mounted = mountTargetOf(args[1], bindings);
+      if (mounted) mounts.push({ router, prefix: getStringValue(args[0]), line, ...mounted });
+    } else if (name === 'use') {
+      const prefix = getStringValue(args[0]);
+      const targets = isRoutePath(prefix) ? args.slice(1) : args;
+      for (const target of targets) {
+        const mounted = mountTargetOf(target, bindings);
+        if (mounted) mounts.push({ router, prefix: isRoutePath(prefix) ? prefix : '', line, ...mounted });
+      }
+    } else if (name === 'register') {
+      const mounted = mountTargetOf(args[0], bindings);
+      const prefix = getStringValue(objectProperty(args[1], 'prefix'));
+      if (mounted) mounts.push({ router, prefix: isRoutePath(prefix) ? prefix : '', line, ...mounted });
+    } else if (name === 'prefix' && isRoutePath(getStringValue(args[0]))) {
+      prefixes.set(router, getStringValue(args[0]));
+    }
+  });
+
+  // Koa router prefixes apply to everything declared on the router
+  for (const entry of [...routes, ...mounts]) {
+    if (!prefixes.has(entry.router)) continue;
+    if (entry.method) entry.path = joinRoutePath(prefixes.get(entry.router), entry.path);
+    else entry.prefix = joinRoutePath(prefixes.get(entry.router), entry.prefix);
+  }
+
+  // Chained calls are visited outermost first
+  routes.sort((a, b) => (a.line - b.line) || (a.column - b.column));
+  for (const route of routes) delete route.column;
+  return { routes, mounts: mounts.sort((a, b) => a.line - b.line) };
+}
+
+function nextSegment(segment) {
+  const optionalCatchAll = segment.match(/^\[\[\.\.\.(\w+)\]\]$/);
+  if (optionalCatchAll) return `:${optionalCatchAll[1]}*`;
+  const catchAll = segment.match(/^\[\.\.\.(\w+)\]$/);
+  if (catchAll) return `:${catchAll[1]}*`;
+  const dynamic = segment.match(/^\[(\w+)\]$/);
+  return dynamic ? `:${dynamic[1]}` : segment;
+}
+
+function exportedNames(ast) {
+  const names = new Set();
+  let defaultName = null;
+  for (const statement of ast.program.body) {
+    if (statement.type === 'ExportDefaultDeclaration') {
+      const { declaration } = statement;
+      defaultName = (declaration.id && declaration.id.name) || (declaration.type === 'Identifier' ? declaration.name : 'default');
+    } else if (statement.type === 'ExportNamedDeclaration') {
+      const { declaration } = statement;
+      if (declaration && declaration.id) names.add(declaration.id.name);
+      if (declaration && declaration.type === 'VariableDeclaration') {
+        for (const declarator of declaration.declarations) {
+          if (declarator.id.type === 'Identifier') names.add(declarator.id.name);
+        }
+      }
+      for (const specifier of statement.specifiers || []) {
+        const exported = identifierName(specifier.exported);
+        if (exported === 'default') defaultName = identifierName(specifier.local) || 'default';
+        else if (exported) names.add(exported);
+      }
+    } else if (statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression'
+      && isModuleExports(statement.expression.left)) {
+      const { right } = statement.expression;
+      defaultName = (right.id && right.id.name) || (right.type === 'Identifier' ? right.name : 'default');
+    }
+  }
+  return { names, defaultName };
+}
+
+/**
+ * Next.js file-system routes. `app/**\/page` renders a GET page and
+ * `app/**\/route` serves its exported method handlers; `pages/api/**` handles
+ * every method and other `pages/**` files render GET pages. Route groups and
+ * parallel-route slots do not appear in the URL.
+ * @param {string} filePath - Project-relative file path
+ * @param {Object} ast - Babel File node
+ * @returns {Array<Object>} Route records
+ */
+function collectNextRoutes(filePath, ast) {
+  const match = String(filePath).replace(/\\/g, '/').match(NEXT_ROUTE_FILE);
+  if (!match) return [];
+  const [, router, rest] = match;
+  const segments = rest.split('/');
+  const base = segments.pop();
+  if (segments.some(s => s.startsWith('_') || s.startsWith('(.'))) return [];
+
+  const urlSegments = segments
+    .filter(s => !(s.startsWith('(') && s.endsWith(')')) && !s.startsWith('@'))
+    .map(nextSegment);
+  const { names, defaultName } = exportedNames(ast);
+  const record = (method, handler, line = 1) => ({ method, path: joinRoutePath(...urlSegments), line, router: null, handler, module: null });
+
+  if (router === 'app') {
+    if (base === 'page' && defaultName) return [record('GET', defaultName)];
+    if (base === 'route') return NEXT_HANDLER_EXPORTS.filter(m => names.has(m)).map(m => record(m, m));
+    return [];
+  }
+
+  if (base.startsWith('_') || !defaultName) return [];
+  if (base !== 'index') urlSegments.push(nextSegment(base));
+  const isApi = segments[0] === 'api';
+  return [record(isApi ? 'ALL' : 'GET', defaultName)];
+}
+
+/**
+ * Extract HTTP routes and router mounts from JavaScript/TypeScript.
+ * @param {string} content - File content
+ * @param {string} lang - 'javascript' or 'typescript'
+ * @param {string} [filePath] - Project-relative file path (Next.js routes)
+ * @returns {{routes: Array<Object>, mounts: Array<Object>}} Empty when the source cannot be parsed
+ */
+function extractJavaScriptRoutes(content, lang, filePath) {
+  if (typeof content !== 'string') return { routes: [], mounts: [] };
+  const ast = parseJavaScript(content, lang, filePath);
+  if (!ast) return { routes: [], mounts: [] };
+  const { routes, mounts } = collectRoutesFromAst(ast);
+  const fileRoutes = filePath && path.extname(filePath) ? collectNextRoutes(filePath, ast) : [];
+  return { routes: [...fileRoutes, ...routes], mounts };
+}
+
+module.exports = {
+  ROUTE_METHODS,
+  joinRoutePath,
+  extractJavaScriptRoutes,
+};
@@ -0,0 +1,99 @@
+/**
+ * Ruby `require` extraction.
+ *
+ * Comments (`#`, `=begin`/`=end`) are masked; calls are located in a copy
+ * with string contents masked too, so keywords inside strings are skipped,
+ * and their literal argument is read from the comment-free source.
+ * Interpolated (`"#{...}"`) arguments are dynamic and ignored.
+ *   - require `require 'json'` / `load 'tasks.rb'` → path as written
+ *   - require `require_relative 'models/user'` → `./models/user`
+ *   - dynamic `autoload :User, 'app/user'` → `app/user`
+ */
+
+/**
+ * Mask comments and, optionally, string contents with spaces
+ * @param {string} content - Ruby source
+ * @param {boolean} maskStrings - Also blank string literals
+ * @returns {string}
+ */
+function maskSource(content, maskStrings) {
+  const out = content.split('');
+  const blank = (from, to) => {
+    for (let k = from; k < to && k < content.length; k++) {
+      if (out[k] !== '\n') out[k] = ' ';
+    }
+  };
+  let i = 0;
+
+  while (i < content.length) {
+    const char = content[i];
+    const atLineStart = i === 0 || content[i - 1] === '\n';
+
+    if (atLineStart && content.startsWith('=begin', i)) {
+      const end = content.slice(i).match(/^=end\b[^\n]*/m);
+      const stop = end ? i + end.index + end[0].length : content.length;
+      blank(i, stop);
+      i = stop;
+    } else if (char === '#') {
+      const end = content.indexOf('\n', i);
+      const stop = end === -1 ? content.length : end;
+      blank(i, stop);
+      i = stop;
+    } else if (char === '"' || char === "'") {
+      let j = i + 1;
+      while (j < content.length && content[j] !== char) {
+        if (content[j] === '\\') j++;
+        j++;
+      }
+      if (maskStrings) blank(i, j + 1);
+      i = j + 1;
+    } else {
+      i++;
+    }
+  }
+
+  return out.join('');
+}
+
+function positionAt(text, offset) {
+  const before = text.slice(0, offset);
+  return { line: before.split('\n').length, column: offset - before.lastIndexOf('\n') };
+}
+
+/**
+ * Extract Ruby requires with positions
+ * @param {string} content - Ruby source
+ * @returns {Array<{path: string, line: number, column: number, kind: string}>}
+ */
+function extractRubyImports(content) {
+  if (typeof content !== 'string') return [];
+
+  const code = maskSource(content, false);
+  const masked = maskSource(content, true);
+  const imports = [];
+  const pattern = /(^|[^\w.:$@])(require_relative|require|load|autoload)\b/g;
+  const argument = /\s*\(?\s*(?::\w+\s*,\s*)?(['"])([^'"\n]+)\1/y;
+
+  for (const match of masked.matchAll(pattern)) {
+    const keyword = match[2];
+    argument.lastIndex = match.index + match[0].length;
+    const literal = argument.exec(code);
+    if (!literal || literal[2].includes('#{')) continue;
+    // autoload needs its constant, the others must not have one
+    if ((keyword === 'autoload') !== /^\s*\(?\s*:/.test(literal[0])) continue;
+
+    let importPath = literal[2];
+    if (keyword === 'require_relative' && !importPath.startsWith('.')) importPath = `./${importPath}`;
+    imports.push({
+      path: importPath,
+      ...positionAt(masked, match.index + match[1].length),
+      kind: keyword === 'autoload' ? 'dynamic' : 'require',
+    });
+  }
+
+  return imports;
+}
+
+module.exports = {
+  extractRubyImports,
+};
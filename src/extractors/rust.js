@@ -0,0 +1,174 @@
+/**
+ * Rust module and `use` extraction.
+ *
+ * Comments and string literals are masked first. Records use Rust paths
+ * (`::` separated) as `path`, one record per leaf of a `use` tree:
+ *   - module   `mod name;` (path `name`; `#[path = "..."]` is kept as `modulePath`)
+ *   - static   `use crate::a::{b, c::d};` → `crate::a::b`, `crate::a::c::d`
+ *   - reexport `pub use self::x::*;` → `self::x`
+ *   - static   `extern crate name;` → `name`
+ * Inline `mod name { ... }` blocks are not files and produce no record.
+ */
+
+/**
+ * Replace comments and string literals with spaces, keeping newlines
+ * @param {string} content - Rust source
+ * @returns {string}
+ */
+function maskCommentsAndStrings(content) {
+  const out = content.split('');
+  const blank = (from, to) => {
+    for (let k = from; k < to && k < content.length; k++) {
+      if (out[k] !== '\n') out[k] = ' ';
+    }
+  };
+  let i = 0;
+
+  while (i < content.length) {
+    const char = content[i];
+    const next = content[i + 1];
+
+    if (char === '/' && next === '/') {
+      const end = content.indexOf('\n', i);
+      const stop = end === -1 ? content.length : end;
+      blank(i, stop);
+      i = stop;
+    } else if (char === '/' && next === '*') {
+      // Block comments nest in Rust
+      let depth = 0;
+      let j = i;
+      while (j < content.length) {
+        if (content[j] === '/' && content[j + 1] === '*') { depth++; j += 2; continue; }
+        if (content[j] === '*' && content[j + 1] === '/') { depth--; j += 2; if (depth === 0) break; continue; }
+        j++;
+      }
+      blank(i, j);
+      i = j;
+    } else if ((char === 'r' || char === 'b') && /^(?:b?r)(#*)"/.test(content.slice(i, i + 260)) && !/\w/.test(content[i - 1] || '')) {
+      const [prefix, hashes] = content.slice(i).match(/^(?:b?r)(#*)"/);
+      const close = `"${hashes}`;
+      const end = content.indexOf(close, i + prefix.length);
+      const stop = end === -1 ? content.length : end + close.length;
+      blank(i, stop);
+      i = stop;
+    } else if (char === '"') {
+      let j = i + 1;
+      while (j < content.length && content[j] !== '"') {
+        if (content[j] === '\\') j++;
+        j++;
+      }
+      blank(i, j + 1);
+      i = j + 1;
+    } else if (char === "'" && /^'(?:\\.[^']*|[^\\'\n])'/.test(content.slice(i, i + 12))) {
+      // Char literal; a bare `'` is a lifetime
+      const end = content.indexOf("'", i + 2);
+      blank(i, end + 1);
+      i = end + 1;
+    } else {
+      i++;
+    }
+  }
+
+  return out.join('');
+}
+
+/**
+ * Expand a `use` tree into leaf paths
+ * @param {string} tree - Use tree text, whitespace removed (e.g. `crate::a::{b,c::d}`)
+ * @param {string} [prefix] - Path accumulated from enclosing groups
+ * @returns {Array<string>}
+ */
+function expandUseTree(tree, prefix = '') {
+  const join = (a, b) => (a ? `${a}::${b}` : b);
+  const braceAt = tree.indexOf('{');
+
+  if (braceAt === -1) {
+    const leaf = tree.replace(/\bas\b.*$/, '').replace(/::\*$|^\*$/, '');
+    if (leaf === 'self') return prefix ? [prefix] : [];
+    if (!leaf) return prefix ? [prefix] : [];
+    return [join(prefix, leaf)];
+  }
+
+  const head = tree.slice(0, braceAt).replace(/::$/, '');
+  const base = head ? join(prefix, head) : prefix;
+  const inner = tree.slice(braceAt + 1, tree.lastIndexOf('}'));
+
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < inner.length; i++) {
+    if (inner[i] === '{') depth++;
+    else if (inner[i] === '}') depth--;
+    else if (inner[i] === ',' && depth === 0) {
+      parts.push(inner.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(inner.slice(start));
+
+  return parts.filter(Boolean).flatMap(part => expandUseTree(part, base));
+}
+
+function positionAt(text, offset) {
+  const before = text.slice(0, offset);
+  return { line: before.split('\n').length, column: offset - before.lastIndexOf('\n') };
+}
+
+/**
+ * Extract Rust module declarations and `use` paths with positions
+ * @param {string} content - Rust source
+ * @returns {Array<{path: string, line: number, column: number, kind: string, modulePath?: string}>}
+ */
+function extractRustImports(content) {
+  if (typeof content !== 'string') return [];
+
+  const masked = maskCommentsAndStrings(content);
+  const imports = [];
+  const pattern = /(^|[;{}\]\s])((?:pub(?:\s*\([^)]*\))?\s+)?)(use|mod|extern\s+crate)\s+([^;{]*)(;|\{)/g;
+  // `use` trees may contain braces; matches inside them are skipped
+  let resumeAt = 0;
+
+  for (const match of masked.matchAll(pattern)) {
+    if (match.index < resumeAt) continue;
+    const offset = match.index + match[1].length;
+    const position = positionAt(masked, offset);
+    const keyword = match[3];
+    const isPublic = Boolean(match[2].trim());
+
+    if (keyword === 'mod') {
+      const name = match[4].trim();
+      if (match[5] !== ';' || !/^[A-Za-z_]\w*$/.test(name)) continue;
+      const record = { path: name, ...position, kind: 'module' };
+      // `#[path = "file.rs"]` immediately before the declaration
+      const attribute = content.slice(0, offset).match(/#\[\s*path\s*=\s*"([^"]+)"\s*\]\s*$/);
+      if (attribute) record.modulePath = attribute[1];
+      imports.push(record);
+      continue;
+    }
+
+    if (keyword !== 'use') {
+      const name = match[4].trim().split(/\s+/)[0];
+      if (/^[A-Za-z_]\w*$/.test(name)) imports.push({ path: name, ...position, kind: 'static' });
+      continue;
+    }
+
+    // `use a::{b, c};` — the tree may contain braces, so read to the `;`
+    const treeStart = match.index + match[0].length - match[4].length - 1;
+    const end = masked.indexOf(';', treeStart);
+    if (end === -1) break;
+    const tree = masked.slice(treeStart, end).replace(/\s+/g, ' ').replace(/\s*(::|,|\{|\})\s*/g, '$1').trim();
+    resumeAt = end + 1;
+
+    for (const leaf of expandUseTree(tree.replace(/\s+as\s+\w+/g, ''))) {
+      imports.push({ path: leaf.replace(/^::/, ''), ...position, kind: isPublic ? 'reexport' : 'static' });
+    }
+  }
+
+  return imports;
+}
+
+module.exports = {
+  maskCommentsAndStrings,
+  expandUseTree,
+  extractRustImports,
+};
@@ -143,6 +143,9 @@ function formatConsole(results, options = {}, startTime = Date.now()) {
           let line = '';
           if (typeof v.line === 'number' && v.line >= 0 && v.line < 1000000) {
             line = c.cyan(`:${v.line}`);
+            if (Number.isInteger(v.column) && v.column > 0 && v.column < 1000000) {
+              line += c.cyan(`:${v.column}`);
+            }
           }
           const message = typeof v.message === 'string' ? v.message.slice(0, 200) : 'Unknown error';
           console.log(`      ${icons.arrow} ${c.red(message)}${line}`);
@@ -57,7 +57,10 @@ function formatJUnit(results, options = {}, startTime = Date.now()) {
     if (safeRule.status === 'failed') {
       const violations = violationsList.map(v => {
         let msg = `File: ${v.file || 'unknown'}`;
-        if (v.line !== undefined && v.line !== null) msg += `:${v.line}`;
+        if (v.line !== undefined && v.line !== null) {
+          msg += `:${v.line}`;
+          if (Number.isInteger(v.column)) msg += `:${v.column}`;
+        }
         msg += `\nMessage: ${v.message || 'No message'}`;
         if (v.suggestion) msg += `\nSuggestion: ${v.suggestion}`;
         return msg;
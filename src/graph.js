@@ -126,91 +126,176 @@ class ComponentGraph {
   }
 
   /**
-   * Find circular dependencies (for Phase 2)
+   * Get the names of every component reachable from the given ones by
+   * following dependencies (the start components included)
+   * @param {Array<string>} componentNames - Start component names
+   * @returns {Set<string>}
+   */
+  getReachable(componentNames) {
+    const reachable = new Set();
+    const queue = componentNames.filter(name => this._componentByName.has(name));
+    for (const name of queue) reachable.add(name);
+
+    for (let i = 0; i < queue.length; i++) {
+      for (const dep of this.getDependencies(queue[i])) {
+        if (!reachable.has(dep.name)) {
+          reachable.add(dep.name);
+          queue.push(dep.name);
+        }
+      }
+    }
+    return reachable;
+  }
+
+  /**
+   * Find every elementary dependency cycle (Johnson's algorithm, run per
+   * strongly connected component). Each cycle starts at its smallest
+   * component name and repeats it at the end: `['a', 'b', 'a']`.
+   * @param {Object} [options]
+   * @param {number} [options.limit=1000] - Stop after this many cycles
    * @returns {Array<Array<string>>} Array of cycles, each cycle is an array of component names
    */
-  findCycles() {
+  findCycles(options = {}) {
+    const limit = options.limit || 1000;
+    const names = [...this._componentByName.keys()].sort();
+    const adjacency = new Map(names.map(name => [
+      name,
+      [...new Set(this.getDependencies(name).map(dep => dep.name))].sort(),
+    ]));
     const cycles = [];
-    const state = new Map(); // 0/undefined=unvisited, 1=visiting, 2=done
-    const MAX_DEPTH = 1000;
-    const seenCycles = new Set();
-
-    const canonicalizeCycle = (cycle) => {
-      const nodes = cycle.slice(0, -1); // remove repeated end node
-      if (nodes.length === 0) return '';
-      let minIndex = 0;
-      for (let i = 1; i < nodes.length; i++) {
-        if (nodes[i] < nodes[minIndex]) {
-          minIndex = i;
-        }
+
+    for (const component of this._stronglyConnected(names, adjacency)) {
+      const members = [...component].sort();
+      if (members.length === 1 && !adjacency.get(members[0]).includes(members[0])) continue;
+
+      for (let i = 0; i < members.length && cycles.length < limit; i++) {
+        // Circuits through members[i] that only use later members
+        const start = members[i];
+        const allowed = new Set(members.slice(i));
+        const subgraph = new Map(members.slice(i).map(name => [name, adjacency.get(name).filter(dep => allowed.has(dep))]));
+        const scc = this._stronglyConnected([start], subgraph).find(nodes => nodes.has(start));
+        const neighbours = name => subgraph.get(name).filter(dep => scc.has(dep));
+        this._findCircuits(start, neighbours, cycles, limit);
       }
-      const rotated = nodes.slice(minIndex).concat(nodes.slice(0, minIndex));
-      return rotated.join('->');
-    };
+      if (cycles.length >= limit) break;
+    }
+    return cycles;
+  }
 
-    for (const startComponent of this.components) {
-      if (!startComponent.name) continue;
-      if (state.get(startComponent.name) === 2) continue;
-
-      const stack = [{
-        name: startComponent.name,
-        deps: this.getDependencies(startComponent.name).map(dep => dep.name).filter(Boolean),
-        nextIndex: 0
-      }];
-      const path = [];
-
-      while (stack.length > 0) {
-        if (stack.length > MAX_DEPTH) {
-          console.warn(`Warning: Dependency depth exceeds ${MAX_DEPTH}, possible cycle or deep graph`);
-          break;
-        }
+  /**
+   * Tarjan's strongly connected components, iteratively
+   * @private
+   * @param {Array<string>} roots - Names to start from
+   * @param {Map<string, Array<string>>} adjacency - Name → dependency names
+   * @returns {Array<Set<string>>}
+   */
+  _stronglyConnected(roots, adjacency) {
+    const index = new Map();
+    const lowLink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+    let counter = 0;
 
-        const frame = stack[stack.length - 1];
-        const node = frame.name;
-        const nodeState = state.get(node) || 0;
+    for (const root of roots) {
+      if (index.has(root)) continue;
+      const frames = [{ name: root, next: 0 }];
+      index.set(root, counter);
+      lowLink.set(root, counter++);
+      stack.push(root);
+      onStack.add(root);
 
-        if (nodeState === 0) {
-          state.set(node, 1);
-          path.push(node);
+      while (frames.length > 0) {
+        const frame = frames[frames.length - 1];
+        const deps = adjacency.get(frame.name) || [];
+        if (frame.next < deps.length) {
+          const dep = deps[frame.next++];
+          if (!adjacency.has(dep)) continue;
+          if (!index.has(dep)) {
+            index.set(dep, counter);
+            lowLink.set(dep, counter++);
+            stack.push(dep);
+            onStack.add(dep);
+            frames.push({ name: dep, next: 0 });
+          } else if (onStack.has(dep)) {
+            lowLink.set(frame.name, Math.min(lowLink.get(frame.name), index.get(dep)));
+          }
+          continue;
         }
 
-        if (frame.nextIndex >= frame.deps.length) {
-          state.set(node, 2);
-          stack.pop();
-          path.pop();
-          continue;
+        frames.pop();
+        if (frames.length > 0) {
+          const parent = frames[frames.length - 1].name;
+          lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.name)));
         }
+        if (lowLink.get(frame.name) === index.get(frame.name)) {
+          const members = new Set();
+          let member;
+          do {
+            member = stack.pop();
+            onStack.delete(member);
+            members.add(member);
+          } while (member !== frame.name);
+          components.push(members);
+        }
+      }
+    }
+    return components;
+  }
 
-        const dep = frame.deps[frame.nextIndex++];
-        if (!dep || !this._componentByName.has(dep)) {
-          continue;
+  /**
+   * Johnson's circuit search from one start node, iteratively
+   * @private
+   * @param {string} start - Start name
+   * @param {function(string): Array<string>} neighbours - Dependencies within the start's component
+   * @param {Array<Array<string>>} cycles - Found cycles are appended here
+   * @param {number} limit - Maximum total cycles
+   */
+  _findCircuits(start, neighbours, cycles, limit) {
+    const blocked = new Set([start]);
+    const blockedBy = new Map();
+    const path = [start];
+    const frames = [{ name: start, deps: neighbours(start), next: 0, found: false }];
+
+    const unblock = (name) => {
+      const queue = [name];
+      while (queue.length > 0) {
+        const current = queue.pop();
+        blocked.delete(current);
+        for (const waiting of blockedBy.get(current) || []) {
+          if (blocked.has(waiting)) queue.push(waiting);
         }
+        blockedBy.delete(current);
+      }
+    };
 
-        const depState = state.get(dep) || 0;
-        if (depState === 0) {
-          stack.push({
-            name: dep,
-            deps: this.getDependencies(dep).map(d => d.name).filter(Boolean),
-            nextIndex: 0
-          });
-          continue;
+    while (frames.length > 0 && cycles.length < limit) {
+      const frame = frames[frames.length - 1];
+      if (frame.next < frame.deps.length) {
+        const dep = frame.deps[frame.next++];
+        if (dep === start) {
+          cycles.push([...path, start]);
+          frame.found = true;
+        } else if (!blocked.has(dep)) {
+          path.push(dep);
+          blocked.add(dep);
+          frames.push({ name: dep, deps: neighbours(dep), next: 0, found: false });
         }
+        continue;
+      }
 
-        if (depState === 1) {
-          const cycleStart = path.indexOf(dep);
-          if (cycleStart !== -1) {
-            const cycle = path.slice(cycleStart).concat(dep);
-            const key = canonicalizeCycle(cycle);
-            if (!seenCycles.has(key)) {
-              seenCycles.add(key);
-              cycles.push(cycle);
-            }
-          }
+      frames.pop();
+      path.pop();
+      if (frame.found) {
+        unblock(frame.name);
+      } else {
+        for (const dep of frame.deps) {
+          if (!blockedBy.has(dep)) blockedBy.set(dep, new Set());
+          blockedBy.get(dep).add(frame.name);
         }
       }
+      if (frames.length > 0 && frame.found) frames[frames.length - 1].found = true;
     }
-
-    return cycles;
   }
 
   /**
@@ -2,7 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 
-const CACHE_SCHEMA_VERSION = '1.0';
+const CACHE_SCHEMA_VERSION = '1.1';
 
 function normalizeOptions(options = {}) {
   return {
@@ -10,6 +10,9 @@ function normalizeOptions(options = {}) {
     exclude: options.exclude || null,
     maxFiles: options.maxFiles || null,
     analyzer: options.analyzer || 'default',
+    gitignore: options.gitignore !== false,
+    ref: options.ref || null,
+    archive: options.archive || null,
   };
 }
 
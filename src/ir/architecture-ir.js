@@ -1,7 +1,8 @@
 const fs = require('fs');
 const path = require('path');
+const { computeMetrics } = require('../metrics');
 
-const IR_SCHEMA_VERSION = '1.0';
+const IR_SCHEMA_VERSION = '2.0';
 
 function toArchitectureIR(analysisResult, metadata = {}) {
   const components = Array.isArray(analysisResult?.components)
@@ -12,6 +13,9 @@ function toArchitectureIR(analysisResult, metadata = {}) {
         type: component.type,
         roleTags: Array.isArray(component.roleTags) ? [...component.roleTags].sort() : [],
         dependencies: Array.isArray(component.dependencies) ? [...component.dependencies].sort() : [],
+        ...(component.package ? { package: component.package } : {}),
+        ...(Array.isArray(component.files) ? { files: [...component.files] } : {}),
+        ...(Array.isArray(component.symbols) && component.symbols.length > 0 ? { symbols: component.symbols } : {}),
       }))
     : [];
 
@@ -24,9 +28,21 @@ function toArchitectureIR(analysisResult, metadata = {}) {
       componentCount: components.length,
       languageCount: Object.keys(analysisResult?.languages || {}).length,
       entryPointCount: Array.isArray(analysisResult?.entryPoints) ? analysisResult.entryPoints.length : 0,
+      ...(analysisResult?.coverage ? {
+        discoveredFileCount: analysisResult.coverage.discovered,
+        skippedFileCount: analysisResult.coverage.skipped,
+        partial: Boolean(analysisResult.coverage.truncated),
+      } : {}),
     },
     languages: analysisResult?.languages || {},
     entryPoints: analysisResult?.entryPoints || [],
+    packages: Array.isArray(analysisResult?.packages) ? analysisResult.packages : [],
+    routes: Array.isArray(analysisResult?.routes) ? analysisResult.routes : [],
+    entities: Array.isArray(analysisResult?.entities) ? analysisResult.entities : [],
+    events: Array.isArray(analysisResult?.events) ? analysisResult.events : [],
+    ...(analysisResult?.coverage ? { coverage: analysisResult.coverage } : {}),
+    // Fan-in/fan-out, instability, abstractness and distance per component and directory
+    metrics: computeMetrics({ components: Array.isArray(analysisResult?.components) ? analysisResult.components : [] }),
     components,
   };
 }
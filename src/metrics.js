@@ -0,0 +1,161 @@
+/**
+ * Coupling and stability metrics (Robert C. Martin's package metrics) for
+ * components and directories
+ */
+const path = require('path');
+const chalk = require('chalk');
+const { ComponentGraph } = require('./graph');
+
+const METRIC_COLUMNS = ['fanIn', 'fanOut', 'instability', 'abstractness', 'distance'];
+
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+function countTypes(components) {
+  let types = 0;
+  let abstractTypes = 0;
+  for (const component of components) {
+    for (const symbol of component.symbols || []) {
+      if (symbol.kind !== 'class' && symbol.kind !== 'interface') continue;
+      types++;
+      if (symbol.kind === 'interface' || symbol.abstract) abstractTypes++;
+    }
+  }
+  return { types, abstractTypes };
+}
+
+/**
+ * Instability, abstractness and distance from the main sequence for one
+ * afferent/efferent count pair. Instability (and so distance) is null for
+ * a unit with no dependencies in either direction.
+ * @param {number} fanIn - Dependents outside the unit (Ca)
+ * @param {number} fanOut - Dependencies outside the unit (Ce)
+ * @param {{types: number, abstractTypes: number}} typeCounts - Classes and interfaces in the unit
+ * @returns {{fanIn: number, fanOut: number, instability: number|null, abstractness: number, distance: number|null}}
+ */
+function describeCoupling(fanIn, fanOut, { types, abstractTypes }) {
+  const instability = fanIn + fanOut === 0 ? null : fanOut / (fanIn + fanOut);
+  const abstractness = types === 0 ? 0 : abstractTypes / types;
+  return {
+    fanIn,
+    fanOut,
+    instability: round(instability),
+    abstractness: round(abstractness),
+    distance: instability === null ? null : round(Math.abs(abstractness + instability - 1)),
+  };
+}
+
+function directoryOf(component) {
+  return component.directory || path.posix.dirname(component.filePath || '.') || '.';
+}
+
+/**
+ * Compute coupling metrics for every component and every directory. A
+ * directory covers its subdirectories, so `src` sums up `src/core` and
+ * `src/workflow`; only dependencies crossing its boundary count. Files at
+ * the repository root form the `.` directory, which covers nothing else.
+ * @param {Object} analysis - analyze() result
+ * @returns {{components: Array<Object>, directories: Array<Object>}} Sorted by name
+ */
+function computeMetrics(analysis) {
+  const graph = new ComponentGraph(analysis);
+  const components = graph.components.filter(c => c && c.name);
+
+  const componentMetrics = components
+    .map(component => ({
+      name: component.name,
+      filePath: component.filePath,
+      type: component.type,
+      ...describeCoupling(
+        graph.getDependents(component.name).length,
+        graph.getDependencies(component.name).length,
+        countTypes([component])
+      ),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const directories = new Set();
+  for (const component of components) {
+    let dir = directoryOf(component);
+    if (dir === '.') directories.add(dir);
+    while (dir && dir !== '.' && dir !== '/' && !directories.has(dir)) {
+      directories.add(dir);
+      dir = path.posix.dirname(dir);
+    }
+  }
+
+  const directoryMetrics = [...directories].sort().map((dir) => {
+    const inside = component => {
+      const componentDir = directoryOf(component);
+      return componentDir === dir || componentDir.startsWith(`${dir}/`);
+    };
+    const members = components.filter(inside);
+    const dependents = new Set();
+    const dependencies = new Set();
+    for (const member of members) {
+      graph.getDependents(member.name).filter(c => !inside(c)).forEach(c => dependents.add(c.name));
+      graph.getDependencies(member.name).filter(c => !inside(c)).forEach(c => dependencies.add(c.name));
+    }
+    return {
+      name: dir,
+      components: members.length,
+      ...describeCoupling(dependents.size, dependencies.size, countTypes(members)),
+    };
+  });
+
+  return { components: componentMetrics, directories: directoryMetrics };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format metrics as CSV, one row per directory and component
+ * @param {Object} metrics - computeMetrics() result
+ * @returns {string}
+ */
+function formatMetricsCsv(metrics) {
+  const header = ['scope', 'name', 'components', ...METRIC_COLUMNS];
+  const rows = [
+    ...metrics.directories.map(d => ['directory', d.name, d.components, ...METRIC_COLUMNS.map(key => d[key])]),
+    ...metrics.components.map(c => ['component', c.name, 1, ...METRIC_COLUMNS.map(key => c[key])]),
+  ];
+  return `${[header, ...rows].map(row => row.map(csvField).join(',')).join('\n')}\n`;
+}
+
+function printTable(title, header, rows) {
+  console.log(chalk.cyan(`\n${title}`));
+  if (rows.length === 0) {
+    console.log(chalk.gray('   None'));
+    return;
+  }
+  const widths = header.map((column, i) => Math.max(column.length, ...rows.map(row => row[i].length)));
+  // Name left-aligned, numbers right-aligned
+  const format = row => `   ${row.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ')}`;
+  console.log(chalk.gray(format(header)));
+  rows.forEach(row => console.log(format(row)));
+}
+
+/**
+ * Print metrics as console tables
+ * @param {Object} metrics - computeMetrics() result
+ */
+function printMetrics(metrics) {
+  const cells = item => METRIC_COLUMNS.map(key => (item[key] === null ? '-' : String(item[key])));
+  printTable('📁 Directories', ['Directory', 'Files', 'Fan-in', 'Fan-out', 'I', 'A', 'D'],
+    metrics.directories.map(d => [d.name, String(d.components), ...cells(d)]));
+  printTable('📦 Components', ['Component', 'Fan-in', 'Fan-out', 'I', 'A', 'D'],
+    metrics.components.map(c => [c.name, ...cells(c)]));
+  console.log(chalk.gray('\n   I = instability, A = abstractness, D = distance from the main sequence (|A + I - 1|)'));
+}
+
+module.exports = {
+  METRIC_COLUMNS,
+  describeCoupling,
+  computeMetrics,
+  formatMetricsCsv,
+  printMetrics,
+};
@@ -0,0 +1,224 @@
+/**
+ * Orphan detection - components nothing depends on, and components no
+ * entry point can reach
+ */
+const picomatch = require('picomatch');
+const chalk = require('chalk');
+const { ComponentGraph } = require('./graph');
+const { sanitize, escapeMermaid } = require('./core/analysis-generation');
+const { detectEntryPoints } = require('./core/entry-points');
+const { toComparablePath } = require('./utils/paths');
+
+/**
+ * Files that tools and frameworks load by convention rather than through an
+ * import. They are never reported, and what they import counts as used.
+ */
+const DEFAULT_ORPHAN_ALLOW = Object.freeze([
+  'scripts/**',
+  '**/bin/**',
+  '**/*.config.*',
+  '**/.*rc.*',
+  '**/*.d.ts',
+  '**/migrations/**',
+  '**/*.{test,spec}.*',
+  '**/{test,tests,__tests__,__mocks__}/**',
+  '**/pages/**',
+  '**/app/**/{page,layout,template,loading,error,not-found,default,route}.*',
+  '**/{middleware,instrumentation}.{js,ts}',
+]);
+
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Label the analysis entry points with where they were declared (package
+ * manifests, pyproject scripts, framework conventions)
+ * @param {Object} analysis - analyze() result
+ * @param {function(string): (string|null)} readFile - Reads a root-relative file
+ * @returns {Array<{file: string, source: string}>}
+ */
+function readDeclaredEntryPoints(analysis, readFile) {
+  const files = (analysis.components || []).flatMap(c => [c.filePath, ...(c.files || [])]).filter(Boolean);
+  const analyzed = new Set(analysis.entryPoints || []);
+  return detectEntryPoints(files, { readFile, packageDirs: (analysis.packages || []).map(pkg => pkg.path) })
+    .filter(entry => analyzed.has(entry.file));
+}
+
+/**
+ * Find orphaned components: those with no dependents, and those that no
+ * entry point reaches through dependencies. Allowed components are never
+ * reported and, like entry points, make what they import reachable.
+ * @param {Object} analysis - analyze() result
+ * @param {Object} [options]
+ * @param {Array<{file: string, source: string}>} [options.declared] - From readDeclaredEntryPoints()
+ * @param {Array<string>|string} [options.entry] - Extra entry point globs
+ * @param {Array<string>|string} [options.allow] - Globs of components never reported
+ * @param {boolean} [options.defaultAllow] - Include DEFAULT_ORPHAN_ALLOW (default true)
+ * @returns {Object} `{entryPoints, allowed, orphans, reachability, summary, coverage}`
+ */
+function findOrphans(analysis, options = {}) {
+  const graph = new ComponentGraph(analysis);
+  const components = graph.components.filter(c => c && c.name);
+
+  // A component matches a path through its own path or, for Go packages, its
+  // files; root files are compared without their `./` prefix
+  const pathsOf = component => [component.filePath, ...(component.files || [])].filter(Boolean).map(toComparablePath);
+  const byFile = new Map();
+  for (const component of components) {
+    for (const file of pathsOf(component)) {
+      if (!byFile.has(file)) byFile.set(file, component);
+    }
+  }
+
+  const entryPoints = new Map();
+  const addEntry = (component, source) => {
+    if (component && !entryPoints.has(component.name)) entryPoints.set(component.name, source);
+  };
+  for (const { file, source } of options.declared || []) {
+    addEntry(byFile.get(toComparablePath(file)), source);
+  }
+  const entryGlobs = toList(options.entry);
+  if (entryGlobs.length > 0) {
+    const isEntry = picomatch(entryGlobs, { dot: true });
+    components.filter(c => pathsOf(c).some(file => isEntry(file))).forEach(c => addEntry(c, 'configured'));
+  }
+  for (const file of analysis.entryPoints || []) {
+    addEntry(byFile.get(toComparablePath(file)), 'detected');
+  }
+
+  const allowGlobs = [...(options.defaultAllow === false ? [] : DEFAULT_ORPHAN_ALLOW), ...toList(options.allow)];
+  const isAllowed = allowGlobs.length > 0 ? picomatch(allowGlobs, { dot: true }) : () => false;
+  const allowed = components
+    .filter(c => !entryPoints.has(c.name) && pathsOf(c).some(file => isAllowed(file)))
+    .map(c => c.name);
+  const allowedSet = new Set(allowed);
+
+  // Without any entry point everything would be unreachable; report unreferenced components only
+  const reachability = entryPoints.size > 0;
+  const reachable = graph.getReachable([...entryPoints.keys(), ...allowed]);
+
+  const orphans = [];
+  for (const component of components) {
+    if (entryPoints.has(component.name) || allowedSet.has(component.name)) continue;
+    const dependents = graph.getDependents(component.name).map(c => c.name).sort();
+    const unreferenced = dependents.length === 0;
+    const unreachable = reachability && !reachable.has(component.name);
+    if (!unreferenced && !unreachable) continue;
+    orphans.push({
+      name: component.name,
+      filePath: component.filePath,
+      type: component.type,
+      status: unreferenced ? 'unreferenced' : 'unreachable',
+      dependents,
+    });
+  }
+  orphans.sort((a, b) => (a.status === b.status ? a.name.localeCompare(b.name) : a.status === 'unreferenced' ? -1 : 1));
+
+  return {
+    entryPoints: [...entryPoints].map(([name, source]) => ({ name, source })).sort((a, b) => a.name.localeCompare(b.name)),
+    allowed: allowed.sort(),
+    orphans,
+    reachability,
+    summary: {
+      components: components.length,
+      entryPoints: entryPoints.size,
+      allowed: allowed.length,
+      unreferenced: orphans.filter(o => o.status === 'unreferenced').length,
+      unreachable: orphans.filter(o => o.status === 'unreachable').length,
+    },
+    coverage: analysis.coverage || null,
+  };
+}
+
+/**
+ * Render orphans as a Mermaid flowchart: orphaned components, their
+ * dependencies and dependents, with dead code highlighted
+ * @param {Object} analysis - analyze() result
+ * @param {Object} report - findOrphans() result
+ * @returns {string} Mermaid code
+ */
+function generateOrphansDiagram(analysis, report) {
+  const lines = ['graph LR'];
+  if (report.orphans.length === 0) {
+    lines.push('  Note["No orphaned components"]');
+    return lines.join('\n');
+  }
+
+  const status = new Map(report.orphans.map(o => [o.name, o.status]));
+  const entries = new Set(report.entryPoints.map(e => e.name));
+  const byName = new Map(analysis.components.map(c => [c.name, c]));
+  const nodes = new Set(status.keys());
+  const edges = [];
+  for (const component of analysis.components) {
+    for (const dep of component.dependencies || []) {
+      if (!byName.has(dep) || (!status.has(component.name) && !status.has(dep))) continue;
+      nodes.add(component.name);
+      nodes.add(dep);
+      edges.push(`  ${sanitize(component.name)} --> ${sanitize(dep)}`);
+    }
+  }
+
+  for (const name of [...nodes].sort()) {
+    lines.push(`  ${sanitize(name)}["${escapeMermaid(name)}"]`);
+  }
+  lines.push(...edges);
+  lines.push('  classDef unreferencedNode fill:#dc2626,color:#fff');
+  lines.push('  classDef unreachableNode fill:#f59e0b,color:#fff');
+  lines.push('  classDef entryNode fill:#16a34a,color:#fff');
+  for (const [className, names] of [
+    ['unreferencedNode', [...nodes].filter(name => status.get(name) === 'unreferenced')],
+    ['unreachableNode', [...nodes].filter(name => status.get(name) === 'unreachable')],
+    ['entryNode', [...nodes].filter(name => entries.has(name))],
+  ]) {
+    if (names.length > 0) lines.push(`  class ${names.sort().map(sanitize).join(',')} ${className}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Print an orphans report as a console table
+ * @param {Object} report - findOrphans() result
+ */
+function printOrphans(report) {
+  const { summary } = report;
+  console.log(chalk.cyan('\n🔎 Entry points'));
+  if (report.entryPoints.length === 0) {
+    console.log(chalk.yellow('   None found: declare them in package.json (main, bin, exports), with --entry or `orphans.entryPoints` in the project config'));
+    console.log(chalk.yellow('   Only unreferenced components are reported'));
+  }
+  for (const entry of report.entryPoints) {
+    console.log(`   ${entry.name} ${chalk.gray(`(${entry.source})`)}`);
+  }
+
+  console.log(chalk.cyan(`\n🪦 Orphans (${report.orphans.length})`));
+  if (report.orphans.length === 0) {
+    console.log(chalk.green('   No orphaned components'));
+  } else {
+    const rows = report.orphans.map(o => [o.status, o.name, o.type || '', o.dependents.join(', ') || '-']);
+    const header = ['Status', 'Component', 'Type', 'Dependents'];
+    const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+    const format = row => `   ${row.map((cell, i) => (i === row.length - 1 ? cell : cell.padEnd(widths[i]))).join('  ')}`;
+    console.log(chalk.gray(format(header)));
+    for (const row of rows) {
+      const line = format(row);
+      console.log(row[0] === 'unreferenced' ? chalk.red(line) : chalk.yellow(line));
+    }
+  }
+
+  console.log(chalk.cyan('\n📊 Summary'));
+  console.log(`   Components: ${summary.components}`);
+  console.log(`   Entry points: ${summary.entryPoints}, allowed: ${summary.allowed}`);
+  console.log(`   Unreferenced: ${summary.unreferenced}${report.reachability ? `, unreachable: ${summary.unreachable}` : ''}`);
+}
+
+module.exports = {
+  DEFAULT_ORPHAN_ALLOW,
+  readDeclaredEntryPoints,
+  findOrphans,
+  generateOrphansDiagram,
+  printOrphans,
+};
@@ -0,0 +1,147 @@
+const path = require('path');
+
+/**
+ * Parse the parts of go.mod that matter for resolution
+ * @param {string} text - go.mod content
+ * @returns {{modulePath: string|null, replaces: Array<{from: string, to: string}>}}
+ */
+function parseGoMod(text) {
+  if (typeof text !== 'string') return { modulePath: null, replaces: [] };
+  const stripped = text.replace(/\/\/[^\n]*/g, '');
+  const moduleMatch = stripped.match(/^\s*module\s+"?([^\s"]+)"?/m);
+
+  // `replace a => ../a` and `replace ( a v1 => ./a )`; only local targets
+  const replaces = [];
+  const lines = [];
+  for (const block of stripped.matchAll(/^\s*replace\s*\(([^)]*)\)/gm)) {
+    lines.push(...block[1].split('\n'));
+  }
+  for (const single of stripped.matchAll(/^\s*replace\s+([^(\n][^\n]*)$/gm)) {
+    lines.push(single[1]);
+  }
+  for (const line of lines) {
+    const match = line.match(/^\s*(\S+)(?:\s+\S+)?\s*=>\s*(\.{1,2}\/\S*|\.{1,2})\s*$/);
+    if (match) replaces.push({ from: match[1], to: match[2] });
+  }
+
+  return { modulePath: moduleMatch ? moduleMatch[1] : null, replaces };
+}
+
+/**
+ * Parse go.work `use` directives
+ * @param {string} text - go.work content
+ * @returns {Array<string>} Module directories relative to go.work
+ */
+function parseGoWork(text) {
+  if (typeof text !== 'string') return [];
+  const stripped = text.replace(/\/\/[^\n]*/g, '');
+  const dirs = [];
+  for (const block of stripped.matchAll(/^\s*use\s*\(([^)]*)\)/gm)) {
+    dirs.push(...block[1].split('\n').map(line => line.trim()).filter(Boolean));
+  }
+  for (const single of stripped.matchAll(/^\s*use\s+([^(\s]\S*)\s*$/gm)) {
+    dirs.push(single[1]);
+  }
+  return dirs.map(dir => dir.replace(/^"|"$/g, ''));
+}
+
+/**
+ * Create a loader for the Go modules visible from a file: its own module
+ * (nearest go.mod), modules listed in a root go.work, and local `replace`
+ * targets. Each entry maps a module path prefix to a root-relative directory.
+ * @param {Function} readFile - (relPath) => string|null
+ * @returns {Function} (fromFilePath) => Array<{modulePath: string, dir: string}>
+ */
+function createGoModuleLoader(readFile) {
+  const join = (dir, name) => (dir === '.' ? name : path.posix.join(dir, name));
+  const goModByDir = new Map();
+  const byDir = new Map();
+
+  const readGoMod = (dir) => {
+    if (!goModByDir.has(dir)) {
+      const raw = readFile(join(dir, 'go.mod'));
+      goModByDir.set(dir, raw === null || raw === undefined ? null : parseGoMod(raw));
+    }
+    return goModByDir.get(dir);
+  };
+
+  const moduleEntries = (dir, goMod) => {
+    const entries = [];
+    if (goMod.modulePath) entries.push({ modulePath: goMod.modulePath, dir });
+    for (const replace of goMod.replaces) {
+      const target = path.posix.normalize(join(dir, replace.to));
+      if (!target.startsWith('..')) entries.push({ modulePath: replace.from, dir: target });
+    }
+    return entries;
+  };
+
+  let workspaceModules = null;
+  const loadWorkspace = () => {
+    if (workspaceModules) return workspaceModules;
+    workspaceModules = [];
+    for (const useDir of parseGoWork(readFile('go.work'))) {
+      const dir = path.posix.normalize(useDir);
+      if (dir.startsWith('..')) continue;
+      const goMod = readGoMod(dir);
+      if (goMod) workspaceModules.push(...moduleEntries(dir, goMod));
+    }
+    return workspaceModules;
+  };
+
+  return (fromFilePath) => {
+    const startDir = path.posix.dirname(String(fromFilePath || '').replace(/\\/g, '/').replace(/^\.\//, '')) || '.';
+    if (byDir.has(startDir)) return byDir.get(startDir);
+
+    const modules = [];
+    let dir = startDir;
+    while (true) {
+      const goMod = readGoMod(dir);
+      if (goMod) {
+        modules.push(...moduleEntries(dir, goMod));
+        break;
+      }
+      if (dir === '.') break;
+      dir = path.posix.dirname(dir);
+    }
+    modules.push(...loadWorkspace());
+
+    byDir.set(startDir, modules);
+    return modules;
+  };
+}
+
+/**
+ * Resolve a Go import path to the local package directory.
+ * The longest matching module path wins; imports inside a local module are
+ * internal even when the directory was not analyzed.
+ * @param {string} fromFilePath - Importing file (root-relative)
+ * @param {string} importPath - Go import path
+ * @param {Object} context - Context from createResolutionContext()
+ * @returns {{candidates: Array<string>, aliased: boolean}}
+ */
+function resolveGoImport(fromFilePath, importPath, context) {
+  if (!context || !context.goModulesFor || typeof importPath !== 'string') {
+    return { candidates: [], aliased: false };
+  }
+
+  let best = null;
+  for (const module of context.goModulesFor(fromFilePath)) {
+    const matches = importPath === module.modulePath || importPath.startsWith(`${module.modulePath}/`);
+    if (matches && (!best || module.modulePath.length > best.modulePath.length)) {
+      best = module;
+    }
+  }
+  if (!best) return { candidates: [], aliased: false };
+
+  const subpath = importPath.slice(best.modulePath.length).replace(/^\//, '');
+  const target = path.posix.normalize(subpath ? path.posix.join(best.dir, subpath) : best.dir);
+  if (target.startsWith('..')) return { candidates: [], aliased: false };
+  return { candidates: [target], aliased: true };
+}
+
+module.exports = {
+  parseGoMod,
+  parseGoWork,
+  createGoModuleLoader,
+  resolveGoImport,
+};
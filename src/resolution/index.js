@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const { createTsConfigLoader, resolveTsConfigPaths } = require('./tsconfig');
+const {
+  createPackageScopeLoader,
+  resolvePackageExports,
+  resolvePackageImports,
+  splitPackageSpecifier,
+} = require('./package-json');
+const { createWorkspaceIndex, resolveWorkspaceImport } = require('./workspaces');
+const { createPythonRootsLoader, resolvePythonImport } = require('./python');
+const { createGoModuleLoader, resolveGoImport } = require('./go');
+const { createRustCrateIndex, resolveRustImport } = require('./rust');
+const { createJavaSourceIndex, resolveJavaImport } = require('./java');
+const { createRubyLoadPathLoader, resolveRubyImport } = require('./ruby');
+const { createComposerAutoloadLoader, resolvePhpImport } = require('./php');
+
+/**
+ * Create a root-relative file reader backed by the working tree
+ * @param {string} rootPath - Project root
+ * @returns {Function} (relPath) => string|null
+ */
+function createFsReader(rootPath) {
+  return (relPath) => {
+    const absolute = path.resolve(rootPath, relPath);
+    const relative = path.relative(rootPath, absolute);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+    try {
+      return fs.readFileSync(absolute, 'utf8');
+    } catch {
+      return null;
+    }
+  };
+}
+
+/**
+ * Build the per-analysis resolution context.
+ * Project configuration (package.json, workspaces, tsconfig/jsconfig, go.mod,
+ * Cargo.toml, Gemfile, composer.json) is read through `readFile`, so the same
+ * context works for the working tree and for git snapshots. `files` lists
+ * discovered files so workspace packages, crates and Java sources can be
+ * located without a directory listing.
+ * @param {string} rootPath - Project root
+ * @param {{readFile?: Function, files?: Array<string>}} [options]
+ * @returns {Object} Resolution context
+ */
+function createResolutionContext(rootPath, options = {}) {
+  const readFile = typeof options.readFile === 'function'
+    ? options.readFile
+    : createFsReader(rootPath);
+
+  return {
+    rootPath,
+    readFile,
+    tsConfigFor: createTsConfigLoader(readFile),
+    packageScopeFor: createPackageScopeLoader(readFile),
+    workspaces: createWorkspaceIndex(readFile, options.files || []),
+    pythonRootsFor: createPythonRootsLoader(readFile),
+    goModulesFor: createGoModuleLoader(readFile),
+    rustCrates: createRustCrateIndex(readFile, options.files || []),
+    javaSources: createJavaSourceIndex(readFile, options.files || []),
+    rubyLoadPathFor: createRubyLoadPathLoader(readFile),
+    composerAutoloadFor: createComposerAutoloadLoader(readFile),
+  };
+}
+
+/**
+ * Resolve package.json `imports` (`#` specifiers) and self-references
+ * through the importing file's package scope
+ * @param {string} fromFilePath - Importing file (root-relative)
+ * @param {string} importPath - Import specifier
+ * @param {Object} context - Context from createResolutionContext()
+ * @param {string} [kind] - Import kind, used to pick export conditions
+ * @returns {{candidates: Array<string>, aliased: boolean, external?: string}|null} Null when the scope does not apply
+ */
+function resolvePackageScopeImport(fromFilePath, importPath, context, kind) {
+  const scope = context.packageScopeFor ? context.packageScopeFor(fromFilePath) : null;
+
+  if (importPath.startsWith('#')) {
+    // Only mapped `#` specifiers are project code; `"#dep": "some-pkg"` loads a package
+    const { candidates, external } = scope
+      ? resolvePackageImports(scope, importPath, kind)
+      : { candidates: [], external: null };
+    if (candidates.length === 0 && external) return { candidates, aliased: false, external };
+    return { candidates, aliased: candidates.length > 0 };
+  }
+
+  const specifier = splitPackageSpecifier(importPath);
+  if (scope && specifier && scope.manifest.name === specifier.name && scope.manifest.exports !== undefined) {
+    return { candidates: resolvePackageExports(scope, specifier.subpath, kind), aliased: true };
+  }
+  return null;
+}
+
+/**
+ * Resolve a non-relative import specifier to root-relative candidate paths.
+ * package.json `imports`/self-references and workspace packages are tried
+ * before tsconfig `paths`.
+ * @param {string} fromFilePath - Importing file (root-relative)
+ * @param {string} importPath - Import specifier
+ * @param {Object} context - Context from createResolutionContext()
+ * @param {string} [kind] - Import kind (static, require, type, ...)
+ * @returns {{candidates: Array<string>, aliased: boolean, external?: string}} `external` is the
+ *   package specifier a package.json `imports` entry maps the import to
+ */
+function resolveBareImport(fromFilePath, importPath, context, kind) {
+  if (!context || typeof importPath !== 'string') {
+    return { candidates: [], aliased: false };
+  }
+
+  const fromPackage = resolvePackageScopeImport(fromFilePath, importPath, context, kind)
+    || resolveWorkspaceImport(importPath, context.workspaces, kind);
+  const fromTsConfig = resolveTsConfigPaths(importPath, context.tsConfigFor(fromFilePath));
+  if (!fromPackage) return fromTsConfig;
+  if (fromPackage.external) return fromPackage;
+
+  return {
+    candidates: [...new Set([...fromPackage.candidates, ...fromTsConfig.candidates])],
+    aliased: fromPackage.aliased || fromTsConfig.aliased,
+  };
+}
+
+module.exports = {
+  createFsReader,
+  createResolutionContext,
+  resolveBareImport,
+  resolvePythonImport,
+  resolveGoImport,
+  resolveRustImport,
+  resolveJavaImport,
+  resolveRubyImport,
+  resolvePhpImport,
+};
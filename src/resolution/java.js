@@ -0,0 +1,109 @@
+const path = require('path');
+const { readJavaPackage } = require('../extractors/java');
+
+/**
+ * Build an index of the project's Java sources.
+ * A file's source root is its directory minus the path of its `package`
+ * declaration (`src/main/java/com/acme/A.java` in `com.acme` →
+ * `src/main/java`). Other modules' sources are found by path suffix, so
+ * multi-module builds resolve without reading their build files.
+ * @param {Function} readFile - (relPath) => string|null
+ * @param {Array<string>} files - Root-relative paths of discovered files
+ * @returns {{sourceRootFor: Function, filesEndingWith: Function, hasPackageDir: Function}}
+ */
+function createJavaSourceIndex(readFile, files) {
+  const byBasename = new Map();
+  const dirs = new Set();
+  for (const file of files || []) {
+    const rel = String(file).replace(/\\/g, '/').replace(/^\.\//, '');
+    if (!rel.endsWith('.java')) continue;
+    dirs.add(path.posix.dirname(rel));
+    const base = path.posix.basename(rel);
+    if (!byBasename.has(base)) byBasename.set(base, []);
+    byBasename.get(base).push(rel);
+  }
+
+  const roots = new Map();
+
+  return {
+    sourceRootFor(filePath) {
+      if (roots.has(filePath)) return roots.get(filePath);
+      const dir = path.posix.dirname(filePath);
+      const packageName = readJavaPackage(readFile(filePath));
+      let root = dir;
+      if (packageName) {
+        const packageDir = packageName.replace(/\./g, '/');
+        if (dir === packageDir) root = '.';
+        else if (dir.endsWith(`/${packageDir}`)) root = dir.slice(0, -packageDir.length - 1);
+        else root = null;
+      }
+      roots.set(filePath, root);
+      return root;
+    },
+    filesEndingWith(relPath) {
+      const matches = byBasename.get(path.posix.basename(relPath)) || [];
+      return matches.filter(file => file === relPath || file.endsWith(`/${relPath}`));
+    },
+    hasPackageDir(packageDir) {
+      for (const dir of dirs) {
+        if (dir === packageDir || dir.endsWith(`/${packageDir}`)) return true;
+      }
+      return false;
+    },
+  };
+}
+
+function sharedPrefixLength(a, b) {
+  const left = a.split('/');
+  const right = b.split('/');
+  let length = 0;
+  while (length < left.length && length < right.length && left[length] === right[length]) length++;
+  return length;
+}
+
+/**
+ * Resolve a Java import to candidate source files.
+ * Nested types (`a.b.Outer.Inner`) fall back to their outermost type's file.
+ * Candidates under the importing file's source root come first, then
+ * matching files elsewhere in the project, closest first. Wildcard imports
+ * name a package rather than a file; they are internal when the package
+ * exists but produce no candidates.
+ * @param {string} fromFilePath - Importing file (root-relative)
+ * @param {string} importPath - Dotted import name
+ * @param {Object} context - Context from createResolutionContext()
+ * @returns {{candidates: Array<string>, aliased: boolean}}
+ */
+function resolveJavaImport(fromFilePath, importPath, context) {
+  if (!context || !context.javaSources || typeof importPath !== 'string') {
+    return { candidates: [], aliased: false };
+  }
+
+  const from = String(fromFilePath || '').replace(/\\/g, '/').replace(/^\.\//, '');
+  const segments = importPath.split('.').filter(Boolean);
+  const root = context.javaSources.sourceRootFor(from);
+
+  if (segments[segments.length - 1] === '*') {
+    const packageDir = segments.slice(0, -1).join('/');
+    return { candidates: [], aliased: context.javaSources.hasPackageDir(packageDir) };
+  }
+
+  const candidates = [];
+  let found = false;
+  for (let length = segments.length; length > 0; length--) {
+    // Lower-case segments are packages; stop before treating them as types
+    if (length < segments.length && !/^[A-Z]/.test(segments[length - 1])) break;
+    const relPath = `${segments.slice(0, length).join('/')}.java`;
+    if (root !== null) candidates.push(root === '.' ? relPath : path.posix.join(root, relPath));
+    const matches = context.javaSources.filesEndingWith(relPath)
+      .sort((a, b) => sharedPrefixLength(b, from) - sharedPrefixLength(a, from));
+    if (matches.length > 0) found = true;
+    candidates.push(...matches);
+  }
+
+  return { candidates: [...new Set(candidates)], aliased: found };
+}
+
+module.exports = {
+  createJavaSourceIndex,
+  resolveJavaImport,
+};
@@ -0,0 +1,253 @@
+const path = require('path');
+
+/**
+ * Node.js package `exports` / `imports` subpath resolution.
+ * Follows the PACKAGE_IMPORTS_EXPORTS_RESOLVE algorithm from the Node ESM
+ * resolver spec, restricted to targets that stay inside the package.
+ */
+
+const CONDITIONS_BY_KIND = Object.freeze({
+  require: ['node', 'require', 'default'],
+  static: ['node', 'import', 'default'],
+  dynamic: ['node', 'import', 'default'],
+  reexport: ['node', 'import', 'default'],
+  type: ['types', 'node', 'import', 'default'],
+});
+
+/**
+ * Ordered condition sets to try for an import kind.
+ * Type declarations are tried last so `types`-only exports still resolve.
+ * @param {string} [kind] - Import kind from the extractor
+ * @returns {Array<Array<string>>}
+ */
+function getConditionSets(kind) {
+  const primary = CONDITIONS_BY_KIND[kind] || CONDITIONS_BY_KIND.static;
+  return primary.includes('types') ? [primary] : [primary, ['types', ...primary]];
+}
+
+/**
+ * Resolve a single exports/imports target (PACKAGE_TARGET_RESOLVE)
+ * @param {*} target - Target value from the map
+ * @param {string|null} patternMatch - Text captured by `*`, or null for exact keys
+ * @param {Array<string>} conditions - Active conditions
+ * @param {boolean} isImports - Whether resolving the `imports` field
+ * @returns {{internal: string}|{external: string}|null}
+ */
+function resolvePackageTarget(target, patternMatch, conditions, isImports) {
+  if (typeof target === 'string') {
+    if (!target.startsWith('./')) {
+      // Only `imports` may map to other packages
+      if (isImports && !target.startsWith('../') && !target.startsWith('/')) {
+        return { external: patternMatch === null ? target : target.split('*').join(patternMatch) };
+      }
+      return null;
+    }
+    const resolved = patternMatch === null ? target : target.split('*').join(patternMatch);
+    const segments = resolved.slice(2).split('/');
+    if (segments.some(segment => segment === '..' || segment === 'node_modules')) {
+      return null;
+    }
+    return { internal: resolved.slice(2) };
+  }
+
+  if (Array.isArray(target)) {
+    for (const item of target) {
+      const resolved = resolvePackageTarget(item, patternMatch, conditions, isImports);
+      if (resolved) return resolved;
+    }
+    return null;
+  }
+
+  if (target && typeof target === 'object') {
+    for (const [condition, value] of Object.entries(target)) {
+      if (condition === 'default' || conditions.includes(condition)) {
+        const resolved = resolvePackageTarget(value, patternMatch, conditions, isImports);
+        if (resolved) return resolved;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Order pattern keys like Node's PATTERN_KEY_COMPARE (longest prefix first)
+ * @param {string} a - Pattern key
+ * @param {string} b - Pattern key
+ * @returns {number}
+ */
+function comparePatternKeys(a, b) {
+  const baseA = a.indexOf('*');
+  const baseB = b.indexOf('*');
+  const lengthA = baseA === -1 ? a.length : baseA + 1;
+  const lengthB = baseB === -1 ? b.length : baseB + 1;
+  if (lengthA !== lengthB) return lengthB - lengthA;
+  return b.length - a.length;
+}
+
+/**
+ * Resolve a subpath against an exports/imports map (PACKAGE_IMPORTS_EXPORTS_RESOLVE)
+ * @param {string} matchKey - Subpath such as `./feature` or `#db/client`
+ * @param {Object} matchObj - Normalized exports or imports map
+ * @param {Array<string>} conditions - Active conditions
+ * @param {boolean} isImports - Whether resolving the `imports` field
+ * @returns {{internal: string}|{external: string}|null}
+ */
+function resolveSubpathMap(matchKey, matchObj, conditions, isImports) {
+  if (!matchObj || typeof matchObj !== 'object') return null;
+
+  if (Object.prototype.hasOwnProperty.call(matchObj, matchKey) && !matchKey.includes('*')) {
+    return resolvePackageTarget(matchObj[matchKey], null, conditions, isImports);
+  }
+
+  const patternKeys = Object.keys(matchObj)
+    .filter(key => key.split('*').length === 2)
+    .sort(comparePatternKeys);
+
+  for (const key of patternKeys) {
+    const [prefix, suffix] = key.split('*');
+    if (matchKey !== prefix && matchKey.startsWith(prefix) &&
+        matchKey.length >= key.length && matchKey.endsWith(suffix)) {
+      const captured = matchKey.slice(prefix.length, matchKey.length - suffix.length);
+      return resolvePackageTarget(matchObj[key], captured, conditions, isImports);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Normalize the `exports` field into a subpath map
+ * @param {*} exportsField - package.json `exports`
+ * @returns {Object|null}
+ */
+function normalizeExports(exportsField) {
+  if (exportsField === undefined || exportsField === null) return null;
+  if (typeof exportsField === 'string' || Array.isArray(exportsField)) {
+    return { '.': exportsField };
+  }
+  if (typeof exportsField === 'object') {
+    const keys = Object.keys(exportsField);
+    const hasSubpathKeys = keys.some(key => key.startsWith('.'));
+    return hasSubpathKeys ? exportsField : { '.': exportsField };
+  }
+  return null;
+}
+
+/**
+ * Split a bare specifier into package name and subpath
+ * @param {string} specifier - Bare import specifier
+ * @returns {{name: string, subpath: string}|null}
+ */
+function splitPackageSpecifier(specifier) {
+  if (typeof specifier !== 'string' || specifier === '' || specifier.startsWith('#')) return null;
+  const parts = specifier.split('/');
+  const nameParts = specifier.startsWith('@') ? parts.slice(0, 2) : parts.slice(0, 1);
+  if (nameParts.some(part => !part)) return null;
+  const rest = parts.slice(nameParts.length);
+  return {
+    name: nameParts.join('/'),
+    subpath: rest.length > 0 ? `./${rest.join('/')}` : '.',
+  };
+}
+
+/**
+ * Create a loader that finds the nearest package.json scope for a file
+ * @param {Function} readFile - (relPath) => string|null
+ * @returns {Function} (fromFilePath) => {dir: string, manifest: Object}|null
+ */
+function createPackageScopeLoader(readFile) {
+  const byDir = new Map();
+
+  const loadForDir = (dir) => {
+    if (byDir.has(dir)) return byDir.get(dir);
+
+    let scope = null;
+    const manifestPath = dir === '.' ? 'package.json' : path.posix.join(dir, 'package.json');
+    const raw = readFile(manifestPath);
+    if (raw !== null && raw !== undefined) {
+      try {
+        const manifest = JSON.parse(raw);
+        if (manifest && typeof manifest === 'object') {
+          scope = { dir, manifest };
+        }
+      } catch {
+        scope = null;
+      }
+    }
+    if (!scope && dir !== '.') {
+      scope = loadForDir(path.posix.dirname(dir));
+    }
+
+    byDir.set(dir, scope);
+    return scope;
+  };
+
+  return (fromFilePath) => {
+    const dir = path.posix.dirname(String(fromFilePath || '').replace(/\\/g, '/').replace(/^\.\//, ''));
+    return loadForDir(dir || '.');
+  };
+}
+
+function joinPackagePath(dir, relPath) {
+  return dir === '.' ? path.posix.normalize(relPath) : path.posix.normalize(path.posix.join(dir, relPath));
+}
+
+/**
+ * Resolve a subpath through a package's `exports` for each condition set
+ * @param {{dir: string, manifest: Object}} scope - Package scope
+ * @param {string} subpath - `.` or `./feature`
+ * @param {string} [kind] - Import kind
+ * @returns {Array<string>} Root-relative candidate paths
+ */
+function resolvePackageExports(scope, subpath, kind) {
+  const exportsMap = normalizeExports(scope?.manifest?.exports);
+  if (!exportsMap) return [];
+
+  const candidates = [];
+  for (const conditions of getConditionSets(kind)) {
+    const resolved = resolveSubpathMap(subpath, exportsMap, conditions, false);
+    if (resolved && resolved.internal) {
+      candidates.push(joinPackagePath(scope.dir, resolved.internal));
+    }
+  }
+  return [...new Set(candidates)];
+}
+
+/**
+ * Resolve a `#` specifier through the importing package's `imports` field
+ * @param {{dir: string, manifest: Object}} scope - Package scope
+ * @param {string} specifier - `#` import specifier
+ * @param {string} [kind] - Import kind
+ * @returns {{candidates: Array<string>, external: string|null}}
+ */
+function resolvePackageImports(scope, specifier, kind) {
+  const importsMap = scope?.manifest?.imports;
+  if (!importsMap || typeof importsMap !== 'object') {
+    return { candidates: [], external: null };
+  }
+
+  const candidates = [];
+  let external = null;
+  for (const conditions of getConditionSets(kind)) {
+    const resolved = resolveSubpathMap(specifier, importsMap, conditions, true);
+    if (!resolved) continue;
+    if (resolved.internal) {
+      candidates.push(joinPackagePath(scope.dir, resolved.internal));
+    } else if (resolved.external && !external) {
+      external = resolved.external;
+    }
+  }
+  return { candidates: [...new Set(candidates)], external };
+}
+
+module.exports = {
+  CONDITIONS_BY_KIND,
+  resolvePackageTarget,
+  resolveSubpathMap,
+  normalizeExports,
+  splitPackageSpecifier,
+  createPackageScopeLoader,
+  resolvePackageExports,
+  resolvePackageImports,
+};
@@ -0,0 +1,125 @@
+const path = require('path');
+
+/**
+ * Read Composer autoload namespace maps (`autoload` and `autoload-dev`,
+ * PSR-4 and PSR-0)
+ * @param {string} text - composer.json content
+ * @returns {Array<{prefix: string, dirs: Array<string>, psr0: boolean}>}
+ */
+function parseComposerAutoload(text) {
+  let manifest;
+  try {
+    manifest = JSON.parse(text);
+  } catch {
+    return [];
+  }
+  if (!manifest || typeof manifest !== 'object') return [];
+
+  const entries = [];
+  for (const section of [manifest.autoload, manifest['autoload-dev']]) {
+    if (!section || typeof section !== 'object') continue;
+    for (const [standard, psr0] of [['psr-4', false], ['psr-0', true]]) {
+      const map = section[standard];
+      if (!map || typeof map !== 'object') continue;
+      for (const [prefix, target] of Object.entries(map)) {
+        const dirs = (Array.isArray(target) ? target : [target])
+          .filter(dir => typeof dir === 'string')
+          .map(dir => dir.replace(/^\.\//, '').replace(/\/+$/, '') || '.');
+        entries.push({ prefix: prefix.replace(/^\\/, ''), dirs, psr0 });
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Create a loader for the autoload maps visible from a file: the nearest
+ * composer.json and the root one, with directories made root-relative
+ * @param {Function} readFile - (relPath) => string|null
+ * @returns {Function} (fromFilePath) => Array<{prefix: string, dirs: Array<string>, psr0: boolean}>
+ */
+function createComposerAutoloadLoader(readFile) {
+  const join = (dir, name) => (dir === '.' ? name : path.posix.join(dir, name));
+  const byComposerDir = new Map();
+  const byDir = new Map();
+
+  const load = (dir) => {
+    if (!byComposerDir.has(dir)) {
+      const raw = readFile(join(dir, 'composer.json'));
+      const entries = raw === null || raw === undefined ? null : parseComposerAutoload(raw).map(entry => ({
+        ...entry,
+        dirs: entry.dirs.map(target => path.posix.normalize(join(dir, target))).filter(target => !target.startsWith('..')),
+      }));
+      byComposerDir.set(dir, entries);
+    }
+    return byComposerDir.get(dir);
+  };
+
+  return (fromFilePath) => {
+    const startDir = path.posix.dirname(String(fromFilePath || '').replace(/\\/g, '/').replace(/^\.\//, '')) || '.';
+    if (byDir.has(startDir)) return byDir.get(startDir);
+
+    let dir = startDir;
+    let nearest = null;
+    while (true) {
+      nearest = load(dir);
+      if (nearest || dir === '.') break;
+      dir = path.posix.dirname(dir);
+    }
+    const entries = [...(nearest || [])];
+    if (dir !== '.') entries.push(...(load('.') || []));
+
+    byDir.set(startDir, entries);
+    return entries;
+  };
+}
+
+/**
+ * Resolve a PHP `use` class name or `require`/`include` path.
+ * Class names go through Composer autoload maps, longest namespace prefix
+ * first; a matched prefix makes the import internal even when the file was
+ * not analyzed. Include paths are tried beside the file, then from the root.
+ * @param {string} fromFilePath - Importing file (root-relative)
+ * @param {string} importPath - Class name or include path
+ * @param {Object} context - Context from createResolutionContext()
+ * @param {string} [kind] - Import kind (`require` for include paths)
+ * @returns {{candidates: Array<string>, aliased: boolean}}
+ */
+function resolvePhpImport(fromFilePath, importPath, context, kind) {
+  if (typeof importPath !== 'string') return { candidates: [], aliased: false };
+  const from = String(fromFilePath || '').replace(/\\/g, '/').replace(/^\.\//, '');
+
+  if (kind === 'require') {
+    const local = path.posix.normalize(path.posix.join(path.posix.dirname(from), importPath));
+    const candidates = [local];
+    if (!importPath.startsWith('.')) candidates.push(path.posix.normalize(importPath));
+    return { candidates: candidates.filter(candidate => !candidate.startsWith('..')), aliased: false };
+  }
+
+  if (!context || !context.composerAutoloadFor) return { candidates: [], aliased: false };
+  const className = importPath.replace(/^\\/, '');
+  const matches = context.composerAutoloadFor(from)
+    .filter(entry => entry.prefix === '' || className.startsWith(entry.prefix))
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+
+  const candidates = [];
+  for (const entry of matches) {
+    // PSR-4 drops the prefix; PSR-0 keeps the full name and maps `_` in the class
+    const relative = entry.psr0
+      ? className.replace(/_(?=[^\\]*$)/g, '\\')
+      : className.slice(entry.prefix.length);
+    const relPath = `${relative.split('\\').join('/')}.php`;
+    for (const dir of entry.dirs) {
+      candidates.push(dir === '.' ? relPath : path.posix.join(dir, relPath));
+    }
+  }
+
+  const namespaced = matches.some(entry => entry.prefix !== '');
+  return { candidates: [...new Set(candidates)], aliased: namespaced };
+}
+
+module.exports = {
+  parseComposerAutoload,
+  createComposerAutoloadLoader,
+  resolvePhpImport,
+};
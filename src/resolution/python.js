@@ -0,0 +1,135 @@
+const path = require('path');
+
+const PROJECT_MARKERS = ['pyproject.toml', 'setup.cfg', 'setup.py'];
+
+/**
+ * Read explicit source directories from packaging config
+ * (`[tool.setuptools.package-dir] "" = "src"`, poetry `from = "src"`,
+ * setup.cfg `package_dir = =src`)
+ * @param {string} text - Config file content
+ * @returns {Array<string>} Directories relative to the config
+ */
+function readConfiguredSourceDirs(text) {
+  if (typeof text !== 'string') return [];
+  const dirs = new Set();
+  for (const match of text.matchAll(/(?:^|[{,\s])""\s*=\s*["']([^"']+)["']/gm)) dirs.add(match[1]);
+  for (const match of text.matchAll(/\bfrom\s*=\s*["']([^"']+)["']/g)) dirs.add(match[1]);
+  for (const match of text.matchAll(/^package_dir\s*=\s*\n?\s*=\s*(\S+)/gm)) dirs.add(match[1]);
+  return [...dirs].map(dir => dir.replace(/^\.\//, '').replace(/\/+$/, '')).filter(Boolean);
+}
+
+/**
+ * Create a loader that lists the source roots an absolute import may resolve
+ * against, nearest first: the parent of the file's top-level package, each
+ * enclosing Python project (pyproject.toml/setup.cfg/setup.py) with its
+ * configured or `src/` directory, and the repository root with `src/`
+ * @param {Function} readFile - (relPath) => string|null
+ * @returns {Function} (fromFilePath) => Array<string>
+ */
+function createPythonRootsLoader(readFile) {
+  const hasFile = new Map();
+  const exists = (relPath) => {
+    if (!hasFile.has(relPath)) {
+      const content = readFile(relPath);
+      hasFile.set(relPath, content !== null && content !== undefined);
+    }
+    return hasFile.get(relPath);
+  };
+  const join = (dir, name) => (dir === '.' ? name : path.posix.join(dir, name));
+  const byDir = new Map();
+
+  return (fromFilePath) => {
+    const startDir = path.posix.dirname(String(fromFilePath || '').replace(/\\/g, '/').replace(/^\.\//, '')) || '.';
+    if (byDir.has(startDir)) return byDir.get(startDir);
+
+    const roots = [];
+    const add = (dir) => {
+      const normalized = path.posix.normalize(dir || '.');
+      if (!normalized.startsWith('..') && !roots.includes(normalized)) roots.push(normalized);
+    };
+
+    // Walk out of the enclosing package chain (directories with __init__.py)
+    let packageRoot = startDir;
+    while (packageRoot !== '.' && exists(join(packageRoot, '__init__.py'))) {
+      packageRoot = path.posix.dirname(packageRoot);
+    }
+    add(packageRoot);
+
+    let dir = startDir;
+    while (true) {
+      for (const marker of PROJECT_MARKERS) {
+        const markerPath = join(dir, marker);
+        if (!exists(markerPath)) continue;
+        for (const sourceDir of readConfiguredSourceDirs(readFile(markerPath))) {
+          add(join(dir, sourceDir));
+        }
+        add(dir);
+        add(join(dir, 'src'));
+      }
+      if (dir === '.') break;
+      dir = path.posix.dirname(dir);
+    }
+
+    add('.');
+    add('src');
+    byDir.set(startDir, roots);
+    return roots;
+  };
+}
+
+function moduleFileCandidates(modulePath) {
+  return [`${modulePath}.py`, `${modulePath}/__init__.py`];
+}
+
+/**
+ * Resolve a Python import to root-relative candidate files.
+ * `from pkg import name` tries the `pkg.name` submodule before `pkg` itself.
+ * @param {string} fromFilePath - Importing file (root-relative)
+ * @param {string} importPath - Dotted module, with leading dots when relative
+ * @param {Array<string>} names - Names imported by a `from` import
+ * @param {Object} context - Context from createResolutionContext()
+ * @returns {{candidates: Array<string>, aliased: boolean}}
+ */
+function resolvePythonImport(fromFilePath, importPath, names, context) {
+  const match = typeof importPath === 'string' ? importPath.match(/^(\.*)([\w.]*)$/) : null;
+  if (!match || (!match[1] && !match[2])) return { candidates: [], aliased: false };
+
+  const [, dots, dotted] = match;
+  const segments = dotted ? dotted.split('.').filter(Boolean) : [];
+  const from = String(fromFilePath || '').replace(/\\/g, '/').replace(/^\.\//, '');
+
+  let bases;
+  if (dots) {
+    // One dot is the current package; each extra dot goes up one level
+    let base = path.posix.dirname(from) || '.';
+    for (let i = 1; i < dots.length; i++) {
+      if (base === '.') return { candidates: [], aliased: false };
+      base = path.posix.dirname(base);
+    }
+    bases = [base];
+  } else {
+    bases = context && context.pythonRootsFor ? context.pythonRootsFor(from) : ['.'];
+  }
+
+  const candidates = [];
+  for (const base of bases) {
+    const modulePath = path.posix.normalize(path.posix.join(base, ...segments));
+    if (modulePath.startsWith('..')) continue;
+    for (const name of Array.isArray(names) ? names : []) {
+      candidates.push(...moduleFileCandidates(path.posix.join(modulePath, name)));
+    }
+    if (segments.length > 0) {
+      candidates.push(...moduleFileCandidates(modulePath));
+    } else {
+      candidates.push(modulePath === '.' ? '__init__.py' : `${modulePath}/__init__.py`);
+    }
+  }
+
+  return { candidates: [...new Set(candidates)], aliased: false };
+}
+
+module.exports = {
+  readConfiguredSourceDirs,
+  createPythonRootsLoader,
+  resolvePythonImport,
+};
@@ -0,0 +1,77 @@
+const path = require('path');
+
+/**
+ * Create a loader for the `$LOAD_PATH` directories a `require` may resolve
+ * against, nearest first: `lib` directories enclosing the file, `lib` of
+ * each enclosing project with a Gemfile, then the repository root's `lib`
+ * and the root itself
+ * @param {Function} readFile - (relPath) => string|null
+ * @returns {Function} (fromFilePath) => Array<string>
+ */
+function createRubyLoadPathLoader(readFile) {
+  const join = (dir, name) => (dir === '.' ? name : path.posix.join(dir, name));
+  const hasGemfile = new Map();
+  const byDir = new Map();
+
+  return (fromFilePath) => {
+    const startDir = path.posix.dirname(String(fromFilePath || '').replace(/\\/g, '/').replace(/^\.\//, '')) || '.';
+    if (byDir.has(startDir)) return byDir.get(startDir);
+
+    const roots = [];
+    const add = (dir) => {
+      if (!roots.includes(dir)) roots.push(dir);
+    };
+
+    let dir = startDir;
+    while (true) {
+      if (path.posix.basename(dir) === 'lib') add(dir);
+      if (!hasGemfile.has(dir)) {
+        const gemfile = readFile(join(dir, 'Gemfile'));
+        hasGemfile.set(dir, gemfile !== null && gemfile !== undefined);
+      }
+      if (hasGemfile.get(dir)) add(join(dir, 'lib'));
+      if (dir === '.') break;
+      dir = path.posix.dirname(dir);
+    }
+
+    add('lib');
+    add('.');
+    byDir.set(startDir, roots);
+    return roots;
+  };
+}
+
+function rubyFileCandidates(base) {
+  return base.endsWith('.rb') ? [base] : [`${base}.rb`];
+}
+
+/**
+ * Resolve a Ruby `require`/`require_relative` to candidate files.
+ * `./`-prefixed paths (require_relative) are relative to the file; others
+ * are searched on the load path. Gems share the namespace, so load-path
+ * hits are only internal when the file exists.
+ * @param {string} fromFilePath - Importing file (root-relative)
+ * @param {string} importPath - Required path
+ * @param {Object} context - Context from createResolutionContext()
+ * @returns {{candidates: Array<string>, aliased: boolean}}
+ */
+function resolveRubyImport(fromFilePath, importPath, context) {
+  if (typeof importPath !== 'string') return { candidates: [], aliased: false };
+  const from = String(fromFilePath || '').replace(/\\/g, '/').replace(/^\.\//, '');
+
+  if (importPath.startsWith('.')) {
+    const target = path.posix.normalize(path.posix.join(path.posix.dirname(from), importPath));
+    if (target.startsWith('..')) return { candidates: [], aliased: false };
+    return { candidates: rubyFileCandidates(target), aliased: false };
+  }
+
+  if (!context || !context.rubyLoadPathFor) return { candidates: [], aliased: false };
+  const candidates = context.rubyLoadPathFor(from)
+    .flatMap(root => rubyFileCandidates(root === '.' ? importPath : path.posix.join(root, importPath)));
+  return { candidates, aliased: false };
+}
+
+module.exports = {
+  createRubyLoadPathLoader,
+  resolveRubyImport,
+};
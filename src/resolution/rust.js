@@ -0,0 +1,205 @@
+const path = require('path');
+const picomatch = require('picomatch');
+
+/**
+ * Read the Cargo.toml keys used for resolution: `[package] name`,
+ * `[lib] path` and `[workspace] members`/`exclude`.
+ * Not a general TOML parser; strings and string arrays only.
+ * @param {string} text - Cargo.toml content
+ * @returns {{packageName: string|null, libPath: string|null, members: Array<string>, exclude: Array<string>, isWorkspace: boolean}}
+ */
+function parseCargoToml(text) {
+  const result = { packageName: null, libPath: null, members: [], exclude: [], isWorkspace: false };
+  if (typeof text !== 'string') return result;
+
+  const stripped = text.replace(/(^|[^"'])#[^\n]*/g, '$1');
+  const sections = stripped.split(/^\s*\[/m);
+  for (const section of sections) {
+    const header = section.slice(0, section.indexOf(']')).trim();
+    const body = section.slice(section.indexOf(']') + 1);
+    const readString = (key) => {
+      const match = body.match(new RegExp(`^\\s*${key}\\s*=\\s*["']([^"']+)["']`, 'm'));
+      return match ? match[1] : null;
+    };
+    const readArray = (key) => {
+      const match = body.match(new RegExp(`^\\s*${key}\\s*=\\s*\\[([^\\]]*)\\]`, 'm'));
+      return match ? [...match[1].matchAll(/["']([^"']+)["']/g)].map(m => m[1]) : [];
+    };
+
+    if (header === 'package') result.packageName = readString('name');
+    else if (header === 'lib') result.libPath = readString('path');
+    else if (header === 'workspace') {
+      result.isWorkspace = true;
+      result.members = readArray('members');
+      result.exclude = readArray('exclude');
+    }
+  }
+  return result;
+}
+
+/**
+ * Build an index of the Cargo crates in the project.
+ * Crates are the root package (if any), workspace members and any other
+ * Cargo.toml found above an analyzed file.
+ * @param {Function} readFile - (relPath) => string|null
+ * @param {Array<string>} files - Root-relative paths of discovered files
+ * @returns {{crateFor: Function, crateByName: Function}}
+ */
+function createRustCrateIndex(readFile, files) {
+  const join = (dir, name) => (dir === '.' ? name : path.posix.join(dir, name));
+  const crates = new Map();
+
+  const loadCrate = (dir) => {
+    if (crates.has(dir)) return crates.get(dir);
+    const cargo = parseCargoToml(readFile(join(dir, 'Cargo.toml')));
+    let crate = null;
+    if (cargo.packageName) {
+      const srcDir = join(dir, 'src');
+      const libRoot = cargo.libPath ? path.posix.normalize(join(dir, cargo.libPath)) : join(srcDir, 'lib.rs');
+      crate = {
+        name: cargo.packageName.replace(/-/g, '_'),
+        dir,
+        srcDir: path.posix.dirname(libRoot),
+        roots: [libRoot, join(srcDir, 'main.rs')],
+      };
+    }
+    crates.set(dir, crate);
+    return crate;
+  };
+
+  const ancestors = new Set(['.']);
+  for (const file of files || []) {
+    let dir = path.posix.dirname(String(file).replace(/\\/g, '/').replace(/^\.\//, ''));
+    while (dir && dir !== '.' && !ancestors.has(dir)) {
+      ancestors.add(dir);
+      dir = path.posix.dirname(dir);
+    }
+  }
+
+  const byName = new Map();
+  const rootCargo = parseCargoToml(readFile('Cargo.toml'));
+  const isMember = rootCargo.members.length > 0 ? picomatch(rootCargo.members) : () => false;
+  const isExcluded = rootCargo.exclude.length > 0 ? picomatch(rootCargo.exclude) : () => false;
+  for (const dir of [...ancestors].sort()) {
+    const member = dir === '.' || (isMember(dir) && !isExcluded(dir));
+    const crate = member || !rootCargo.isWorkspace ? loadCrate(dir) : null;
+    if (crate && !byName.has(crate.name)) byName.set(crate.name, crate);
+  }
+
+  return {
+    crateFor(filePath) {
+      let dir = path.posix.dirname(String(filePath || '').replace(/\\/g, '/').replace(/^\.\//, '')) || '.';
+      while (true) {
+        const crate = loadCrate(dir);
+        if (crate) return crate;
+        if (dir === '.') return null;
+        dir = path.posix.dirname(dir);
+      }
+    },
+    crateByName(name) {
+      return byName.get(name) || null;
+    },
+  };
+}
+
+/**
+ * Module path (segments below the crate root) of a source file
+ * @param {string} file - Root-relative .rs path
+ * @param {Object} crate - Crate from createRustCrateIndex()
+ * @returns {Array<string>|null} Null when the file is outside the crate's src dir
+ */
+function moduleSegmentsFor(file, crate) {
+  if (crate.roots.includes(file)) return [];
+  const rel = path.posix.relative(crate.srcDir, file);
+  if (rel.startsWith('..')) return null;
+  // Binaries under src/bin are crate roots of their own
+  if (rel.startsWith('bin/')) return rel.split('/').length === 2 || rel.endsWith('/main.rs') ? [] : null;
+  const segments = rel.replace(/\.rs$/, '').split('/');
+  if (segments[segments.length - 1] === 'mod') segments.pop();
+  return segments;
+}
+
+function moduleFileCandidates(dir, segments) {
+  if (segments.length === 0) return [];
+  const base = path.posix.join(dir, ...segments);
+  return [`${base}.rs`, `${base}/mod.rs`];
+}
+
+/**
+ * Candidate files for a module path inside a crate, longest prefix first,
+ * ending at the crate root (items such as `crate::Config` live there)
+ */
+function crateModuleCandidates(crate, segments) {
+  const candidates = [];
+  for (let length = segments.length; length > 0; length--) {
+    candidates.push(...moduleFileCandidates(crate.srcDir, segments.slice(0, length)));
+  }
+  candidates.push(...crate.roots);
+  return candidates;
+}
+
+/**
+ * Resolve a Rust `mod` declaration or `use` path to candidate files
+ * @param {string} fromFilePath - Importing file (root-relative)
+ * @param {Object} importInfo - Record from the Rust extractor (`path`, `kind`, `modulePath`)
+ * @param {Object} context - Context from createResolutionContext()
+ * @returns {{candidates: Array<string>, aliased: boolean}}
+ */
+function resolveRustImport(fromFilePath, importInfo, context) {
+  const importPath = importInfo && importInfo.path;
+  if (typeof importPath !== 'string' || !context || !context.rustCrates) {
+    return { candidates: [], aliased: false };
+  }
+
+  const from = String(fromFilePath || '').replace(/\\/g, '/').replace(/^\.\//, '');
+  const crate = context.rustCrates.crateFor(from);
+  const fromDir = path.posix.dirname(from);
+  const current = crate ? moduleSegmentsFor(from, crate) : null;
+  // Crate roots and mod.rs keep child modules beside them; `name.rs` keeps them in `name/`
+  const ownsDirectory = path.posix.basename(from) === 'mod.rs' || (current && current.length === 0);
+  const childDir = ownsDirectory ? fromDir : path.posix.join(fromDir, path.posix.basename(from, '.rs'));
+
+  if (importInfo.kind === 'module') {
+    const candidates = importInfo.modulePath
+      ? [path.posix.normalize(path.posix.join(fromDir, importInfo.modulePath))]
+      : moduleFileCandidates(childDir, [importPath]);
+    return { candidates, aliased: true };
+  }
+
+  const segments = importPath.split('::').filter(Boolean);
+  const [head, ...rest] = segments;
+
+  if (head === 'crate' || head === 'self' || head === 'super') {
+    if (!crate || !current) return { candidates: [], aliased: true };
+    const base = head === 'crate' ? [] : [...current];
+    let remaining = rest;
+    if (head === 'super') {
+      base.pop();
+      while (remaining[0] === 'super') {
+        base.pop();
+        remaining = remaining.slice(1);
+      }
+    }
+    return { candidates: crateModuleCandidates(crate, [...base, ...remaining]), aliased: true };
+  }
+
+  // Another crate of this workspace
+  const workspaceCrate = context.rustCrates.crateByName(head);
+  if (workspaceCrate && workspaceCrate !== crate) {
+    return { candidates: crateModuleCandidates(workspaceCrate, rest), aliased: true };
+  }
+
+  // 2018 uniform paths: a child module of the current module shadows crates
+  const childCandidates = [];
+  for (let length = segments.length; length > 0; length--) {
+    childCandidates.push(...moduleFileCandidates(childDir, segments.slice(0, length)));
+  }
+  return { candidates: childCandidates, aliased: false };
+}
+
+module.exports = {
+  parseCargoToml,
+  createRustCrateIndex,
+  moduleSegmentsFor,
+  resolveRustImport,
+};
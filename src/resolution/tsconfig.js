@@ -0,0 +1,227 @@
+const path = require('path');
+
+const CONFIG_FILE_NAMES = ['tsconfig.json', 'jsconfig.json'];
+const MAX_EXTENDS_DEPTH = 10;
+
+/**
+ * Parse JSON with comments and trailing commas (tsconfig/jsconfig flavour)
+ * @param {string} text - Raw file content
+ * @returns {Object|null} Parsed object, or null if the content is invalid
+ */
+function parseJsonc(text) {
+  if (typeof text !== 'string') return null;
+
+  let out = '';
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const next = text[i + 1];
+
+    if (inString) {
+      out += char;
+      if (char === '\\') {
+        out += next || '';
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+      out += char;
+    } else if (char === '/' && next === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      out += '\n';
+    } else if (char === '/' && next === '*') {
+      i += 2;
+      while (i < text.length && !(text[i] === '*' && text[i + 1] === '/')) i++;
+      i++;
+    } else {
+      out += char;
+    }
+  }
+
+  try {
+    return JSON.parse(out.replace(/,(\s*[}\]])/g, '$1'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve an `extends` specifier to a root-relative config path
+ * @param {string} specifier - Value of `extends`
+ * @param {string} configDir - Root-relative directory of the extending config
+ * @returns {Array<string>} Candidate config paths, most specific first
+ */
+function resolveExtendsCandidates(specifier, configDir) {
+  if (typeof specifier !== 'string' || specifier.trim() === '') return [];
+  const withJson = (p) => (p.endsWith('.json') ? [p] : [p, `${p}.json`, path.posix.join(p, 'tsconfig.json')]);
+
+  if (specifier.startsWith('.') || specifier.startsWith('/')) {
+    return withJson(path.posix.normalize(path.posix.join(configDir, specifier)));
+  }
+
+  // Package-provided base config (e.g. @tsconfig/node18/tsconfig.json)
+  const candidates = [];
+  let dir = configDir;
+  while (true) {
+    candidates.push(...withJson(path.posix.join(dir, 'node_modules', specifier)));
+    if (dir === '.' || dir === '') break;
+    dir = path.posix.dirname(dir);
+  }
+  return candidates;
+}
+
+/**
+ * Load a config file and merge its `extends` chain.
+ * Relative `baseUrl` and `paths` are anchored to the config that declares them.
+ * @param {string} configPath - Root-relative config path
+ * @param {Function} readFile - (relPath) => string|null
+ * @param {number} depth - Current extends depth
+ * @param {Set<string>} seen - Visited configs (cycle guard)
+ * @returns {{baseUrl: string|null, paths: Object|null, pathsBase: string|null}|null}
+ */
+function loadCompilerPathOptions(configPath, readFile, depth = 0, seen = new Set()) {
+  if (depth > MAX_EXTENDS_DEPTH || seen.has(configPath)) return null;
+  seen.add(configPath);
+
+  const config = parseJsonc(readFile(configPath));
+  if (!config || typeof config !== 'object') return null;
+
+  const configDir = path.posix.dirname(configPath);
+  let merged = { baseUrl: null, paths: null, pathsBase: null };
+
+  const parents = Array.isArray(config.extends) ? config.extends : [config.extends];
+  for (const parent of parents) {
+    for (const candidate of resolveExtendsCandidates(parent, configDir)) {
+      const inherited = loadCompilerPathOptions(candidate, readFile, depth + 1, seen);
+      if (inherited) {
+        merged = {
+          baseUrl: inherited.baseUrl ?? merged.baseUrl,
+          paths: inherited.paths ?? merged.paths,
+          pathsBase: inherited.pathsBase ?? merged.pathsBase,
+        };
+        break;
+      }
+    }
+  }
+
+  const options = config.compilerOptions || {};
+  if (typeof options.baseUrl === 'string') {
+    merged.baseUrl = path.posix.normalize(path.posix.join(configDir, options.baseUrl));
+  }
+  if (options.paths && typeof options.paths === 'object') {
+    merged.paths = options.paths;
+    merged.pathsBase = configDir;
+  }
+  return merged;
+}
+
+/**
+ * Create a loader that finds the nearest tsconfig/jsconfig for a file
+ * @param {Function} readFile - (relPath) => string|null
+ * @returns {Function} (fromFilePath) => {baseUrl, paths, pathsBase}|null
+ */
+function createTsConfigLoader(readFile) {
+  const byDir = new Map();
+
+  const loadForDir = (dir) => {
+    if (byDir.has(dir)) return byDir.get(dir);
+
+    let result = null;
+    for (const name of CONFIG_FILE_NAMES) {
+      const configPath = dir === '.' ? name : path.posix.join(dir, name);
+      result = loadCompilerPathOptions(configPath, readFile);
+      if (result) break;
+    }
+    if (!result && dir !== '.') {
+      result = loadForDir(path.posix.dirname(dir));
+    }
+
+    byDir.set(dir, result);
+    return result;
+  };
+
+  return (fromFilePath) => {
+    const dir = path.posix.dirname(String(fromFilePath || '').replace(/\\/g, '/').replace(/^\.\//, ''));
+    return loadForDir(dir || '.');
+  };
+}
+
+/**
+ * Match an import specifier against `paths` patterns.
+ * Exact keys win; otherwise the wildcard pattern with the longest prefix is used.
+ * @param {string} importPath - Import specifier
+ * @param {Object} paths - compilerOptions.paths
+ * @returns {{pattern: string, captured: string}|null}
+ */
+function matchPathPattern(importPath, paths) {
+  let best = null;
+  for (const pattern of Object.keys(paths)) {
+    const star = pattern.indexOf('*');
+    if (star === -1) {
+      if (pattern === importPath) return { pattern, captured: '' };
+      continue;
+    }
+    const prefix = pattern.slice(0, star);
+    const suffix = pattern.slice(star + 1);
+    if (importPath.length >= prefix.length + suffix.length &&
+        importPath.startsWith(prefix) &&
+        importPath.endsWith(suffix)) {
+      if (!best || prefix.length > best.prefixLength) {
+        best = {
+          pattern,
+          prefixLength: prefix.length,
+          captured: importPath.slice(prefix.length, importPath.length - suffix.length),
+        };
+      }
+    }
+  }
+  return best ? { pattern: best.pattern, captured: best.captured } : null;
+}
+
+/**
+ * Resolve a bare specifier through tsconfig/jsconfig `paths` and `baseUrl`
+ * @param {string} importPath - Import specifier
+ * @param {{baseUrl: string|null, paths: Object|null, pathsBase: string|null}|null} options
+ * @returns {{candidates: Array<string>, aliased: boolean}} Root-relative candidate paths
+ */
+function resolveTsConfigPaths(importPath, options) {
+  if (!options || typeof importPath !== 'string') return { candidates: [], aliased: false };
+
+  const candidates = [];
+  let aliased = false;
+
+  if (options.paths) {
+    const match = matchPathPattern(importPath, options.paths);
+    if (match) {
+      aliased = true;
+      const targets = Array.isArray(options.paths[match.pattern]) ? options.paths[match.pattern] : [];
+      const base = options.baseUrl || options.pathsBase || '.';
+      for (const target of targets) {
+        if (typeof target !== 'string') continue;
+        const substituted = target.replace('*', match.captured);
+        candidates.push(path.posix.normalize(path.posix.join(base, substituted)));
+      }
+    }
+  }
+
+  if (options.baseUrl) {
+    candidates.push(path.posix.normalize(path.posix.join(options.baseUrl, importPath)));
+  }
+
+  return {
+    candidates: candidates.filter(c => !c.startsWith('..') && !path.posix.isAbsolute(c)),
+    aliased,
+  };
+}
+
+module.exports = {
+  parseJsonc,
+  createTsConfigLoader,
+  matchPathPattern,
+  resolveTsConfigPaths,
+};
@@ -0,0 +1,186 @@
+const path = require('path');
+const picomatch = require('picomatch');
+const YAML = require('yaml');
+const { resolvePackageExports, splitPackageSpecifier } = require('./package-json');
+
+const BUILD_OUTPUT_DIRS = ['dist', 'build', 'lib', 'out'];
+const ENTRY_FIELDS = ['source', 'module', 'main', 'types', 'typings'];
+
+/**
+ * Read workspace globs from package.json `workspaces` (npm/yarn) and
+ * pnpm-workspace.yaml `packages`
+ * @param {Function} readFile - (relPath) => string|null
+ * @returns {Array<string>} Workspace globs, `!` negations included
+ */
+function readWorkspacePatterns(readFile) {
+  const patterns = [];
+
+  const rawManifest = readFile('package.json');
+  if (rawManifest) {
+    try {
+      const manifest = JSON.parse(rawManifest);
+      const workspaces = Array.isArray(manifest?.workspaces)
+        ? manifest.workspaces
+        : manifest?.workspaces?.packages;
+      if (Array.isArray(workspaces)) patterns.push(...workspaces);
+    } catch {
+      // Invalid root manifest: no npm/yarn workspaces
+    }
+  }
+
+  const rawPnpm = readFile('pnpm-workspace.yaml');
+  if (rawPnpm) {
+    try {
+      const config = YAML.parse(rawPnpm);
+      if (Array.isArray(config?.packages)) patterns.push(...config.packages);
+    } catch {
+      // Invalid pnpm-workspace.yaml: ignore
+    }
+  }
+
+  return patterns
+    .filter(p => typeof p === 'string' && p.trim() !== '')
+    .map(p => p.trim().replace(/^\.\//, '').replace(/\/+$/, ''));
+}
+
+/**
+ * Every ancestor directory of the given files (root-relative, excluding '.')
+ * @param {Array<string>} files - Root-relative file paths
+ * @returns {Array<string>} Sorted directories
+ */
+function collectAncestorDirs(files) {
+  const dirs = new Set();
+  for (const file of files) {
+    let dir = path.posix.dirname(String(file).replace(/\\/g, '/').replace(/^\.\//, ''));
+    while (dir && dir !== '.' && !dirs.has(dir)) {
+      dirs.add(dir);
+      dir = path.posix.dirname(dir);
+    }
+  }
+  return [...dirs].sort();
+}
+
+/**
+ * Detect workspace packages.
+ * Directory listings are not available for every source (e.g. git refs), so
+ * candidate package directories are derived from the discovered files.
+ * @param {Function} readFile - (relPath) => string|null
+ * @param {Array<string>} files - Root-relative paths of discovered files
+ * @returns {Array<{name: string, dir: string, manifest: Object}>}
+ */
+function detectWorkspacePackages(readFile, files) {
+  const patterns = readWorkspacePatterns(readFile);
+  if (patterns.length === 0) return [];
+
+  const include = patterns.filter(p => !p.startsWith('!'));
+  const exclude = patterns.filter(p => p.startsWith('!')).map(p => p.slice(1));
+  if (include.length === 0) return [];
+  const isIncluded = picomatch(include, { dot: false });
+  const isExcluded = exclude.length > 0 ? picomatch(exclude) : () => false;
+
+  const packages = [];
+  for (const dir of collectAncestorDirs(files)) {
+    if (dir.split('/').includes('node_modules')) continue;
+    if (!isIncluded(dir) || isExcluded(dir)) continue;
+
+    const raw = readFile(path.posix.join(dir, 'package.json'));
+    if (!raw) continue;
+    try {
+      const manifest = JSON.parse(raw);
+      if (manifest && typeof manifest.name === 'string' && manifest.name) {
+        packages.push({ name: manifest.name, dir, manifest });
+      }
+    } catch {
+      // Invalid package manifest: not a workspace package
+    }
+  }
+  return packages;
+}
+
+/**
+ * Expand a build output path to its likely source location
+ * (e.g. `pkg/dist/index.js` → `pkg/src/index`), keeping the original first
+ * @param {string} relPath - Root-relative path inside a package
+ * @param {string} packageDir - Package directory
+ * @returns {Array<string>}
+ */
+function withSourceCandidates(relPath, packageDir) {
+  const candidates = [relPath];
+  const inner = path.posix.relative(packageDir, relPath);
+  const [top, ...rest] = inner.split('/');
+  const withoutExt = (p) => p.replace(/(\.d)?\.[cm]?[jt]sx?$/, '');
+  if (BUILD_OUTPUT_DIRS.includes(top) && rest.length > 0) {
+    candidates.push(path.posix.join(packageDir, 'src', withoutExt(rest.join('/'))));
+  }
+  const stripped = withoutExt(relPath);
+  if (stripped !== relPath) candidates.push(stripped);
+  return candidates;
+}
+
+/**
+ * Build a name/path index over workspace packages
+ * @param {Function} readFile - (relPath) => string|null
+ * @param {Array<string>} files - Root-relative paths of discovered files
+ * @returns {{packages: Array<Object>, byName: Map<string, Object>, packageFor: Function}}
+ */
+function createWorkspaceIndex(readFile, files) {
+  const packages = detectWorkspacePackages(readFile, files || []);
+  const byName = new Map(packages.map(pkg => [pkg.name, pkg]));
+  // Longest directory first so nested packages win
+  const byDepth = [...packages].sort((a, b) => b.dir.length - a.dir.length);
+
+  return {
+    packages,
+    byName,
+    packageFor(filePath) {
+      const rel = String(filePath || '').replace(/\\/g, '/').replace(/^\.\//, '');
+      return byDepth.find(pkg => rel.startsWith(`${pkg.dir}/`)) || null;
+    },
+  };
+}
+
+/**
+ * Resolve an import of a workspace package to its source files
+ * @param {string} importPath - Bare import specifier
+ * @param {Object} index - Index from createWorkspaceIndex()
+ * @param {string} [kind] - Import kind, used to pick export conditions
+ * @returns {{candidates: Array<string>, aliased: boolean}|null} Null when not a workspace package
+ */
+function resolveWorkspaceImport(importPath, index, kind) {
+  const specifier = splitPackageSpecifier(importPath);
+  const pkg = specifier && index ? index.byName.get(specifier.name) : null;
+  if (!pkg) return null;
+
+  const candidates = [];
+  if (pkg.manifest.exports !== undefined) {
+    for (const target of resolvePackageExports(pkg, specifier.subpath, kind)) {
+      candidates.push(...withSourceCandidates(target, pkg.dir));
+    }
+  } else if (specifier.subpath === '.') {
+    for (const field of ENTRY_FIELDS) {
+      const value = pkg.manifest[field];
+      if (typeof value !== 'string' || value.trim() === '') continue;
+      const target = path.posix.normalize(path.posix.join(pkg.dir, value));
+      if (target.startsWith(`${pkg.dir}/`)) {
+        candidates.push(...withSourceCandidates(target, pkg.dir));
+      }
+    }
+  } else {
+    const subpath = specifier.subpath.slice(2);
+    candidates.push(...withSourceCandidates(path.posix.join(pkg.dir, subpath), pkg.dir));
+    candidates.push(path.posix.join(pkg.dir, 'src', subpath));
+  }
+
+  if (specifier.subpath === '.') {
+    candidates.push(path.posix.join(pkg.dir, 'src', 'index'), path.posix.join(pkg.dir, 'index'));
+  }
+
+  return { candidates: [...new Set(candidates)], aliased: true };
+}
+
+module.exports = {
+  readWorkspacePatterns,
+  detectWorkspacePackages,
+  createWorkspaceIndex,
+  resolveWorkspaceImport,
+};
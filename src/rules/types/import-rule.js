@@ -50,6 +50,14 @@ class ImportRule extends Rule {
       return undefined;
     };
 
+    // Helper to safely extract column number
+    const getColumnNumber = (importInfo) => {
+      if (importInfo && Number.isInteger(importInfo.column) && importInfo.column > 0) {
+        return importInfo.column;
+      }
+      return undefined;
+    };
+
     // Check must_not_import_from constraints
     if (Array.isArray(this.config.must_not_import_from)) {
       for (const importInfo of imports) {
@@ -58,12 +66,13 @@ class ImportRule extends Rule {
         
         for (const forbidden of this.config.must_not_import_from) {
           try {
-            if (this._matchesPattern(importPath, forbidden, file.filePath)) {
+            if (this._matchesImport(importInfo, forbidden, file.filePath)) {
               violations.push({
                 ruleName: this.name,
                 severity: 'error',
                 file: file.filePath,
                 line: getLineNumber(importInfo),
+                column: getColumnNumber(importInfo),
                 message: `Forbidden import: "${truncateText(importPath)}" matches "${truncateText(forbidden)}"`,
                 suggestion: 'Remove this import or add to allowed list',
                 relatedFile: importPath
@@ -86,7 +95,7 @@ class ImportRule extends Rule {
         let isAllowed = false;
         for (const allowed of this.config.may_import_from) {
           try {
-            if (this._matchesPattern(importPath, allowed, file.filePath)) {
+            if (this._matchesImport(importInfo, allowed, file.filePath)) {
               isAllowed = true;
               break; // Found match, no need to check other allowed patterns
             }
@@ -101,6 +110,7 @@ class ImportRule extends Rule {
             severity: 'error',
             file: file.filePath,
             line: getLineNumber(importInfo),
+            column: getColumnNumber(importInfo),
             message: `Import not in whitelist: "${truncateText(importPath)}"`,
             suggestion: `Add to may_import_from or use allowed import`,
             relatedFile: importPath
@@ -118,7 +128,7 @@ class ImportRule extends Rule {
           if (!importPath) continue;
           
           try {
-            if (this._matchesPattern(importPath, required, file.filePath)) {
+            if (this._matchesImport(importInfo, required, file.filePath)) {
               hasImport = true;
               break;
             }
@@ -160,11 +170,13 @@ class ImportRule extends Rule {
             if (ruleName === this.name) continue; // Skip self
 
             if (matchers && matchers.length > 0 && this.matchesLayer(dependent.filePath, matchers)) {
+              const importInfo = this._findImport(dependent, file.filePath);
               violations.push({
                 ruleName: this.name,
                 severity: 'error',
                 file: dependent.filePath,        // The VIOLATOR (dependent file)
-                line: this._findImportLine(dependent, file.filePath),
+                line: getLineNumber(importInfo),
+                column: getColumnNumber(importInfo),
                 message: `Cannot import from protected layer "${this.name}": layer "${ruleName}" has inward_only constraint`,
                 suggestion: `Move shared logic to an unprotected module (e.g., src/shared/) or remove inward_only from one layer`,
                 relatedFile: file.filePath        // The PROTECTED file
@@ -180,20 +192,21 @@ class ImportRule extends Rule {
   }
 
   /**
-   * Find the line number of the import that targets a specific file
+   * Find the import record that targets a specific file
    * @param {Object} dependent - Dependent component with imports
    * @param {string} targetFilePath - The file being imported
-   * @returns {number|undefined}
+   * @returns {Object|undefined} Import record ({ path, line, column, kind })
    */
-  _findImportLine(dependent, targetFilePath) {
+  _findImport(dependent, targetFilePath) {
     const imports = dependent?.imports || [];
     for (const imp of imports) {
       const importPath = typeof imp === 'string' ? imp : imp?.path;
       if (!importPath) continue;
 
       // Check if this import resolves to targetFilePath
-      if (this._resolvesTo(importPath, dependent.filePath, targetFilePath)) {
-        return typeof imp === 'object' ? imp.line : undefined;
+      if ((typeof imp === 'object' && imp.resolvedPath === targetFilePath) ||
+          this._resolvesTo(importPath, dependent.filePath, targetFilePath)) {
+        return typeof imp === 'object' ? imp : undefined;
       }
     }
     return undefined;
@@ -229,6 +242,26 @@ class ImportRule extends Rule {
     return resolved === targetFilePath;
   }
 
+  /**
+   * Check if an import record matches a pattern, by specifier or by the
+   * file it resolved to (covers tsconfig path aliases such as `@/ui/Button`)
+   * @param {string|Object} importInfo - Import record
+   * @param {string} pattern - The pattern to match against
+   * @param {string} sourceFile - The file containing the import
+   * @returns {boolean}
+   */
+  _matchesImport(importInfo, pattern, sourceFile) {
+    const importPath = typeof importInfo === 'string' ? importInfo : importInfo?.path;
+    if (this._matchesPattern(importPath, pattern, sourceFile)) {
+      return true;
+    }
+    const resolvedPath = typeof importInfo === 'object' ? importInfo?.resolvedPath : null;
+    if (typeof resolvedPath === 'string' && resolvedPath !== importPath) {
+      return this._matchesPattern(resolvedPath.replace(/^\.\//, ''), pattern, sourceFile);
+    }
+    return false;
+  }
+
   /**
    * Check if an import path matches a pattern
    * @param {string} importPath - The import path
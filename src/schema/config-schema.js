@@ -0,0 +1,149 @@
+const { z } = require('zod');
+
+/**
+ * Zod schema for project configuration
+ * Used to validate .diagramrc, diagram.config.json and the `diagram` key of package.json
+ */
+
+// Same list as SUPPORTED_DIAGRAM_TYPES; the analysis core loads this schema, so it is not imported
+const DIAGRAM_TYPES = [
+  'architecture', 'sequence', 'dependency', 'class', 'flow', 'database',
+  'er', 'user', 'events', 'auth', 'security', 'packages',
+];
+
+const nonEmptyString = z.string().min(1, 'Value cannot be empty');
+
+// A comma-separated string or a list of globs
+const globList = z.union([
+  nonEmptyString,
+  z.array(nonEmptyString).min(1, 'At least one pattern is required'),
+]);
+
+// Options every command shares; the only option keys allowed at the top level
+const sharedOptionsShape = {
+  patterns: globList.optional()
+    .describe('Files to analyze'),
+  exclude: globList.optional()
+    .describe('Files to skip'),
+  maxFiles: z.number()
+    .int('maxFiles must be an integer')
+    .min(1, 'maxFiles must be at least 1')
+    .max(10000, 'maxFiles must be at most 10000')
+    .optional(),
+  analyzer: nonEmptyString.optional(),
+  gitignore: z.boolean().optional()
+    .describe('Skip files ignored by git (default true)'),
+  workers: z.union([
+    z.number().int('workers must be an integer').min(0, 'workers must be at least 0').max(32, 'workers must be at most 32'),
+    z.literal('auto'),
+  ]).optional()
+    .describe('Worker threads for reading and extraction (0 = sequential)'),
+  theme: z.enum(['default', 'dark', 'forest', 'neutral', 'light']).optional(),
+};
+
+const SHARED_OPTION_KEYS = Object.freeze(Object.keys(sharedOptionsShape));
+
+// Option defaults under `commands.<name>`, keyed by the commander option name (camelCase)
+const optionDefaultsShape = {
+  ...sharedOptionsShape,
+  type: z.enum(DIAGRAM_TYPES).optional(),
+  output: nonEmptyString.optional(),
+  outputDir: nonEmptyString.optional(),
+  manifestDir: nonEmptyString.optional(),
+  config: nonEmptyString.optional()
+    .describe('Architecture rules file for `diagram test`'),
+  format: z.enum(['console', 'json', 'junit', 'csv']).optional(),
+  maxDepth: z.number().int().min(1).optional(),
+  maxNodes: z.number().int().min(1).optional(),
+  riskThreshold: z.enum(['none', 'low', 'medium', 'high']).optional(),
+};
+
+const commandDefaultsSchema = z.object(optionDefaultsShape).strict();
+
+// Role tokens: extra tokens, or `{ tokens, replace }` to replace the built-in list
+const roleSchema = z.union([
+  z.array(nonEmptyString).min(1, 'At least one token is required'),
+  z.object({
+    tokens: z.array(nonEmptyString).min(1, 'At least one token is required'),
+    replace: z.boolean().optional(),
+  }).strict(),
+]);
+
+const componentRuleSchema = z.object({
+  match: globList,
+  type: nonEmptyString.optional(),
+  roles: z.array(nonEmptyString).optional(),
+}).strict().refine(
+  (rule) => Boolean(rule.type) || (Array.isArray(rule.roles) && rule.roles.length > 0),
+  {
+    message: 'Component rule must set a type or roles',
+    path: ['match']
+  }
+);
+
+// Full configuration schema
+const projectConfigSchema = z.object({
+  ...sharedOptionsShape,
+
+  ignore: z.array(nonEmptyString).optional()
+    .describe('Project-relative paths excluded from every command'),
+
+  roles: z.record(nonEmptyString, roleSchema).optional(),
+
+  components: z.array(componentRuleSchema).optional(),
+
+  orphans: z.object({
+    entryPoints: globList.optional()
+      .describe('Extra entry points for `diagram orphans`'),
+    allow: globList.optional()
+      .describe('Components `diagram orphans` never reports (scripts, framework-loaded files)'),
+  }).strict().optional(),
+
+  commands: z.object({
+    analyze: commandDefaultsSchema,
+    orphans: commandDefaultsSchema,
+    metrics: commandDefaultsSchema,
+    cycles: commandDefaultsSchema,
+    deps: commandDefaultsSchema,
+    generate: commandDefaultsSchema,
+    all: commandDefaultsSchema,
+    manifest: commandDefaultsSchema,
+    diff: commandDefaultsSchema,
+    video: commandDefaultsSchema,
+    animate: commandDefaultsSchema,
+    test: commandDefaultsSchema,
+    pr: commandDefaultsSchema,
+  }).partial().strict().optional()
+    .describe('Per-command option defaults'),
+}).strict(); // Reject unknown properties so typos surface
+
+/**
+ * Validate a project configuration against the schema
+ * @param {Object} config - Parsed configuration
+ * @returns {Object} Validation result
+ */
+function validateProjectConfig(config) {
+  const result = projectConfigSchema.safeParse(config);
+
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.issues.map(err => ({
+        path: err.path.join('.'),
+        message: err.message
+      }))
+    };
+  }
+
+  return {
+    valid: true,
+    data: result.data
+  };
+}
+
+module.exports = {
+  SHARED_OPTION_KEYS,
+  projectConfigSchema,
+  commandDefaultsSchema,
+  validateProjectConfig,
+};
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { filterPaths } = require('./match');
+
+const TAR_BLOCK = 512;
+
+// Security: decompression bomb limits
+const ARCHIVE_LIMITS = Object.freeze({
+  maxArchiveBytes: 256 * 1024 * 1024, // archive file
+  maxUnpackedBytes: 512 * 1024 * 1024, // every entry, uncompressed
+  maxEntryBytes: 32 * 1024 * 1024, // one entry, uncompressed
+});
+
+// zlib's error when output would pass `maxOutputLength`
+function isBufferTooLarge(error) {
+  return Boolean(error) && error.code === 'ERR_BUFFER_TOO_LARGE';
+}
+
+function readTarString(buffer, offset, length) {
+  const end = buffer.indexOf(0, offset);
+  return buffer.toString('utf8', offset, end >= 0 && end < offset + length ? end : offset + length);
+}
+
+function readTarNumber(buffer, offset, length) {
+  // GNU base-256 encoding for sizes over 8GB is not needed for source files
+  return parseInt(readTarString(buffer, offset, length).trim() || '0', 8);
+}
+
+function parsePaxPath(record) {
+  for (const line of record.toString('utf8').split('\n')) {
+    const match = /^\d+ path=(.*)$/.exec(line);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * List the regular files of a tar archive (ustar, GNU long names, pax paths)
+ * @param {Buffer} buffer - Uncompressed archive
+ * @returns {Array<{path: string, size: number, read: function(): Buffer}>}
+ */
+function readTarEntries(buffer) {
+  const entries = [];
+  let longName = null;
+  let offset = 0;
+
+  while (offset + TAR_BLOCK <= buffer.length) {
+    const header = buffer.subarray(offset, offset + TAR_BLOCK);
+    if (header.every(byte => byte === 0)) break;
+
+    const size = readTarNumber(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 48);
+    const dataStart = offset + TAR_BLOCK;
+    const data = buffer.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+
+    if (type === 'L') {
+      longName = readTarString(data, 0, data.length);
+      continue;
+    }
+    if (type === 'x') {
+      longName = parsePaxPath(data) || longName;
+      continue;
+    }
+    if (type === 'g') continue;
+
+    const prefix = header.toString('utf8', 257, 263).startsWith('ustar') ? readTarString(header, 345, 155) : '';
+    const name = longName || (prefix ? `${prefix}/` : '') + readTarString(header, 0, 100);
+    longName = null;
+    if (type !== '0' && type !== '7') continue;
+
+    entries.push({ path: name, size, read: () => data });
+  }
+  return entries;
+}
+
+/**
+ * List the files of a zip archive (stored and deflated entries, no zip64)
+ * @param {Buffer} buffer - Archive
+ * @param {Object} limits - ARCHIVE_LIMITS
+ * @returns {Array<{path: string, size: number, read: function(): Buffer}>}
+ * @throws {Error} When the entries declare more than `limits.maxUnpackedBytes`
+ */
+function readZipEntries(buffer, limits) {
+  // End of central directory record: the last 0x06054b50 signature
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Not a zip archive');
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (offset === 0xffffffff) throw new Error('zip64 archives are not supported');
+
+  const entries = [];
+  let unpacked = 0;
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (method !== 0 && method !== 8) continue;
+    unpacked += size;
+    if (unpacked > limits.maxUnpackedBytes) {
+      throw new Error(`Archive too large: entries exceed ${limits.maxUnpackedBytes} bytes uncompressed`);
+    }
+
+    const read = () => {
+      const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(start, start + compressedSize);
+      if (method === 0) return data;
+      try {
+        // An entry may not inflate past the size its header declares
+        return zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+      } catch (error) {
+        if (isBufferTooLarge(error)) throw new Error(`Archive entry inflates past its declared size: ${name}`);
+        throw error;
+      }
+    };
+    entries.push({ path: name, size, read });
+  }
+  return entries;
+}
+
+/**
+ * Read the file entries of a `.tar`, `.tar.gz`/`.tgz` or `.zip` archive.
+ * A single top-level directory shared by every entry (as in GitHub
+ * tarballs and zipballs) is stripped.
+ * Entries over `maxEntryBytes` are listed with their size but cannot be read.
+ * @param {Buffer} buffer - Archive content
+ * @param {string} fileName - Archive file name; the extension selects the format
+ * @param {Object} [limits] - Overrides of ARCHIVE_LIMITS
+ * @returns {Map<string, {size: number, read: function(): Buffer}>} Root-relative path → entry
+ * @throws {Error} For unsupported, malformed or oversized archives
+ */
+function readArchiveEntries(buffer, fileName, limits = {}) {
+  const caps = { ...ARCHIVE_LIMITS, ...limits };
+  if (buffer.length > caps.maxArchiveBytes) {
+    throw new Error(`Archive too large (${buffer.length} bytes, limit ${caps.maxArchiveBytes})`);
+  }
+
+  const name = fileName.toLowerCase();
+  let entries;
+  if (name.endsWith('.zip')) {
+    entries = readZipEntries(buffer, caps);
+  } else if (name.endsWith('.tar.gz') || name.endsWith('.tgz')) {
+    let tar;
+    try {
+      tar = zlib.gunzipSync(buffer, { maxOutputLength: caps.maxUnpackedBytes });
+    } catch (error) {
+      if (isBufferTooLarge(error)) throw new Error(`Archive too large: unpacks to more than ${caps.maxUnpackedBytes} bytes`);
+      throw error;
+    }
+    entries = readTarEntries(tar);
+  } else if (name.endsWith('.tar')) {
+    entries = readTarEntries(buffer);
+  } else {
+    throw new Error(`Unsupported archive format: ${path.basename(fileName)} (expected .tar, .tar.gz, .tgz or .zip)`);
+  }
+
+  const files = entries
+    .map(entry => ({ ...entry, path: path.posix.normalize(entry.path.replace(/\\/g, '/')).replace(/^(\.\/|\/)+/, '') }))
+    // Security: never expose entries that climb out of the archive root
+    .filter(entry => entry.path && entry.path !== '.' && !entry.path.startsWith('../'));
+
+  const topLevel = new Set(files.map(entry => entry.path.split('/')[0]));
+  const strip = topLevel.size === 1 && files.every(entry => entry.path.includes('/'));
+  const tooLarge = entry => () => {
+    throw new Error(`Archive entry too large: ${entry.path} (${entry.size} bytes, limit ${caps.maxEntryBytes})`);
+  };
+  return new Map(files.map(entry => [
+    strip ? entry.path.slice(entry.path.indexOf('/') + 1) : entry.path,
+    { size: entry.size, read: entry.size > caps.maxEntryBytes ? tooLarge(entry) : entry.read },
+  ]));
+}
+
+/**
+ * Source provider for a source archive
+ * @param {string} archivePath - Path of the `.tar`, `.tar.gz`/`.tgz` or `.zip` file
+ * @param {Object} [options]
+ * @param {string} [options.rootPath] - Root reported in results and used for resolution (default: the archive's directory)
+ * @returns {Object} Source provider
+ */
+function createArchiveSource(archivePath, options = {}) {
+  const absolutePath = path.resolve(archivePath);
+  // Security: check the size before reading the archive into memory
+  const { size } = fs.statSync(absolutePath);
+  if (size > ARCHIVE_LIMITS.maxArchiveBytes) {
+    throw new Error(`Archive too large (${size} bytes, limit ${ARCHIVE_LIMITS.maxArchiveBytes})`);
+  }
+  const entries = readArchiveEntries(fs.readFileSync(absolutePath), absolutePath);
+  const rootPath = options.rootPath || path.dirname(absolutePath);
+
+  return {
+    type: 'archive',
+    rootPath,
+    archivePath: absolutePath,
+    descriptor: { type: 'archive', rootPath, archivePath: absolutePath },
+
+    async listFiles(patterns, exclude = []) {
+      return filterPaths([...entries.keys()].sort(), patterns, exclude);
+    },
+
+    fileSize(relPath) {
+      const entry = entries.get(relPath.replace(/\\/g, '/').replace(/^\.\//, ''));
+      return entry ? entry.size : null;
+    },
+
+    readFile(relPath) {
+      const entry = entries.get(relPath.replace(/\\/g, '/').replace(/^\.\//, ''));
+      return entry ? entry.read().toString('utf8') : null;
+    },
+  };
+}
+
+module.exports = {
+  ARCHIVE_LIMITS,
+  readArchiveEntries,
+  createArchiveSource,
+};
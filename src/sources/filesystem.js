@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { glob } = require('glob');
+const { loadGitignore } = require('../utils/gitignore');
+const { normalizePath } = require('../utils/paths');
+
+/**
+ * Source provider for the working tree. Files are discovered with glob and
+ * filtered by the `.gitignore` rules under the root unless `gitignore` is
+ * false.
+ * @param {string} rootPath - Project root
+ * @returns {Object} Source provider
+ */
+function createFileSystemSource(rootPath) {
+  const gitignoreByExclude = new Map();
+  const loadIgnoreRules = (exclude) => {
+    const key = exclude.join(',');
+    if (!gitignoreByExclude.has(key)) gitignoreByExclude.set(key, loadGitignore(rootPath, exclude));
+    return gitignoreByExclude.get(key);
+  };
+
+  const resolveInside = (relPath) => {
+    const absolute = path.resolve(rootPath, relPath);
+    const relative = path.relative(path.resolve(rootPath), absolute);
+    return relative.startsWith('..') || path.isAbsolute(relative) ? null : absolute;
+  };
+
+  return {
+    type: 'filesystem',
+    rootPath,
+    descriptor: { type: 'filesystem', rootPath },
+
+    async listFiles(patterns, exclude = [], options = {}) {
+      const files = [];
+      for (const pattern of patterns) {
+        if (!pattern || pattern.trim() === '') continue;
+        try {
+          const matches = await glob(pattern.trim(), { cwd: rootPath, absolute: true, ignore: exclude });
+          files.push(...matches);
+        } catch {
+          console.warn(chalk.yellow(`⚠️  Invalid pattern: ${pattern}`));
+        }
+      }
+      // .gitignore, nested .gitignore files and .git/info/exclude, unless disabled
+      const gitignore = options.gitignore === false ? null : await loadIgnoreRules(exclude);
+      return [...new Set(files)]
+        .filter(filePath => !gitignore || !gitignore.isIgnored(filePath))
+        .map(filePath => normalizePath(path.relative(rootPath, filePath)));
+    },
+
+    fileSize(relPath) {
+      const absolute = resolveInside(relPath);
+      return absolute ? fs.statSync(absolute).size : null;
+    },
+
+    readFile(relPath) {
+      const absolute = resolveInside(relPath);
+      if (!absolute) return null;
+      try {
+        return fs.readFileSync(absolute, 'utf-8');
+      } catch (e) {
+        if (e.code === 'ENOENT' || e.code === 'EISDIR') return null;
+        throw e;
+      }
+    },
+  };
+}
+
+module.exports = {
+  createFileSystemSource,
+};
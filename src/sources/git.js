@@ -0,0 +1,47 @@
+const path = require('path');
+const { filterPaths } = require('./match');
+const { normalizePath } = require('../utils/paths');
+
+/**
+ * Source provider for the tree of a git commit. The ref is resolved once,
+ * so every read sees the same snapshot.
+ * @param {string} rootPath - Directory inside the repository
+ * @param {string} ref - Git ref (SHA, branch, tag)
+ * @returns {Object} Source provider
+ */
+function createGitSource(rootPath, ref) {
+  // Required on use: git-helpers analyzes refs through this provider
+  const { validateGitRef, readFileAtRef, listTreeAtRef } = require('../workflow/git-helpers');
+  const sha = validateGitRef(ref, rootPath);
+  let sizes = null;
+  const tree = () => {
+    if (!sizes) sizes = new Map(listTreeAtRef(sha, rootPath).map(entry => [entry.path, entry.size]));
+    return sizes;
+  };
+
+  return {
+    type: 'git',
+    rootPath,
+    ref: sha,
+    descriptor: { type: 'git', rootPath, ref: sha },
+
+    async listFiles(patterns, exclude = []) {
+      return filterPaths([...tree().keys()], patterns, exclude);
+    },
+
+    fileSize(relPath) {
+      const size = tree().get(normalizePath(relPath));
+      return size === undefined ? null : size;
+    },
+
+    readFile(relPath) {
+      // Manifests probed by resolution are mostly absent; answer those from the tree
+      if (!tree().has(path.posix.normalize(normalizePath(relPath)))) return null;
+      return readFileAtRef(sha, relPath, rootPath);
+    },
+  };
+}
+
+module.exports = {
+  createGitSource,
+};
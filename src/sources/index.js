@@ -0,0 +1,64 @@
+/**
+ * Source providers: where analyze() reads a project from.
+ *
+ * A provider exposes `rootPath`, `type`, a serializable `descriptor` (worker
+ * threads rebuild the provider from it with createSource()) and:
+ * - `listFiles(patterns, exclude, {gitignore})` → Promise of root-relative paths
+ * - `fileSize(relPath)` → bytes, or null when unknown
+ * - `readFile(relPath)` → content, or null when the file does not exist
+ */
+const path = require('path');
+const { createFileSystemSource } = require('./filesystem');
+const { createGitSource } = require('./git');
+const { createArchiveSource } = require('./archive');
+const { createMemorySource } = require('./memory');
+const { filterPaths } = require('./match');
+
+/**
+ * Rebuild a provider from its descriptor
+ * @param {Object} descriptor - `source.descriptor`
+ * @returns {Object} Source provider
+ * @throws {TypeError} For unknown source types
+ */
+function createSource(descriptor) {
+  switch (descriptor && descriptor.type) {
+    case 'filesystem':
+      return createFileSystemSource(descriptor.rootPath);
+    case 'git':
+      return createGitSource(descriptor.rootPath, descriptor.ref);
+    case 'archive':
+      return createArchiveSource(descriptor.archivePath, { rootPath: descriptor.rootPath });
+    case 'memory':
+      return createMemorySource(descriptor.files, { rootPath: descriptor.rootPath });
+    default:
+      throw new TypeError(`Unknown source type: ${descriptor && descriptor.type}`);
+  }
+}
+
+/**
+ * Pick the provider for a command: an explicit `source`, `--ref`, `--archive`
+ * or the working tree
+ * @param {string} rootPath - Project root (for `--ref`, a directory inside the repository)
+ * @param {Object} [options] - `source`, `ref`, `archive`
+ * @returns {Object} Source provider
+ * @throws {TypeError} When both `ref` and `archive` are given
+ */
+function createSourceFromOptions(rootPath, options = {}) {
+  if (options.source) return options.source;
+  if (options.ref && options.archive) {
+    throw new TypeError('--ref and --archive cannot be used together');
+  }
+  if (options.ref) return createGitSource(rootPath, options.ref);
+  if (options.archive) return createArchiveSource(path.resolve(options.archive), { rootPath });
+  return createFileSystemSource(rootPath);
+}
+
+module.exports = {
+  createSource,
+  createSourceFromOptions,
+  createFileSystemSource,
+  createGitSource,
+  createArchiveSource,
+  createMemorySource,
+  filterPaths,
+};
@@ -0,0 +1,25 @@
+const picomatch = require('picomatch');
+
+/**
+ * Filter root-relative paths by include and exclude globs, for providers
+ * that list files themselves instead of walking a directory with glob
+ * @param {Array<string>} files - Root-relative POSIX paths
+ * @param {Array<string>} patterns - Include globs
+ * @param {Array<string>} [exclude] - Exclude globs
+ * @returns {Array<string>} Matching paths, in input order
+ */
+function filterPaths(files, patterns, exclude = []) {
+  const compile = globs => globs
+    .filter(glob => glob && glob.trim() !== '')
+    .map(glob => picomatch(glob.trim()));
+  const includeMatchers = compile(patterns);
+  const excludeMatchers = compile(exclude);
+
+  return files.filter(filePath =>
+    !excludeMatchers.some(isMatch => isMatch(filePath)) && includeMatchers.some(isMatch => isMatch(filePath))
+  );
+}
+
+module.exports = {
+  filterPaths,
+};
@@ -0,0 +1,49 @@
+const { filterPaths } = require('./match');
+
+function toRelativePath(filePath) {
+  return String(filePath).replace(/\\/g, '/').replace(/^(\.?\/)+/, '');
+}
+
+/**
+ * Source provider over an in-memory file map, for fixtures and for callers
+ * that already hold the sources
+ * @param {Object<string, string>|Map<string, string>} files - Root-relative path → content
+ * @param {Object} [options]
+ * @param {string} [options.rootPath] - Root reported in results and used for resolution (default: `/`)
+ * @returns {Object} Source provider
+ */
+function createMemorySource(files, options = {}) {
+  const entries = files instanceof Map ? [...files.entries()] : Object.entries(files || {});
+  const contents = new Map();
+  for (const [filePath, content] of entries) {
+    if (typeof content !== 'string') {
+      throw new TypeError(`Content of ${filePath} must be a string`);
+    }
+    contents.set(toRelativePath(filePath), content);
+  }
+  const rootPath = options.rootPath || '/';
+
+  return {
+    type: 'memory',
+    rootPath,
+    descriptor: { type: 'memory', rootPath, files: Object.fromEntries(contents) },
+
+    async listFiles(patterns, exclude = []) {
+      return filterPaths([...contents.keys()].sort(), patterns, exclude);
+    },
+
+    fileSize(relPath) {
+      const content = contents.get(toRelativePath(relPath));
+      return content === undefined ? null : Buffer.byteLength(content);
+    },
+
+    readFile(relPath) {
+      const content = contents.get(toRelativePath(relPath));
+      return content === undefined ? null : content;
+    },
+  };
+}
+
+module.exports = {
+  createMemorySource,
+};
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { glob } = require('glob');
+const picomatch = require('picomatch');
+
+/**
+ * .gitignore matching for file discovery. Rules come from the repository's
+ * `.git/info/exclude`, the `.gitignore` files from the repository root down
+ * to the analyzed directory and the nested `.gitignore` files below it.
+ * Matching follows git: patterns are relative to the directory of their
+ * file, a slash other than a trailing one anchors them, a trailing slash
+ * matches directories only, `!` re-includes, the last matching rule wins and
+ * nothing below an ignored directory can be re-included.
+ */
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+function isOutside(rel) {
+  return rel === '..' || rel.startsWith('../') || path.isAbsolute(rel);
+}
+
+function compilePattern(pattern) {
+  if (!pattern.endsWith('/**')) return picomatch(pattern, { dot: true });
+  // `dir/**` matches everything inside dir but not dir itself
+  const isParent = picomatch(pattern.slice(0, -3), { dot: true });
+  return (rel) => {
+    const segments = rel.split('/');
+    for (let depth = 1; depth < segments.length; depth++) {
+      if (isParent(segments.slice(0, depth).join('/'))) return true;
+    }
+    return false;
+  };
+}
+
+/**
+ * Compile the lines of one ignore file
+ * @param {string} content - File content
+ * @param {string} baseDir - Absolute directory the patterns are relative to
+ * @returns {Array<{baseDir: string, negate: boolean, dirOnly: boolean, isMatch: function(string): boolean}>}
+ */
+function parseGitignore(content, baseDir) {
+  const rules = [];
+  for (const rawLine of content.split(/\r?\n/)) {
+    // Trailing whitespace is dropped unless escaped
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) continue;
+
+    let negate = false;
+    if (line.startsWith('!')) {
+      negate = true;
+      line = line.slice(1);
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+      line = line.slice(1);
+    }
+
+    const dirOnly = line.endsWith('/');
+    line = line.replace(/\/+$/, '');
+    if (!line) continue;
+
+    const pattern = line.includes('/') ? line.replace(/^\/+/, '') : `**/${line}`;
+    rules.push({ baseDir, negate, dirOnly, isMatch: compilePattern(pattern) });
+  }
+  return rules;
+}
+
+function readRules(filePath, baseDir) {
+  try {
+    return parseGitignore(fs.readFileSync(filePath, 'utf8'), baseDir);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Find the enclosing git repository. A `.git` file (worktrees, submodules)
+ * points at the git directory with a `gitdir:` line.
+ * @param {string} startDir - Absolute directory
+ * @returns {{root: string, gitDir: string}|null}
+ */
+function findGitRepository(startDir) {
+  let dir = startDir;
+  for (;;) {
+    const gitPath = path.join(dir, '.git');
+    try {
+      if (fs.statSync(gitPath).isDirectory()) return { root: dir, gitDir: gitPath };
+      const match = /^gitdir:\s*(.+)$/m.exec(fs.readFileSync(gitPath, 'utf8'));
+      if (match) return { root: dir, gitDir: path.resolve(dir, match[1].trim()) };
+    } catch {
+      // No .git here
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Load the ignore rules that apply to files under a directory
+ * @param {string} rootPath - Analyzed directory
+ * @param {Array<string>} [exclude] - Globs (relative to rootPath) not searched for nested .gitignore files
+ * @returns {Promise<{isIgnored: function(string, boolean=): boolean}>}
+ *   `isIgnored(absolutePath, isDirectory)`; paths outside rootPath are never ignored
+ */
+async function loadGitignore(rootPath, exclude = []) {
+  const root = path.resolve(rootPath);
+  const rules = [];
+
+  const repository = findGitRepository(root);
+  if (repository) {
+    rules.push(...readRules(path.join(repository.gitDir, 'info', 'exclude'), repository.root));
+    const segments = toPosix(path.relative(repository.root, root)).split('/').filter(Boolean);
+    for (let depth = 0; depth < segments.length; depth++) {
+      const dir = path.join(repository.root, ...segments.slice(0, depth));
+      rules.push(...readRules(path.join(dir, '.gitignore'), dir));
+    }
+  }
+
+  const nested = await glob('**/.gitignore', { cwd: root, dot: true, ignore: [...exclude, '.git/**'] });
+  nested
+    .map(toPosix)
+    .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b))
+    .forEach((rel) => {
+      const dir = path.join(root, path.posix.dirname(rel));
+      rules.push(...readRules(path.join(root, rel), dir));
+    });
+
+  const matches = (target, isDirectory) => {
+    let ignored = false;
+    for (const rule of rules) {
+      if (rule.dirOnly && !isDirectory) continue;
+      const rel = toPosix(path.relative(rule.baseDir, target));
+      if (!rel || isOutside(rel)) continue;
+      if (rule.isMatch(rel)) ignored = !rule.negate;
+    }
+    return ignored;
+  };
+
+  const ignoredDirs = new Map();
+  const isDirIgnored = (dir) => {
+    if (!ignoredDirs.has(dir)) ignoredDirs.set(dir, matches(dir, true));
+    return ignoredDirs.get(dir);
+  };
+
+  return {
+    isIgnored(filePath, isDirectory = false) {
+      const rel = toPosix(path.relative(root, path.resolve(filePath)));
+      if (!rel || isOutside(rel) || rules.length === 0) return false;
+      const segments = rel.split('/');
+      for (let depth = 1; depth < segments.length; depth++) {
+        if (isDirIgnored(path.join(root, ...segments.slice(0, depth)))) return true;
+      }
+      return matches(path.resolve(filePath), isDirectory);
+    },
+  };
+}
+
+module.exports = {
+  parseGitignore,
+  findGitRepository,
+  loadGitignore,
+};
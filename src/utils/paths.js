@@ -0,0 +1,19 @@
+/**
+ * Path spelling shared by analysis, entry point detection and reports.
+ * Root files are stored as `./index.js` on components but appear as
+ * `index.js` in manifests and file lists; compare through toComparablePath().
+ */
+
+function normalizePath(inputPath) {
+  // Always use forward slashes for consistency
+  return inputPath.replace(/\\/g, '/');
+}
+
+function toComparablePath(p) {
+  return normalizePath(String(p || '')).replace(/^\.\//, '');
+}
+
+module.exports = {
+  normalizePath,
+  toComparablePath,
+};
@@ -2,17 +2,15 @@ const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
 const { execFileSync } = require('child_process');
-const micromatch = require('picomatch');
 const {
-  detectLanguage,
-  inferType,
-  extractImportsWithPositions,
-  normalizePath,
-  getImportPath,
-  resolveInternalImport,
-  findComponentByResolvedPath,
-  inferRoleTags,
+  analyze,
+  parseCommaSeparatedList,
+  DEFAULT_PATTERNS,
+  DEFAULT_EXCLUDE,
 } = require('../core/analysis-generation');
+const { createGitSource } = require('../sources/git');
+const { filterPaths } = require('../sources/match');
+const { normalizePath } = require('../utils/paths');
 
 /**
  * Validate git ref exists and is accessible
@@ -37,7 +35,8 @@ function validateGitRef(ref, root) {
       cwd: root,
       encoding: 'utf8',
       timeout: 10000, // 10 second timeout
-      maxBuffer: 1024 * 1024 // 1MB buffer
+      maxBuffer: 1024 * 1024, // 1MB buffer
+      stdio: ['ignore', 'pipe', 'pipe']
     }).trim();
 
     return sha;
@@ -104,7 +103,9 @@ function runGitCommand(args, root, timeout = 30000) {
       encoding: 'utf8',
       timeout,
       maxBuffer: 10 * 1024 * 1024, // 10MB buffer
-      windowsHide: true
+      windowsHide: true,
+      // Keep git's own messages off the terminal; they are folded into the thrown error
+      stdio: ['ignore', 'pipe', 'pipe']
     });
     return result;
   } catch (error) {
@@ -212,7 +213,7 @@ function getChangedFiles(baseSha, headSha, root) {
 /**
  * Read file content at a specific git ref
  * @param {string} ref - Git ref (SHA, branch, tag)
- * @param {string} filePath - Path to file relative to repo root
+ * @param {string} filePath - Path to file relative to `root`
  * @param {string} root - Repository root path
  * @returns {string|null} File content or null if file doesn't exist at ref
  */
@@ -229,8 +230,9 @@ function readFileAtRef(ref, filePath, root) {
   }
 
   try {
+    // `./` keeps the path relative to `root` when it is a subdirectory of the repository
     const content = runGitCommand(
-      ['show', `${ref}:${normalizedPath}`],
+      ['show', `${ref}:./${normalizePath(normalizedPath)}`],
       root,
       10000 // 10 second timeout
     );
@@ -245,140 +247,63 @@ function readFileAtRef(ref, filePath, root) {
 }
 
 /**
- * Get list of files at a specific git ref
+ * List the files of a git tree with their sizes
  * @param {string} ref - Git ref (SHA, branch, tag)
- * @param {string} root - Repository root path
- * @param {object} options - Filter options
- * @returns {string[]} List of file paths at ref
+ * @param {string} root - Directory inside the repository; paths are relative to it
+ * @returns {Array<{path: string, size: number}>} Blobs, sorted by path
  */
-function listFilesAtRef(ref, root, options = {}) {
-  const {
-    patterns = ['**/*.ts', '**/*.tsx', '**/*.js', '**/*.jsx', '**/*.py', '**/*.go', '**/*.rs'],
-    exclude = ['node_modules/**', '.git/**', 'dist/**', 'build/**']
-  } = options;
-
-  // Use git ls-tree to get all tracked files at ref
+function listTreeAtRef(ref, root) {
   const output = runGitCommand(
-    ['ls-tree', '-r', '--name-only', ref],
+    ['ls-tree', '-r', '-l', '-z', ref],
     root,
     60000 // 60 second timeout for large repos
   );
 
-  const allFiles = output.trim().split('\n').filter(f => f.trim());
-
-  // Filter by patterns and exclusions using minimatch-style matching
-  const includeMatchers = patterns.map(p => micromatch(p));
-  const excludeMatchers = exclude.map(p => micromatch(p));
+  // <mode> SP <type> SP <object> SP+ <size> TAB <path>, NUL-terminated
+  const entries = [];
+  for (const record of output.split('\0')) {
+    const tab = record.indexOf('\t');
+    if (tab < 0) continue;
+    const [, type, , size] = record.slice(0, tab).split(/\s+/);
+    if (type !== 'blob') continue;
+    entries.push({ path: record.slice(tab + 1), size: parseInt(size, 10) });
+  }
+  return entries.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
 
-  const filteredFiles = allFiles.filter(filePath => {
-    // Check exclusions first
-    if (excludeMatchers.some(m => m(filePath))) {
-      return false;
-    }
-    // Check inclusions
-    return includeMatchers.some(m => m(filePath));
-  });
+/**
+ * Get list of files at a specific git ref
+ * @param {string} ref - Git ref (SHA, branch, tag)
+ * @param {string} root - Repository root path
+ * @param {object} options - Filter options (`patterns`, `exclude`: arrays or comma-separated strings)
+ * @returns {string[]} List of file paths at ref
+ */
+function listFilesAtRef(ref, root, options = {}) {
+  // CLI options and project config pass comma-separated lists
+  const toList = value => (typeof value === 'string' ? parseCommaSeparatedList(value) : value);
+  const patterns = toList(options.patterns) || [...DEFAULT_PATTERNS];
+  const exclude = toList(options.exclude) || [...DEFAULT_EXCLUDE];
 
-  return filteredFiles.sort();
+  return filterPaths(listTreeAtRef(ref, root).map(entry => entry.path), patterns, exclude);
 }
 
 /**
  * Analyze codebase at a specific git ref (snapshot analysis)
  * @param {string} ref - Git ref (SHA, branch, tag)
  * @param {string} root - Repository root path
- * @param {object} options - Analysis options
+ * @param {object} options - analyze() options
  * @returns {Promise<object>} Analysis result
  */
 async function analyzeAtRef(ref, root, options = {}) {
-  const maxFiles = Math.min(Math.max(parseInt(options.maxFiles, 10) || 100, 1), 10000);
-
-  // Get file list at ref
-  const fileList = listFilesAtRef(ref, root, options).slice(0, maxFiles);
-
-  const components = [];
-  const languages = {};
-  const directories = new Set();
-  const entryPoints = [];
-  const seenNames = new Set();
-
-  for (const filePath of fileList) {
-    try {
-      // Read file content at ref
-      const content = readFileAtRef(ref, filePath, root);
-      if (content === null) continue;
-
-      // Security: Check content size (10MB limit)
-      if (content.length > 10 * 1024 * 1024) {
-        continue;
-      }
-
-      const lang = detectLanguage(filePath);
-      let rel = normalizePath(filePath);
-      const dir = path.dirname(rel);
-      if (dir === '.') {
-        rel = `./${rel}`;
-      }
-
-      languages[lang] = (languages[lang] || 0) + 1;
-      if (dir !== '.') directories.add(dir);
-
-      // Entry point detection
-      const entryPattern = /\/(index|main|app|server)\.(ts|js|tsx|jsx|mts|mjs|py|go|rs)$/i;
-      if (entryPattern.test(rel)) {
-        entryPoints.push(rel);
-      }
-
-      // Handle duplicate names
-      let baseName = path.basename(filePath, path.extname(filePath));
-      let uniqueName = baseName;
-      let counter = 1;
-      while (seenNames.has(uniqueName)) {
-        uniqueName = `${baseName}_${counter}`;
-        counter++;
-      }
-      seenNames.add(uniqueName);
-
-      const imports = extractImportsWithPositions(content, lang);
-      const type = inferType(filePath, content);
-
-      components.push({
-        name: uniqueName,
-        originalName: baseName,
-        filePath: rel,
-        type,
-        imports,
-        roleTags: inferRoleTags(rel, baseName, content, imports, type),
-        directory: dir,
-      });
-    } catch (e) {
-      // Skip files that can't be read or parsed
-      if (process.env.DEBUG) {
-        console.error(chalk.gray(`Skipped ${filePath}: ${e.message}`));
-      }
-    }
-  }
-
-  // Resolve dependencies (same logic as analyze())
-  for (const comp of components) {
-    comp.dependencies = [];
-    for (const imp of comp.imports) {
-      const importPath = getImportPath(imp);
-      if (!importPath) continue;
-      const resolved = resolveInternalImport(comp.filePath, importPath, root);
-      if (!resolved) continue;
-      const dep = findComponentByResolvedPath(components, resolved);
-      if (dep) comp.dependencies.push(dep.name);
-    }
-  }
-
-  return {
-    rootPath: root,
-    ref,
-    components,
-    entryPoints,
-    languages,
-    directories: [...directories].sort()
-  };
+  // analyze() takes comma-separated lists; listFilesAtRef() callers may pass arrays
+  const toCsv = value => (Array.isArray(value) ? value.join(',') : value);
+  const result = await analyze(root, {
+    ...options,
+    patterns: toCsv(options.patterns),
+    exclude: toCsv(options.exclude),
+    source: createGitSource(root, ref),
+  });
+  return { ...result, ref };
 }
 
 /**
@@ -401,9 +326,9 @@ function computeArchitectureDiff(base, head) {
       added.push({ filePath, name: comp.name, type: comp.type });
     } else {
       const baseComp = baseComponents.get(filePath);
-      // Check if dependencies changed
-      const baseDeps = new Set((baseComp.dependencies || []).map(d => d.filePath));
-      const headDeps = new Set((comp.dependencies || []).map(d => d.filePath));
+      // Check if dependencies changed (names are path-derived, so they compare across refs)
+      const baseDeps = new Set(baseComp.dependencies || []);
+      const headDeps = new Set(comp.dependencies || []);
 
       const depsAdded = [...headDeps].filter(d => !baseDeps.has(d));
       const depsRemoved = [...baseDeps].filter(d => !headDeps.has(d));
@@ -565,6 +490,7 @@ module.exports = {
   runGitCommand,
   getChangedFiles,
   readFileAtRef,
+  listTreeAtRef,
   listFilesAtRef,
   analyzeAtRef,
   computeArchitectureDiff,
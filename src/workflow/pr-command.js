@@ -215,7 +215,8 @@ function registerWorkflowCommands(program, deps) {
             depth: maxDepth,
             truncated: false,
             omittedCount: 0,
-            impactedComponents: []
+            impactedComponents: [],
+            impactedEntryPoints: []
           },
           risk: {
             score: 0,
@@ -259,7 +260,8 @@ function registerWorkflowCommands(program, deps) {
         const analysisOptions = {
           maxFiles: 10000, // Use high limit for accurate delta
           patterns: options.patterns,
-          exclude: options.exclude
+          exclude: options.exclude,
+          projectConfig: options.projectConfig
         };
 
         baseAnalysis = await analyzeAtRef(baseSha, root, analysisOptions);
@@ -298,6 +300,7 @@ function registerWorkflowCommands(program, deps) {
 
       if (!options.json && options.verbose) {
         console.log(chalk.gray('   Impacted components:'), blastRadius.impactedComponents.length);
+        console.log(chalk.gray('   Impacted entry points:'), blastRadius.impactedEntryPoints.join(', ') || 'none');
         console.log(chalk.gray('   Truncated:'), blastRadius.truncated);
       }
 
@@ -331,7 +334,8 @@ function registerWorkflowCommands(program, deps) {
           depth: maxDepth,
           truncated: blastRadius.truncated,
           omittedCount: blastRadius.omittedCount,
-          impactedComponents: blastRadius.impactedComponents
+          impactedComponents: blastRadius.impactedComponents,
+          impactedEntryPoints: blastRadius.impactedEntryPoints
         },
         risk: {
           score: risk.score,
@@ -359,6 +363,9 @@ function registerWorkflowCommands(program, deps) {
         console.log(chalk.gray('   Duration:'), `${result._meta.durationMs}ms`);
         console.log(chalk.gray('   Changed components:'), result.changedComponents.length);
         console.log(chalk.gray('   Blast radius:'), result.blastRadius.impactedComponents.length);
+        if (result.blastRadius.impactedEntryPoints.length > 0) {
+          console.log(chalk.gray('   Entry points affected:'), result.blastRadius.impactedEntryPoints.join(', '));
+        }
         console.log(chalk.gray('   Risk level:'), result.risk.level);
         console.log(chalk.gray('   Risk score:'), result.risk.score);
         if (result.risk.flags.length > 0) {
@@ -408,6 +415,7 @@ function registerWorkflowCommands(program, deps) {
           capabilities,
           validation: { enabled: false, valid: true, errors: [] },
           fallback: { used: false, reasons: [] },
+          coverage: headAnalysis.coverage || null,
           notes: [`risk:${result.risk.level}`, `changed_components:${result.changedComponents.length}`],
         });
 
@@ -1,5 +1,7 @@
 const fs = require('fs');
 const path = require('path');
+const { componentId } = require('../core/analysis-generation');
+const { toComparablePath } = require('../utils/paths');
 
 /**
  * Helper to compare arrays
@@ -10,6 +12,24 @@ function arraysEqual(a, b) {
   return a.every((val, idx) => val === b[idx]);
 }
 
+/**
+ * Index components by filePath and by every source file they own
+ * (package components such as Go directories list theirs in `files`)
+ * @param {Array<object>} components - Analysis components
+ * @returns {Map<string, object>}
+ */
+function indexComponentsByFile(components) {
+  const byFile = new Map();
+  for (const c of components || []) {
+    byFile.set(c.filePath, c);
+    for (const file of c.files || []) {
+      byFile.set(file, c);
+      byFile.set(file.replace(/^\.\//, ''), c);
+    }
+  }
+  return byFile;
+}
+
 /**
  * Compute delta between two analysis snapshots
  * @param {object} baseAnalysis - Analysis at base ref
@@ -21,30 +41,36 @@ function computeDelta(baseAnalysis, headAnalysis, changedFiles) {
   const { changed, renamed, deleted, added } = changedFiles;
 
   // Build component indexes by filePath
-  const baseByPath = new Map();
-  for (const c of baseAnalysis.components || []) {
-    baseByPath.set(c.filePath, c);
-  }
+  const baseByPath = indexComponentsByFile(baseAnalysis.components);
+  const headByPath = indexComponentsByFile(headAnalysis.components);
 
-  const headByPath = new Map();
-  for (const c of headAnalysis.components || []) {
-    headByPath.set(c.filePath, c);
-  }
+  // Renamed files keep their identity: base paths and component names are
+  // compared under their head names
+  const renamedFrom = new Map((renamed || []).map(r => [r.to, r.from]));
+  const renamedIds = new Map((renamed || []).map(r => [componentId(r.from), componentId(r.to)]));
+  const toHeadId = name => renamedIds.get(name) || name;
 
   // Find changed components
   const changedComponents = [];
   const unmodeledChanges = [];
+  const seenComponents = new Set();
 
-  for (const filePath of changed) {
-    const headComp = headByPath.get(filePath);
-    const baseComp = baseByPath.get(filePath);
+  for (const changedPath of changed) {
+    const headComp = headByPath.get(changedPath);
+    const baseComp = baseByPath.get(changedPath) || baseByPath.get(renamedFrom.get(changedPath));
 
     if (headComp) {
+      // Several changed files can belong to one package component
+      if (seenComponents.has(headComp.filePath)) continue;
+      seenComponents.add(headComp.filePath);
+      const filePath = headComp.filePath;
+
       // File exists in head
       if (baseComp) {
         // File exists in both - check if dependencies or roleTags changed
+        const baseDependencies = (baseComp.dependencies || []).map(toHeadId);
         const depsChanged = !arraysEqual(
-          (baseComp.dependencies || []).sort(),
+          [...baseDependencies].sort(),
           (headComp.dependencies || []).sort()
         );
         const rolesChanged = !arraysEqual(
@@ -58,8 +84,8 @@ function computeDelta(baseAnalysis, headAnalysis, changedFiles) {
             name: headComp.name,
             type: headComp.type,
             roleTags: headComp.roleTags,
-            dependenciesAdded: (headComp.dependencies || []).filter(d => !(baseComp.dependencies || []).includes(d)),
-            dependenciesRemoved: (baseComp.dependencies || []).filter(d => !(headComp.dependencies || []).includes(d)),
+            dependenciesAdded: (headComp.dependencies || []).filter(d => !baseDependencies.includes(d)),
+            dependenciesRemoved: baseDependencies.filter(d => !(headComp.dependencies || []).includes(d)),
             roleTagsAdded: (headComp.roleTags || []).filter(r => !(baseComp.roleTags || []).includes(r)),
             roleTagsRemoved: (baseComp.roleTags || []).filter(r => !(headComp.roleTags || []).includes(r))
           });
@@ -80,7 +106,7 @@ function computeDelta(baseAnalysis, headAnalysis, changedFiles) {
       }
     } else {
       // File changed but not modeled (e.g., config file, non-code)
-      unmodeledChanges.push(filePath);
+      unmodeledChanges.push(changedPath);
     }
   }
 
@@ -88,14 +114,14 @@ function computeDelta(baseAnalysis, headAnalysis, changedFiles) {
   const baseEdges = new Set();
   for (const c of baseAnalysis.components || []) {
     for (const dep of c.dependencies || []) {
-      baseEdges.add(`${c.filePath}→${dep}`);
+      baseEdges.add(`${toHeadId(c.name)}→${toHeadId(dep)}`);
     }
   }
 
   const headEdges = new Set();
   for (const c of headAnalysis.components || []) {
     for (const dep of c.dependencies || []) {
-      headEdges.add(`${c.filePath}→${dep}`);
+      headEdges.add(`${c.name}→${dep}`);
     }
   }
 
@@ -117,7 +143,8 @@ function computeDelta(baseAnalysis, headAnalysis, changedFiles) {
 }
 
 /**
- * Compute blast radius from delta
+ * Compute blast radius from delta: the dependents of changed components,
+ * breadth-first, and the entry points (head analysis roots) among them
  */
 function computeBlastRadiusFromDelta(delta, headAnalysis, maxDepth, maxNodes) {
   const impacted = new Set();
@@ -131,8 +158,10 @@ function computeBlastRadiusFromDelta(delta, headAnalysis, maxDepth, maxNodes) {
   }
 
   // Also include components whose files were added
+  // Root files are `./index.js` on components
+  const ownsFile = (comp, file) => [comp.filePath, ...(comp.files || [])].some(own => own && toComparablePath(own) === file);
   for (const filePath of delta.addedFiles) {
-    const comp = headAnalysis.components.find(c => c.filePath === filePath);
+    const comp = headAnalysis.components.find(c => ownsFile(c, toComparablePath(filePath)));
     if (comp && !visited.has(comp.name)) {
       queue.push({ name: comp.name, depth: 0 });
       visited.add(comp.name);
@@ -170,8 +199,18 @@ function computeBlastRadiusFromDelta(delta, headAnalysis, maxDepth, maxNodes) {
   const truncated = visited.size > maxNodes;
   const omittedCount = Math.max(0, visited.size - maxNodes);
 
+  // Entry points reached by the change, changed ones included
+  const entryFiles = new Set((headAnalysis.entryPoints || []).map(toComparablePath));
+  const impactedEntryPoints = [...visited]
+    .filter(name => {
+      const comp = byName.get(name);
+      return comp && [comp.filePath, ...(comp.files || [])].some(file => file && entryFiles.has(toComparablePath(file)));
+    })
+    .sort();
+
   return {
     impactedComponents: [...impacted].sort(),
+    impactedEntryPoints,
     truncated,
     omittedCount
   };
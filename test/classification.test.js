@@ -0,0 +1,79 @@
+/**
+ * Tests for project role patterns and component rules
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const {
+  analyze,
+  inferType,
+  inferRoleTags,
+  createClassifier,
+} = require('../src/core/analysis-generation');
+
+describe('createClassifier', () => {
+  it('should extend, replace and add role tokens', () => {
+    const classifier = createClassifier({
+      roles: {
+        database: ['ledger'],
+        auth: { tokens: ['gatekeeper'], replace: true },
+        billing: ['invoice'],
+      },
+    });
+
+    expect(inferRoleTags('src/ledger/entries.js', 'entries', '', [], 'module', classifier)).to.deep.equal(['database']);
+    expect(inferRoleTags('src/gatekeeper.js', 'gatekeeper', '', [], 'module', classifier)).to.deep.equal(['auth']);
+    expect(inferRoleTags('src/login.js', 'login', '', [], 'module', classifier)).to.deep.equal(['general']);
+    expect(inferRoleTags('src/invoice.js', 'invoice', '', [], 'module', classifier)).to.deep.equal(['billing']);
+    expect(inferRoleTags('src/login.js', 'login', '', [], 'module')).to.deep.equal(['auth']);
+  });
+
+  it('should apply component rules for types and roles', () => {
+    const classifier = createClassifier({
+      components: [
+        { match: 'src/**/*.repo.ts', roles: ['database'] },
+        { match: ['src/jobs/**', 'workers/**'], type: 'service', roles: ['events'] },
+      ],
+    });
+
+    expect(inferRoleTags('src/users/users.repo.ts', 'users.repo', '', [], 'module', classifier)).to.deep.equal(['database']);
+    expect(inferType('src/jobs/nightly.js', 'module.exports = {};', classifier)).to.equal('service');
+    expect(inferRoleTags('src/jobs/nightly.js', 'nightly', '', [], 'service', classifier)).to.deep.equal(['events', 'service']);
+    expect(inferType('src/jobs/nightly.js', 'module.exports = {};')).to.equal('module');
+  });
+
+  it('should reject malformed config', () => {
+    expect(() => createClassifier({ roles: { auth: 'gatekeeper' } })).to.throw(TypeError, 'roles.auth');
+    expect(() => createClassifier({ components: [{ roles: ['auth'] }] })).to.throw(TypeError, 'components[0].match');
+  });
+});
+
+describe('project role config', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-roles-'));
+    fs.mkdirSync(path.join(root, 'src'));
+    fs.writeFileSync(path.join(root, 'src', 'ledger.js'), 'module.exports = {};\n');
+    fs.writeFileSync(path.join(root, 'src', 'orders.repo.ts'), 'export const find = () => [];\n');
+    fs.writeFileSync(path.join(root, '.diagramrc'), JSON.stringify({
+      roles: { database: ['ledger'] },
+      components: [{ match: 'src/**/*.repo.ts', type: 'service', roles: ['database'] }],
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should read roles and component rules from .diagramrc', async () => {
+    const data = await analyze(root, { maxFiles: 10 });
+    const byFile = Object.fromEntries(data.components.map(c => [c.filePath, c]));
+
+    expect(byFile['src/ledger.js'].roleTags).to.deep.equal(['database']);
+    expect(byFile['src/orders.repo.ts'].type).to.equal('service');
+    expect(byFile['src/orders.repo.ts'].roleTags).to.deep.equal(['database', 'service']);
+  });
+});
@@ -37,6 +37,23 @@ describe('confidence pipeline', () => {
     expect(evaluated.summary.fallbackUsed).to.equal(true);
   });
 
+  it('should warn without failing strict mode when the analysis was truncated', () => {
+    const report = buildConfidenceReport({
+      command: 'generate',
+      rootPath: '/tmp/repo',
+      capabilities: { checks: [{ id: 'node_runtime', required: true, status: 'pass', message: 'ok' }] },
+      validation: { enabled: false, valid: true, errors: [] },
+      fallback: { used: false, reasons: [] },
+      coverage: { discovered: 250, analyzed: 100, skipped: 150, maxFiles: 100, truncated: true },
+    });
+
+    expect(report.coverage.skipped).to.equal(150);
+    expect(report.confidence.verdict).to.equal('warn');
+    expect(report.confidence.summary.partial).to.equal(true);
+    expect(report.confidence.reasons).to.include('coverage: analyzed 100 of 250 files (maxFiles 100)');
+    expect(shouldFailStrictConfidence(report)).to.equal(false);
+  });
+
   it('should signal strict failure when fallback is used', () => {
     const report = buildConfidenceReport({
       command: 'generate',
@@ -70,7 +87,7 @@ describe('typed IR + incremental helpers', () => {
       analyzer: { name: 'default', version: '1.0.0' },
     });
 
-    expect(ir.schemaVersion).to.equal('1.0');
+    expect(ir.schemaVersion).to.equal('2.0');
     expect(ir.analyzer.name).to.equal('default');
     expect(ir.summary.componentCount).to.equal(1);
   });
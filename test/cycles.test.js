@@ -0,0 +1,85 @@
+/**
+ * Tests for dependency cycle reports
+ */
+
+const { expect } = require('chai');
+const { analyze } = require('../src/core/analysis-generation');
+const { createMemorySource } = require('../src/sources');
+const { ComponentGraph } = require('../src/graph');
+const { analyzeCycles, generateCycleDiagram, formatCyclesMarkdown } = require('../src/cycles');
+
+const FILES = {
+  'src/a.ts': "import { b } from './b';\nimport { c } from './c';\nexport const a = 1;\n",
+  'src/b.ts': "import { a } from './a';\nexport const b = a;\n",
+  'src/c.ts': "import { b } from './b';\n\nimport { a } from './a';\nexport const c = b;\n",
+  'src/d.ts': "import { a } from './a';\nexport const d = a;\n",
+};
+
+async function analyzeFixture(files = FILES) {
+  return analyze('/app', { source: createMemorySource(files, { rootPath: '/app' }), projectConfig: {} });
+}
+
+function graphOf(edges) {
+  const names = [...new Set(Object.entries(edges).flatMap(([from, deps]) => [from, ...deps]))];
+  return new ComponentGraph({ components: names.map(name => ({ name, dependencies: edges[name] || [] })) });
+}
+
+describe('cycles', () => {
+  it('should find every elementary cycle, including ones sharing a back edge', () => {
+    const graph = graphOf({ a: ['b', 'c'], b: ['a', 'c'], c: ['b'], d: ['d'], e: ['f'] });
+    expect(graph.findCycles()).to.deep.equal([
+      ['a', 'b', 'a'],
+      ['a', 'c', 'b', 'a'],
+      ['b', 'c', 'b'],
+      ['d', 'd'],
+    ]);
+
+    const complete = graphOf({ a: ['b', 'c', 'd'], b: ['a', 'c', 'd'], c: ['a', 'b', 'd'], d: ['a', 'b', 'c'] });
+    expect(complete.findCycles()).to.have.length(20);
+    expect(complete.findCycles({ limit: 5 })).to.have.length(5);
+  });
+
+  it('should list cycles by length with the import lines of each edge', async () => {
+    const report = analyzeCycles(await analyzeFixture());
+
+    expect(report.cycles.map(c => c.components.map(x => x.name))).to.deep.equal([
+      ['src/a.ts', 'src/b.ts'],
+      ['src/a.ts', 'src/c.ts'],
+      ['src/a.ts', 'src/c.ts', 'src/b.ts'],
+    ]);
+    expect(report.cycles[1].edges).to.deep.equal([
+      { from: 'src/a.ts', to: 'src/c.ts', imports: [{ file: 'src/a.ts', line: 2, specifier: './c' }] },
+      { from: 'src/c.ts', to: 'src/a.ts', imports: [{ file: 'src/c.ts', line: 3, specifier: './a' }] },
+    ]);
+    expect(report.summary).to.deep.equal({ cycles: 3, components: 3, edges: 5 });
+    expect(report.truncated).to.equal(false);
+  });
+
+  it('should suggest the edge shared by the most cycles', async () => {
+    const report = analyzeCycles(await analyzeFixture());
+
+    expect(report.edges.slice(0, 2)).to.deep.equal([
+      { from: 'src/a.ts', to: 'src/c.ts', cycles: 2, imports: 1 },
+      { from: 'src/b.ts', to: 'src/a.ts', cycles: 2, imports: 1 },
+    ]);
+    expect(report.cycles.map(c => `${c.suggestion.from} → ${c.suggestion.to}`)).to.deep.equal([
+      'src/b.ts → src/a.ts',
+      'src/a.ts → src/c.ts',
+      'src/a.ts → src/c.ts',
+    ]);
+    expect(analyzeCycles(await analyzeFixture(), { limit: 2 })).to.include({ truncated: true });
+  });
+
+  it('should render each cycle as a Mermaid diagram', async () => {
+    const report = analyzeCycles(await analyzeFixture());
+    const mermaid = generateCycleDiagram(report.cycles[1]);
+
+    expect(mermaid).to.match(/^graph LR/);
+    expect(mermaid).to.include('["src/c.ts"]');
+    expect(mermaid).to.match(/src_a_ts\S* -->\|L2\| \S*src_c_ts/);
+    expect(mermaid).to.include('linkStyle 0 stroke:#dc2626');
+    expect(formatCyclesMarkdown(report).match(/```mermaid/g)).to.have.length(3);
+    expect(formatCyclesMarkdown(analyzeCycles(await analyzeFixture({ 'src/x.ts': 'export const x = 1;\n' }))))
+      .to.include('No dependency cycles found.');
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for the external dependency inventory
+ */
+
+const { expect } = require('chai');
+const { analyze } = require('../src/core/analysis-generation');
+const { createMemorySource } = require('../src/sources');
+const { readYarnLock, readPnpmLock, typesPackageFor, inventoryDependencies } = require('../src/deps');
+
+const FILES = {
+  'package.json': JSON.stringify({
+    name: 'shop',
+    private: true,
+    workspaces: ['packages/*'],
+    scripts: { clean: 'rimraf dist' },
+    dependencies: { lodash: '^4.17.0', 'left-pad': '^1.3.0', rimraf: '^5.0.0' },
+    devDependencies: { typescript: '^5.4.0', '@types/express-serve-static-core': '^4.19.0' },
+  }),
+  'package-lock.json': JSON.stringify({
+    lockfileVersion: 3,
+    packages: {
+      'node_modules/lodash': { version: '4.17.21' },
+      'node_modules/express': { version: '4.18.0' },
+      'packages/api/node_modules/express': { version: '4.19.2' },
+    },
+  }),
+  'packages/api/package.json': JSON.stringify({
+    name: '@shop/api',
+    dependencies: { express: '^4.19.0', '@shop/ui': '*' },
+    devDependencies: { supertest: '^7.0.0' },
+  }),
+  'packages/api/src/server.ts': [
+    "import express from 'express';",
+    "import { readFileSync } from 'node:fs';",
+    "import path from 'path';",
+    "import { z } from 'zod';",
+    "import request from 'supertest';",
+    "import chunk from 'lodash/chunk';",
+    "import { Button } from '@shop/ui';",
+    "import { api } from '@/api';",
+    'export const app = express();',
+  ].join('\n'),
+  'packages/api/src/types.ts': "import type { Request } from 'express-serve-static-core';\nexport type Req = Request;\n",
+  'packages/api/test/server.test.ts': "import request from 'supertest';\nimport { app } from '../src/server';\nrequest(app);\n",
+  'packages/ui/package.json': JSON.stringify({ name: '@shop/ui', main: 'src/index.ts' }),
+  'packages/ui/src/index.ts': "import { debounce } from 'lodash';\nexport const Button = debounce;\n",
+};
+
+async function inventoryFixture(files = FILES) {
+  const source = createMemorySource(files, { rootPath: '/shop' });
+  const analysis = await analyze('/shop', { source, projectConfig: {} });
+  return inventoryDependencies(analysis, relPath => source.readFile(relPath));
+}
+
+describe('deps', () => {
+  it('should count importers per package with lockfile versions', async () => {
+    const report = await inventoryFixture();
+    const byName = Object.fromEntries(report.packages.map(pkg => [pkg.name, pkg]));
+
+    expect(report.lockfile).to.equal('package-lock.json');
+    expect(report.manifests).to.deep.equal(['package.json', 'packages/api/package.json', 'packages/ui/package.json']);
+    expect(byName.lodash).to.deep.include({
+      version: '4.17.21',
+      importers: 2,
+      files: ['packages/api/src/server.ts', 'packages/ui/src/index.ts'],
+      declared: [{ manifest: 'package.json', field: 'dependencies', range: '^4.17.0' }],
+    });
+    expect(byName.express).to.include({ version: '4.19.2', importers: 1 });
+    // Builtins, workspace packages and path aliases are not npm packages
+    expect(Object.keys(byName)).not.to.include.members(['path', 'node:fs', '@shop/ui', '@/api']);
+  });
+
+  it('should report undeclared imports, dev dependencies in production code and unused dependencies', async () => {
+    const report = await inventoryFixture();
+
+    expect(report.undeclared).to.deep.equal([
+      { name: 'zod', importers: [{ file: 'packages/api/src/server.ts', line: 4 }] },
+    ]);
+    // The test file may import supertest; the type-only import is covered by @types
+    expect(report.devInProduction).to.deep.equal([
+      { name: 'supertest', manifest: 'packages/api/package.json', importers: [{ file: 'packages/api/src/server.ts', line: 5 }] },
+    ]);
+    // rimraf runs from scripts; devDependencies are never reported unused
+    expect(report.unused).to.deep.equal([
+      { name: 'left-pad', manifest: 'package.json', field: 'dependencies', range: '^1.3.0' },
+    ]);
+    expect(report.summary).to.deep.equal({ packages: 5, unused: 1, undeclared: 1, devInProduction: 1 });
+  });
+
+  it('should spell root files like nested ones and report a malformed lockfile', async () => {
+    const report = await inventoryFixture({
+      'package.json': JSON.stringify({ name: 'cli', dependencies: { chalk: '^4.1.2' } }),
+      'package-lock.json': '{ "lockfileVersion": 3,',
+      'index.js': "const chalk = require('chalk');\n",
+      'bin/cli.js': "const chalk = require('chalk');\n",
+    });
+
+    expect(report.packages.find(pkg => pkg.name === 'chalk').files).to.deep.equal(['bin/cli.js', 'index.js']);
+    expect(report.lockfile).to.equal(null);
+    expect(report.invalidLockfile).to.equal('package-lock.json');
+  });
+
+  it('should read versions from yarn.lock and pnpm-lock.yaml', () => {
+    const yarn = readYarnLock([
+      '# yarn lockfile v1',
+      '',
+      '"chalk@^4.0.0", chalk@^4.1.2:',
+      '  version "4.1.2"',
+      '  dependencies:',
+      '    ansi-styles "^4.1.0"',
+      '',
+      '"@babel/parser@npm:^7.29.0":',
+      '  version: 7.29.0',
+    ].join('\n'));
+    expect(yarn('chalk', '.', '^4.1.2')).to.equal('4.1.2');
+    expect(yarn('@babel/parser', '.', '^7.0.0')).to.equal('7.29.0');
+    expect(yarn('ansi-styles', '.', '^4.1.0')).to.equal(null);
+
+    const pnpm = readPnpmLock([
+      "lockfileVersion: '9.0'",
+      'importers:',
+      '  .:',
+      '    dependencies:',
+      '      chalk:',
+      '        specifier: ^4.1.2',
+      '        version: 4.1.2',
+      '  packages/web:',
+      '    devDependencies:',
+      "      '@types/react':",
+      '        specifier: ^18.0.0',
+      '        version: 18.3.3(react@18.3.1)',
+      'packages:',
+      '  chalk@4.1.2:',
+      '    resolution: {integrity: sha512-x}',
+    ].join('\n'));
+    expect(pnpm('chalk', 'packages/web')).to.equal('4.1.2');
+    expect(pnpm('@types/react', 'packages/web')).to.equal('18.3.3');
+  });
+
+  it('should name the @types package of scoped packages', () => {
+    expect(typesPackageFor('express')).to.equal('@types/express');
+    expect(typesPackageFor('@babel/core')).to.equal('@types/babel__core');
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Tests for data model extraction and the ER diagram
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const {
+  analyze,
+  generate,
+  extractEntities,
+  extractQueryRefs,
+  collectSchemaEntities,
+  isPlaceholderDiagram,
+} = require('../src/core/analysis-generation');
+
+const writeFixture = global.writeFixture;
+
+function columnSummary(entity) {
+  return entity.columns.map(c => [c.name, c.type, c.primaryKey && 'PK', c.foreignKey && 'FK', c.unique && 'UK'].filter(Boolean).join(' '));
+}
+
+function relationSummary(entity) {
+  return entity.relations.map(r => `${r.kind} ${r.target}${r.field ? ` (${r.field})` : ''}`);
+}
+
+const PRISMA_SCHEMA = [
+  'model User {',
+  '  id      Int      @id @default(autoincrement())',
+  '  email   String   @unique',
+  '  posts   Post[]',
+  '  profile Profile?',
+  '  @@map("users")',
+  '}',
+  'model Profile {',
+  '  id     Int  @id',
+  '  userId Int  @unique',
+  '  user   User @relation(fields: [userId], references: [id])',
+  '}',
+  'model Post {',
+  '  id       Int    @id',
+  '  authorId Int',
+  '  author   User   @relation(fields: [authorId], references: [id])',
+  '  tags     Tag[]',
+  '}',
+  'model Tag {',
+  '  id    Int    @id',
+  '  posts Post[]',
+  '}',
+].join('\n');
+
+describe('collectSchemaEntities', () => {
+  it('should read Prisma models, keys and relations', () => {
+    const [user, profile, post] = collectSchemaEntities([{ filePath: 'prisma/schema.prisma', content: PRISMA_SCHEMA }]);
+
+    expect(user).to.include({ name: 'User', table: 'users', source: 'prisma', line: 1, filePath: 'prisma/schema.prisma' });
+    expect(columnSummary(user)).to.deep.equal(['id Int PK', 'email String UK']);
+    expect(relationSummary(user)).to.deep.equal(['one-to-many Post (posts)', 'one-to-one Profile (profile)']);
+    expect(relationSummary(profile)).to.deep.equal(['one-to-one User (user)']);
+    expect(columnSummary(post)).to.deep.equal(['id Int PK', 'authorId Int FK']);
+    expect(relationSummary(post)).to.deep.equal(['many-to-one User (author)', 'one-to-many Tag (tags)']);
+  });
+
+  it('should apply SQL migrations in path order', () => {
+    const entities = collectSchemaEntities([
+      {
+        filePath: 'migrations/002_more.sql',
+        content: 'ALTER TABLE orders ADD COLUMN note varchar(255), DROP COLUMN legacy;\nDROP TABLE IF EXISTS tmp;\n',
+      },
+      {
+        filePath: 'migrations/001_init.sql',
+        content: [
+          'CREATE TABLE customers (id serial PRIMARY KEY, email text UNIQUE);',
+          '/* orders */',
+          'CREATE TABLE IF NOT EXISTS "orders" (',
+          '  id BIGSERIAL,',
+          '  customer_id INT NOT NULL REFERENCES customers(id), -- owner',
+          '  amount DECIMAL(10, 2),',
+          '  legacy text,',
+          '  PRIMARY KEY (id),',
+          '  CONSTRAINT fk_customer FOREIGN KEY (customer_id) REFERENCES customers (id)',
+          ');',
+          'CREATE TABLE tmp (id int);',
+        ].join('\n'),
+      },
+    ]);
+
+    expect(entities.map(e => [e.name, e.filePath, e.line])).to.deep.equal([
+      ['customers', 'migrations/001_init.sql', 1],
+      ['orders', 'migrations/001_init.sql', 3],
+    ]);
+    expect(columnSummary(entities[0])).to.deep.equal(['id serial PK', 'email text UK']);
+    expect(columnSummary(entities[1])).to.deep.equal([
+      'id BIGSERIAL PK',
+      'customer_id INT FK',
+      'amount DECIMAL(10,2)',
+      'note varchar(255)',
+    ]);
+    expect(relationSummary(entities[1])).to.deep.equal(['many-to-one customers (customer_id)']);
+  });
+});
+
+describe('extractEntities (JavaScript/TypeScript ORMs)', () => {
+  it('should read TypeORM entities, Drizzle tables and Mongoose schemas', () => {
+    const source = [
+      "import { Entity, Column, PrimaryGeneratedColumn, ManyToOne } from 'typeorm';",
+      "import { pgTable, serial, integer } from 'drizzle-orm/pg-core';",
+      "import mongoose, { Schema } from 'mongoose';",
+      "@Entity('orders')",
+      'export class Order {',
+      '  @PrimaryGeneratedColumn() id: number;',
+      "  @Column({ type: 'varchar', unique: true }) code: string;",
+      '  @ManyToOne(() => Customer, c => c.orders) customer: Customer;',
+      '}',
+      "export const authors = pgTable('authors', { id: serial('id').primaryKey() });",
+      "export const books = pgTable('books', { authorId: integer('author_id').references(() => authors.id) });",
+      "const commentSchema = new Schema({ body: String, author: { type: Schema.Types.ObjectId, ref: 'User' } });",
+      "export const Comment = mongoose.model('Comment', commentSchema);",
+    ].join('\n');
+
+    const entities = extractEntities(source, 'typescript', 'src/models.ts');
+    expect(entities.map(e => [e.source, e.name, e.table])).to.deep.equal([
+      ['typeorm', 'Order', 'orders'],
+      ['drizzle', 'authors', 'authors'],
+      ['drizzle', 'books', 'books'],
+      ['mongoose', 'Comment', 'Comment'],
+    ]);
+    expect(columnSummary(entities[0])).to.deep.equal(['id number PK', 'code varchar UK']);
+    expect(relationSummary(entities[0])).to.deep.equal(['many-to-one Customer (customer)']);
+    expect(relationSummary(entities[2])).to.deep.equal(['many-to-one authors (author_id)']);
+    expect(columnSummary(entities[3])).to.deep.equal(['_id ObjectId PK', 'body String', 'author ObjectId FK']);
+  });
+
+  it('should read Sequelize models and associations', () => {
+    const source = [
+      "const { Model, DataTypes } = require('sequelize');",
+      'module.exports = (sequelize) => {',
+      "  const Team = sequelize.define('Team', { id: { type: DataTypes.INTEGER, primaryKey: true }, name: DataTypes.STRING(80) }, { tableName: 'teams' });",
+      '  class Player extends Model {',
+      '    static associate(models) { this.belongsTo(models.Team); }',
+      '  }',
+      '  Player.init({ id: { type: DataTypes.INTEGER, primaryKey: true } }, { sequelize });',
+      '  Team.hasMany(Player);',
+      '};',
+    ].join('\n');
+
+    const [team, player] = extractEntities(source, 'javascript', 'models/index.js');
+    expect(team).to.include({ name: 'Team', table: 'teams', source: 'sequelize' });
+    expect(columnSummary(team)).to.deep.equal(['id INTEGER PK', 'name STRING']);
+    expect(relationSummary(team)).to.deep.equal(['one-to-many Player']);
+    expect(relationSummary(player)).to.deep.equal(['many-to-one Team']);
+  });
+});
+
+describe('extractQueryRefs', () => {
+  it('should find Prisma client calls and tables in SQL strings only', () => {
+    const source = [
+      "import { x } from 'users';",
+      'await prisma.user.findMany();',
+      'db.query(`SELECT o.id FROM "orders" o JOIN customers c ON c.id = o.customer_id`);',
+      "const note = 'pick one from the list';",
+    ].join('\n');
+    expect(extractQueryRefs(source)).to.deep.equal(['customers', 'orders', 'user']);
+  });
+});
+
+describe('er diagram', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-er-'));
+    writeFixture(root, {
+      'prisma/schema.prisma': PRISMA_SCHEMA,
+      'migrations/001_init.sql': 'CREATE TABLE users (id serial PRIMARY KEY);\nCREATE TABLE audit_log (id int PRIMARY KEY, user_id int REFERENCES users(id));\n',
+      'src/users.ts': "import { prisma } from './db';\nexport const list = () => prisma.user.findMany();\n",
+      'src/audit.py': 'def recent(db):\n    return db.execute("SELECT * FROM audit_log")\n',
+      'src/db.ts': 'export const prisma = {};\n',
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should merge schema sources and link querying components', async () => {
+    const data = await analyze(root, { maxFiles: 20 });
+
+    expect(data.entities.map(e => [e.name, e.source, e.components])).to.deep.equal([
+      ['User', 'prisma', ['src/users.ts']],
+      ['Profile', 'prisma', []],
+      ['Post', 'prisma', []],
+      ['Tag', 'prisma', []],
+      ['audit_log', 'sql', ['src/audit.py']],
+    ]);
+  });
+
+  it('should render entities, deduplicated relations and query links', async () => {
+    const data = await analyze(root, { maxFiles: 20 });
+    const mermaid = generate(data, 'er');
+
+    expect(mermaid).to.include('  User {\n    Int id PK\n    String email UK\n  }');
+    expect(mermaid).to.include('  Profile {\n    Int id PK\n    Int userId FK, UK\n  }');
+    expect(mermaid).to.include('  User ||--o{ Post : "posts"');
+    expect(mermaid).to.include('  User ||--o| Profile : "profile"');
+    expect(mermaid).to.include('  Post }o--o{ Tag : "tags"');
+    expect(mermaid).to.include('  User ||--o{ audit_log : "user_id"');
+    expect(mermaid.match(/User \|\|--o\{ Post/g)).to.have.lengthOf(1);
+    expect(mermaid).to.match(/ {2}src_users_ts_[0-9a-f]{8} \}o\.\.o\{ User : queries/);
+    expect(mermaid).to.match(/ {2}src_audit_py_[0-9a-f]{8}\["audit"\]/);
+  });
+
+  it('should report a placeholder without entities', () => {
+    const mermaid = generate({ components: [], entities: [] }, 'er');
+    expect(mermaid).to.equal('erDiagram\n  %% No entities found');
+    expect(isPlaceholderDiagram(mermaid)).to.equal(true);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for entry point detection
+ */
+
+const { expect } = require('chai');
+const { analyze, generate } = require('../src/core/analysis-generation');
+const { createMemorySource } = require('../src/sources');
+const {
+  readManifestEntryPoints,
+  readPyprojectScripts,
+  entryPointCandidates,
+  detectEntryPoints,
+} = require('../src/core/entry-points');
+
+function detect(files) {
+  return detectEntryPoints(Object.keys(files), {
+    readFile: relPath => (relPath in files ? files[relPath] : null),
+    packageDirs: ['packages/ui'],
+  });
+}
+
+describe('entry points', () => {
+  it('should read main, module, bin and exports targets from package.json', () => {
+    expect(readManifestEntryPoints({
+      main: 'index.js',
+      module: 'index.mjs',
+      bin: { shop: './bin/shop.js' },
+      exports: { '.': { require: './lib/index.cjs', import: './lib/index.mjs' }, './utils/*': './lib/utils/*.js' },
+    })).to.deep.equal([
+      { file: 'index.js', field: 'main' },
+      { file: 'index.mjs', field: 'module' },
+      { file: './bin/shop.js', field: 'bin' },
+      { file: './lib/index.cjs', field: 'exports' },
+      { file: './lib/index.mjs', field: 'exports' },
+    ]);
+  });
+
+  it('should map build output paths back to source files', () => {
+    const candidates = entryPointCandidates('./dist/cli.js');
+    expect(candidates).to.include('src/cli.ts');
+    expect(candidates).to.include('cli.ts');
+    expect(entryPointCandidates('lib')).to.include('lib/index.js');
+  });
+
+  it('should read pyproject console scripts', () => {
+    expect(readPyprojectScripts([
+      '[project]',
+      'name = "shop"',
+      '[project.scripts]',
+      'shop = "shop.cli:main"',
+      '[tool.poetry.scripts]',
+      'seed = { callable = "shop.tasks.seed:run" }',
+      '[tool.ruff]',
+      'target = "py311"',
+    ].join('\n'))).to.deep.equal(['shop.cli', 'shop.tasks.seed']);
+  });
+
+  it('should use declared entries instead of every index file', () => {
+    const entries = detect({
+      'package.json': JSON.stringify({ bin: { shop: 'dist/bin/shop.js' }, dependencies: { next: '14.0.0' } }),
+      'src/bin/shop.ts': '',
+      'src/index.ts': '',
+      'src/components/index.ts': '',
+      'pages/orders/[id].tsx': '',
+      'pages/orders/list.test.tsx': '',
+      'packages/ui/package.json': JSON.stringify({ name: '@shop/ui' }),
+      'packages/ui/src/index.ts': '',
+      'packages/ui/src/button/index.ts': '',
+      'pyproject.toml': '[project.scripts]\nshop-admin = "admin.cli:main"\n',
+      'src/admin/cli.py': '',
+      'tools/__main__.py': '',
+    });
+
+    expect(entries).to.deep.equal([
+      { file: 'packages/ui/src/index.ts', source: 'convention' },
+      { file: 'pages/orders/[id].tsx', source: 'Next.js' },
+      { file: 'src/admin/cli.py', source: 'pyproject.toml scripts' },
+      { file: 'src/bin/shop.ts', source: 'package.json bin' },
+      { file: 'tools/__main__.py', source: 'convention' },
+    ]);
+  });
+
+  it('should only apply framework conventions to packages using the framework', () => {
+    const entries = detect({ 'pages/about.tsx': '', 'src/server.ts': '' });
+    expect(entries).to.deep.equal([{ file: 'src/server.ts', source: 'convention' }]);
+  });
+
+  it('should keep entry points at the repository root', async () => {
+    const source = createMemorySource({
+      'package.json': JSON.stringify({ main: 'index.js' }),
+      'index.js': "require('./lib/orders');\n",
+      'lib/orders.js': 'module.exports = {};\n',
+      'manage.py': 'import sys\n',
+    }, { rootPath: '/shop' });
+    const data = await analyze('/shop', { source, projectConfig: {} });
+
+    expect(data.entryPoints).to.deep.equal(['index.js', 'manage.py']);
+    expect(generate(data, 'architecture')).to.match(/style index_js\S* fill:#4f46e5/);
+  });
+
+  it('should detect Go main packages and style entry components', async () => {
+    const source = createMemorySource({
+      'go.mod': 'module example.com/shop\n',
+      'cmd/worker/worker.go': 'package main\n\nimport "example.com/shop/internal/queue"\n\nfunc main() { queue.Run() }\n',
+      'internal/queue/main.go': 'package queue\n\nfunc Run() {}\n',
+      'web/index.ts': "import { api } from './api';\napi();\n",
+      'web/api/index.ts': 'export const api = () => 1;\n',
+    }, { rootPath: '/shop' });
+    const data = await analyze('/shop', { source, projectConfig: {} });
+
+    expect(data.entryPoints).to.deep.equal(['cmd/worker/worker.go']);
+    const mermaid = generate(data, 'architecture');
+    expect(mermaid).to.match(/style cmd_worker\S* fill:#4f46e5/);
+    expect(mermaid).not.to.match(/style (internal_queue|web_api)\S* fill/);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Tests for event channel extraction, the event table and the events diagram
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { analyze, generate, extractEvents } = require('../src/core/analysis-generation');
+
+const writeFixture = global.writeFixture;
+
+function summarize(records) {
+  return records.map(r => `${r.role} ${r.transport} ${r.channel}`);
+}
+
+describe('extractEvents', () => {
+  it('should read emitter events, resolving same-file constants', () => {
+    const source = [
+      "const EVENTS = Object.freeze({ ORDER_CREATED: 'order.created' });",
+      "const SHIPPED = 'order.shipped';",
+      'bus.emit(EVENTS.ORDER_CREATED, order);',
+      'bus.once(SHIPPED, notify);',
+      'bus.on(Topics.USER_SIGNED_UP, welcome);',
+      "stream.on('data', onData);",
+      "process.on('SIGTERM', shutdown);",
+      'bus.on(eventName, handler);',
+    ].join('\n');
+
+    expect(summarize(extractEvents(source, 'javascript', 'src/orders.js'))).to.deep.equal([
+      'producer event order.created',
+      'consumer event order.shipped',
+      'consumer event Topics.USER_SIGNED_UP',
+    ]);
+  });
+
+  it('should read queue producers and consumers', () => {
+    const source = [
+      "import { Queue, Worker } from 'bullmq';",
+      "import { SendMessageCommand } from '@aws-sdk/client-sqs';",
+      "const emails = new Queue('emails');",
+      "await emails.add('welcome', { id });",
+      "new Worker('reports', async (job) => build(job));",
+      "new Worker('./thread.js', { workerData: 1 });",
+      "await sqs.send(new SendMessageCommand({ QueueUrl: 'https://sqs.eu-west-1.amazonaws.com/1/billing' }));",
+      'Consumer.create({ queueUrl: process.env.REFUNDS_QUEUE_URL, handleMessage });',
+      "await producer.send({ topic: 'audit', messages: [] });",
+      "await consumer.subscribe({ topics: ['audit', 'metrics'] });",
+    ].join('\n');
+
+    expect(summarize(extractEvents(source, 'typescript', 'src/jobs.ts'))).to.deep.equal([
+      'producer bullmq emails',
+      'consumer bullmq reports',
+      'producer sqs billing',
+      'consumer sqs REFUNDS_QUEUE_URL',
+      'producer kafka audit',
+      'consumer kafka audit',
+      'consumer kafka metrics',
+    ]);
+  });
+
+  it('should name pub/sub transports by client and read schedules and webhooks', () => {
+    const nats = "import { connect } from 'nats';\nnc.publish(`orders.${id}`, data);\nnc.subscribe('payments.*');\n";
+    const redis = [
+      "const Redis = require('ioredis');",
+      "subscriber.subscribe('cache:invalidate', 'cache:warm');",
+      'observable.subscribe(render);',
+      "https.request('https://example.com');",
+    ].join('\n');
+    const scheduled = [
+      "cron.schedule('*/5 * * * *', sync);",
+      'class Reports { @Cron(\'0 0 * * *\') nightly() {} @OnEvent(\'order.created\') onOrder() {} }',
+      'const event = stripe.webhooks.constructEvent(body, signature, secret);',
+    ].join('\n');
+
+    expect(summarize(extractEvents(nats, 'javascript', 'src/nats.js'))).to.deep.equal([
+      'producer nats orders.*',
+      'consumer nats payments.*',
+    ]);
+    expect(summarize(extractEvents(redis, 'javascript', 'src/cache.js'))).to.deep.equal([
+      'consumer redis cache:invalidate',
+      'consumer redis cache:warm',
+    ]);
+    expect(summarize(extractEvents(scheduled, 'typescript', 'src/reports.ts'))).to.deep.equal([
+      'consumer cron */5 * * * *',
+      'consumer cron 0 0 * * *',
+      'consumer event order.created',
+      'consumer webhook stripe',
+    ]);
+  });
+});
+
+describe('events diagram', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-events-'));
+    writeFixture(root, {
+      'src/checkout.js': "const bus = require('./bus');\nbus.emit('order.created', {});\n",
+      'src/mailer.js': "const bus = require('./bus');\nbus.on('order.created', sendReceipt);\n",
+      'src/bus.js': "const { EventEmitter } = require('events');\nmodule.exports = new EventEmitter();\n",
+      'src/cleanup.js': "const cron = require('node-cron');\ncron.schedule('0 3 * * *', purge);\n",
+      'src/server.js': [
+        "const express = require('express');",
+        'const app = express();',
+        "app.post('/webhooks/github', (req, res) => res.end());",
+      ].join('\n'),
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should match producers and consumers by channel', async () => {
+    const data = await analyze(root, { maxFiles: 10 });
+
+    expect(data.events).to.deep.equal([
+      { channel: '0 3 * * *', transport: 'cron', producers: [], consumers: ['src/cleanup.js'] },
+      { channel: 'order.created', transport: 'event', producers: ['src/checkout.js'], consumers: ['src/mailer.js'] },
+      { channel: 'POST /webhooks/github', transport: 'webhook', producers: [], consumers: ['src/server.js'] },
+    ]);
+  });
+
+  it('should draw producer, channel and consumer with triggers', async () => {
+    const data = await analyze(root, { maxFiles: 10 });
+    const mermaid = generate(data, 'events');
+
+    expect(mermaid).to.include('channel_0{{"cron: 0 3 * * *"}}');
+    expect(mermaid).to.include('channel_1{{"order.created"}}');
+    expect(mermaid).to.include('Scheduler --> channel_0');
+    expect(mermaid).to.include('External --> channel_2');
+    expect(mermaid).to.match(/src_checkout_js_[0-9a-f]{8} -->\|emit\| channel_1/);
+    expect(mermaid).to.match(/channel_1 -->\|consume\| src_mailer_js_[0-9a-f]{8}/);
+    expect(mermaid).to.include('class channel_0,channel_1,channel_2 eventNode');
+  });
+
+  it('should send channels without consumers outside the code base', () => {
+    const mermaid = generate({
+      components: [{ name: 'billing', originalName: 'billing', filePath: 'src/billing.js', dependencies: [] }],
+      events: [{ channel: 'invoices', transport: 'sqs', producers: ['billing'], consumers: [] }],
+    }, 'events');
+
+    expect(mermaid).to.include('channel_0{{"sqs: invoices"}}');
+    expect(mermaid).to.include('channel_0 -->|consume| External');
+    expect(mermaid).to.match(/billing_[0-9a-f]{8} -->\|emit\| channel_0/);
+  });
+
+  it('should fall back to event-tagged components without channels', () => {
+    const mermaid = generate({ components: [], events: [] }, 'events');
+    expect(mermaid).to.include('No event/channels components found');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for --max-files selection and coverage reporting
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { analyze, selectAnalysisFiles } = require('../src/core/analysis-generation');
+const { toArchitectureIR } = require('../src/ir/architecture-ir');
+
+const writeFixture = global.writeFixture;
+
+describe('selectAnalysisFiles', () => {
+  it('should keep every file within the budget', () => {
+    const files = ['b.js', 'a.js'];
+    expect(selectAnalysisFiles(files, 2)).to.deep.equal({ selected: ['b.js', 'a.js'], skipped: [] });
+  });
+
+  it('should spread the budget across directories', () => {
+    const files = ['a/1.js', 'a/2.js', 'a/3.js', 'a/4.js', 'b/1.js', 'c/1.js'];
+    const { selected, skipped } = selectAnalysisFiles(files, 4);
+
+    expect(selected).to.deep.equal(['a/1.js', 'a/2.js', 'b/1.js', 'c/1.js']);
+    expect(skipped).to.deep.equal(['a/3.js', 'a/4.js']);
+  });
+});
+
+describe('analyze with a file budget', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-max-files-'));
+    const files = {
+      'src/server.js': "const routes = require('./routes');\nrequire('../lib/db');\n",
+      'src/routes.js': "module.exports = require('./handlers/users');\n",
+      'src/handlers/users.js': 'module.exports = {};\n',
+      'lib/db.js': 'module.exports = {};\n',
+    };
+    for (let i = 0; i < 6; i++) {
+      files[`aaa/generated/file${i}.js`] = 'module.exports = {};\n';
+      files[`zzz/tools/tool${i}.js`] = 'module.exports = {};\n';
+    }
+    writeFixture(root, files);
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should keep entry points and their imports, then sample other directories', async () => {
+    const data = await analyze(root, { maxFiles: 6, patterns: '**/*.js' });
+    const analyzed = data.components.map(c => c.filePath).sort();
+
+    expect(analyzed).to.include.members(['src/server.js', 'src/routes.js', 'lib/db.js']);
+    expect(analyzed.some(file => file.startsWith('aaa/'))).to.equal(true);
+    expect(analyzed.some(file => file.startsWith('zzz/'))).to.equal(true);
+    expect(data.coverage).to.deep.equal({ discovered: 16, analyzed: 6, skipped: 10, maxFiles: 6, truncated: true });
+    expect(data.components.find(c => c.filePath === 'src/server.js').dependencies).to.have.members(['src/routes.js', 'lib/db.js']);
+  });
+
+  it('should record coverage in the IR', async () => {
+    const data = await analyze(root, { maxFiles: 100, patterns: '**/*.js' });
+    const ir = toArchitectureIR(data);
+
+    expect(data.coverage.truncated).to.equal(false);
+    expect(ir.summary).to.include({ discoveredFileCount: 16, skippedFileCount: 0, partial: false });
+    expect(ir.coverage).to.deep.equal(data.coverage);
+  });
+});
+
+describe('component names', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-names-'));
+    writeFixture(root, {
+      'src/api/index.js': "require('../web');\n",
+      'src/web/index.js': 'module.exports = {};\n',
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should name components by path regardless of discovery order', async () => {
+    const forward = await analyze(root, { patterns: 'src/api/**/*.js,src/web/**/*.js' });
+    const reversed = await analyze(root, { patterns: 'src/web/**/*.js,src/api/**/*.js' });
+    const names = data => Object.fromEntries(data.components.map(c => [c.filePath, [c.name, c.originalName, c.dependencies]]));
+
+    expect(names(forward)).to.deep.equal({
+      'src/api/index.js': ['src/api/index.js', 'index', ['src/web/index.js']],
+      'src/web/index.js': ['src/web/index.js', 'index', []],
+    });
+    expect(names(reversed)).to.deep.equal(names(forward));
+  });
+});
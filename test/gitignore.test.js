@@ -0,0 +1,116 @@
+/**
+ * Tests for .gitignore-aware file discovery
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { loadGitignore } = require('../src/utils/gitignore');
+const { analyze } = require('../src/core/analysis-generation');
+
+const writeFixture = global.writeFixture;
+
+describe('loadGitignore', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-gitignore-'));
+    writeFixture(root, {
+      '.git/info/exclude': 'scratch.js\n',
+      '.gitignore': [
+        '# build output',
+        '*.gen.js',
+        '/out',
+        'cache/',
+        'vendor/**',
+        '!vendor/keep.js',
+        'logs/*.js',
+        '!logs/important.js',
+        '\\#literal.js',
+      ].join('\n'),
+      'packages/web/.gitignore': 'generated/\n!*.gen.js\n',
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should follow git matching rules', async () => {
+    const { isIgnored } = await loadGitignore(root);
+    const ignored = rel => isIgnored(path.join(root, rel));
+
+    expect(ignored('scratch.js')).to.equal(true);
+    expect(ignored('src/api.gen.js')).to.equal(true);
+    expect(ignored('out/app.js')).to.equal(true);
+    expect(ignored('src/out/app.js')).to.equal(false);
+    expect(ignored('src/cache/store.js')).to.equal(true);
+    expect(ignored('src/cache')).to.equal(false);
+    expect(ignored('vendor/lib.js')).to.equal(true);
+    expect(ignored('vendor/keep.js')).to.equal(false);
+    expect(ignored('logs/debug.js')).to.equal(true);
+    expect(ignored('logs/important.js')).to.equal(false);
+    expect(ignored('logs/nested/debug.js')).to.equal(false);
+    expect(ignored('#literal.js')).to.equal(true);
+    expect(ignored('src/app.js')).to.equal(false);
+  });
+
+  it('should scope nested .gitignore files to their directory', async () => {
+    const { isIgnored } = await loadGitignore(root);
+    const ignored = rel => isIgnored(path.join(root, rel));
+
+    expect(ignored('packages/web/generated/routes.js')).to.equal(true);
+    expect(ignored('generated/routes.js')).to.equal(false);
+    expect(ignored('packages/web/client.gen.js')).to.equal(false);
+    expect(ignored('packages/api/client.gen.js')).to.equal(true);
+  });
+
+  it('should apply parent .gitignore files when analyzing a subdirectory', async () => {
+    const { isIgnored } = await loadGitignore(path.join(root, 'packages', 'web'));
+
+    expect(isIgnored(path.join(root, 'packages/web/lib/cache/a.js'))).to.equal(true);
+    expect(isIgnored(path.join(root, 'packages/web/scratch.js'))).to.equal(true);
+    expect(isIgnored(path.join(root, 'packages/web/out/a.js'))).to.equal(false);
+    expect(isIgnored(path.join(root, 'out/a.js'))).to.equal(false);
+  });
+});
+
+describe('analyze file discovery', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-discovery-'));
+    writeFixture(root, {
+      '.git/info/exclude': 'local/\n',
+      '.gitignore': 'generated/\nmigrations/old.sql\n',
+      'src/app.js': "require('../generated/client');\n",
+      'generated/client.js': 'module.exports = {};\n',
+      'local/notes.js': 'module.exports = {};\n',
+      'migrations/old.sql': 'CREATE TABLE legacy (id int);\n',
+      'migrations/new.sql': 'CREATE TABLE orders (id int);\n',
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should skip ignored sources and schema files by default', async () => {
+    const data = await analyze(root, { maxFiles: 10 });
+
+    expect(data.components.map(c => c.filePath)).to.deep.equal(['src/app.js']);
+    expect(data.entities.map(e => e.name)).to.deep.equal(['orders']);
+  });
+
+  it('should analyze ignored files with gitignore disabled', async () => {
+    const data = await analyze(root, { maxFiles: 10, gitignore: false });
+
+    expect(data.components.map(c => c.filePath).sort()).to.deep.equal([
+      'generated/client.js',
+      'local/notes.js',
+      'src/app.js',
+    ]);
+    expect(data.entities.map(e => e.name)).to.deep.equal(['orders', 'legacy']);
+  });
+});
@@ -0,0 +1,294 @@
+/**
+ * Tests for parser-backed import extraction
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const {
+  analyze,
+  extractImports,
+  extractImportsWithPositions,
+} = require('../src/core/analysis-generation');
+const { ImportRule } = require('../src/rules/types/import-rule');
+
+const writeFixture = global.writeFixture;
+
+describe('extractImportsWithPositions (JavaScript/TypeScript)', () => {
+  it('should capture multi-line named imports at the statement position', () => {
+    const source = [
+      "import {",
+      "  alpha,",
+      "  beta,",
+      "} from './letters';",
+    ].join('\n');
+
+    const imports = extractImportsWithPositions(source, 'typescript', 'src/a.ts');
+    expect(imports).to.deep.equal([
+      { path: './letters', line: 1, column: 1, kind: 'static' },
+    ]);
+  });
+
+  it('should classify re-exports, type-only, dynamic and require imports', () => {
+    const source = [
+      "import type { User } from './types';",
+      "import { type Role } from './roles';",
+      "export * from './all';",
+      "export { helper } from './helpers';",
+      "const lazy = () => import('./lazy');",
+      "const legacy = require('./legacy');",
+    ].join('\n');
+
+    const imports = extractImportsWithPositions(source, 'typescript', 'src/index.ts');
+    expect(imports.map(i => [i.path, i.kind])).to.deep.equal([
+      ['./types', 'type'],
+      ['./roles', 'type'],
+      ['./all', 'reexport'],
+      ['./helpers', 'reexport'],
+      ['./lazy', 'dynamic'],
+      ['./legacy', 'require'],
+    ]);
+    expect(imports[4]).to.include({ line: 5, column: 20 });
+  });
+
+  it('should ignore require calls inside comments and strings', () => {
+    const source = [
+      "// const old = require('./commented');",
+      "/* require('./block') */",
+      "const text = \"require('./in-string')\";",
+      "const real = require('./real');",
+    ].join('\n');
+
+    const imports = extractImportsWithPositions(source, 'javascript', 'lib/a.js');
+    expect(imports.map(i => i.path)).to.deep.equal(['./real']);
+  });
+
+  it('should parse JSX sources', () => {
+    const source = "import Button from './Button';\nexport const App = () => <Button label=\"hi\" />;";
+    const imports = extractImportsWithPositions(source, 'javascript', 'src/App.jsx');
+    expect(imports.map(i => i.path)).to.deep.equal(['./Button']);
+  });
+
+  it('should fall back to line scanning when source cannot be parsed', () => {
+    const source = "import a from './a';\nthis is not javascript {{{";
+    const imports = extractImportsWithPositions(source, 'javascript', 'broken.js');
+    expect(imports).to.have.lengthOf(1);
+    expect(imports[0]).to.include({ path: './a', line: 1 });
+  });
+
+  it('should keep extractImports in sync with positional extraction', () => {
+    const source = "import {\n  a\n} from './a';\nexport * from './b';";
+    expect(extractImports(source, 'typescript', 'x.ts')).to.deep.equal(['./a', './b']);
+  });
+});
+
+describe('extractImportsWithPositions (Python)', () => {
+  it('should skip docstrings and comments and join continued statements', () => {
+    const source = [
+      '"""Module docs',
+      'import not_real',
+      '"""',
+      'import os, app.models as m',
+      '# from hidden import x',
+      'from ..core.db import (',
+      '    Session,',
+      '    engine,  # trailing comment',
+      ')',
+      "label = 'from y import z'; import json",
+    ].join('\n');
+
+    const imports = extractImportsWithPositions(source, 'python', 'app/api/views.py');
+    expect(imports).to.deep.equal([
+      { path: 'os', line: 4, column: 1, kind: 'static' },
+      { path: 'app.models', line: 4, column: 1, kind: 'static' },
+      { path: '..core.db', line: 6, column: 1, kind: 'static', names: ['Session', 'engine'] },
+      { path: 'json', line: 10, column: 28, kind: 'static' },
+    ]);
+  });
+
+  it('should emit one record per name for package-relative imports', () => {
+    const imports = extractImportsWithPositions('from . import views, models as m\n', 'python', 'app/__init__.py');
+    expect(imports.map(i => [i.path, i.names])).to.deep.equal([
+      ['.', ['views']],
+      ['.', ['models']],
+    ]);
+    expect(extractImports('from . import views\nimport os.path\n', 'python')).to.deep.equal(['.', 'os.path']);
+  });
+});
+
+describe('extractImportsWithPositions (Go)', () => {
+  it('should read every spec in grouped and single import declarations', () => {
+    const source = [
+      'package store // import "example.com/legacy"',
+      '',
+      'import "fmt"',
+      'import (',
+      '\t"context"',
+      '\t// "commented/out"',
+      '\tdb "example.com/svc/internal/db"',
+      '\t_ "github.com/lib/pq"',
+      '\traw `example.com/raw`',
+      ')',
+      '',
+      'func f() { _ = "import \\"late\\"" }',
+    ].join('\n');
+
+    const imports = extractImportsWithPositions(source, 'go', 'internal/store/store.go');
+    expect(imports.map(i => [i.path, i.line, i.column])).to.deep.equal([
+      ['fmt', 3, 8],
+      ['context', 5, 2],
+      ['example.com/svc/internal/db', 7, 2],
+      ['github.com/lib/pq', 8, 2],
+      ['example.com/raw', 9, 2],
+    ]);
+    expect(extractImports(source, 'go')).to.have.lengthOf(5);
+  });
+});
+
+describe('extractImportsWithPositions (Rust)', () => {
+  it('should expand use trees and read mod declarations', () => {
+    const source = [
+      '//! use crate::in_doc_comment;',
+      'use std::collections::{HashMap, HashSet};',
+      'use crate::config::{self, Settings as S, db::{pool, Conn}};',
+      'pub use self::models::*;',
+      'use super::super::util;',
+      '/* mod hidden; /* nested */ still a comment */',
+      'mod routes;',
+      '#[path = "generated/api.rs"]',
+      'mod api;',
+      'mod inline { }',
+      "fn f<'a>(s: &'a str) { let q = '\"'; let t = \"use crate::nope;\"; }",
+      'extern crate serde;',
+    ].join('\n');
+
+    const imports = extractImportsWithPositions(source, 'rust', 'src/lib.rs');
+    expect(imports.map(i => [i.path, i.kind, i.line])).to.deep.equal([
+      ['std::collections::HashMap', 'static', 2],
+      ['std::collections::HashSet', 'static', 2],
+      ['crate::config', 'static', 3],
+      ['crate::config::Settings', 'static', 3],
+      ['crate::config::db::pool', 'static', 3],
+      ['crate::config::db::Conn', 'static', 3],
+      ['self::models', 'reexport', 4],
+      ['super::super::util', 'static', 5],
+      ['routes', 'module', 7],
+      ['api', 'module', 9],
+      ['serde', 'static', 12],
+    ]);
+    expect(imports[9].modulePath).to.equal('generated/api.rs');
+  });
+});
+
+describe('extractImportsWithPositions (Java, Ruby, PHP)', () => {
+  it('should read Java imports and skip comments and strings', () => {
+    const source = [
+      'package com.acme.app;',
+      '/* import com.hidden.Block; */',
+      'import com.acme.billing.Invoice;',
+      'import static com.acme.util.Strings.trim;',
+      'import com.acme.model.*; // import com.hidden.Line;',
+      'class A { String s = "import com.hidden.Str;"; }',
+    ].join('\n');
+
+    const imports = extractImportsWithPositions(source, 'java', 'src/A.java');
+    expect(imports.map(i => [i.path, i.line, i.column])).to.deep.equal([
+      ['com.acme.billing.Invoice', 3, 1],
+      ['com.acme.util.Strings', 4, 1],
+      ['com.acme.model.*', 5, 1],
+    ]);
+  });
+
+  it('should read Ruby requires and normalize require_relative paths', () => {
+    const source = [
+      "# require 'commented'",
+      '=begin',
+      "require 'in_block'",
+      '=end',
+      "require 'json'",
+      "require_relative 'models/user'",
+      "label = \"require 'nope'\"",
+      "autoload :Cart, 'shop/cart'",
+      'require "#{dir}/dynamic"',
+    ].join('\n');
+
+    const imports = extractImportsWithPositions(source, 'ruby', 'lib/shop.rb');
+    expect(imports.map(i => [i.path, i.kind, i.line])).to.deep.equal([
+      ['json', 'require', 5],
+      ['./models/user', 'require', 6],
+      ['shop/cart', 'dynamic', 8],
+    ]);
+  });
+
+  it('should read PHP use groups and include paths but not trait or closure use', () => {
+    const source = [
+      '<?php',
+      'namespace App\\Http;',
+      'use App\\Models\\User;',
+      'use App\\Services\\{Mailer, Billing\\Invoice as Inv, function helper};',
+      'use function App\\format;',
+      '// use App\\Commented;',
+      "require_once __DIR__ . '/../bootstrap.php';",
+      "include 'views/header.php';",
+      'class C {',
+      '    use Loggable;',
+      '    function f() { return function () use ($x) {}; }',
+      '}',
+    ].join('\n');
+
+    const imports = extractImportsWithPositions(source, 'php', 'src/Http/C.php');
+    expect(imports.map(i => [i.path, i.kind, i.line])).to.deep.equal([
+      ['App\\Models\\User', 'static', 3],
+      ['App\\Services\\Mailer', 'static', 4],
+      ['App\\Services\\Billing\\Invoice', 'static', 4],
+      ['../bootstrap.php', 'require', 7],
+      ['views/header.php', 'require', 8],
+    ]);
+  });
+});
+
+describe('analyze() with parser-backed imports', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-imports-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should resolve multi-line imports and re-exports into dependencies', async () => {
+    writeFixture(root, {
+      'src/index.ts': "export * from './api';\nimport {\n  start,\n} from './server';\n",
+      'src/api.ts': "export const api = 1;\n",
+      'src/server.ts': "// require('./api')\nexport function start() {}\n",
+    });
+
+    const data = await analyze(root, { maxFiles: 10 });
+    const byPath = new Map(data.components.map(c => [c.filePath, c]));
+    expect(byPath.get('src/index.ts').dependencies).to.have.members(['src/api.ts', 'src/server.ts']);
+    expect(byPath.get('src/server.ts').dependencies).to.deep.equal([]);
+  });
+});
+
+describe('ImportRule with positional imports', () => {
+  it('should report the column of a forbidden import', () => {
+    const rule = new ImportRule({
+      name: 'Domain isolation',
+      layer: 'src/domain/**',
+      must_not_import_from: ['src/ui'],
+    });
+    const source = "const x = 1;\nexport { Button } from '../ui/Button';\n";
+    const file = {
+      name: 'User',
+      filePath: 'src/domain/User.ts',
+      imports: extractImportsWithPositions(source, 'typescript', 'src/domain/User.ts'),
+    };
+
+    const violations = rule.validate(file, new global.MockGraph([file]));
+    expect(violations).to.have.lengthOf(1);
+    expect(violations[0]).to.include({ line: 2, column: 1 });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Tests for coupling and stability metrics
+ */
+
+const { expect } = require('chai');
+const { analyze } = require('../src/core/analysis-generation');
+const { createMemorySource } = require('../src/sources');
+const { toArchitectureIR } = require('../src/ir/architecture-ir');
+const { describeCoupling, computeMetrics, formatMetricsCsv } = require('../src/metrics');
+
+const FILES = {
+  'src/core/repo.ts': 'export interface Repo { find(id: string): unknown }\nexport abstract class BaseRepo implements Repo { abstract find(id: string): unknown }\n',
+  'src/core/orders.ts': "import { BaseRepo } from './repo';\nexport class OrderRepo extends BaseRepo { find(id: string) { return id; } }\n",
+  'src/workflow/checkout.ts': "import { OrderRepo } from '../core/orders';\nimport { log } from '../util';\nexport const checkout = () => log(new OrderRepo());\n",
+  'src/workflow/refund.ts': "import { OrderRepo } from '../core/orders';\nexport const refund = () => new OrderRepo();\n",
+  'src/util.ts': 'export const log = (x: unknown) => x;\n',
+};
+
+async function analyzeFixture() {
+  return analyze('/shop', { source: createMemorySource(FILES), projectConfig: {} });
+}
+
+describe('metrics', () => {
+  it('should derive instability, abstractness and distance', () => {
+    expect(describeCoupling(3, 1, { types: 4, abstractTypes: 1 })).to.deep.equal({
+      fanIn: 3, fanOut: 1, instability: 0.25, abstractness: 0.25, distance: 0.5,
+    });
+    expect(describeCoupling(0, 0, { types: 0, abstractTypes: 0 })).to.deep.equal({
+      fanIn: 0, fanOut: 0, instability: null, abstractness: 0, distance: null,
+    });
+  });
+
+  it('should compute component metrics from dependencies and dependents', async () => {
+    const metrics = computeMetrics(await analyzeFixture());
+    const byName = Object.fromEntries(metrics.components.map(c => [c.name, c]));
+
+    expect(byName['src/core/repo.ts']).to.include({ fanIn: 1, fanOut: 0, instability: 0, abstractness: 1, distance: 0 });
+    expect(byName['src/core/orders.ts']).to.include({ fanIn: 2, fanOut: 1, instability: 0.33, abstractness: 0, distance: 0.67 });
+    expect(byName['src/workflow/checkout.ts']).to.include({ fanIn: 0, fanOut: 2, instability: 1, distance: 0 });
+  });
+
+  it('should compute directory metrics over dependencies crossing the directory', async () => {
+    const metrics = computeMetrics(await analyzeFixture());
+    const byName = Object.fromEntries(metrics.directories.map(d => [d.name, d]));
+
+    expect(metrics.directories.map(d => d.name)).to.deep.equal(['src', 'src/core', 'src/workflow']);
+    expect(byName['src/core']).to.include({ components: 2, fanIn: 2, fanOut: 0, instability: 0, abstractness: 0.67 });
+    expect(byName['src/workflow']).to.include({ components: 2, fanIn: 0, fanOut: 2, instability: 1, abstractness: 0 });
+    // Nothing outside `src`: no coupling to measure
+    expect(byName.src).to.include({ components: 5, instability: null, distance: null });
+  });
+
+  it('should count files at the repository root as the `.` directory', async () => {
+    const metrics = computeMetrics(await analyze('/cli', {
+      source: createMemorySource({
+        'index.js': "require('./lib/run');\n",
+        'lib/run.js': "require('./log');\n",
+        'lib/log.js': 'module.exports = console.log;\n',
+      }),
+      projectConfig: {},
+    }));
+    const byName = Object.fromEntries(metrics.directories.map(d => [d.name, d]));
+
+    expect(metrics.directories.map(d => d.name)).to.deep.equal(['.', 'lib']);
+    expect(byName['.']).to.include({ components: 1, fanIn: 0, fanOut: 1, instability: 1 });
+    expect(byName.lib).to.include({ components: 2, fanIn: 1, fanOut: 0 });
+  });
+
+  it('should format CSV and include metrics in the IR', async () => {
+    const data = await analyzeFixture();
+    const csv = formatMetricsCsv(computeMetrics(data)).split('\n');
+
+    expect(csv[0]).to.equal('scope,name,components,fanIn,fanOut,instability,abstractness,distance');
+    expect(csv).to.include('directory,src/core,2,2,0,0,0.67,0.33');
+    expect(csv).to.include('component,src/util.ts,1,1,0,0,0,1');
+    expect(toArchitectureIR(data).metrics).to.deep.equal(computeMetrics(data));
+  });
+});
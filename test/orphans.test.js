@@ -0,0 +1,95 @@
+/**
+ * Tests for orphan detection
+ */
+
+const { expect } = require('chai');
+const { analyze } = require('../src/core/analysis-generation');
+const { createMemorySource } = require('../src/sources');
+const { readDeclaredEntryPoints, findOrphans, generateOrphansDiagram } = require('../src/orphans');
+
+const FILES = {
+  'package.json': JSON.stringify({ name: 'shop', main: 'dist/cli.js', exports: { '.': { import: './dist/api.mjs' } } }),
+  'src/cli.ts': "import { run } from './commands';\nrun();\n",
+  'src/api.ts': "export { total } from './cart';\n",
+  'src/commands.ts': "export function run() {}\n",
+  'src/cart.ts': "export const total = 0;\n",
+  // Only used by each other: referenced but unreachable
+  'src/legacy/a.ts': "import { b } from './b';\nexport const a = b;\n",
+  'src/legacy/b.ts': "import { a } from './a';\nexport const b = a;\n",
+  'src/unused.ts': "import { total } from './cart';\nexport const x = total;\n",
+  'scripts/seed.ts': "import { total } from '../src/cart';\nconsole.log(total);\n",
+};
+
+async function analyzeFixture(files = FILES) {
+  const source = createMemorySource(files, { rootPath: '/shop' });
+  const analysis = await analyze('/shop', { source, projectConfig: {} });
+  return { analysis, readFile: relPath => source.readFile(relPath) };
+}
+
+describe('orphans', () => {
+  it('should report unreferenced and unreachable components', async () => {
+    const { analysis, readFile } = await analyzeFixture();
+    const report = findOrphans(analysis, { declared: readDeclaredEntryPoints(analysis, readFile) });
+
+    expect(report.entryPoints).to.deep.equal([
+      { name: 'src/api.ts', source: 'package.json exports' },
+      { name: 'src/cli.ts', source: 'package.json main' },
+    ]);
+    expect(report.allowed).to.deep.equal(['scripts/seed.ts']);
+    expect(report.orphans.map(o => [o.status, o.name, o.dependents])).to.deep.equal([
+      ['unreferenced', 'src/unused.ts', []],
+      ['unreachable', 'src/legacy/a.ts', ['src/legacy/b.ts']],
+      ['unreachable', 'src/legacy/b.ts', ['src/legacy/a.ts']],
+    ]);
+    expect(report.summary).to.include({ entryPoints: 2, allowed: 1, unreferenced: 1, unreachable: 2 });
+  });
+
+  it('should honor configured entry points and allowlists', async () => {
+    const { analysis } = await analyzeFixture();
+    const report = findOrphans(analysis, { entry: 'src/cli.ts,src/api.ts', allow: ['src/legacy/**'], defaultAllow: false });
+
+    expect(report.entryPoints.map(e => e.source)).to.deep.equal(['configured', 'configured']);
+    expect(report.allowed).to.deep.equal(['src/legacy/a.ts', 'src/legacy/b.ts']);
+    expect(report.orphans.map(o => o.name)).to.deep.equal(['scripts/seed.ts', 'src/unused.ts']);
+  });
+
+  it('should label and match entry points at the repository root', async () => {
+    const { analysis, readFile } = await analyzeFixture({
+      'package.json': JSON.stringify({ name: 'shop', main: 'index.js' }),
+      'index.js': "require('./lib/orders');\n",
+      'lib/orders.js': "module.exports = {};\n",
+      'lib/unused.js': "module.exports = {};\n",
+    });
+    const declared = readDeclaredEntryPoints(analysis, readFile);
+    const report = findOrphans(analysis, { declared });
+
+    expect(declared).to.deep.equal([{ file: 'index.js', source: 'package.json main' }]);
+    expect(report.entryPoints.map(e => e.source)).to.deep.equal(['package.json main']);
+    expect(report.orphans.map(o => o.filePath)).to.deep.equal(['lib/unused.js']);
+
+    const configured = findOrphans(analysis, { entry: 'index.js', allow: 'lib/unused.js', defaultAllow: false });
+    expect(configured.entryPoints.map(e => e.source)).to.deep.equal(['configured']);
+    expect(configured.orphans).to.deep.equal([]);
+  });
+
+  it('should only report unreferenced components without entry points', async () => {
+    const { analysis } = await analyzeFixture();
+    const report = findOrphans({ ...analysis, entryPoints: [] });
+
+    expect(report.reachability).to.equal(false);
+    expect(report.orphans.every(o => o.status === 'unreferenced')).to.equal(true);
+    expect(report.orphans.map(o => o.name)).to.include('src/cli.ts');
+  });
+
+  it('should highlight dead code in the diagram', async () => {
+    const { analysis, readFile } = await analyzeFixture();
+    const report = findOrphans(analysis, { declared: readDeclaredEntryPoints(analysis, readFile) });
+    const mermaid = generateOrphansDiagram(analysis, report);
+
+    expect(mermaid).to.match(/^graph LR/);
+    expect(mermaid).to.include('["src/unused.ts"]');
+    expect(mermaid).to.include('["src/cart.ts"]');
+    expect(mermaid).to.match(/class \S*src_unused_ts\S* unreferencedNode/);
+    expect(mermaid).to.match(/class \S*src_legacy_a_ts\S*,\S*src_legacy_b_ts\S* unreachableNode/);
+  });
+});
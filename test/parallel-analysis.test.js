@@ -0,0 +1,78 @@
+/**
+ * Tests for worker-thread analysis and indexed dependency resolution
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const {
+  analyze,
+  resolveWorkerCount,
+  findComponentByResolvedPath,
+  indexComponentPaths,
+} = require('../src/core/analysis-generation');
+
+const writeFixture = global.writeFixture;
+
+describe('parallel analysis', () => {
+  let root;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-parallel-'));
+    const files = {
+      'src/index.js': "const { listUsers } = require('./services/users');\nconst app = require('express')();\napp.get('/users', listUsers);\n",
+      'src/services/users.js': "const db = require('../db');\nexports.listUsers = () => db.user.findMany();\n",
+      'src/db.js': "const { PrismaClient } = require('@prisma/client');\nmodule.exports = new PrismaClient();\n",
+      'src/events.ts': "import { EventEmitter } from 'events';\nexport class Bus extends EventEmitter { send() { this.emit('user.created'); } }\n",
+      'main.go': 'package main\n\nimport "fmt"\n\nfunc main() { fmt.Println("hi") }\n',
+      'app/models.py': 'from .db import session\n\nclass User:\n    pass\n',
+      'app/db.py': 'session = None\n',
+    };
+    for (let i = 0; i < 60; i++) {
+      files[`src/handlers/handler${i}.js`] = `const users = require('../services/users');\nmodule.exports = () => users.listUsers(${i});\n`;
+    }
+    writeFixture(root, files);
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should produce the same result on worker threads as sequentially', async () => {
+    const options = { maxFiles: 1000, patterns: '**/*.js,**/*.ts,**/*.py,**/*.go' };
+    const sequential = await analyze(root, { ...options, workers: 0 });
+    const progress = [];
+    const parallel = await analyze(root, { ...options, workers: 2, onProgress: (done, total) => progress.push([done, total]) });
+
+    expect(parallel).to.deep.equal(sequential);
+    expect(sequential.components.length).to.be.greaterThan(60);
+    expect(progress[progress.length - 1]).to.deep.equal([67, 67]);
+  });
+});
+
+describe('resolveWorkerCount', () => {
+  it('should honor explicit counts and stay sequential for small inputs', () => {
+    expect(resolveWorkerCount('0', 5000)).to.equal(0);
+    expect(resolveWorkerCount(4, 10)).to.equal(4);
+    expect(resolveWorkerCount('99', 10)).to.equal(32);
+    expect(resolveWorkerCount('auto', 10)).to.equal(0);
+    expect(resolveWorkerCount(undefined, 10)).to.equal(0);
+  });
+});
+
+describe('findComponentByResolvedPath with an index', () => {
+  it('should match the linear scan', () => {
+    const components = [
+      { name: 'b', filePath: 'src/b/index.js' },
+      { name: 'b_1', filePath: './src/b.ts' },
+      { name: 'a', filePath: 'src/a.js' },
+    ];
+    const index = indexComponentPaths(components);
+
+    for (const target of ['src/b', './src/a', 'src/missing']) {
+      expect(findComponentByResolvedPath(components, target, index))
+        .to.equal(findComponentByResolvedPath(components, target));
+    }
+  });
+});
@@ -399,3 +399,99 @@ describe('helper functions', function() {
     });
   });
 });
+
+describe('pr-impact delta with package components', function() {
+  const { computeDelta } = require('../src/workflow/pr-impact.js');
+
+  it('should map changed files to the package component that owns them', function() {
+    const pkg = (deps) => ({
+      name: 'internal/store',
+      filePath: 'internal/store',
+      type: 'package',
+      files: ['internal/store/db.go', 'internal/store/cache.go'],
+      dependencies: deps,
+      roleTags: [],
+    });
+    const delta = computeDelta(
+      { components: [pkg([])] },
+      { components: [pkg(['internal/config'])] },
+      { changed: ['internal/store/db.go', 'internal/store/cache.go'], renamed: [], deleted: [], added: [] }
+    );
+
+    assert.strictEqual(delta.changedComponents.length, 1);
+    assert.strictEqual(delta.changedComponents[0].filePath, 'internal/store');
+    assert.deepStrictEqual(delta.changedComponents[0].dependenciesAdded, ['internal/config']);
+    assert.deepStrictEqual(delta.unmodeledChanges, []);
+  });
+
+  it('should compare a renamed file under its new name', function() {
+    const component = (filePath, dependencies) => ({
+      name: filePath, filePath, type: 'module', dependencies, roleTags: [],
+    });
+    const delta = computeDelta(
+      { components: [component('src/api.js', ['src/util.js']), component('src/util.js', [])] },
+      { components: [component('src/api.js', ['src/helpers.js']), component('src/helpers.js', [])] },
+      {
+        changed: ['src/helpers.js', 'src/api.js'],
+        renamed: [{ from: 'src/util.js', to: 'src/helpers.js', similarity: 100 }],
+        deleted: [],
+        added: [],
+      }
+    );
+
+    assert.deepStrictEqual(delta.changedComponents, []);
+    assert.strictEqual(delta.dependencyEdgeDelta.count, 0);
+  });
+});
+
+describe('pr-impact blast radius entry points', function() {
+  const { computeBlastRadiusFromDelta } = require('../src/workflow/pr-impact.js');
+
+  it('should report the entry points a change reaches', function() {
+    const component = (filePath, dependencies, extra = {}) => ({
+      name: filePath, filePath, type: 'module', dependencies, roleTags: [], ...extra,
+    });
+    const head = {
+      entryPoints: ['src/cli.ts', 'cmd/worker/main.go'],
+      components: [
+        component('src/cli.ts', ['src/orders.ts']),
+        component('src/orders.ts', ['src/db.ts']),
+        component('src/db.ts', []),
+        component('cmd/worker', [], { files: ['cmd/worker/main.go'] }),
+      ],
+    };
+    const blast = computeBlastRadiusFromDelta(
+      { changedComponents: [{ name: 'src/db.ts' }], addedFiles: [] }, head, 5, 50
+    );
+
+    assert.deepStrictEqual(blast.impactedComponents, ['src/cli.ts', 'src/orders.ts']);
+    assert.deepStrictEqual(blast.impactedEntryPoints, ['src/cli.ts']);
+  });
+
+  it('should match root-level entry points and added files', function() {
+    // Root files are `./index.js` on components and `index.js` in entry points and diffs
+    const component = (filePath, dependencies) => ({
+      name: filePath.replace(/^\.\//, ''), filePath, type: 'module', dependencies, roleTags: [],
+    });
+    const head = {
+      entryPoints: ['bin/cli.js', 'index.js'],
+      components: [
+        component('bin/cli.js', ['lib/orders.js']),
+        component('./index.js', ['lib/orders.js']),
+        component('lib/orders.js', []),
+        component('./setup.js', []),
+      ],
+    };
+    const blast = computeBlastRadiusFromDelta(
+      { changedComponents: [{ name: 'lib/orders.js' }], addedFiles: ['setup.js'] }, head, 5, 50
+    );
+
+    assert.deepStrictEqual(blast.impactedComponents, ['bin/cli.js', 'index.js']);
+    assert.deepStrictEqual(blast.impactedEntryPoints, ['bin/cli.js', 'index.js']);
+
+    const added = computeBlastRadiusFromDelta(
+      { changedComponents: [], addedFiles: ['index.js'] }, head, 5, 50
+    );
+    assert.deepStrictEqual(added.impactedEntryPoints, ['index.js']);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for project configuration loading and option defaults
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { Command } = require('commander');
+const {
+  readProjectConfig,
+  loadProjectConfig,
+  applyProjectConfig,
+} = require('../src/config/project-config');
+
+function parseWith(config, argv, defaults) {
+  let received = null;
+  const program = new Command().exitOverride();
+  program
+    .command('analyze [path]')
+    .option('-p, --patterns <list>', 'File patterns', '**/*.js')
+    .option('-e, --exclude <list>', 'Exclude patterns', 'node_modules/**')
+    .option('-m, --max-files <n>', 'Max files to analyze', '100')
+    .action((_targetPath, options) => { received = options; });
+  program
+    .command('generate [path]')
+    .option('-t, --type <type>', 'Diagram type', 'architecture')
+    .option('--theme <theme>', 'Theme', 'default')
+    .action((_targetPath, options) => { received = options; });
+  program.hook('preAction', (_thisCommand, actionCommand) => applyProjectConfig(actionCommand, config, defaults));
+  program.parse(argv, { from: 'user' });
+  return received;
+}
+
+describe('readProjectConfig', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should prefer .diagramrc, then diagram.config.json, then package.json', () => {
+    fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ name: 'app', diagram: { maxFiles: 10 } }));
+    expect(readProjectConfig(root)).to.deep.equal({ file: 'package.json', config: { maxFiles: 10 }, errors: [] });
+
+    fs.writeFileSync(path.join(root, 'diagram.config.json'), JSON.stringify({ theme: 'dark' }));
+    expect(readProjectConfig(root).config).to.deep.equal({ theme: 'dark' });
+
+    fs.writeFileSync(path.join(root, '.diagramrc'), JSON.stringify({ ignore: ['dist'] }));
+    expect(readProjectConfig(root)).to.deep.equal({ file: '.diagramrc', config: { ignore: ['dist'] }, errors: [] });
+  });
+
+  it('should skip package.json without a diagram key', () => {
+    fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ name: 'app' }));
+    expect(readProjectConfig(root)).to.deep.equal({ file: null, config: {}, errors: [] });
+    expect(loadProjectConfig(root)).to.deep.equal({});
+  });
+
+  it('should report schema and JSON errors', () => {
+    fs.writeFileSync(path.join(root, '.diagramrc'), JSON.stringify({
+      maxFiles: 0,
+      theme: 'neon',
+      commands: { generate: { colour: 'red' } },
+    }));
+    const { errors } = readProjectConfig(root);
+    expect(errors.map(err => err.path)).to.deep.equal(['maxFiles', 'theme', 'commands.generate']);
+    expect(() => loadProjectConfig(root)).to.throw('.diagramrc: maxFiles: maxFiles must be at least 1');
+
+    fs.writeFileSync(path.join(root, '.diagramrc'), '{ "ignore": [');
+    expect(readProjectConfig(root).errors[0].message).to.match(/^Invalid JSON/);
+  });
+
+  it('should reject command-only options at the top level', () => {
+    fs.writeFileSync(path.join(root, '.diagramrc'), JSON.stringify({ type: 'er', maxFiles: 50 }));
+    const { errors } = readProjectConfig(root);
+
+    expect(errors).to.have.length(1);
+    expect(errors[0].message).to.include('"type"');
+    expect(() => loadProjectConfig(root)).to.throw('type');
+  });
+});
+
+describe('applyProjectConfig', () => {
+  const config = {
+    patterns: ['src/**/*.ts', 'lib/**/*.js'],
+    maxFiles: 500,
+    theme: 'forest',
+    ignore: ['./legacy/', 'AI/diagrams'],
+    commands: { generate: { type: 'events' } },
+  };
+
+  it('should fill defaults and keep command-line values', () => {
+    const options = parseWith(config, ['analyze', '--max-files', '20']);
+
+    expect(options.patterns).to.equal('src/**/*.ts,lib/**/*.js');
+    expect(options.maxFiles).to.equal('20');
+    expect(options.exclude).to.equal('node_modules/**,legacy,legacy/**,AI/diagrams,AI/diagrams/**');
+    expect(options.projectConfig).to.equal(config);
+  });
+
+  it('should apply command sections and default excludes for commands without --exclude', () => {
+    const options = parseWith(config, ['generate', '--theme', 'dark'], { exclude: ['dist/**'] });
+
+    expect(options.type).to.equal('events');
+    expect(options.theme).to.equal('dark');
+    expect(options.patterns).to.equal('src/**/*.ts,lib/**/*.js');
+    expect(options.exclude).to.equal('dist/**,legacy,legacy/**,AI/diagrams,AI/diagrams/**');
+  });
+});
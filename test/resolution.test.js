@@ -0,0 +1,597 @@
+/**
+ * Tests for module resolution beyond relative specifiers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { analyze, generate, isPlaceholderDiagram, isInternalImport } = require('../src/core/analysis-generation');
+const { parseJsonc, matchPathPattern } = require('../src/resolution/tsconfig');
+const { resolveSubpathMap, splitPackageSpecifier } = require('../src/resolution/package-json');
+const { ImportRule } = require('../src/rules/types/import-rule');
+const { ComponentGraph } = require('../src/graph');
+
+const writeFixture = global.writeFixture;
+
+function byPath(data) {
+  return new Map(data.components.map(c => [c.filePath, c]));
+}
+
+describe('tsconfig helpers', () => {
+  it('should parse JSON with comments and trailing commas', () => {
+    const parsed = parseJsonc([
+      '{',
+      '  // comment',
+      '  "compilerOptions": { /* inline */ "baseUrl": "./src", },',
+      '  "include": ["src/**/*"],',
+      '}',
+    ].join('\n'));
+    expect(parsed.compilerOptions.baseUrl).to.equal('./src');
+    expect(parsed.include).to.deep.equal(['src/**/*']);
+  });
+
+  it('should keep comment markers inside strings', () => {
+    const parsed = parseJsonc('{ "paths": { "@/*": ["src/*"] }, "url": "http://x" }');
+    expect(parsed.url).to.equal('http://x');
+  });
+
+  it('should prefer the longest matching wildcard prefix', () => {
+    const match = matchPathPattern('@app/ui/Button', { '@app/*': ['a/*'], '@app/ui/*': ['b/*'] });
+    expect(match).to.deep.equal({ pattern: '@app/ui/*', captured: 'Button' });
+  });
+});
+
+describe('tsconfig/jsconfig path aliases', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-resolution-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should resolve `paths` aliases inherited through `extends`', async () => {
+    writeFixture(root, {
+      'tsconfig.base.json': '{ "compilerOptions": { "baseUrl": ".", "paths": { "@/*": ["src/*"], "~app/*": ["src/app/*"] } } }',
+      'tsconfig.json': '{\n  // project config\n  "extends": "./tsconfig.base.json",\n}',
+      'src/components/Button.tsx': 'export const Button = () => null;\n',
+      'src/app/domain/index.ts': 'export const domain = 1;\n',
+      'src/pages/home.ts': "import { Button } from '@/components/Button';\nimport { domain } from '~app/domain';\nimport React from 'react';\n",
+    });
+
+    const data = await analyze(root, { maxFiles: 20 });
+    const home = byPath(data).get('src/pages/home.ts');
+    expect(home.dependencies).to.have.members(['src/components/Button.tsx', 'src/app/domain/index.ts']);
+
+    const mermaid = generate(data, 'dependency');
+    expect(mermaid).to.include('"react"');
+    expect(mermaid).to.not.include('"@/components"');
+  });
+
+  it('should resolve bare specifiers against `baseUrl` from jsconfig.json', async () => {
+    writeFixture(root, {
+      'jsconfig.json': '{ "compilerOptions": { "baseUrl": "src" } }',
+      'src/lib/format.js': 'module.exports = {};\n',
+      'src/main.js': "const format = require('lib/format');\nconst lodash = require('lodash');\n",
+    });
+
+    const data = await analyze(root, { maxFiles: 20 });
+    const main = byPath(data).get('src/main.js');
+    expect(main.dependencies).to.deep.equal(['src/lib/format.js']);
+    expect(main.imports.find(i => i.path === 'lodash').resolvedPath).to.equal(undefined);
+  });
+
+  it('should let architecture rules see aliased imports', async () => {
+    writeFixture(root, {
+      'tsconfig.json': '{ "compilerOptions": { "paths": { "@ui/*": ["./src/ui/*"] } } }',
+      'src/ui/Button.ts': 'export const Button = 1;\n',
+      'src/domain/User.ts': "import { Button } from '@ui/Button';\n",
+    });
+
+    const data = await analyze(root, { maxFiles: 20 });
+    const graph = new ComponentGraph(data);
+    const rule = new ImportRule({ name: 'Domain isolation', layer: 'src/domain/**', must_not_import_from: ['src/ui'] });
+    const violations = rule.validate(graph.getComponentByPath('src/domain/User.ts'), graph);
+
+    expect(violations).to.have.lengthOf(1);
+    expect(violations[0]).to.include({ line: 1, relatedFile: '@ui/Button' });
+  });
+});
+
+describe('package.json subpath maps', () => {
+  it('should pick the first matching condition in object order', () => {
+    const exportsMap = {
+      '.': { types: './src/index.ts', import: './src/index.mjs', require: './src/index.cjs' },
+    };
+    expect(resolveSubpathMap('.', exportsMap, ['node', 'require', 'default'], false))
+      .to.deep.equal({ internal: 'src/index.cjs' });
+    expect(resolveSubpathMap('.', exportsMap, ['types', 'node', 'import', 'default'], false))
+      .to.deep.equal({ internal: 'src/index.ts' });
+  });
+
+  it('should expand the longest matching `*` pattern', () => {
+    const importsMap = { '#db/*': './src/db/*.js', '#db/internal/*': null };
+    expect(resolveSubpathMap('#db/client', importsMap, ['default'], true))
+      .to.deep.equal({ internal: 'src/db/client.js' });
+    expect(resolveSubpathMap('#db/internal/x', importsMap, ['default'], true)).to.equal(null);
+  });
+
+  it('should reject targets that escape the package', () => {
+    expect(resolveSubpathMap('./x', { './*': './../*' }, ['default'], false)).to.equal(null);
+  });
+
+  it('should split scoped specifiers into name and subpath', () => {
+    expect(splitPackageSpecifier('@acme/core/utils')).to.deep.equal({ name: '@acme/core', subpath: './utils' });
+    expect(splitPackageSpecifier('#db/client')).to.equal(null);
+  });
+});
+
+describe('package.json imports/exports resolution', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-pkg-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should resolve `#` imports into component edges', async () => {
+    writeFixture(root, {
+      'package.json': JSON.stringify({
+        name: 'app',
+        imports: {
+          '#db/*': './src/db/*.js',
+          '#config': { node: './src/config/node.js', default: './src/config/browser.js' },
+        },
+      }),
+      'src/db/client.js': 'module.exports = {};\n',
+      'src/config/node.js': 'module.exports = {};\n',
+      'src/config/browser.js': 'module.exports = {};\n',
+      'src/main.js': "import db from '#db/client';\nimport config from '#config';\n",
+    });
+
+    const data = await analyze(root, { maxFiles: 20 });
+    const main = byPath(data).get('src/main.js');
+    expect(main.dependencies).to.have.members(['src/db/client.js', 'src/config/node.js']);
+    expect(main.imports.every(i => i.internal)).to.equal(true);
+
+    const mermaid = generate(data, 'dependency');
+    expect(mermaid).to.not.include('#db');
+  });
+
+  it('should treat `#` imports mapped to packages as external and leave unmapped ones unresolved', async () => {
+    writeFixture(root, {
+      'package.json': JSON.stringify({
+        name: 'app',
+        imports: { '#dep': 'some-pkg', '#db/*': './src/db/*.js' },
+        dependencies: { 'some-pkg': '^1.0.0' },
+      }),
+      'src/db/client.js': 'module.exports = {};\n',
+      'src/main.js': "import dep from '#dep';\nimport db from '#db/client';\nimport missing from '#missing';\n",
+    });
+
+    const data = await analyze(root, { maxFiles: 20 });
+    const [dep, db, missing] = byPath(data).get('src/main.js').imports;
+    expect(dep).to.include({ external: 'some-pkg' });
+    expect(isInternalImport(dep)).to.equal(false);
+    expect(isInternalImport(db)).to.equal(true);
+    expect(isInternalImport(missing)).to.equal(false);
+
+    const mermaid = generate(data, 'dependency');
+    expect(mermaid).to.match(/some_pkg\S*\["some-pkg"\] --> \S*src_main_js/);
+    expect(mermaid).to.not.include('missing');
+  });
+
+  it('should resolve self-referencing imports through conditional `exports`', async () => {
+    writeFixture(root, {
+      'package.json': JSON.stringify({
+        name: '@acme/lib',
+        exports: {
+          '.': { import: './src/esm.js', require: './src/cjs.js' },
+          './utils/*': './src/utils/*.js',
+        },
+      }),
+      'src/esm.js': 'export const x = 1;\n',
+      'src/cjs.js': 'module.exports = {};\n',
+      'src/utils/strings.js': 'module.exports = {};\n',
+      'test/entry.js': "const lib = require('@acme/lib');\nimport('@acme/lib/utils/strings');\n",
+    });
+
+    const data = await analyze(root, { maxFiles: 20 });
+    const entry = byPath(data).get('test/entry.js');
+    const [cjs, strings] = entry.imports;
+    expect(cjs.resolvedPath).to.equal('src/cjs.js');
+    expect(strings.resolvedPath).to.equal('src/utils/strings.js');
+  });
+
+  it('should leave other packages external', async () => {
+    writeFixture(root, {
+      'package.json': JSON.stringify({ name: 'app', exports: './index.js' }),
+      'index.js': "const other = require('app-plugin');\n",
+    });
+
+    const data = await analyze(root, { maxFiles: 20 });
+    const imp = data.components[0].imports[0];
+    expect(imp.internal).to.equal(undefined);
+    expect(generate(data, 'dependency')).to.include('"app-plugin"');
+  });
+});
+
+describe('monorepo workspaces', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-workspaces-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should resolve npm workspace packages to their source files', async () => {
+    writeFixture(root, {
+      'package.json': JSON.stringify({ name: 'acme', private: true, workspaces: ['packages/*'] }),
+      'packages/billing/package.json': JSON.stringify({ name: '@acme/billing', main: 'dist/index.js' }),
+      'packages/billing/src/index.ts': "import { log } from '@acme/logger/format';\nexport const charge = () => log();\n",
+      'packages/logger/package.json': JSON.stringify({ name: '@acme/logger' }),
+      'packages/logger/format.ts': 'export const log = () => null;\n',
+      'apps/web/page.ts': "import { charge } from '@acme/billing';\nimport React from 'react';\n",
+    });
+
+    const data = await analyze(root, { maxFiles: 20 });
+    const components = byPath(data);
+    expect(components.get('apps/web/page.ts').imports[0].resolvedPath).to.equal('packages/billing/src/index.ts');
+    expect(components.get('packages/billing/src/index.ts').imports[0].resolvedPath).to.equal('packages/logger/format.ts');
+    expect(components.get('packages/billing/src/index.ts').package).to.equal('@acme/billing');
+    expect(components.get('apps/web/page.ts').package).to.equal(undefined);
+    expect(data.packages).to.deep.equal([
+      { name: '@acme/billing', path: 'packages/billing' },
+      { name: '@acme/logger', path: 'packages/logger' },
+    ]);
+
+    const mermaid = generate(data, 'dependency');
+    expect(mermaid).to.include('"react"');
+    expect(mermaid).to.not.include('"@acme/billing"');
+  });
+
+  it('should read pnpm-workspace.yaml and draw the package graph', async () => {
+    writeFixture(root, {
+      'package.json': JSON.stringify({ name: 'acme', private: true }),
+      'pnpm-workspace.yaml': "packages:\n  - 'packages/*'\n  - '!packages/legacy'\n",
+      'packages/api/package.json': JSON.stringify({ name: 'api', exports: { '.': { import: './src/main.js' } } }),
+      'packages/api/src/main.js': "import { db } from 'db';\nimport { helper } from 'db/helpers';\n",
+      'packages/db/package.json': JSON.stringify({ name: 'db' }),
+      'packages/db/index.js': 'export const db = 1;\n',
+      'packages/db/helpers.js': 'export const helper = 1;\n',
+      'packages/legacy/package.json': JSON.stringify({ name: 'legacy' }),
+      'packages/legacy/old.js': "import 'api';\n",
+    });
+
+    const data = await analyze(root, { maxFiles: 20 });
+    expect(data.packages.map(p => p.name)).to.deep.equal(['api', 'db']);
+    expect(byPath(data).get('packages/legacy/old.js').package).to.equal(undefined);
+
+    const mermaid = generate(data, 'packages');
+    expect(mermaid).to.match(/^graph LR/);
+    expect(mermaid).to.include('"api · 1 file"');
+    expect(mermaid).to.include('"db · 2 files"');
+    expect(mermaid).to.match(/api_[0-9a-f]{8} -->\|2\| db_[0-9a-f]{8}/);
+  });
+
+  it('should emit a placeholder package graph outside a workspace', async () => {
+    writeFixture(root, { 'index.js': 'module.exports = 1;\n' });
+    const data = await analyze(root, { maxFiles: 20 });
+    expect(data.packages).to.deep.equal([]);
+    expect(isPlaceholderDiagram(generate(data, 'packages'))).to.equal(true);
+  });
+});
+
+describe('Python import resolution', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-python-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should resolve relative, package and dotted imports', async () => {
+    writeFixture(root, {
+      'app/__init__.py': '',
+      'app/models.py': 'class User: pass\n',
+      'app/core/__init__.py': 'from .db import Session\n',
+      'app/core/db.py': 'Session = None\n',
+      'app/api/__init__.py': '',
+      'app/api/views.py': [
+        'import os',
+        'from . import serializers',
+        'from ..core import db',
+        'from ..models import User',
+        'import app.core',
+        'from requests import get',
+      ].join('\n'),
+      'app/api/serializers.py': 'from app.models import User\n',
+    });
+
+    const data = await analyze(root, { maxFiles: 20, patterns: '**/*.py' });
+    const components = byPath(data);
+    const views = components.get('app/api/views.py');
+    expect(views.imports.map(i => i.resolvedPath)).to.deep.equal([
+      undefined,
+      'app/api/serializers.py',
+      'app/core/db.py',
+      'app/models.py',
+      'app/core/__init__.py',
+      undefined,
+    ]);
+    expect(components.get('app/api/serializers.py').dependencies).to.deep.equal(['app/models.py']);
+    expect(components.get('app/core/__init__.py').dependencies).to.deep.equal(['app/core/db.py']);
+
+    const mermaid = generate(data, 'dependency');
+    expect(mermaid).to.include('"requests"');
+    expect(mermaid).to.include('"os"');
+    expect(mermaid).to.not.include('"app"');
+  });
+
+  it('should resolve absolute imports against src layouts and project roots', async () => {
+    writeFixture(root, {
+      'services/billing/pyproject.toml': '[tool.setuptools.package-dir]\n"" = "lib"\n',
+      'services/billing/lib/billing/__init__.py': '',
+      'services/billing/lib/billing/invoices.py': 'from billing.tax import rate\n',
+      'services/billing/lib/billing/tax.py': 'rate = 1\n',
+      'src/shop/__init__.py': '',
+      'src/shop/cart.py': 'from shop import pricing\n',
+      'src/shop/pricing.py': 'PRICE = 1\n',
+    });
+
+    const data = await analyze(root, { maxFiles: 20, patterns: '**/*.py' });
+    const components = byPath(data);
+    expect(components.get('services/billing/lib/billing/invoices.py').imports[0].resolvedPath)
+      .to.equal('services/billing/lib/billing/tax.py');
+    expect(components.get('src/shop/cart.py').imports[0].resolvedPath).to.equal('src/shop/pricing.py');
+  });
+
+  it('should let architecture rules see Python imports', async () => {
+    writeFixture(root, {
+      'app/__init__.py': '',
+      'app/domain/__init__.py': '',
+      'app/domain/order.py': 'from ..web import routes\n',
+      'app/web/__init__.py': '',
+      'app/web/routes.py': 'ROUTES = []\n',
+    });
+
+    const data = await analyze(root, { maxFiles: 20, patterns: '**/*.py' });
+    const graph = new ComponentGraph(data);
+    const rule = new ImportRule({ name: 'Domain isolation', layer: 'app/domain/**', must_not_import_from: ['app/web'] });
+    const violations = rule.validate(graph.getComponentByPath('app/domain/order.py'), graph);
+
+    expect(violations).to.have.lengthOf(1);
+    expect(violations[0]).to.include({ line: 1, column: 1 });
+  });
+});
+
+describe('Go module resolution', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-go-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should map module import paths to package directory components', async () => {
+    writeFixture(root, {
+      'go.mod': 'module example.com/svc\n\ngo 1.22\n',
+      'main.go': 'package main\n\nimport (\n\t"fmt"\n\t"example.com/svc/internal/store"\n)\n\nfunc main() { fmt.Println(store.Open()) }\n',
+      'internal/store/db.go': 'package store\n\nimport "example.com/svc/internal/config"\n\nfunc Open() {}\n',
+      'internal/store/cache.go': 'package store\n\nimport (\n\t"sync"\n\t"example.com/svc/internal/config"\n)\n',
+      'internal/store/db_test.go': 'package store\n\nimport "testing"\n',
+      'internal/config/config.go': 'package config\n',
+      'pkg/api/go.mod': 'module example.com/api\n',
+      'pkg/api/server.go': 'package api\n\nimport "github.com/gorilla/mux"\n',
+    });
+
+    const data = await analyze(root, { maxFiles: 20, patterns: '**/*.go' });
+    const components = byPath(data);
+
+    const store = components.get('internal/store');
+    expect(store).to.include({ name: 'internal/store', originalName: 'store', type: 'package' });
+    expect(store.files).to.deep.equal(['internal/store/cache.go', 'internal/store/db.go']);
+    expect(store.dependencies).to.deep.equal(['internal/config']);
+    expect(store.imports.find(i => i.path === 'sync')).to.include({ file: 'internal/store/cache.go', line: 4 });
+
+    const main = components.get('.');
+    expect(main).to.include({ name: '.', originalName: 'main', type: 'package' });
+    expect(main.dependencies).to.deep.equal(['internal/store']);
+    expect(components.has('internal/store/db.go')).to.equal(false);
+
+    const mermaid = generate(data, 'dependency');
+    expect(mermaid).to.include('"github.com/gorilla/mux"');
+    expect(mermaid).to.include('"fmt"');
+    expect(mermaid).to.not.include('"example.com/svc"');
+  });
+
+  it('should follow go.work modules and local replace directives', async () => {
+    writeFixture(root, {
+      'go.work': 'go 1.22\n\nuse (\n\t./app\n\t./lib\n)\n',
+      'app/go.mod': 'module example.com/app\n\nrequire example.com/shared v0.0.0\n\nreplace example.com/shared => ../shared\n',
+      'app/cmd/run.go': 'package main\n\nimport (\n\t"example.com/lib/util"\n\t"example.com/shared/types"\n)\n',
+      'lib/go.mod': 'module example.com/lib\n',
+      'lib/util/util.go': 'package util\n',
+      'shared/types/types.go': 'package types\n',
+    });
+
+    const data = await analyze(root, { maxFiles: 20, patterns: '**/*.go' });
+    expect(byPath(data).get('app/cmd').dependencies).to.have.members(['lib/util', 'shared/types']);
+  });
+
+  it('should let architecture rules see Go package imports', async () => {
+    writeFixture(root, {
+      'go.mod': 'module example.com/svc\n',
+      'internal/domain/order.go': 'package domain\n\nimport "example.com/svc/internal/http"\n',
+      'internal/http/routes.go': 'package http\n',
+    });
+
+    const data = await analyze(root, { maxFiles: 20, patterns: '**/*.go' });
+    const graph = new ComponentGraph(data);
+    const rule = new ImportRule({ name: 'Domain isolation', layer: 'internal/domain', must_not_import_from: ['internal/http'] });
+    const violations = rule.validate(graph.getComponentByPath('internal/domain'), graph);
+
+    expect(violations).to.have.lengthOf(1);
+    expect(violations[0]).to.include({ line: 3, column: 8 });
+  });
+});
+
+describe('Rust crate resolution', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-rust-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should resolve mod declarations and crate/self/super paths', async () => {
+    writeFixture(root, {
+      'Cargo.toml': '[package]\nname = "shop"\nversion = "0.1.0"\n',
+      'src/lib.rs': 'pub mod api;\nmod store;\npub struct Config;\n',
+      'src/api/mod.rs': 'mod handlers;\nuse crate::store::orders::Order;\nuse serde::Serialize;\n',
+      'src/api/handlers.rs': 'use super::super::Config;\nuse self::inner::X;\nmod inner;\n',
+      'src/api/handlers/inner.rs': 'pub struct X;\n',
+      'src/store.rs': 'pub mod orders;\n',
+      'src/store/orders.rs': 'use crate::api;\npub struct Order;\n',
+    });
+
+    const data = await analyze(root, { maxFiles: 20, patterns: '**/*.rs' });
+    const components = byPath(data);
+    const resolved = (file) => components.get(file).imports.map(i => i.resolvedPath);
+
+    expect(resolved('src/lib.rs')).to.deep.equal(['src/api/mod.rs', 'src/store.rs']);
+    expect(resolved('src/api/mod.rs')).to.deep.equal(['src/api/handlers.rs', 'src/store/orders.rs', undefined]);
+    expect(resolved('src/api/handlers.rs')).to.deep.equal(['src/lib.rs', 'src/api/handlers/inner.rs', 'src/api/handlers/inner.rs']);
+    expect(resolved('src/store/orders.rs')).to.deep.equal(['src/api/mod.rs']);
+
+    const mermaid = generate(data, 'dependency');
+    expect(mermaid).to.include('"serde"');
+    expect(mermaid).to.not.include('"crate"');
+  });
+
+  it('should resolve imports of Cargo workspace member crates', async () => {
+    writeFixture(root, {
+      'Cargo.toml': '[workspace]\nmembers = [\n  "crates/*",\n]\nexclude = ["crates/legacy"]\n',
+      'crates/billing-core/Cargo.toml': '[package]\nname = "billing-core"\n',
+      'crates/billing-core/src/lib.rs': 'pub mod invoice;\n',
+      'crates/billing-core/src/invoice.rs': 'pub struct Invoice;\n',
+      'crates/app/Cargo.toml': '[package]\nname = "app"\n',
+      'crates/app/src/main.rs': 'use billing_core::invoice::Invoice;\nuse billing_core::Thing;\n',
+    });
+
+    const data = await analyze(root, { maxFiles: 20, patterns: '**/*.rs' });
+    const main = byPath(data).get('crates/app/src/main.rs');
+    expect(main.imports.map(i => i.resolvedPath)).to.deep.equal([
+      'crates/billing-core/src/invoice.rs',
+      'crates/billing-core/src/lib.rs',
+    ]);
+  });
+});
+
+describe('Java, Ruby and PHP import resolution', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-polyglot-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should resolve Java imports through package directories across modules', async () => {
+    writeFixture(root, {
+      'billing/src/main/java/com/acme/billing/Invoice.java': 'package com.acme.billing;\npublic class Invoice { public static class Line {} }\n',
+      'billing/src/main/java/com/acme/billing/Tax.java': 'package com.acme.billing;\npublic class Tax {}\n',
+      'app/src/main/java/com/acme/app/App.java': [
+        'package com.acme.app;',
+        'import com.acme.billing.Invoice;',
+        'import com.acme.billing.Invoice.Line;',
+        'import static com.acme.billing.Tax.rate;',
+        'import com.acme.billing.*;',
+        'import java.util.List;',
+        'public class App {}',
+      ].join('\n'),
+    });
+
+    const data = await analyze(root, { maxFiles: 20 });
+    const app = byPath(data).get('app/src/main/java/com/acme/app/App.java');
+    expect(app.imports.map(i => [i.path, i.resolvedPath, Boolean(i.internal)])).to.deep.equal([
+      ['com.acme.billing.Invoice', 'billing/src/main/java/com/acme/billing/Invoice.java', true],
+      ['com.acme.billing.Invoice.Line', 'billing/src/main/java/com/acme/billing/Invoice.java', true],
+      ['com.acme.billing.Tax', 'billing/src/main/java/com/acme/billing/Tax.java', true],
+      ['com.acme.billing.*', undefined, true],
+      ['java.util.List', undefined, false],
+    ]);
+    expect(app.dependencies).to.have.members([
+      'billing/src/main/java/com/acme/billing/Invoice.java',
+      'billing/src/main/java/com/acme/billing/Tax.java',
+    ]);
+    expect(generate(data, 'dependency')).to.include('"java.util"');
+  });
+
+  it('should resolve Ruby require_relative and load-path requires', async () => {
+    writeFixture(root, {
+      'Gemfile': "source 'https://rubygems.org'\n",
+      'lib/shop.rb': "require 'shop/cart'\nrequire 'json'\n",
+      'lib/shop/cart.rb': "require_relative 'item'\n",
+      'lib/shop/item.rb': 'class Item; end\n',
+    });
+
+    const data = await analyze(root, { maxFiles: 20 });
+    const components = byPath(data);
+    expect(components.get('lib/shop.rb').imports.map(i => i.resolvedPath)).to.deep.equal(['lib/shop/cart.rb', undefined]);
+    expect(components.get('lib/shop/cart.rb').dependencies).to.deep.equal(['lib/shop/item.rb']);
+  });
+
+  it('should resolve PHP classes through Composer PSR-4 maps and include paths', async () => {
+    writeFixture(root, {
+      'composer.json': JSON.stringify({
+        autoload: { 'psr-4': { 'App\\': 'src/' } },
+        'autoload-dev': { 'psr-4': { 'Tests\\': ['tests/'] } },
+      }),
+      'src/Http/Controller.php': [
+        '<?php',
+        'namespace App\\Http;',
+        '',
+        'use App\\Models\\User;',
+        'use App\\Missing\\Thing;',
+        'use Symfony\\Component\\HttpFoundation\\Request;',
+        "require_once __DIR__ . '/../helpers.php';",
+      ].join('\n'),
+      'src/Models/User.php': '<?php\nnamespace App\\Models;\nclass User {}\n',
+      'src/helpers.php': '<?php\n',
+      'tests/UserTest.php': '<?php\nuse App\\Models\\User;\n',
+    });
+
+    const data = await analyze(root, { maxFiles: 20 });
+    const components = byPath(data);
+    const controller = components.get('src/Http/Controller.php');
+    expect(controller.imports.map(i => [i.resolvedPath, Boolean(i.internal)])).to.deep.equal([
+      ['src/Models/User.php', true],
+      [undefined, true],
+      [undefined, false],
+      ['src/helpers.php', false],
+    ]);
+    expect(components.get('tests/UserTest.php').dependencies).to.deep.equal(['src/Models/User.php']);
+    expect(generate(data, 'dependency')).to.include('"Symfony"');
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Tests for HTTP route extraction, the route table and the user diagram
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { analyze, generate, extractRoutes } = require('../src/core/analysis-generation');
+
+const writeFixture = global.writeFixture;
+
+function summarize(routes) {
+  return routes.map(r => `${r.method} ${r.path} ${r.handler}`);
+}
+
+describe('extractRoutes', () => {
+  it('should read Express routes, chained routes and mounts', () => {
+    const source = [
+      "const express = require('express');",
+      "const users = require('./users');",
+      'const app = express();',
+      "app.get('/health', (req, res) => res.send('ok'));",
+      "app.route('/items/:id').get(wrap(items.show)).put(items.update);",
+      "app.use('/users', auth, users);",
+      'app.use(express.json());',
+      "cache.get('/not-a-route');",
+    ].join('\n');
+
+    const { routes, mounts } = extractRoutes(source, 'javascript', 'src/app.js');
+    expect(summarize(routes)).to.deep.equal([
+      'GET /health null',
+      'GET /items/:id items.show',
+      'PUT /items/:id items.update',
+    ]);
+    expect(mounts).to.deep.equal([
+      { router: 'app', prefix: '/users', line: 6, target: 'auth', module: null },
+      { router: 'app', prefix: '/users', line: 6, target: 'users', module: './users' },
+    ]);
+  });
+
+  it('should read Fastify route objects and Koa router prefixes', () => {
+    const source = [
+      "import Router from '@koa/router';",
+      "import { create } from './handlers';",
+      "const router = new Router({ prefix: '/orders' });",
+      "router.post('/', create);",
+      'app.use(router.routes());',
+      "fastify.route({ method: ['GET', 'HEAD'], url: '/status', handler: create });",
+      "fastify.get('/ping', { schema: {} }, async () => 'pong');",
+    ].join('\n');
+
+    const { routes, mounts } = extractRoutes(source, 'typescript', 'src/server.ts');
+    expect(routes.map(r => [r.method, r.path, r.handler, r.module])).to.deep.equal([
+      ['POST', '/orders', 'create', './handlers'],
+      ['GET', '/status', 'create', './handlers'],
+      ['HEAD', '/status', 'create', './handlers'],
+      ['GET', '/ping', null, null],
+    ]);
+    expect(mounts).to.deep.equal([{ router: 'app', prefix: '', line: 5, target: 'router', module: null }]);
+  });
+
+  it('should ignore HTTP client calls', () => {
+    const source = [
+      "import axios from 'axios';",
+      "import { request } from './http';",
+      "const api = axios.create({ baseURL: '/api' });",
+      "axios.get('/users', { params: {} });",
+      "api.post('/orders', order);",
+      "request.delete('/orders/1', done);",
+      "http.get('/health', onResponse);",
+      'module.exports = (app) => {',
+      "  app.get('/status', status);",
+      '};',
+    ].join('\n');
+
+    const { routes, mounts } = extractRoutes(source, 'javascript', 'src/client.js');
+    expect(summarize(routes)).to.deep.equal(['GET /status status']);
+    expect(mounts).to.deep.equal([]);
+  });
+
+  it('should derive Next.js routes from app/ and pages/ paths', () => {
+    const handlers = 'export async function GET() {}\nexport const POST = async () => {};\n';
+    const page = 'export default function Page() { return null; }\n';
+
+    expect(summarize(extractRoutes(handlers, 'typescript', 'app/api/users/[id]/route.ts').routes))
+      .to.deep.equal(['GET /api/users/:id GET', 'POST /api/users/:id POST']);
+    expect(summarize(extractRoutes(page, 'typescript', 'src/app/(shop)/cart/page.tsx').routes))
+      .to.deep.equal(['GET /cart Page']);
+    expect(summarize(extractRoutes(page, 'typescript', 'pages/docs/[...slug].tsx').routes))
+      .to.deep.equal(['GET /docs/:slug* Page']);
+    expect(summarize(extractRoutes(page, 'typescript', 'pages/api/index.ts').routes))
+      .to.deep.equal(['ALL /api Page']);
+    expect(extractRoutes(page, 'typescript', 'pages/_app.tsx').routes).to.deep.equal([]);
+    expect(extractRoutes(page, 'typescript', 'app/components/page-header.tsx').routes).to.deep.equal([]);
+  });
+});
+
+describe('route table', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-routes-'));
+    writeFixture(root, {
+      'src/server.js': [
+        "const express = require('express');",
+        "const users = require('./routes/users');",
+        'const app = express();',
+        'const api = express.Router();',
+        "api.use('/users', users);",
+        "app.use('/api/v1', api);",
+        "app.get('/health', (req, res) => res.send('ok'));",
+      ].join('\n'),
+      'src/routes/users.js': [
+        "const express = require('express');",
+        "const ctrl = require('../controllers/users');",
+        'const router = express.Router();',
+        "router.get('/', ctrl.list);",
+        "router.post('/:id/avatar', ctrl.upload);",
+        'module.exports = router;',
+      ].join('\n'),
+      'src/controllers/users.js': 'exports.list = () => {};\nexports.upload = () => {};\n',
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should apply mount prefixes across files and name handler components', async () => {
+    const data = await analyze(root, { maxFiles: 10 });
+    const controller = data.components.find(c => c.filePath === 'src/controllers/users.js');
+
+    expect(data.routes.map(r => [r.method, r.path, r.handler, r.component, r.filePath])).to.deep.equal([
+      ['GET', '/api/v1/users', 'ctrl.list', controller.name, 'src/routes/users.js'],
+      ['POST', '/api/v1/users/:id/avatar', 'ctrl.upload', controller.name, 'src/routes/users.js'],
+      ['GET', '/health', null, 'src/server.js', 'src/server.js'],
+    ]);
+  });
+
+  it('should draw endpoints in the user diagram', async () => {
+    const data = await analyze(root, { maxFiles: 10 });
+    const mermaid = generate(data, 'user');
+
+    expect(mermaid).to.include('route_0["GET /api/v1/users"]');
+    expect(mermaid).to.include('User --> route_2');
+    expect(mermaid).to.match(/route_1 -->\|ctrl.upload\| src_controllers_users_js_[0-9a-f]{8}/);
+    expect(mermaid).to.match(/route_2 --> src_server_js_[0-9a-f]{8}/);
+  });
+
+  it('should fall back to user-tagged components without routes', () => {
+    const mermaid = generate({ components: [], routes: [] }, 'user');
+    expect(mermaid).to.include('No user-facing components found');
+  });
+});
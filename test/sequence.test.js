@@ -0,0 +1,116 @@
+/**
+ * Tests for call-site extraction and call-graph sequence diagrams
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { analyze, generate, extractFunctions, isPlaceholderDiagram } = require('../src/core/analysis-generation');
+
+const writeFixture = global.writeFixture;
+
+describe('extractFunctions (JavaScript/TypeScript)', () => {
+  it('should record calls through import bindings and local functions in order', () => {
+    const source = [
+      "import billing, { charge as pay } from './billing';",
+      "import * as mailer from './mailer';",
+      "const { log } = require('./logger');",
+      'export async function handleOrder(order) {',
+      '  validate(order);',
+      '  await pay(order.total);',
+      '  mailer.send(order.email);',
+      '  billing.refund();',
+      '  [1].map(x => log(x));',
+      "  console.log('done');",
+      '}',
+      'function validate(order) {}',
+      'export class Service {',
+      '  async run() { await this.step(); }',
+      '  step() {}',
+      '}',
+      'handleOrder({});',
+    ].join('\n');
+
+    const functions = extractFunctions(source, 'typescript', 'src/orders.ts');
+    expect(functions.map(f => [f.name, f.async])).to.deep.equal([
+      ['<module>', false],
+      ['handleOrder', true],
+      ['validate', false],
+      ['Service.run', true],
+      ['Service.step', false],
+    ]);
+    expect(functions[1].calls).to.deep.equal([
+      { name: 'validate', module: null, line: 5, awaited: false },
+      { name: 'charge', module: './billing', line: 6, awaited: true },
+      { name: 'send', module: './mailer', line: 7, awaited: false },
+      { name: 'refund', module: './billing', line: 8, awaited: false },
+      { name: 'log', module: './logger', line: 9, awaited: false },
+    ]);
+    expect(functions[3].calls).to.deep.equal([{ name: 'Service.step', module: null, line: 14, awaited: true }]);
+  });
+
+  it('should flag CommonJS default exports', () => {
+    const source = "const db = require('./db');\nfunction handler() { db.query(); }\nmodule.exports = handler;\n";
+    const [handler] = extractFunctions(source, 'javascript', 'lib/handler.js');
+    expect(handler).to.include({ name: 'handler', default: true });
+    expect(handler.calls).to.deep.equal([{ name: 'query', module: './db', line: 2, awaited: false }]);
+  });
+});
+
+describe('sequence diagram', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-sequence-'));
+    writeFixture(root, {
+      'src/index.ts': "import { handleOrder } from './orders';\nhandleOrder({ id: 1 });\n",
+      'src/orders.ts': [
+        "import { charge } from './billing';",
+        "import * as mailer from './mailer';",
+        'export async function handleOrder(order) {',
+        '  validate(order);',
+        '  await charge(order.total);',
+        '  mailer.send(order.email);',
+        '}',
+        "function validate(order) { mailer.check(order); }",
+      ].join('\n'),
+      'src/billing.ts': "import { save } from './repo';\nexport async function charge(total) { await save(total); }\n",
+      'src/mailer.ts': 'export async function send(to) {}\nexport function check(order) {}\n',
+      'src/repo.ts': 'export async function save(x) {}\n',
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should follow calls from the entry point in source order', async () => {
+    const data = await analyze(root, { maxFiles: 10 });
+    const messages = generate(data, 'sequence').split('\n').filter(line => /->>|-\)/.test(line));
+
+    expect(messages.map(line => line.replace(/_[0-9a-f]{8}/g, '').trim())).to.deep.equal([
+      'src_index_ts-)src_orders_ts: handleOrder() async',
+      'src_orders_ts->>src_mailer_ts: check()',
+      'src_orders_ts->>src_billing_ts: await charge()',
+      'src_billing_ts->>src_repo_ts: await save()',
+      'src_orders_ts-)src_mailer_ts: send() async',
+    ]);
+  });
+
+  it('should start at the --focus function', async () => {
+    const data = await analyze(root, { maxFiles: 10 });
+    const mermaid = generate(data, 'sequence', 'src/billing.ts#charge');
+
+    expect(mermaid).to.match(/Note over src_billing_ts_[0-9a-f]{8}: charge\(\)/);
+    expect(mermaid).to.not.include('orders');
+    expect(generate(data, 'sequence', 'charge')).to.equal(mermaid);
+  });
+
+  it('should report a placeholder when no calls are found', async () => {
+    const data = await analyze(root, { maxFiles: 10 });
+    const mermaid = generate(data, 'sequence', 'src/repo.ts');
+    expect(mermaid).to.include('No cross-module calls found');
+    expect(isPlaceholderDiagram(mermaid)).to.equal(true);
+  });
+});
@@ -2,6 +2,7 @@
  * Test setup and utilities
  */
 
+const fs = require('fs');
 const path = require('path');
 
 // Set test environment
@@ -53,6 +54,19 @@ class MockGraph {
 
 global.MockGraph = MockGraph;
 
+/**
+ * Write a map of relative paths to contents under a fixture root
+ */
+function writeFixture(root, files) {
+  for (const [relPath, content] of Object.entries(files)) {
+    const fullPath = path.join(root, relPath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content);
+  }
+}
+
+global.writeFixture = writeFixture;
+
 /**
  * Assert helpers
  */
@@ -0,0 +1,198 @@
+/**
+ * Tests for source providers: in-memory files, archives and git refs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { execFileSync } = require('child_process');
+const { expect } = require('chai');
+const { analyze } = require('../src/core/analysis-generation');
+const { analyzeAtRef } = require('../src/workflow/git-helpers');
+const {
+  createMemorySource,
+  createArchiveSource,
+  createSourceFromOptions,
+  createSource,
+} = require('../src/sources');
+const { readArchiveEntries } = require('../src/sources/archive');
+
+const FILES = {
+  'src/index.js': "const { listUsers } = require('./users');\nlistUsers();\n",
+  'src/users.js': "const db = require('./db');\nexports.listUsers = () => db.query('users');\n",
+  'src/db.js': 'module.exports = { query: () => [] };\n',
+  'prisma/schema.prisma': 'model User {\n  id Int @id\n}\n',
+};
+
+function tarEntry(name, content) {
+  const data = Buffer.from(content);
+  const header = Buffer.alloc(512);
+  header.write(name, 0);
+  header.write('0000644\0', 100);
+  header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+  header.write('0', 156);
+  header.write('ustar\0', 257);
+  const padding = Buffer.alloc((512 - (data.length % 512)) % 512);
+  return Buffer.concat([header, data, padding]);
+}
+
+function buildTar(files) {
+  return Buffer.concat([...Object.entries(files).map(([name, content]) => tarEntry(name, content)), Buffer.alloc(1024)]);
+}
+
+// Deflated entries without CRCs: enough for the reader, which does not verify them.
+// `declared` overrides the uncompressed size written to the headers.
+function buildZip(files, declared = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name);
+    const data = zlib.deflateRawSync(Buffer.from(content));
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    const size = declared[name] !== undefined ? declared[name] : Buffer.byteLength(content);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(centrals.length / 2, 8);
+  end.writeUInt16LE(centrals.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+function summarize(result) {
+  return result.components.map(c => [c.name, c.dependencies]);
+}
+
+describe('source providers', () => {
+  let tmp;
+
+  before(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-sources-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  it('should analyze an in-memory file map', async () => {
+    const source = createMemorySource(FILES, { rootPath: '/virtual' });
+    const result = await analyze('/virtual', { source, projectConfig: {} });
+
+    expect(result.rootPath).to.equal('/virtual');
+    expect(result.source).to.deep.equal({ type: 'memory' });
+    expect(summarize(result)).to.deep.equal([
+      ['src/db.js', []],
+      ['src/index.js', ['src/users.js']],
+      ['src/users.js', ['src/db.js']],
+    ]);
+    expect(result.entities.map(e => e.name)).to.deep.equal(['User']);
+    expect(result.coverage).to.include({ discovered: 3, analyzed: 3 });
+  });
+
+  it('should rebuild a provider from its descriptor on worker threads', async () => {
+    const source = createMemorySource(FILES, { rootPath: '/virtual' });
+    expect(await createSource(source.descriptor).listFiles(['**/*.js'])).to.deep.equal(await source.listFiles(['**/*.js']));
+
+    const sequential = await analyze('/virtual', { source, projectConfig: {}, workers: 0 });
+    const parallel = await analyze('/virtual', { source, projectConfig: {}, workers: 2 });
+    expect(parallel.components).to.deep.equal(sequential.components);
+  });
+
+  it('should read .tar, .tgz and .zip archives and strip a shared top-level directory', async () => {
+    const wrapped = Object.fromEntries(Object.entries(FILES).map(([name, content]) => [`project-1.0/${name}`, content]));
+    const archives = {
+      'project.tar': buildTar(wrapped),
+      'project.tgz': zlib.gzipSync(buildTar(wrapped)),
+      'project.zip': buildZip(wrapped),
+    };
+
+    for (const [name, buffer] of Object.entries(archives)) {
+      const archivePath = path.join(tmp, name);
+      fs.writeFileSync(archivePath, buffer);
+      const result = await analyze(tmp, { archive: archivePath, projectConfig: {} });
+
+      expect(result.source, name).to.deep.equal({ type: 'archive', archive: archivePath });
+      expect(summarize(result), name).to.deep.equal([
+        ['src/db.js', []],
+        ['src/index.js', ['src/users.js']],
+        ['src/users.js', ['src/db.js']],
+      ]);
+    }
+  });
+
+  it('should reject unsupported archives and conflicting sources', () => {
+    const textPath = path.join(tmp, 'notes.txt');
+    fs.writeFileSync(textPath, 'hello');
+    expect(() => createArchiveSource(textPath)).to.throw(/Unsupported archive format/);
+    expect(() => createSourceFromOptions(tmp, { ref: 'HEAD', archive: textPath })).to.throw(TypeError);
+  });
+
+  it('should cap archive, unpacked and entry sizes', () => {
+    const big = 'x'.repeat(4096);
+    const tgz = zlib.gzipSync(buildTar({ 'big.js': big }));
+    expect(() => readArchiveEntries(tgz, 'big.tgz', { maxArchiveBytes: 16 })).to.throw(/Archive too large/);
+    expect(() => readArchiveEntries(tgz, 'big.tgz', { maxUnpackedBytes: 1024 })).to.throw(/unpacks to more than 1024 bytes/);
+    expect(() => readArchiveEntries(buildZip({ 'big.js': big }), 'big.zip', { maxUnpackedBytes: 1024 }))
+      .to.throw(/entries exceed 1024 bytes/);
+
+    const entries = readArchiveEntries(buildZip({ 'big.js': big, 'small.js': 'ok' }), 'x.zip', { maxEntryBytes: 1024 });
+    expect(entries.get('big.js').size).to.equal(4096);
+    expect(() => entries.get('big.js').read()).to.throw(/Archive entry too large: big\.js/);
+    expect(entries.get('small.js').read().toString()).to.equal('ok');
+
+    // A deflated entry that claims to be smaller than it is
+    const bomb = readArchiveEntries(buildZip({ 'bomb.js': big }, { 'bomb.js': 10 }), 'bomb.zip');
+    expect(() => bomb.get('bomb.js').read()).to.throw(/inflates past its declared size/);
+  });
+
+  it('should analyze the tree of a git ref, not the working tree', async function () {
+    this.timeout(20000);
+    const repo = path.join(tmp, 'repo');
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], {
+      cwd: repo,
+      stdio: 'pipe',
+    });
+    for (const [name, content] of Object.entries(FILES)) {
+      fs.mkdirSync(path.join(repo, path.dirname(name)), { recursive: true });
+      fs.writeFileSync(path.join(repo, name), content);
+    }
+    git('init', '-q');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'initial');
+    // Uncommitted edits must not show up in the ref's analysis
+    fs.writeFileSync(path.join(repo, 'src/index.js'), "require('./db');\n");
+    fs.writeFileSync(path.join(repo, 'src/extra.js'), 'module.exports = 1;\n');
+
+    const result = await analyze(repo, { ref: 'HEAD', projectConfig: {} });
+    expect(result.source.type).to.equal('git');
+    expect(result.source.ref).to.match(/^[0-9a-f]{40}$/);
+    expect(summarize(result)).to.deep.equal([
+      ['src/db.js', []],
+      ['src/index.js', ['src/users.js']],
+      ['src/users.js', ['src/db.js']],
+    ]);
+
+    const atRef = await analyzeAtRef('HEAD', repo, { projectConfig: {} });
+    expect(atRef.ref).to.equal('HEAD');
+    expect(summarize(atRef)).to.deep.equal(summarize(result));
+  });
+});
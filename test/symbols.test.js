@@ -0,0 +1,214 @@
+/**
+ * Tests for symbol extraction and the UML class diagram
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { analyze, generate, extractSymbols } = require('../src/core/analysis-generation');
+const { toArchitectureIR } = require('../src/ir/architecture-ir');
+
+function memberSummary(symbol) {
+  return symbol.members.map(m => `${m.visibility} ${m.static ? 'static ' : ''}${m.kind} ${m.name}${m.type ? `: ${m.type}` : ''}`);
+}
+
+describe('extractSymbols (JavaScript/TypeScript)', () => {
+  it('should extract exported classes and interfaces with members and heritage', () => {
+    const source = [
+      "import { Repo } from './repo';",
+      'export interface Shape extends Named { area(): number; label: string }',
+      'export class Circle extends Figure implements Shape {',
+      '  static count = 0;',
+      '  #secret: string;',
+      '  constructor(private readonly repo: Repo, label: string) { super(); this.label = label; }',
+      '  area(): number { return 0; }',
+      '  protected static make(r: number, ...rest: any[]): Circle { return null; }',
+      '}',
+      'class Internal {}',
+    ].join('\n');
+
+    const symbols = extractSymbols(source, 'typescript', 'src/shapes.ts');
+    expect(symbols.map(s => [s.name, s.kind, s.line, s.extends, s.implements])).to.deep.equal([
+      ['Shape', 'interface', 2, ['Named'], []],
+      ['Circle', 'class', 3, ['Figure'], ['Shape']],
+    ]);
+    expect(memberSummary(symbols[1])).to.deep.equal([
+      'public static field count',
+      'private field secret: string',
+      'public method constructor',
+      'private field repo: Repo',
+      'public field label',
+      'public method area: number',
+      'protected static method make: Circle',
+    ]);
+    expect(symbols[1].members[6].parameters).to.deep.equal(['r', '...rest']);
+  });
+
+  it('should follow CommonJS exports', () => {
+    const source = [
+      'class Store { constructor() { this.items = []; } add(item) {} }',
+      'class Cache extends Store {}',
+      'class Unexported {}',
+      'module.exports = { Store, Cache };',
+    ].join('\n');
+
+    const symbols = extractSymbols(source, 'javascript', 'lib/store.js');
+    expect(symbols.map(s => s.name)).to.deep.equal(['Store', 'Cache']);
+    expect(symbols[0].members.map(m => [m.kind, m.name])).to.deep.equal([
+      ['method', 'constructor'],
+      ['field', 'items'],
+      ['method', 'add'],
+    ]);
+  });
+});
+
+describe('extractSymbols (Python)', () => {
+  it('should read bases, methods, properties and fields', () => {
+    const source = [
+      'class Order(Base, Generic[T], metaclass=Meta):',
+      '    """class Fake: pass"""',
+      '    id: int',
+      '',
+      '    def __init__(self, repo: Repo, items=None):',
+      '        self.repo = repo',
+      '        self.__items = items',
+      '',
+      '    @property',
+      '    def total(self) -> float:',
+      '        return 0.0',
+      '',
+      '    @staticmethod',
+      '    def build(data) -> "Order":',
+      '        pass',
+      '',
+      'class _Private:',
+      '    pass',
+    ].join('\n');
+
+    const symbols = extractSymbols(source, 'python', 'app/order.py');
+    expect(symbols).to.have.lengthOf(1);
+    expect(symbols[0]).to.include({ name: 'Order', line: 1 });
+    expect(symbols[0].extends).to.deep.equal(['Base', 'Generic']);
+    expect(memberSummary(symbols[0])).to.deep.equal([
+      'public field id: int',
+      'public method __init__',
+      'public field repo',
+      'private field __items',
+      'public field total: float',
+      'public static method build',
+    ]);
+    expect(symbols[0].members[1].parameters).to.deep.equal(['repo', 'items']);
+  });
+});
+
+describe('extractSymbols (Java)', () => {
+  it('should read public types, modifiers and members', () => {
+    const source = [
+      'package com.acme;',
+      '@Entity',
+      '@Table(name = "orders")',
+      'public class Order extends BaseEntity<Long> implements Serializable, Comparable<Order> {',
+      '    public static final int MAX = 10;',
+      '    private final Customer customer;',
+      '    protected List<LineItem> items = new ArrayList<>();',
+      '    private Runnable task = new Runnable() { public void run() {} };',
+      '    String note = "{";',
+      '    public Order(Customer customer) { this.customer = customer; }',
+      '    public <R> R map(Function<Order, R> fn) { return null; }',
+      '    public static class Inner {}',
+      '}',
+      'class Hidden {}',
+      'public enum Status { NEW("n"), PAID("p"); private final String code; }',
+    ].join('\n');
+
+    const symbols = extractSymbols(source, 'java', 'src/main/java/com/acme/Order.java');
+    expect(symbols.map(s => [s.name, s.kind, s.line])).to.deep.equal([['Order', 'class', 4], ['Status', 'enum', 15]]);
+    expect(symbols[0].extends).to.deep.equal(['BaseEntity']);
+    expect(symbols[0].implements).to.deep.equal(['Serializable', 'Comparable']);
+    expect(memberSummary(symbols[0])).to.deep.equal([
+      'public static field MAX: int',
+      'private field customer: Customer',
+      'protected field items: List<LineItem>',
+      'private field task: Runnable',
+      'package field note: String',
+      'public method Order',
+      'public method map: R',
+    ]);
+    expect(memberSummary(symbols[1])).to.deep.equal([
+      'public static field NEW',
+      'public static field PAID',
+      'private field code: String',
+    ]);
+  });
+});
+
+describe('extractSymbols (abstract types)', () => {
+  it('should flag abstract classes in TypeScript, Java and Python', () => {
+    const abstractNames = (source, lang, file) => extractSymbols(source, lang, file).filter(s => s.abstract).map(s => s.name);
+
+    expect(abstractNames('export abstract class Base {}\nexport class Impl extends Base {}\n', 'typescript', 'a.ts')).to.deep.equal(['Base']);
+    expect(abstractNames('public abstract class Base {}\n', 'java', 'Base.java')).to.deep.equal(['Base']);
+    expect(abstractNames([
+      'class Port(ABC):',
+      '    pass',
+      'class Handler:',
+      '    @abstractmethod',
+      '    def handle(self):',
+      '        pass',
+      'class Impl(Port):',
+      '    pass',
+    ].join('\n'), 'python', 'ports.py')).to.deep.equal(['Port', 'Handler']);
+  });
+});
+
+describe('class diagram', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-class-'));
+    fs.mkdirSync(path.join(root, 'src'));
+    fs.writeFileSync(path.join(root, 'src/shapes.ts'), [
+      "import { Repo } from './repo';",
+      'export interface Shape { area(): number }',
+      'export class Figure { protected name: string }',
+      'export class Circle extends Figure implements Shape {',
+      '  private parts: Array<Point>;',
+      '  constructor(private repo: Repo) { super(); }',
+      '  static unit(): Circle { return null; }',
+      '}',
+      'export class Point { x: number }',
+    ].join('\n'));
+    fs.writeFileSync(path.join(root, 'src/repo.ts'), 'export class Repo { find(id: string): Promise<Shape | null> { return null; } }\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should render members and UML relations', async () => {
+    const data = await analyze(root, { maxFiles: 10 });
+    const mermaid = generate(data, 'class');
+
+    expect(mermaid).to.include('class Shape {\n    <<interface>>\n    +area() number\n  }');
+    expect(mermaid).to.include('    -Array~Point~ parts');
+    expect(mermaid).to.include('    +unit()$ Circle');
+    expect(mermaid).to.include('    +find(id) Promise~Shape or null~');
+    expect(mermaid).to.include('  Figure <|-- Circle');
+    expect(mermaid).to.include('  Shape <|.. Circle');
+    expect(mermaid).to.include('  Circle o-- Point');
+    expect(mermaid).to.include('  Circle *-- Repo');
+  });
+
+  it('should store symbols on components and in the IR', async () => {
+    const data = await analyze(root, { maxFiles: 10 });
+    const ir = toArchitectureIR(data);
+    const shapes = ir.components.find(c => c.filePath === 'src/shapes.ts');
+    expect(shapes.symbols.map(s => s.name)).to.deep.equal(['Shape', 'Figure', 'Circle', 'Point']);
+  });
+
+  it('should show a placeholder when no classes are exported', () => {
+    const mermaid = generate({ components: [{ name: 'a', filePath: 'a.go', type: 'package', dependencies: [] }] }, 'class');
+    expect(mermaid).to.equal('classDiagram\n  note "No classes found"');
+  });
+});